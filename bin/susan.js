@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+/**
+ * Susan CLI
+ *
+ *   susan migrate status
+ *   susan migrate up [--to N] [--allow-drift]
+ *   susan migrate down [--steps N | --to N]
+ *   susan token create <name> --scopes read:knowledge,write:todos [--kind service|dashboard|dev] [--expires-days N]
+ *   susan token list [--all]
+ *   susan token revoke <id>
+ *
+ * Connects with DATABASE_URL (or the standard PG* env vars).
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '../.env') });
+const pg = require('pg');
+const config = require('../src/lib/config');
+const { Logger } = require('../src/lib/logger');
+const { createMigrator } = require('../src/lib/migrator');
+
+const logger = new Logger('Susan:Migrate');
+
+const USAGE = `Usage:
+  susan migrate status
+  susan migrate up [--to N] [--allow-drift]
+  susan migrate down [--steps N | --to N]
+  susan token create <name> --scopes a,b [--kind service|dashboard|dev] [--expires-days N]
+  susan token list [--all]
+  susan token revoke <id>`;
+
+function parseFlags(args) {
+  const flags = {};
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--allow-drift') {
+      flags.allowDrift = true;
+    } else if (arg === '--all') {
+      flags.all = true;
+    } else if (arg === '--scopes' || arg === '--kind') {
+      if (!args[i + 1]) throw new Error(`${arg} needs a value`);
+      flags[arg.slice(2)] = args[++i];
+    } else if (arg === '--to' || arg === '--steps' || arg === '--expires-days') {
+      const value = parseInt(args[++i], 10);
+      if (!Number.isInteger(value) || value < 0) throw new Error(`${arg} needs a number`);
+      flags[arg.slice(2).replace(/-(\w)/g, (_, c) => c.toUpperCase())] = value;
+    } else if (!arg.startsWith('--') && flags.positional === undefined) {
+      flags.positional = arg;
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+  return flags;
+}
+
+function printStatus({ applied, pending, drift, missing }) {
+  for (const m of applied) {
+    const notes = [m.drift && 'CHANGED SINCE APPLIED', m.missing && 'FILE MISSING'].filter(Boolean);
+    const when = m.appliedAt ? new Date(m.appliedAt).toISOString() : '';
+    console.log(`  [x] ${String(m.version).padStart(3, '0')} ${m.name}  ${when}${notes.length ? '  ' + notes.join(', ') : ''}`);
+  }
+  for (const m of pending) {
+    console.log(`  [ ] ${String(m.version).padStart(3, '0')} ${m.name}${m.hasDown ? '' : '  (no down script)'}`);
+  }
+  console.log(`\n${applied.length} applied, ${pending.length} pending, ${drift.length} changed, ${missing.length} missing`);
+}
+
+async function migrate(command, flags) {
+  const pool = new pg.Pool({ connectionString: config.DATABASE_URL, max: 1 });
+  const migrator = createMigrator({ pool, logger });
+
+  try {
+    if (command === 'status') {
+      printStatus(await migrator.status());
+    } else if (command === 'up') {
+      const ran = await migrator.up({ to: flags.to ?? null, allowDrift: flags.allowDrift });
+      console.log(ran.length ? `Applied ${ran.length} migration(s)` : 'Nothing to apply');
+    } else if (command === 'down') {
+      const ran = await migrator.down({ steps: flags.steps ?? 1, to: flags.to ?? null });
+      console.log(ran.length ? `Rolled back ${ran.length} migration(s)` : 'Nothing to roll back');
+    } else {
+      throw new Error(`Unknown migrate command: ${command || '(none)'}`);
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+// Goes through the app's db layer (DB_ADAPTER) so tokens land where the server reads them
+async function token(command, flags) {
+  const db = require('../src/lib/db');
+  const tokenService = require('../src/services/tokenService');
+  const actor = process.env.USER || 'cli';
+
+  try {
+    if (command === 'create') {
+      if (!flags.positional) throw new Error('Unknown token name: give one, e.g. susan token create chad --scopes write:catalog');
+      const { token: value, record } = await tokenService.issue({
+        name: flags.positional,
+        kind: flags.kind,
+        scopes: (flags.scopes || '').split(',').map(scope => scope.trim()).filter(Boolean),
+        expires_in_days: flags.expiresDays
+      }, { actor });
+      console.log(`Issued token ${record.id} for ${record.name} (${record.scopes.join(', ')})`);
+      console.log(`\n  ${value}\n\nStore it now - it is not shown again.`);
+    } else if (command === 'list') {
+      const tokens = await tokenService.listTokens({ includeRevoked: flags.all });
+      for (const t of tokens) {
+        const state = t.revoked_at ? 'revoked' : t.expires_at && new Date(t.expires_at) <= new Date() ? 'expired' : 'active';
+        const used = t.last_used_at ? new Date(t.last_used_at).toISOString() : 'never';
+        console.log(`  ${t.id}  ${t.token_prefix}...  ${t.name} [${t.kind}]  ${t.scopes.join(',')}  ${state}, last used ${used}`);
+      }
+      console.log(`\n${tokens.length} token(s)`);
+    } else if (command === 'revoke') {
+      if (!flags.positional) throw new Error('Unknown token id: give the id from susan token list');
+      const record = await tokenService.revoke(flags.positional, { actor });
+      console.log(`Revoked token ${record.id} (${record.name})`);
+    } else {
+      throw new Error(`Unknown token command: ${command || '(none)'}`);
+    }
+  } finally {
+    await db.close();
+  }
+}
+
+async function main(argv) {
+  const [group, command, ...rest] = argv;
+  if (group === 'migrate') {
+    await migrate(command, parseFlags(rest));
+    return 0;
+  }
+  if (group === 'token') {
+    await token(command, parseFlags(rest));
+    return 0;
+  }
+  console.log(USAGE);
+  return group ? 1 : 0;
+}
+
+main(process.argv.slice(2))
+  .then(code => { process.exitCode = code; })
+  .catch(err => {
+    console.error(err.message);
+    if (/Unknown|needs a/.test(err.message)) console.error(`\n${USAGE}`);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,23 @@
+-- Susan Database Migration 000 (down)
+-- DESTRUCTIVE: drops the shared studio tables and everything in them.
+-- Only useful for tearing down a scratch database.
+
+DROP TABLE IF EXISTS dev_knowledge_corrections;
+DROP TABLE IF EXISTS dev_knowledge;
+DROP TABLE IF EXISTS dev_ai_lessons;
+DROP TABLE IF EXISTS dev_ai_decisions;
+DROP TABLE IF EXISTS dev_ai_knowledge;
+DROP TABLE IF EXISTS dev_ai_messages;
+DROP TABLE IF EXISTS dev_ai_sessions;
+DROP TABLE IF EXISTS dev_session_summaries;
+DROP TABLE IF EXISTS dev_chat_sessions;
+DROP TABLE IF EXISTS dev_team_chat;
+DROP TABLE IF EXISTS dev_ai_workers;
+DROP TABLE IF EXISTS dev_port_assignments;
+DROP TABLE IF EXISTS dev_goal_requirements;
+DROP TABLE IF EXISTS dev_project_goals;
+DROP TABLE IF EXISTS dev_phase_dependencies;
+DROP TABLE IF EXISTS dev_phase_items;
+DROP TABLE IF EXISTS dev_project_phases;
+DROP TABLE IF EXISTS dev_project_ids;
+DROP TABLE IF EXISTS dev_projects;
@@ -0,0 +1,258 @@
+-- Susan Database Migration 000
+-- Baseline: the shared dev studio tables that existed before Susan's own
+-- migrations. 001-003 alter some of these (dev_ai_knowledge, dev_ai_decisions,
+-- dev_ai_lessons), so a fresh database needs them first.
+-- Everything is IF NOT EXISTS - on an existing database this is a no-op.
+
+-- ============================================
+-- Projects, paths and phases
+-- ============================================
+CREATE TABLE IF NOT EXISTS dev_projects (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  slug TEXT UNIQUE,
+  description TEXT,
+  server_path TEXT,
+  port_dev INTEGER,
+  parent_id UUID REFERENCES dev_projects(id) ON DELETE SET NULL,
+  is_parent BOOLEAN DEFAULT FALSE,
+  is_active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_dev_projects_parent ON dev_projects(parent_id);
+CREATE INDEX IF NOT EXISTS idx_dev_projects_active ON dev_projects(is_active);
+
+-- Every filesystem path (server and Windows) that belongs to a project
+CREATE TABLE IF NOT EXISTS dev_project_ids (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id UUID REFERENCES dev_projects(id) ON DELETE CASCADE,
+  path TEXT NOT NULL,
+  path_type TEXT,  -- 'server', 'windows', 'studio'
+  label TEXT,
+  description TEXT,
+  sort_order INTEGER DEFAULT 0,
+  is_active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_dev_project_ids_project ON dev_project_ids(project_id);
+CREATE INDEX IF NOT EXISTS idx_dev_project_ids_path ON dev_project_ids(path);
+
+CREATE TABLE IF NOT EXISTS dev_project_phases (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id UUID REFERENCES dev_projects(id) ON DELETE CASCADE,
+  phase_num INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  description TEXT,
+  status TEXT DEFAULT 'pending',  -- 'pending', 'in_progress', 'completed', 'finalized'
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_dev_project_phases_project ON dev_project_phases(project_id, phase_num);
+
+CREATE TABLE IF NOT EXISTS dev_phase_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  phase_id UUID REFERENCES dev_project_phases(id) ON DELETE CASCADE,
+  title TEXT NOT NULL,
+  status TEXT DEFAULT 'pending',
+  sort_order INTEGER DEFAULT 0,
+  completed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_dev_phase_items_phase ON dev_phase_items(phase_id);
+
+CREATE TABLE IF NOT EXISTS dev_phase_dependencies (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  phase_id UUID REFERENCES dev_project_phases(id) ON DELETE CASCADE,
+  depends_on_phase_id UUID REFERENCES dev_project_phases(id) ON DELETE CASCADE,
+  dependency_type TEXT DEFAULT 'blocks',
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_dev_phase_dependencies_phase ON dev_phase_dependencies(phase_id);
+
+CREATE TABLE IF NOT EXISTS dev_project_goals (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  target_date DATE,
+  priority TEXT DEFAULT 'medium',
+  status TEXT DEFAULT 'active',
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS dev_goal_requirements (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  goal_id UUID REFERENCES dev_project_goals(id) ON DELETE CASCADE,
+  phase_id UUID REFERENCES dev_project_phases(id) ON DELETE CASCADE,
+  is_critical BOOLEAN DEFAULT FALSE,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_dev_goal_requirements_goal ON dev_goal_requirements(goal_id);
+
+CREATE TABLE IF NOT EXISTS dev_port_assignments (
+  port INTEGER PRIMARY KEY,
+  service_name TEXT NOT NULL,
+  description TEXT
+);
+
+-- ============================================
+-- Workers and team chat
+-- ============================================
+CREATE TABLE IF NOT EXISTS dev_ai_workers (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  slug TEXT UNIQUE NOT NULL,
+  name TEXT NOT NULL,
+  role TEXT,
+  port INTEGER,
+  personality TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS dev_team_chat (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  worker_id TEXT,
+  user_id TEXT,
+  project_id TEXT,
+  direction TEXT,     -- 'to_user', 'from_user'
+  message_type TEXT,  -- 'question', 'answer', 'update'
+  content TEXT NOT NULL,
+  context_json JSONB DEFAULT '{}',
+  priority TEXT DEFAULT 'normal',
+  status TEXT DEFAULT 'pending',
+  response_to UUID,
+  read_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_dev_team_chat_worker ON dev_team_chat(worker_id, status);
+CREATE INDEX IF NOT EXISTS idx_dev_team_chat_response ON dev_team_chat(response_to);
+
+-- ============================================
+-- Chat sessions (legacy) and AI sessions
+-- ============================================
+CREATE TABLE IF NOT EXISTS dev_chat_sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id TEXT,
+  user_id TEXT,
+  started_at TIMESTAMPTZ DEFAULT NOW(),
+  ended_at TIMESTAMPTZ
+);
+
+CREATE TABLE IF NOT EXISTS dev_session_summaries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  session_id UUID REFERENCES dev_chat_sessions(id) ON DELETE SET NULL,
+  summary TEXT,
+  key_topics TEXT[] DEFAULT '{}',
+  decisions_made TEXT[] DEFAULT '{}',
+  action_items TEXT[] DEFAULT '{}',
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS dev_ai_sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id TEXT,
+  project_slug TEXT,
+  status TEXT DEFAULT 'active',  -- 'active', 'completed', 'processed', 'cleaned', 'archived'
+  raw_content TEXT,
+  summary TEXT,
+  items_extracted INTEGER DEFAULT 0,
+  conflicts_found INTEGER DEFAULT 0,
+  processed_by TEXT,
+  processed_at TIMESTAMPTZ,
+  semantic_extracted_at TIMESTAMPTZ,
+  started_at TIMESTAMPTZ DEFAULT NOW(),
+  ended_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_dev_ai_sessions_status ON dev_ai_sessions(status);
+CREATE INDEX IF NOT EXISTS idx_dev_ai_sessions_project ON dev_ai_sessions(project_id);
+CREATE INDEX IF NOT EXISTS idx_dev_ai_sessions_created ON dev_ai_sessions(created_at);
+
+CREATE TABLE IF NOT EXISTS dev_ai_messages (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  session_id UUID REFERENCES dev_ai_sessions(id) ON DELETE CASCADE,
+  role TEXT NOT NULL,  -- 'user', 'assistant'
+  content TEXT,
+  sequence_num INTEGER,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_dev_ai_messages_session ON dev_ai_messages(session_id, sequence_num);
+
+-- ============================================
+-- Librarian tables shared with the other workers
+-- ============================================
+CREATE TABLE IF NOT EXISTS dev_ai_knowledge (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id TEXT,
+  client_id TEXT,
+  session_id UUID,
+  category TEXT DEFAULT 'general',
+  title TEXT NOT NULL,
+  summary TEXT,
+  details TEXT,
+  tags TEXT[] DEFAULT '{}',
+  importance INTEGER DEFAULT 5,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_dev_ai_knowledge_project ON dev_ai_knowledge(project_id);
+CREATE INDEX IF NOT EXISTS idx_dev_ai_knowledge_category ON dev_ai_knowledge(category);
+CREATE INDEX IF NOT EXISTS idx_dev_ai_knowledge_importance ON dev_ai_knowledge(importance DESC);
+
+CREATE TABLE IF NOT EXISTS dev_ai_decisions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id TEXT,
+  session_id UUID,
+  title TEXT NOT NULL,
+  decision TEXT,
+  context TEXT,
+  rationale TEXT,
+  alternatives TEXT[] DEFAULT '{}',
+  tags TEXT[] DEFAULT '{}',
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_dev_ai_decisions_project ON dev_ai_decisions(project_id);
+
+CREATE TABLE IF NOT EXISTS dev_ai_lessons (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id TEXT,
+  title TEXT NOT NULL,
+  description TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_dev_ai_lessons_project ON dev_ai_lessons(project_id);
+
+-- Category review queue (dev_knowledge is the studio-wide store Susan corrects)
+CREATE TABLE IF NOT EXISTS dev_knowledge (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  category TEXT,
+  category_confidence REAL,
+  category_suggested_by TEXT,
+  status TEXT DEFAULT 'pending',
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS dev_knowledge_corrections (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  knowledge_id UUID REFERENCES dev_knowledge(id) ON DELETE CASCADE,
+  field_corrected TEXT NOT NULL,
+  original_value TEXT,
+  corrected_value TEXT,
+  correction_reason TEXT,
+  corrected_by TEXT,
+  learned BOOLEAN DEFAULT FALSE,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_dev_knowledge_corrections_knowledge ON dev_knowledge_corrections(knowledge_id);
@@ -0,0 +1,12 @@
+-- Susan Database Migration 001 (down)
+-- DESTRUCTIVE: drops docs, todos and structures with their rows.
+
+DROP TABLE IF EXISTS dev_ai_structures;
+DROP TABLE IF EXISTS dev_ai_todos;
+DROP TABLE IF EXISTS dev_ai_docs;
+
+ALTER TABLE dev_ai_knowledge
+  DROP COLUMN IF EXISTS source,
+  DROP COLUMN IF EXISTS cataloger;
+
+DROP FUNCTION IF EXISTS update_updated_at();
@@ -0,0 +1,6 @@
+-- Susan Database Migration 002 (down)
+-- DESTRUCTIVE: drops purge requests, conflicts and notifications with their rows.
+
+DROP TABLE IF EXISTS dev_ai_notifications;
+DROP TABLE IF EXISTS dev_ai_conflicts;
+DROP TABLE IF EXISTS dev_ai_purge_requests;
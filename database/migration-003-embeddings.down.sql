@@ -0,0 +1,23 @@
+-- Susan Database Migration 003 (down)
+-- Drops the embedding columns (their indexes go with them).
+-- Vectors can be rebuilt with POST /api/embeddings/backfill after re-applying.
+
+ALTER TABLE dev_ai_knowledge
+  DROP COLUMN IF EXISTS embedding,
+  DROP COLUMN IF EXISTS embedding_model,
+  DROP COLUMN IF EXISTS embedded_at;
+
+ALTER TABLE dev_ai_docs
+  DROP COLUMN IF EXISTS embedding,
+  DROP COLUMN IF EXISTS embedding_model,
+  DROP COLUMN IF EXISTS embedded_at;
+
+ALTER TABLE dev_ai_decisions
+  DROP COLUMN IF EXISTS embedding,
+  DROP COLUMN IF EXISTS embedding_model,
+  DROP COLUMN IF EXISTS embedded_at;
+
+ALTER TABLE dev_ai_lessons
+  DROP COLUMN IF EXISTS embedding,
+  DROP COLUMN IF EXISTS embedding_model,
+  DROP COLUMN IF EXISTS embedded_at;
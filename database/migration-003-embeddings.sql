@@ -0,0 +1,41 @@
+-- Susan Database Migration 003
+-- Embeddings for semantic search (/api/query?mode=semantic|hybrid)
+-- Vectors are stored as REAL[] alongside the rows; cosine ranking happens in Susan
+
+-- ============================================
+-- Embedding columns on the searchable librarian tables
+-- embedding_model records which provider produced the vector
+-- (vectors from different models are not comparable)
+-- ============================================
+ALTER TABLE dev_ai_knowledge
+  ADD COLUMN IF NOT EXISTS embedding REAL[],
+  ADD COLUMN IF NOT EXISTS embedding_model TEXT,
+  ADD COLUMN IF NOT EXISTS embedded_at TIMESTAMPTZ;
+
+ALTER TABLE dev_ai_docs
+  ADD COLUMN IF NOT EXISTS embedding REAL[],
+  ADD COLUMN IF NOT EXISTS embedding_model TEXT,
+  ADD COLUMN IF NOT EXISTS embedded_at TIMESTAMPTZ;
+
+ALTER TABLE dev_ai_decisions
+  ADD COLUMN IF NOT EXISTS embedding REAL[],
+  ADD COLUMN IF NOT EXISTS embedding_model TEXT,
+  ADD COLUMN IF NOT EXISTS embedded_at TIMESTAMPTZ;
+
+ALTER TABLE dev_ai_lessons
+  ADD COLUMN IF NOT EXISTS embedding REAL[],
+  ADD COLUMN IF NOT EXISTS embedding_model TEXT,
+  ADD COLUMN IF NOT EXISTS embedded_at TIMESTAMPTZ;
+
+-- ============================================
+-- Indexes - candidate fetch filters by model, backfill by missing embedding
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_dev_ai_knowledge_embedding_model ON dev_ai_knowledge(embedding_model);
+CREATE INDEX IF NOT EXISTS idx_dev_ai_docs_embedding_model ON dev_ai_docs(embedding_model);
+CREATE INDEX IF NOT EXISTS idx_dev_ai_decisions_embedding_model ON dev_ai_decisions(embedding_model);
+CREATE INDEX IF NOT EXISTS idx_dev_ai_lessons_embedding_model ON dev_ai_lessons(embedding_model);
+
+CREATE INDEX IF NOT EXISTS idx_dev_ai_knowledge_needs_embedding ON dev_ai_knowledge(created_at) WHERE embedding IS NULL;
+CREATE INDEX IF NOT EXISTS idx_dev_ai_docs_needs_embedding ON dev_ai_docs(created_at) WHERE embedding IS NULL;
+CREATE INDEX IF NOT EXISTS idx_dev_ai_decisions_needs_embedding ON dev_ai_decisions(created_at) WHERE embedding IS NULL;
+CREATE INDEX IF NOT EXISTS idx_dev_ai_lessons_needs_embedding ON dev_ai_lessons(created_at) WHERE embedding IS NULL;
@@ -0,0 +1,79 @@
+-- Susan Database Migration 004 (down)
+-- DESTRUCTIVE: drops the tables 004 created and the columns it added.
+-- NOT NULL constraints relaxed by 004 are left relaxed - rows written
+-- since may not satisfy them.
+
+DROP TABLE IF EXISTS dev_ai_usage;
+DROP TABLE IF EXISTS dev_ai_smart_extractions;
+DROP TABLE IF EXISTS dev_ai_staging;
+DROP TABLE IF EXISTS dev_ai_clean_transcripts;
+DROP TABLE IF EXISTS dev_ai_file_structures;
+DROP TABLE IF EXISTS dev_ai_structure_items;
+DROP TABLE IF EXISTS dev_ai_schemas;
+DROP TABLE IF EXISTS dev_ai_schema_changes;
+DROP TABLE IF EXISTS dev_ai_commits;
+DROP TABLE IF EXISTS dev_ai_code_changes;
+DROP TABLE IF EXISTS dev_ai_snippets;
+DROP TABLE IF EXISTS dev_ai_conventions;
+DROP TABLE IF EXISTS dev_ai_journal;
+DROP TABLE IF EXISTS dev_ai_notes;
+DROP TABLE IF EXISTS dev_ai_bugs;
+
+ALTER TABLE dev_ai_lessons
+  DROP COLUMN IF EXISTS status,
+  DROP COLUMN IF EXISTS source_session_id,
+  DROP COLUMN IF EXISTS metadata;
+
+ALTER TABLE dev_ai_decisions
+  DROP COLUMN IF EXISTS status,
+  DROP COLUMN IF EXISTS source_session_id,
+  DROP COLUMN IF EXISTS metadata,
+  DROP COLUMN IF EXISTS updated_at;
+
+ALTER TABLE dev_ai_knowledge
+  DROP COLUMN IF EXISTS knowledge_type,
+  DROP COLUMN IF EXISTS content,
+  DROP COLUMN IF EXISTS bucket,
+  DROP COLUMN IF EXISTS status,
+  DROP COLUMN IF EXISTS source_session_id,
+  DROP COLUMN IF EXISTS metadata;
+
+ALTER TABLE dev_ai_notifications
+  DROP COLUMN IF EXISTS project_id,
+  DROP COLUMN IF EXISTS type,
+  DROP COLUMN IF EXISTS from_worker,
+  DROP COLUMN IF EXISTS is_read,
+  DROP COLUMN IF EXISTS metadata;
+
+ALTER TABLE dev_ai_conflicts
+  DROP COLUMN IF EXISTS project_id,
+  DROP COLUMN IF EXISTS new_item,
+  DROP COLUMN IF EXISTS existing_items,
+  DROP COLUMN IF EXISTS explanation,
+  DROP COLUMN IF EXISTS resolution;
+
+ALTER TABLE dev_ai_structures
+  DROP COLUMN IF EXISTS project_id,
+  DROP COLUMN IF EXISTS project_name,
+  DROP COLUMN IF EXISTS databases;
+
+ALTER TABLE dev_ai_todos
+  DROP COLUMN IF EXISTS project_id,
+  DROP COLUMN IF EXISTS client_id,
+  DROP COLUMN IF EXISTS phase_id,
+  DROP COLUMN IF EXISTS source_session_id,
+  DROP COLUMN IF EXISTS completed_session_id,
+  DROP COLUMN IF EXISTS completion_note,
+  DROP COLUMN IF EXISTS validated_at,
+  DROP COLUMN IF EXISTS consolidated_into,
+  DROP COLUMN IF EXISTS metadata;
+
+ALTER TABLE dev_ai_docs
+  DROP COLUMN IF EXISTS project_id,
+  DROP COLUMN IF EXISTS session_id,
+  DROP COLUMN IF EXISTS source_session_id,
+  DROP COLUMN IF EXISTS category,
+  DROP COLUMN IF EXISTS file_path,
+  DROP COLUMN IF EXISTS bucket,
+  DROP COLUMN IF EXISTS status,
+  DROP COLUMN IF EXISTS metadata;
@@ -0,0 +1,370 @@
+-- Susan Database Migration 004
+-- Bring the schema up to what the code actually reads and writes:
+-- columns added to 001/002 tables since they were written, plus every
+-- remaining dev_ai_* table Susan touches (bugs, journal, staging, ...).
+-- 001/002 keyed rows by project_path; the code uses project_id throughout.
+
+-- ============================================
+-- 001 tables - project_id, bucket routing and session tracking
+-- ============================================
+ALTER TABLE dev_ai_docs
+  ADD COLUMN IF NOT EXISTS project_id TEXT,
+  ADD COLUMN IF NOT EXISTS session_id UUID,
+  ADD COLUMN IF NOT EXISTS source_session_id UUID,
+  ADD COLUMN IF NOT EXISTS category TEXT,
+  ADD COLUMN IF NOT EXISTS file_path TEXT,
+  ADD COLUMN IF NOT EXISTS bucket TEXT,
+  ADD COLUMN IF NOT EXISTS status TEXT DEFAULT 'active',
+  ADD COLUMN IF NOT EXISTS metadata JSONB DEFAULT '{}';
+ALTER TABLE dev_ai_docs ALTER COLUMN project_path DROP NOT NULL;
+
+-- POST /api/doc upserts on (project_id, doc_type, title)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_dev_ai_docs_project_type_title ON dev_ai_docs(project_id, doc_type, title);
+CREATE INDEX IF NOT EXISTS idx_dev_ai_docs_project_id ON dev_ai_docs(project_id);
+
+ALTER TABLE dev_ai_todos
+  ADD COLUMN IF NOT EXISTS project_id TEXT,
+  ADD COLUMN IF NOT EXISTS client_id TEXT,
+  ADD COLUMN IF NOT EXISTS phase_id UUID,
+  ADD COLUMN IF NOT EXISTS source_session_id UUID,
+  ADD COLUMN IF NOT EXISTS completed_session_id UUID,
+  ADD COLUMN IF NOT EXISTS completion_note TEXT,
+  ADD COLUMN IF NOT EXISTS validated_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS consolidated_into UUID,
+  ADD COLUMN IF NOT EXISTS metadata JSONB DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS idx_dev_ai_todos_project_id ON dev_ai_todos(project_id);
+CREATE INDEX IF NOT EXISTS idx_dev_ai_todos_phase ON dev_ai_todos(phase_id);
+CREATE INDEX IF NOT EXISTS idx_dev_ai_todos_created ON dev_ai_todos(created_at);
+
+ALTER TABLE dev_ai_structures
+  ADD COLUMN IF NOT EXISTS project_id TEXT,
+  ADD COLUMN IF NOT EXISTS project_name TEXT,
+  ADD COLUMN IF NOT EXISTS databases JSONB DEFAULT '[]';
+ALTER TABLE dev_ai_structures ALTER COLUMN project_path DROP NOT NULL;
+
+-- Structure routes upsert on project_id
+CREATE UNIQUE INDEX IF NOT EXISTS idx_dev_ai_structures_project_id ON dev_ai_structures(project_id);
+
+-- ============================================
+-- 002 tables - server-side conflict detection stores whole items
+-- ============================================
+ALTER TABLE dev_ai_conflicts
+  ADD COLUMN IF NOT EXISTS project_id TEXT,
+  ADD COLUMN IF NOT EXISTS new_item JSONB,
+  ADD COLUMN IF NOT EXISTS existing_items JSONB,
+  ADD COLUMN IF NOT EXISTS explanation TEXT,
+  ADD COLUMN IF NOT EXISTS resolution TEXT;
+ALTER TABLE dev_ai_conflicts
+  ALTER COLUMN existing_table DROP NOT NULL,
+  ALTER COLUMN existing_id DROP NOT NULL,
+  ALTER COLUMN new_content DROP NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_conflicts_project_id ON dev_ai_conflicts(project_id);
+
+ALTER TABLE dev_ai_notifications
+  ADD COLUMN IF NOT EXISTS project_id TEXT,
+  ADD COLUMN IF NOT EXISTS type TEXT,
+  ADD COLUMN IF NOT EXISTS from_worker TEXT,
+  ADD COLUMN IF NOT EXISTS is_read BOOLEAN DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS metadata JSONB DEFAULT '{}';
+ALTER TABLE dev_ai_notifications
+  ALTER COLUMN dev_id DROP NOT NULL,
+  ALTER COLUMN notification_type DROP NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_notifications_worker ON dev_ai_notifications(from_worker, is_read);
+
+-- ============================================
+-- Baseline librarian tables - extraction routing columns
+-- ============================================
+ALTER TABLE dev_ai_knowledge
+  ADD COLUMN IF NOT EXISTS knowledge_type TEXT,
+  ADD COLUMN IF NOT EXISTS content TEXT,
+  ADD COLUMN IF NOT EXISTS bucket TEXT,
+  ADD COLUMN IF NOT EXISTS status TEXT DEFAULT 'active',
+  ADD COLUMN IF NOT EXISTS source_session_id UUID,
+  ADD COLUMN IF NOT EXISTS metadata JSONB DEFAULT '{}';
+
+ALTER TABLE dev_ai_decisions
+  ADD COLUMN IF NOT EXISTS status TEXT DEFAULT 'active',
+  ADD COLUMN IF NOT EXISTS source_session_id UUID,
+  ADD COLUMN IF NOT EXISTS metadata JSONB DEFAULT '{}',
+  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+ALTER TABLE dev_ai_lessons
+  ADD COLUMN IF NOT EXISTS status TEXT DEFAULT 'active',
+  ADD COLUMN IF NOT EXISTS source_session_id UUID,
+  ADD COLUMN IF NOT EXISTS metadata JSONB DEFAULT '{}';
+
+-- ============================================
+-- Bugs
+-- ============================================
+CREATE TABLE IF NOT EXISTS dev_ai_bugs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id TEXT,
+  phase_id UUID,
+  title TEXT NOT NULL,
+  description TEXT,
+  severity TEXT DEFAULT 'medium',  -- 'low', 'medium', 'high', 'critical'
+  status TEXT DEFAULT 'open',      -- 'open', 'in_progress', 'fixed', 'wont_fix', 'consolidated'
+  steps_to_reproduce TEXT,
+  expected_behavior TEXT,
+  actual_behavior TEXT,
+  environment TEXT,
+  related_file TEXT,
+  related_todo_id UUID,
+  screenshot_url TEXT,
+  reported_by TEXT,
+  assigned_to TEXT,
+  resolution_note TEXT,
+  fix_session_id UUID,
+  source_session_id UUID,
+  consolidated_into UUID,
+  metadata JSONB DEFAULT '{}',
+  validated_at TIMESTAMPTZ,
+  resolved_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_dev_ai_bugs_project ON dev_ai_bugs(project_id);
+CREATE INDEX IF NOT EXISTS idx_dev_ai_bugs_status ON dev_ai_bugs(status);
+CREATE INDEX IF NOT EXISTS idx_dev_ai_bugs_phase ON dev_ai_bugs(phase_id);
+
+-- ============================================
+-- Notes, journal, conventions, snippets
+-- ============================================
+CREATE TABLE IF NOT EXISTS dev_ai_notes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id TEXT,
+  title TEXT,
+  content TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_dev_ai_notes_project ON dev_ai_notes(project_id);
+
+CREATE TABLE IF NOT EXISTS dev_ai_journal (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id TEXT,
+  entry_type TEXT DEFAULT 'worklog',
+  title TEXT,
+  content TEXT,
+  bucket TEXT,
+  status TEXT DEFAULT 'active',
+  source_session_id UUID,
+  metadata JSONB DEFAULT '{}',
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_dev_ai_journal_project ON dev_ai_journal(project_id, created_at);
+
+CREATE TABLE IF NOT EXISTS dev_ai_conventions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id TEXT,
+  convention_type TEXT,
+  name TEXT,
+  description TEXT,
+  bucket TEXT,
+  status TEXT DEFAULT 'active',
+  source_session_id UUID,
+  metadata JSONB DEFAULT '{}',
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_dev_ai_conventions_project ON dev_ai_conventions(project_id);
+
+CREATE TABLE IF NOT EXISTS dev_ai_snippets (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id TEXT,
+  snippet_type TEXT,
+  content TEXT,
+  context TEXT,
+  bucket TEXT,
+  status TEXT DEFAULT 'active',
+  source_session_id UUID,
+  metadata JSONB DEFAULT '{}',
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_dev_ai_snippets_project ON dev_ai_snippets(project_id);
+
+-- ============================================
+-- Code history - changes, commits, schema changes
+-- ============================================
+CREATE TABLE IF NOT EXISTS dev_ai_code_changes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id TEXT,
+  session_id UUID,
+  file_path TEXT,
+  action TEXT,
+  summary TEXT,
+  commit_hash TEXT,
+  commit_message TEXT,
+  author TEXT,
+  build_number TEXT,
+  files_changed TEXT[] DEFAULT '{}',
+  lines_added INTEGER DEFAULT 0,
+  lines_removed INTEGER DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_dev_ai_code_changes_project ON dev_ai_code_changes(project_id, created_at);
+
+CREATE TABLE IF NOT EXISTS dev_ai_commits (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id TEXT,
+  session_id UUID,
+  commit_hash TEXT,
+  message TEXT,
+  author TEXT,
+  build_number TEXT,
+  files_changed TEXT[] DEFAULT '{}',
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_dev_ai_commits_project ON dev_ai_commits(project_id);
+
+CREATE TABLE IF NOT EXISTS dev_ai_schema_changes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id TEXT,
+  session_id UUID,
+  table_name TEXT,
+  action TEXT,
+  columns JSONB DEFAULT '[]',
+  description TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_dev_ai_schema_changes_project ON dev_ai_schema_changes(project_id);
+
+-- ============================================
+-- Scanned database schemas and project file trees
+-- ============================================
+CREATE TABLE IF NOT EXISTS dev_ai_schemas (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  database_name TEXT NOT NULL,
+  table_name TEXT NOT NULL,
+  prefix TEXT,
+  description TEXT,
+  schema_definition JSONB DEFAULT '{}',
+  column_count INTEGER DEFAULT 0,
+  column_name TEXT,
+  data_type TEXT,
+  is_nullable TEXT,
+  column_default TEXT,
+  ordinal_position INTEGER,
+  last_scanned TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  -- Schema scans upsert on (database_name, table_name)
+  UNIQUE(database_name, table_name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_dev_ai_schemas_prefix ON dev_ai_schemas(prefix);
+
+CREATE TABLE IF NOT EXISTS dev_ai_structure_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id TEXT,
+  path TEXT NOT NULL,
+  parent_path TEXT,
+  name TEXT,
+  type TEXT,  -- 'folder', 'file'
+  purpose TEXT,
+  notes TEXT,
+  status TEXT DEFAULT 'active',
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_dev_ai_structure_items_project ON dev_ai_structure_items(project_id, parent_path);
+
+CREATE TABLE IF NOT EXISTS dev_ai_file_structures (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id TEXT UNIQUE,
+  directories JSONB DEFAULT '[]',
+  key_files JSONB DEFAULT '[]',
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ============================================
+-- Extraction pipeline - transcripts, staging, smart extractions
+-- ============================================
+CREATE TABLE IF NOT EXISTS dev_ai_clean_transcripts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  session_id UUID REFERENCES dev_ai_sessions(id) ON DELETE CASCADE,
+  project_id TEXT,
+  clean_text TEXT,
+  file_refs JSONB DEFAULT '[]',
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_dev_ai_clean_transcripts_session ON dev_ai_clean_transcripts(session_id);
+
+CREATE TABLE IF NOT EXISTS dev_ai_staging (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  extraction_type TEXT,
+  status TEXT DEFAULT 'pending',
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_dev_ai_staging_status ON dev_ai_staging(status);
+
+CREATE TABLE IF NOT EXISTS dev_ai_smart_extractions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id TEXT,
+  session_id UUID,
+  bucket TEXT,
+  extraction_type TEXT,
+  title TEXT,
+  content TEXT,
+  priority TEXT,
+  hash TEXT,
+  status TEXT DEFAULT 'pending',  -- 'pending', 'processed', 'duplicate', 'error'
+  metadata JSONB DEFAULT '{}',
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- The sorter polls pending rows oldest first
+CREATE INDEX IF NOT EXISTS idx_dev_ai_smart_extractions_pending ON dev_ai_smart_extractions(created_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_dev_ai_smart_extractions_hash ON dev_ai_smart_extractions(hash);
+
+-- ============================================
+-- AI usage log
+-- ============================================
+CREATE TABLE IF NOT EXISTS dev_ai_usage (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id TEXT,
+  project_id TEXT,
+  assistant_name TEXT,
+  model TEXT,
+  request_type TEXT,
+  input_tokens INTEGER DEFAULT 0,
+  output_tokens INTEGER DEFAULT 0,
+  cost_usd NUMERIC(12, 6) DEFAULT 0,
+  response_time_ms INTEGER,
+  prompt_preview TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_dev_ai_usage_created ON dev_ai_usage(created_at);
+
+-- ============================================
+-- Triggers for updated_at timestamps (function from 001)
+-- ============================================
+DROP TRIGGER IF EXISTS update_dev_ai_bugs_updated_at ON dev_ai_bugs;
+CREATE TRIGGER update_dev_ai_bugs_updated_at
+  BEFORE UPDATE ON dev_ai_bugs
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+DROP TRIGGER IF EXISTS update_dev_ai_notes_updated_at ON dev_ai_notes;
+CREATE TRIGGER update_dev_ai_notes_updated_at
+  BEFORE UPDATE ON dev_ai_notes
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+DROP TRIGGER IF EXISTS update_dev_ai_smart_extractions_updated_at ON dev_ai_smart_extractions;
+CREATE TRIGGER update_dev_ai_smart_extractions_updated_at
+  BEFORE UPDATE ON dev_ai_smart_extractions
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();
@@ -0,0 +1,4 @@
+-- Susan Database Migration 005 (down)
+-- DESTRUCTIVE: drops all recorded revision history.
+
+DROP TABLE IF EXISTS dev_ai_revisions;
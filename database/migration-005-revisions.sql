@@ -0,0 +1,26 @@
+-- Susan Database Migration 005
+-- Revision history for the librarian tables
+-- Every create/update/delete/restore writes one row; rows are never edited
+
+-- ============================================
+-- Revisions Table
+-- before/after are full row snapshots (null before = created, null after = deleted)
+-- ============================================
+CREATE TABLE IF NOT EXISTS dev_ai_revisions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  table_name TEXT NOT NULL,
+  record_id TEXT NOT NULL,
+  rev INTEGER NOT NULL,
+  action TEXT NOT NULL,  -- 'create', 'update', 'delete', 'restore', 'consolidate'
+  actor TEXT,            -- Worker or dev that made the change
+  changed_fields TEXT[] DEFAULT '{}',
+  before JSONB,
+  after JSONB,
+  restored_from INTEGER,  -- rev whose snapshot a 'restore' brought back
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  UNIQUE(table_name, record_id, rev)
+);
+
+CREATE INDEX IF NOT EXISTS idx_dev_ai_revisions_actor ON dev_ai_revisions(actor);
+CREATE INDEX IF NOT EXISTS idx_dev_ai_revisions_created ON dev_ai_revisions(created_at);
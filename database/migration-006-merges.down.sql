@@ -0,0 +1,5 @@
+-- Susan Database Migration 006 (down)
+-- DESTRUCTIVE: drops merge records (undo becomes impossible) and the never-merge list.
+
+DROP TABLE IF EXISTS dev_ai_merge_blocks;
+DROP TABLE IF EXISTS dev_ai_merges;
@@ -0,0 +1,43 @@
+-- Susan Database Migration 006
+-- Merge provenance for the consolidator, and pairs that must never merge again
+
+-- ============================================
+-- Merges Table
+-- One row per consolidateGroup call; originals are the full source rows
+-- as they were before the merge, so the merge can be undone
+-- ============================================
+CREATE TABLE IF NOT EXISTS dev_ai_merges (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  table_name TEXT NOT NULL,
+  project_id TEXT,
+  master_id TEXT NOT NULL,
+  source_ids TEXT[] NOT NULL DEFAULT '{}',  -- Every item in the group, master included
+  originals JSONB NOT NULL DEFAULT '[]',
+  merged_title TEXT,
+  status TEXT DEFAULT 'active',  -- 'active', 'undone'
+  merged_by TEXT DEFAULT 'consolidator',
+  undone_by TEXT,
+  undone_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_dev_ai_merges_table_status ON dev_ai_merges(table_name, status);
+CREATE INDEX IF NOT EXISTS idx_dev_ai_merges_project ON dev_ai_merges(project_id);
+CREATE INDEX IF NOT EXISTS idx_dev_ai_merges_created ON dev_ai_merges(created_at);
+
+-- ============================================
+-- Never-Merge Pairs
+-- Written when a merge is undone; duplicate detection skips these pairs.
+-- item_a < item_b so each pair is stored once
+-- ============================================
+CREATE TABLE IF NOT EXISTS dev_ai_merge_blocks (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  table_name TEXT NOT NULL,
+  item_a TEXT NOT NULL,
+  item_b TEXT NOT NULL,
+  merge_id UUID REFERENCES dev_ai_merges(id) ON DELETE SET NULL,
+  created_by TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  UNIQUE(table_name, item_a, item_b)
+);
@@ -0,0 +1,9 @@
+-- Susan Database Migration 007 (down)
+
+DROP INDEX IF EXISTS idx_dev_ai_docs_dedupe;
+DROP INDEX IF EXISTS idx_dev_ai_knowledge_dedupe;
+DROP INDEX IF EXISTS idx_dev_ai_bugs_dedupe;
+DROP INDEX IF EXISTS idx_dev_ai_todos_dedupe;
+
+ALTER TABLE dev_ai_docs DROP COLUMN IF EXISTS consolidated_into;
+ALTER TABLE dev_ai_knowledge DROP COLUMN IF EXISTS consolidated_into;
@@ -0,0 +1,16 @@
+-- Susan Database Migration 007
+-- Consolidation for knowledge and docs (todos/bugs already have these)
+
+-- ============================================
+-- Merged-into pointer for consolidated knowledge and docs
+-- ============================================
+ALTER TABLE dev_ai_knowledge ADD COLUMN IF NOT EXISTS consolidated_into UUID;
+ALTER TABLE dev_ai_docs ADD COLUMN IF NOT EXISTS consolidated_into UUID;
+
+-- ============================================
+-- Indexes - duplicate scans load one project's open items oldest first
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_dev_ai_todos_dedupe ON dev_ai_todos(project_id, status, created_at);
+CREATE INDEX IF NOT EXISTS idx_dev_ai_bugs_dedupe ON dev_ai_bugs(project_id, status, created_at);
+CREATE INDEX IF NOT EXISTS idx_dev_ai_knowledge_dedupe ON dev_ai_knowledge(project_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_dev_ai_docs_dedupe ON dev_ai_docs(project_id, created_at);
@@ -0,0 +1,5 @@
+-- Susan Database Migration 008 (down)
+-- DESTRUCTIVE: drops registered webhooks (and their secrets) and the delivery log.
+
+DROP TABLE IF EXISTS dev_ai_webhook_deliveries;
+DROP TABLE IF EXISTS dev_ai_webhooks;
@@ -0,0 +1,46 @@
+-- Susan Database Migration 008
+-- Outbound webhooks for librarian events, and their delivery log
+
+-- ============================================
+-- Webhooks Table
+-- event_types holds exact types ('bug.fixed'), prefixes ('todo.*') or '*'
+-- ============================================
+CREATE TABLE IF NOT EXISTS dev_ai_webhooks (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT,
+  url TEXT NOT NULL,
+  secret TEXT NOT NULL,  -- HMAC-SHA256 key for X-Susan-Signature
+  event_types TEXT[] NOT NULL DEFAULT '{*}',
+  project_id TEXT,  -- NULL = events from every project
+  active BOOLEAN DEFAULT true,
+  created_by TEXT,
+  last_delivery_at TIMESTAMPTZ,
+  last_status TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_dev_ai_webhooks_active ON dev_ai_webhooks(active);
+
+-- ============================================
+-- Webhook Deliveries
+-- One row per event per webhook; pending rows are retried once
+-- next_attempt_at has passed
+-- ============================================
+CREATE TABLE IF NOT EXISTS dev_ai_webhook_deliveries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  webhook_id UUID NOT NULL REFERENCES dev_ai_webhooks(id) ON DELETE CASCADE,
+  event_id TEXT NOT NULL,
+  event_type TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  status TEXT DEFAULT 'pending',  -- 'pending', 'delivered', 'failed'
+  attempts INTEGER DEFAULT 0,
+  response_status INTEGER,
+  last_error TEXT,
+  next_attempt_at TIMESTAMPTZ,
+  delivered_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_dev_ai_webhook_deliveries_webhook ON dev_ai_webhook_deliveries(webhook_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_dev_ai_webhook_deliveries_due ON dev_ai_webhook_deliveries(status, next_attempt_at);
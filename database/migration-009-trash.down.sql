@@ -0,0 +1,4 @@
+-- Susan Database Migration 009 (down)
+-- DESTRUCTIVE: drops the trash - purged rows still in their grace period become unrecoverable.
+
+DROP TABLE IF EXISTS dev_ai_trash;
@@ -0,0 +1,27 @@
+-- Susan Database Migration 009
+-- Trash for approved purges: rows are kept here for a grace period
+-- before the sweep hard-deletes them
+
+-- ============================================
+-- Trash Table
+-- row_data is the full row as it was when the purge ran
+-- ============================================
+CREATE TABLE IF NOT EXISTS dev_ai_trash (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  table_name TEXT NOT NULL,
+  record_id TEXT NOT NULL,
+  project_id TEXT,
+  row_data JSONB NOT NULL,
+  purge_request_id UUID REFERENCES dev_ai_purge_requests(id) ON DELETE SET NULL,
+  status TEXT DEFAULT 'trashed',  -- 'trashed', 'restored'
+  deleted_by TEXT,
+  deleted_at TIMESTAMPTZ DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,  -- Sweep hard-deletes after this
+  restored_by TEXT,
+  restored_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_dev_ai_trash_status_expires ON dev_ai_trash(status, expires_at);
+CREATE INDEX IF NOT EXISTS idx_dev_ai_trash_table_record ON dev_ai_trash(table_name, record_id);
+CREATE INDEX IF NOT EXISTS idx_dev_ai_trash_purge_request ON dev_ai_trash(purge_request_id);
+CREATE INDEX IF NOT EXISTS idx_dev_ai_trash_deleted ON dev_ai_trash(deleted_at);
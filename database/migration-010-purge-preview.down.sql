@@ -0,0 +1,7 @@
+-- Susan Database Migration 010 (down)
+
+ALTER TABLE dev_ai_purge_requests
+  DROP COLUMN IF EXISTS forced,
+  DROP COLUMN IF EXISTS cascade_count,
+  DROP COLUMN IF EXISTS orphan_count,
+  DROP COLUMN IF EXISTS estimated_bytes;
@@ -0,0 +1,8 @@
+-- Susan Database Migration 010
+-- Record what the purge preview found when a request was approved
+
+ALTER TABLE dev_ai_purge_requests
+  ADD COLUMN IF NOT EXISTS estimated_bytes BIGINT,
+  ADD COLUMN IF NOT EXISTS orphan_count INTEGER,
+  ADD COLUMN IF NOT EXISTS cascade_count INTEGER,
+  ADD COLUMN IF NOT EXISTS forced BOOLEAN DEFAULT false;  -- Approved over a blocking preview
@@ -0,0 +1,5 @@
+-- Susan Database Migration 011 (down)
+-- Drops custom retention policies; the built-in defaults apply again.
+
+ALTER TABLE dev_ai_purge_requests DROP COLUMN IF EXISTS policy_ids;
+DROP TABLE IF EXISTS dev_ai_retention_policies;
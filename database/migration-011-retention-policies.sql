@@ -0,0 +1,28 @@
+-- Susan Database Migration 011
+-- Retention policies, per project and per table, with status-aware rules
+-- Built-in defaults live in retentionService.DEFAULT_POLICIES; a global row
+-- here with the same table/status/action replaces the default
+
+-- ============================================
+-- Retention Policies Table
+-- ============================================
+CREATE TABLE IF NOT EXISTS dev_ai_retention_policies (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id TEXT,  -- NULL = every project without its own policy
+  table_name TEXT NOT NULL,
+  status TEXT,  -- NULL = every status without its own policy
+  keep_days INTEGER CHECK (keep_days IS NULL OR keep_days > 0),  -- NULL = keep forever
+  date_column TEXT DEFAULT 'created_at',
+  action TEXT DEFAULT 'purge',  -- 'purge' (flag for approval), 'mark_stale' (cleaner sets status='stale')
+  enabled BOOLEAN DEFAULT true,
+  description TEXT,
+  created_by TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_dev_ai_retention_policies_scope
+  ON dev_ai_retention_policies(COALESCE(project_id, ''), table_name, COALESCE(status, ''), action);
+
+-- Which policies a purge request was flagged under (default policy ids are text)
+ALTER TABLE dev_ai_purge_requests ADD COLUMN IF NOT EXISTS policy_ids TEXT[] DEFAULT '{}';
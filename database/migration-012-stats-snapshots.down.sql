@@ -0,0 +1,6 @@
+-- Susan Database Migration 012 (down)
+
+DROP INDEX IF EXISTS idx_dev_ai_bugs_resolved;
+DROP INDEX IF EXISTS idx_dev_ai_todos_completed;
+DROP INDEX IF EXISTS idx_dev_ai_todos_created;
+DROP TABLE IF EXISTS dev_ai_stats_snapshots;
@@ -0,0 +1,27 @@
+-- Susan Database Migration 012
+-- Daily stats snapshots for trend charts (open bugs per day, todo burn-down)
+-- Filled by statsService's daily job; one row per day, project and entity
+
+-- ============================================
+-- Stats Snapshots Table
+-- ============================================
+CREATE TABLE IF NOT EXISTS dev_ai_stats_snapshots (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  snapshot_date DATE NOT NULL,
+  project_id TEXT NOT NULL DEFAULT '',  -- '' = rows without a project
+  entity TEXT NOT NULL,  -- 'todos', 'bugs'
+  open_count INTEGER DEFAULT 0,
+  total_count INTEGER DEFAULT 0,
+  created_count INTEGER DEFAULT 0,  -- created that day
+  closed_count INTEGER DEFAULT 0,   -- completed / resolved that day
+  by_status JSONB DEFAULT '{}',
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (snapshot_date, project_id, entity)
+);
+
+CREATE INDEX IF NOT EXISTS idx_dev_ai_stats_snapshots_entity ON dev_ai_stats_snapshots(entity, snapshot_date);
+
+-- Grouped stats and the snapshot job filter on these
+CREATE INDEX IF NOT EXISTS idx_dev_ai_todos_created ON dev_ai_todos(created_at);
+CREATE INDEX IF NOT EXISTS idx_dev_ai_todos_completed ON dev_ai_todos(completed_at);
+CREATE INDEX IF NOT EXISTS idx_dev_ai_bugs_resolved ON dev_ai_bugs(resolved_at);
@@ -0,0 +1,4 @@
+-- Susan Database Migration 013 (down)
+
+DROP TABLE IF EXISTS dev_ai_job_runs;
+DROP TABLE IF EXISTS dev_ai_jobs;
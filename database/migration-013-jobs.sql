@@ -0,0 +1,36 @@
+-- Susan Database Migration 013
+-- Job scheduler state (pause flag, cross-instance lock) and run history
+
+-- ============================================
+-- Jobs Table - one row per registered job
+-- ============================================
+CREATE TABLE IF NOT EXISTS dev_ai_jobs (
+  name TEXT PRIMARY KEY,
+  paused BOOLEAN DEFAULT false,
+  paused_by TEXT,
+  paused_at TIMESTAMPTZ,
+  locked_by TEXT,  -- hostname:pid of the instance running it
+  locked_until TIMESTAMPTZ,  -- lock older than this is abandoned
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ============================================
+-- Job Runs Table
+-- ============================================
+CREATE TABLE IF NOT EXISTS dev_ai_job_runs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  job_name TEXT NOT NULL,
+  trigger TEXT NOT NULL,  -- 'schedule', 'manual'
+  triggered_by TEXT,
+  instance TEXT,
+  status TEXT DEFAULT 'running',  -- 'running', 'succeeded', 'failed'
+  stats JSONB,
+  error TEXT,
+  started_at TIMESTAMPTZ DEFAULT NOW(),
+  finished_at TIMESTAMPTZ,
+  duration_ms INTEGER,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_dev_ai_job_runs_job ON dev_ai_job_runs(job_name, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_dev_ai_job_runs_status ON dev_ai_job_runs(status);
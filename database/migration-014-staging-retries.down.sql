@@ -0,0 +1,6 @@
+-- Susan Database Migration 014 (down)
+
+DROP INDEX IF EXISTS idx_dev_ai_smart_extractions_failed;
+DROP INDEX IF EXISTS idx_dev_ai_smart_extractions_retry;
+ALTER TABLE dev_ai_smart_extractions DROP COLUMN IF EXISTS next_attempt_at;
+ALTER TABLE dev_ai_smart_extractions DROP COLUMN IF EXISTS attempts;
@@ -0,0 +1,12 @@
+-- Susan Database Migration 014
+-- Retry/dead-letter state for staging items the extraction sorter fails to route
+-- status: 'retry' waits for next_attempt_at; 'error' is the dead letter
+-- (permanent failure or STAGING_MAX_ATTEMPTS reached), 'discarded' once dismissed
+
+ALTER TABLE dev_ai_smart_extractions ADD COLUMN IF NOT EXISTS attempts INTEGER DEFAULT 0;
+ALTER TABLE dev_ai_smart_extractions ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMPTZ;
+
+-- The sorter polls retries whose backoff has elapsed
+CREATE INDEX IF NOT EXISTS idx_dev_ai_smart_extractions_retry ON dev_ai_smart_extractions(next_attempt_at) WHERE status = 'retry';
+-- /api/staging/errors lists failures
+CREATE INDEX IF NOT EXISTS idx_dev_ai_smart_extractions_failed ON dev_ai_smart_extractions(updated_at) WHERE status IN ('retry', 'error');
@@ -0,0 +1,4 @@
+-- Susan Database Migration 015 (down)
+
+DROP INDEX IF EXISTS idx_dev_ai_smart_extractions_unrouted;
+DROP TABLE IF EXISTS dev_ai_routing_rules;
@@ -0,0 +1,28 @@
+-- Susan Database Migration 015
+-- Bucket -> table routing rules for the extraction sorter, per project optional
+-- Built-in defaults live in routingService.DEFAULT_RULES; a global row here
+-- for the same bucket replaces the default
+
+-- ============================================
+-- Routing Rules Table
+-- ============================================
+CREATE TABLE IF NOT EXISTS dev_ai_routing_rules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id TEXT,  -- NULL = every project without its own rule
+  bucket TEXT NOT NULL,
+  target_table TEXT NOT NULL,
+  status TEXT DEFAULT 'pending',  -- status given to routed rows
+  field_map JSONB DEFAULT '{}',  -- column -> source path | { from, value, template, transform, default }
+  enabled BOOLEAN DEFAULT true,
+  description TEXT,
+  created_by TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_dev_ai_routing_rules_scope
+  ON dev_ai_routing_rules(COALESCE(project_id, ''), bucket);
+
+-- Unrouted inbox: staged items whose bucket has no rule
+CREATE INDEX IF NOT EXISTS idx_dev_ai_smart_extractions_unrouted
+  ON dev_ai_smart_extractions(bucket) WHERE status = 'unrouted';
@@ -0,0 +1,7 @@
+-- Susan Database Migration 016 (down)
+
+DROP TABLE IF EXISTS dev_ai_routing_feedback;
+DROP INDEX IF EXISTS idx_dev_ai_smart_extractions_review;
+ALTER TABLE dev_ai_smart_extractions DROP COLUMN IF EXISTS reviewed_at;
+ALTER TABLE dev_ai_smart_extractions DROP COLUMN IF EXISTS reviewed_by;
+ALTER TABLE dev_ai_smart_extractions DROP COLUMN IF EXISTS confidence;
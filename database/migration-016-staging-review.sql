@@ -0,0 +1,33 @@
+-- Susan Database Migration 016
+-- Review inbox for low-confidence extractions, and the decisions devs make
+-- there (kept as training signal for routing)
+
+ALTER TABLE dev_ai_smart_extractions ADD COLUMN IF NOT EXISTS confidence REAL;  -- extractor's 0-1 score
+ALTER TABLE dev_ai_smart_extractions ADD COLUMN IF NOT EXISTS reviewed_by TEXT;
+ALTER TABLE dev_ai_smart_extractions ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_dev_ai_smart_extractions_review
+  ON dev_ai_smart_extractions(confidence) WHERE status = 'review';
+
+-- ============================================
+-- Routing Feedback Table - one row per review decision
+-- ============================================
+CREATE TABLE IF NOT EXISTS dev_ai_routing_feedback (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  staging_id UUID NOT NULL,
+  decision TEXT NOT NULL,  -- 'accept', 'reject', 'merge'
+  confidence REAL,
+  bucket TEXT,  -- as extracted
+  final_bucket TEXT,  -- after the dev's edits
+  project_id TEXT,
+  final_project_id TEXT,
+  edited_fields TEXT[] DEFAULT '{}',
+  target_table TEXT,
+  target_id TEXT,  -- routed row, or the row it was merged into
+  reason TEXT,
+  decided_by TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_dev_ai_routing_feedback_bucket ON dev_ai_routing_feedback(bucket, decision);
+CREATE INDEX IF NOT EXISTS idx_dev_ai_routing_feedback_staging ON dev_ai_routing_feedback(staging_id);
@@ -0,0 +1,4 @@
+-- Susan Database Migration 017 (down)
+
+DROP INDEX IF EXISTS idx_dev_ai_api_tokens_active;
+DROP TABLE IF EXISTS dev_ai_api_tokens;
@@ -0,0 +1,22 @@
+-- Susan Database Migration 017
+-- API tokens - one per caller (workers, dashboard, each dev), stored as a
+-- sha256 hash with the scopes it grants
+
+CREATE TABLE IF NOT EXISTS dev_ai_api_tokens (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,  -- who it is for; recorded as the actor on everything it does
+  kind TEXT NOT NULL DEFAULT 'service',  -- 'service', 'dashboard', 'dev'
+  scopes TEXT[] NOT NULL DEFAULT '{}',  -- 'read:knowledge', 'admin:storage', 'write:*', '*'
+  description TEXT,
+  token_hash TEXT NOT NULL UNIQUE,
+  token_prefix TEXT,  -- first characters, to tell tokens apart in lists
+  expires_at TIMESTAMPTZ,
+  created_by TEXT,
+  revoked_at TIMESTAMPTZ,
+  revoked_by TEXT,
+  last_used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_dev_ai_api_tokens_active
+  ON dev_ai_api_tokens(name) WHERE revoked_at IS NULL;
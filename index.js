@@ -22,20 +22,12 @@ async function start() {
   logger.info('Starting Susan Librarian...');
 
   const config = require('./src/lib/config');
-  logger.info('Config loaded', { port: config.PORT, chadUrl: config.CHAD_URL });
+  logger.info('Config loaded', { port: config.PORT, chadUrl: config.CHAD_URL, db: config.DB_ADAPTER });
 
   const knowledgeService = require('./src/services/knowledgeService');
   await knowledgeService.initialize();
   logger.info('Knowledge service initialized');
 
-  const cleanerService = require('./src/services/cleanerService');
-  cleanerService.start();
-
-  const cleanTranscriptService = require('./src/services/cleanTranscriptService');
-  cleanTranscriptService.start();
-  logger.info('Clean transcript service started (5 min cycle)');
-  logger.info('Cleaner service started (30 min cycle)');
-
   const sessionDetector = require('./src/services/sessionDetector');
   sessionDetector.start();
   logger.info('Session detector started');
@@ -44,17 +36,52 @@ async function start() {
   await projectOrganizer.initialize();
   logger.info('Project organizer initialized');
 
+  // Background cycles - schedules in config.JOB_SCHEDULES, status at /api/jobs
+  const jobScheduler = require('./src/services/jobScheduler');
+  const cleanerService = require('./src/services/cleanerService');
+  const cleanTranscriptService = require('./src/services/cleanTranscriptService');
   const processorV2 = require('./src/services/processor-v2');
-  processorV2.start();
-  logger.info('Processor v2 started (30 min cycle)');
-
   const archiver = require('./src/services/archiver');
-  archiver.start();
-
   const extractionSorter = require('./src/services/extractionSorter');
-  extractionSorter.start();
-  logger.info('Extraction sorter started (5 min cycle)');
-  logger.info('Archiver service started (hourly cycle)');
+  const embeddingService = require('./src/services/embeddingService');
+  const trashService = require('./src/services/trashService');
+  const purgeScheduler = require('./src/services/purgeScheduler');
+  const statsService = require('./src/services/statsService');
+  const webhookService = require('./src/services/webhookService');
+
+  jobScheduler.register('cleaner', () => cleanerService.runCycle(), { description: 'Mark stale rows, remove duplicate knowledge' });
+  jobScheduler.register('clean-transcripts', () => cleanTranscriptService.runCycle(), { description: 'Clean processed session transcripts' });
+  jobScheduler.register('processor', () => processorV2.runCycle(), { description: 'Consolidate, assign phases, update statuses' });
+  jobScheduler.register('archiver', () => archiver.runCycle(), { description: 'Clean and archive old sessions' });
+  jobScheduler.register('extraction-sorter', () => extractionSorter.processStagingItems(), { description: 'Route staged extractions to their tables' });
+  jobScheduler.register('embeddings', () => embeddingService.runBackfill(), { description: 'Embed rows without an embedding' });
+  jobScheduler.register('trash-sweep', () => trashService.sweepExpired().then(deleted => ({ deleted })), { description: 'Hard-delete trash past its grace period' });
+  jobScheduler.register('purge-flagging', () => purgeScheduler.runCycle(), { description: 'Flag stale data for purge approval, weekly digest' });
+  jobScheduler.register('stats-snapshot', () => statsService.snapshotIfDue(), { description: "Record yesterday's todo/bug counts for trends" });
+  jobScheduler.register('webhook-retry', () => webhookService.retryDue(), { description: 'Retry failed webhook deliveries' });
+
+  // Recover work a previous process was killed in the middle of
+  const [interruptedJobs, sorterRecovery, transcriptRecovery] = await Promise.all([
+    jobScheduler.recover(),
+    extractionSorter.recoverInterrupted(),
+    cleanTranscriptService.recoverInterrupted()
+  ]);
+  logger.info('Startup recovery done', {
+    interruptedJobs,
+    staging: sorterRecovery,
+    transcripts: transcriptRecovery
+  });
+
+  await jobScheduler.start();
+  logger.info('Job scheduler started');
+
+  for (const name of interruptedJobs) {
+    jobScheduler.runJob(name, { trigger: 'recovery', wait: false })
+      .catch(err => logger.warn('Could not resume interrupted job', { job: name, error: err.message }));
+  }
+
+  webhookService.start({ sweep: false });
+  logger.info('Webhook delivery started');
 
   const catalogerRegistry = require('./src/catalogers/registry');
   await catalogerRegistry.discover();
@@ -67,15 +94,38 @@ async function start() {
 
   logger.info('Susan Librarian ready', { port: config.PORT, pid: process.pid });
 
-  process.on('SIGTERM', () => {
-    logger.info('SIGTERM received');
-    server.close(() => process.exit(0));
-  });
-
-  process.on('SIGINT', () => {
-    logger.info('SIGINT received');
-    server.close(() => process.exit(0));
+  // Shutdown runs these in order, bounded by config.SHUTDOWN_TIMEOUT_MS
+  const shutdown = require('./src/lib/shutdown');
+  const db = require('./src/lib/db');
+  const processManager = require('./src/lib/processManager');
+
+  // No new runs from here on - scheduled or via /api/jobs/:name/run and /trigger-cycle
+  shutdown.register('scheduler', () => jobScheduler.stop());
+  shutdown.register('http', () => new Promise(resolve => {
+    server.close(() => resolve());
+    server.closeIdleConnections();
+  }));
+  shutdown.register('services', () => Promise.all([
+    cleanerService.stop(),
+    cleanTranscriptService.stop(),
+    processorV2.stop(),
+    archiver.stop(),
+    extractionSorter.stop(),
+    embeddingService.stop()
+  ]));
+  shutdown.register('jobs', async () => {
+    const drained = await jobScheduler.drain();
+    if (drained.length) logger.info('Running jobs finished', { jobs: drained });
   });
+  shutdown.register('webhooks', () => webhookService.stop());
+  shutdown.register('pm2', () => processManager.close());
+  shutdown.register('db', () => db.close());
+
+  const onSignal = (signal) => {
+    shutdown.run(signal).then(({ clean }) => process.exit(clean ? 0 : 1));
+  };
+  process.on('SIGTERM', () => onSignal('SIGTERM'));
+  process.on('SIGINT', () => onSignal('SIGINT'));
 }
 
 process.on('uncaughtException', (err) => {
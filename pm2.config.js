@@ -7,6 +7,7 @@ module.exports = {
     autorestart: true,
     watch: false,
     max_memory_restart: '500M',
+    kill_timeout: 30000,  // above SHUTDOWN_TIMEOUT_MS so batches can finish
     env: {
       NODE_ENV: 'development',
       PORT: 5403
@@ -14,6 +15,7 @@ module.exports = {
     env_production: {
       NODE_ENV: 'production',
       PORT: 5403
+      // CORS_ORIGINS: 'http://dashboard-host:5500' - browser origins allowed to call the API (unset = any)
     },
     error_file: './logs/pm2-error.log',
     out_file: './logs/pm2-out.log',
@@ -14,8 +14,7 @@
 
 require('dotenv').config();
 const express = require('express');
-// Using local PostgreSQL instead of Supabase
-const supabase = require('../shared/db');
+const supabase = require('./src/lib/db');
 const OpenAI = require('openai');
 const cors = require('cors');
 
@@ -0,0 +1,174 @@
+/**
+ * API authentication
+ *
+ * One middleware in front of every route. It works out the scope a request
+ * needs from its path and method, checks the caller's token (Authorization:
+ * Bearer, X-API-Token, or ?access_token= on GETs for EventSource) and sets
+ * req.auth = { tokenId, name, kind, scopes }.
+ *
+ * Scope per request:
+ * - the area comes from the first path segment after /api (AREAS)
+ * - GET/HEAD need read:<area>, anything else write:<area>
+ * - ADMIN_ROUTES raise writes (or everything) to admin:<area>
+ * - segments not in AREAS use the segment itself as the area, so only a
+ *   wildcard token reaches a new router until it is listed here
+ *
+ * AUTH_MODE: 'enforce' (default) rejects; 'warn' logs and lets the request
+ * through (for rolling tokens out to workers); 'off' skips the check.
+ * AUTH_BOOTSTRAP_TOKEN, when set, is accepted as a '*' token named
+ * 'bootstrap' so the first real tokens can be issued.
+ */
+
+const crypto = require('crypto');
+const config = require('./config');
+const { Logger } = require('./logger');
+const tokenService = require('../services/tokenService');
+
+const logger = new Logger('Susan:Auth');
+
+const AREAS = {
+  knowledge: [
+    'knowledge', 'remember', 'query', 'queue-stats', 'categories', 'category-stats',
+    'search', 'embeddings', 'context', 'message', 'summarize',
+    'chat', 'ask', 'answer-question', 'pending-questions', 'has-questions', 'team-chat',
+    'docs', 'doc', 'decisions', 'decision', 'schemas', 'schema', 'structures', 'structure',
+    'structure-items', 'structure-item', 'ports',
+    'notes', 'note', 'ideas', 'history', 'conflicts', 'merges', 'notifications'
+  ],
+  catalog: [
+    'catalog', 'migrate-bugs', 'sessions', 'staging', 'routing', 'code-changes', 'code-change',
+    'files', 'file', 'projects', 'project-data', 'tables', 'table'
+  ],
+  todos: ['todos', 'todo', 'bugs', 'bug', 'stats'],
+  storage: ['storage', 'bucket'],
+  events: ['events', 'webhooks'],
+  pm2: ['pm2'],
+  jobs: ['jobs', 'trigger-cycle'],
+  tokens: ['tokens']
+};
+
+const AREA_BY_SEGMENT = new Map(
+  Object.entries(AREAS).flatMap(([area, segments]) => segments.map(segment => [segment, area]))
+);
+
+// Routes that need admin rather than write. writesOnly: reads stay at read:<area>
+const ADMIN_ROUTES = [
+  { area: 'storage', pattern: /^\/api\/storage(\/|$)/, writesOnly: true },   // purge approval, retention, trash
+  { area: 'pm2', pattern: /^\/api\/pm2(\/|$)/, writesOnly: true },           // start / stop / restart
+  { area: 'jobs', pattern: /^\/(api\/)?(jobs|trigger-cycle)(\/|$)/, writesOnly: true },
+  { area: 'tokens', pattern: /^\/api\/tokens(\/|$)/, writesOnly: false }
+];
+
+// Reachable without a token
+const PUBLIC_ROUTES = [
+  { method: 'GET', pattern: /^\/health$/ }
+];
+
+// Any valid token, no particular scope
+const AUTHENTICATED_ROUTES = [
+  { method: 'GET', pattern: /^\/api\/auth\/whoami$/ },
+  { method: 'GET', pattern: /^\/api\/schemas\/requests$/ },   // so every worker can validate before sending
+  { method: 'GET', pattern: /^\/api\/openapi\.json$/ }
+];
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+function pathOf(req) {
+  return (req.originalUrl || req.url).split('?')[0].replace(/\/+$/, '') || '/';
+}
+
+/**
+ * Scope a request needs
+ * @returns {string|null|undefined} scope; null = any valid token; undefined = public
+ */
+function requiredScope(method, rawPath) {
+  const upper = method.toUpperCase();
+  // Express routing ignores case, so /api/TOKENS reaches the tokens router
+  const path = rawPath.toLowerCase();
+  if (PUBLIC_ROUTES.some(route => route.method === upper && route.pattern.test(path))) return undefined;
+  if (AUTHENTICATED_ROUTES.some(route => route.method === upper && route.pattern.test(path))) return null;
+
+  const isRead = READ_METHODS.includes(upper);
+  const admin = ADMIN_ROUTES.find(route => route.pattern.test(path) && (!route.writesOnly || !isRead));
+  if (admin) return `admin:${admin.area}`;
+
+  const segments = path.split('/').filter(Boolean);
+  const segment = segments[0] === 'api' ? segments[1] : segments[0];
+  const area = AREA_BY_SEGMENT.get(segment) || segment || 'root';
+  return `${isRead ? 'read' : 'write'}:${area}`;
+}
+
+function tokenFrom(req) {
+  const header = req.get('Authorization') || '';
+  const bearer = header.match(/^Bearer\s+(\S+)$/i);
+  if (bearer) return bearer[1];
+  if (req.get('X-API-Token')) return req.get('X-API-Token');
+  // EventSource can't send headers
+  if (req.method === 'GET' && req.query?.access_token) return String(req.query.access_token);
+  return null;
+}
+
+function isBootstrap(token) {
+  const bootstrap = config.AUTH_BOOTSTRAP_TOKEN;
+  if (!bootstrap || !token) return false;
+  const a = Buffer.from(String(token));
+  const b = Buffer.from(bootstrap);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+async function identify(token) {
+  if (!token) return null;
+  if (isBootstrap(token)) return { tokenId: null, name: 'bootstrap', kind: 'service', scopes: ['*'] };
+
+  const record = await tokenService.verify(token);
+  if (!record) return null;
+  return { tokenId: record.id, name: record.name, kind: record.kind, scopes: record.scopes || [] };
+}
+
+/**
+ * Express middleware
+ * @param {object} options - { mode } overrides config.AUTH_MODE (tests)
+ */
+function authenticate({ mode } = {}) {
+  return async (req, res, next) => {
+    const activeMode = mode || config.AUTH_MODE;
+    if (activeMode === 'off' || req.method === 'OPTIONS') return next();
+
+    const path = pathOf(req);
+    const scope = requiredScope(req.method, path);
+    if (scope === undefined) return next();
+
+    let auth;
+    try {
+      auth = await identify(tokenFrom(req));
+    } catch (err) {
+      logger.error('Token lookup failed', { error: err.message });
+      return res.status(503).json({ error: 'Could not check the API token' });
+    }
+
+    let failure = null;
+    if (!auth) {
+      failure = { status: 401, error: 'Authentication required - send Authorization: Bearer <token>' };
+    } else if (!tokenService.hasScope(auth.scopes, scope)) {
+      failure = { status: 403, error: `Token for ${auth.name} lacks scope ${scope}`, required: scope };
+    }
+
+    if (auth) req.auth = auth;
+    if (!failure) return next();
+
+    if (activeMode === 'warn') {
+      logger.warn('Request would be refused', { method: req.method, path, status: failure.status, caller: auth?.name || null, scope });
+      return next();
+    }
+
+    if (failure.status === 401) res.set('WWW-Authenticate', 'Bearer');
+    const { status, ...body } = failure;
+    res.status(status).json(body);
+  };
+}
+
+module.exports = {
+  AREAS,
+  requiredScope,
+  authenticate
+};
@@ -3,12 +3,99 @@
  * Environment-based config with validation
  */
 
+const path = require('path');
+
+function parseJson(value, name) {
+  if (!value) return {};
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    console.error(`[Susan] Ignoring invalid ${name}:`, err.message);
+    return {};
+  }
+}
+
 const config = {
   PORT: parseInt(process.env.PORT) || 5403,
 
+  // API auth (see lib/auth.js): 'enforce', 'warn' (log refusals, let them through) or 'off'
+  AUTH_MODE: ['enforce', 'warn', 'off'].includes(process.env.AUTH_MODE) ? process.env.AUTH_MODE : 'enforce',
+  // Accepted as an all-scopes token so the first real tokens can be issued
+  AUTH_BOOTSTRAP_TOKEN: process.env.AUTH_BOOTSTRAP_TOKEN || null,
+  // Browser origins allowed to call the API (comma-separated, e.g. the
+  // dashboard's http://host:5500); unset = any origin
+  CORS_ORIGINS: (process.env.CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean),
+
+  // Database ('postgres' or 'memory' - memory needs no server, for local dev)
+  DB_ADAPTER: process.env.DB_ADAPTER || 'postgres',
+  DATABASE_URL: process.env.DATABASE_URL,   // Unset = use PGHOST/PGUSER/PGPASSWORD/PGDATABASE
+  DB_POOL_MAX: parseInt(process.env.DB_POOL_MAX) || 10,
+  MEMORY_DB_FILE: process.env.MEMORY_DB_FILE || null,
+
+  // File storage (buckets live under STORAGE_DIR, served at STORAGE_PUBLIC_URL)
+  STORAGE_DIR: process.env.STORAGE_DIR || path.join(__dirname, '../../storage'),
+  STORAGE_PUBLIC_URL: process.env.STORAGE_PUBLIC_URL || `http://localhost:${parseInt(process.env.PORT) || 5403}/storage`,
+
   // OpenAI (for background extraction work)
   OPENAI_API_KEY: process.env.OPENAI_API_KEY,
   OPENAI_MODEL: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+  OPENAI_EMBEDDING_MODEL: process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small',
+
+  // Embeddings ('openai' or 'local' - local works offline, no API calls)
+  EMBEDDING_PROVIDER: process.env.EMBEDDING_PROVIDER || 'openai',
+  LOCAL_EMBEDDING_DIMENSIONS: parseInt(process.env.LOCAL_EMBEDDING_DIMENSIONS) || 256,
+
+  // Duplicate detection blends in embedding similarity for tables that have vectors
+  DEDUPE_USE_EMBEDDINGS: process.env.DEDUPE_USE_EMBEDDINGS === 'true',
+
+  // Approved purges stay recoverable in the trash for this long, then are hard-deleted
+  TRASH_GRACE_DAYS: parseInt(process.env.TRASH_GRACE_DAYS) || 30,
+  // Purges that would leave rows pointing at nothing: 'warn' (approve anyway) or 'block' (needs force)
+  PURGE_ORPHAN_POLICY: process.env.PURGE_ORPHAN_POLICY === 'block' ? 'block' : 'warn',
+  // Scheduled flagging (JOB_SCHEDULES 'purge-flagging'): ids per purge request, batches per run, digest period
+  PURGE_BATCH_SIZE: parseInt(process.env.PURGE_BATCH_SIZE) || 500,
+  PURGE_MAX_BATCHES: parseInt(process.env.PURGE_MAX_BATCHES) || 10,
+  PURGE_DIGEST_DAYS: parseInt(process.env.PURGE_DIGEST_DAYS) || 7,
+
+  // Outbound webhooks (failed deliveries retry with exponential backoff)
+  WEBHOOK_TIMEOUT_MS: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+  WEBHOOK_MAX_ATTEMPTS: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+  WEBHOOK_RETRY_BASE_MS: parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 30000,
+
+  // Staging items that fail to route: transient failures retry with exponential
+  // backoff, then (or straight away for permanent ones) dead-letter as 'error'
+  STAGING_MAX_ATTEMPTS: parseInt(process.env.STAGING_MAX_ATTEMPTS) || 5,
+  STAGING_RETRY_BASE_MS: parseInt(process.env.STAGING_RETRY_BASE_MS) || 60000,
+  // Extractions the extractor scored below this confidence (0-1) wait in the
+  // review inbox instead of being routed; 0 turns review off
+  STAGING_REVIEW_CONFIDENCE: process.env.STAGING_REVIEW_CONFIDENCE !== undefined
+    ? parseFloat(process.env.STAGING_REVIEW_CONFIDENCE)
+    : 0.6,
+
+  // Background jobs: cron schedules (UTC) per job, overridable with
+  // JOB_SCHEDULES='{"cleaner":"0 */2 * * *","archiver":"off"}'
+  JOB_SCHEDULES: {
+    'cleaner': '*/30 * * * *',
+    'clean-transcripts': '*/5 * * * *',
+    'processor': '*/30 * * * *',
+    'archiver': '0 * * * *',
+    'extraction-sorter': '*/5 * * * *',
+    'embeddings': '*/15 * * * *',
+    'trash-sweep': '0 * * * *',
+    'purge-flagging': '0 3 * * *',
+    'stats-snapshot': '15 0 * * *',
+    'webhook-retry': '* * * * *',
+    ...parseJson(process.env.JOB_SCHEDULES, 'JOB_SCHEDULES')
+  },
+  // A job lock older than this is treated as abandoned (instance died mid-run)
+  JOB_LOCK_TTL_MINUTES: parseInt(process.env.JOB_LOCK_TTL_MINUTES) || 60,
+  // How long SIGTERM/SIGINT waits for running batches before exiting anyway
+  // (keep under PM2's kill_timeout)
+  SHUTDOWN_TIMEOUT_MS: parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || 25000,
+
+  // Worker control for /api/pm2 ('pm2' = pm2's programmatic API, 'fake' = in-process stand-in for local dev)
+  PROCESS_MANAGER: process.env.PROCESS_MANAGER || 'pm2',
+  PM2_LOG_MAX_LINES: parseInt(process.env.PM2_LOG_MAX_LINES) || 1000,
 
   // Anthropic (for chat conversations)
   ANTHROPIC_API_KEY: process.env.ANTHROPIC_API_KEY,
@@ -0,0 +1,101 @@
+/**
+ * Minimal cron expressions for the job scheduler
+ *
+ *   minute hour day-of-month month day-of-week   (UTC)
+ *   '*\/5 * * * *'  '0 3 * * *'  '30 9 * * 1-5'  '0 0 1,15 * *'
+ *
+ * Supports *, n, a-b, lists, and steps on * or ranges. Nicknames:
+ * @hourly @daily @weekly @monthly. 'off' never runs. When both
+ * day-of-month and day-of-week are restricted, either may match (like cron).
+ */
+
+const NICKNAMES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }   // 0 and 7 are both Sunday
+];
+
+const MINUTE_MS = 60 * 1000;
+const MAX_LOOKAHEAD_MINUTES = 366 * 24 * 60;
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid step in ${name}: ${part}`);
+
+    let start = min;
+    let end = max;
+    if (range !== '*') {
+      const [a, b] = range.split('-');
+      start = Number(a);
+      end = b === undefined ? (stepText === undefined ? start : max) : Number(b);
+    }
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < min || end > max || start > end) {
+      throw new Error(`Invalid ${name}: ${part}`);
+    }
+
+    for (let v = start; v <= end; v += step) values.add(name === 'dayOfWeek' && v === 7 ? 0 : v);
+  }
+
+  return { values, any: text === '*' };
+}
+
+/**
+ * Parse an expression; throws on anything invalid
+ * @returns {object|null} null for 'off'
+ */
+function parse(expression) {
+  const text = String(expression || '').trim();
+  if (text === 'off') return null;
+
+  const parts = (NICKNAMES[text] || text).split(/\s+/);
+  if (parts.length !== 5) throw new Error(`Cron expression needs 5 fields: ${expression}`);
+
+  const fields = Object.fromEntries(FIELDS.map((field, i) => [field.name, parseField(parts[i], field)]));
+  return { expression: text, ...fields };
+}
+
+function matches(schedule, date) {
+  const { minute, hour, dayOfMonth, month, dayOfWeek } = schedule;
+  if (!minute.values.has(date.getUTCMinutes())) return false;
+  if (!hour.values.has(date.getUTCHours())) return false;
+  if (!month.values.has(date.getUTCMonth() + 1)) return false;
+
+  const domMatch = dayOfMonth.values.has(date.getUTCDate());
+  const dowMatch = dayOfWeek.values.has(date.getUTCDay());
+  if (!dayOfMonth.any && !dayOfWeek.any) return domMatch || dowMatch;
+  return domMatch && dowMatch;
+}
+
+/**
+ * First matching minute strictly after `after`
+ * @returns {Date|null} null for 'off' or no match within a year
+ */
+function nextRun(expression, after = new Date()) {
+  const schedule = typeof expression === 'string' ? parse(expression) : expression;
+  if (!schedule) return null;
+
+  let candidate = Math.floor(after.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+  for (let i = 0; i < MAX_LOOKAHEAD_MINUTES; i++, candidate += MINUTE_MS) {
+    const date = new Date(candidate);
+    if (matches(schedule, date)) return date;
+  }
+  return null;
+}
+
+module.exports = {
+  parse,
+  nextRun
+};
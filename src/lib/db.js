@@ -1,5 +0,0 @@
-/**
- * Database client - now using local PostgreSQL
- */
-const db = require('../../../shared/db');
-module.exports = db;
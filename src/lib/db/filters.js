@@ -0,0 +1,158 @@
+/**
+ * Filter trees for the query builder
+ *
+ * Every filter call (eq, in, or('a.eq.1,b.is.null'), not(...)) becomes a
+ * node. Adapters either evaluate nodes against rows (memory) or compile
+ * them to SQL (postgres), so both speak exactly the same filter language.
+ *
+ *   { type: 'cond', column, op, value, negate }
+ *   { type: 'and' | 'or', nodes: [...] }
+ */
+
+const OPERATORS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'in', 'is', 'like', 'ilike', 'contains'];
+
+function condition(column, op, value, negate = false) {
+  const normalized = op === 'cs' ? 'contains' : op;
+  if (!OPERATORS.includes(normalized)) {
+    throw new Error(`Unsupported filter operator: ${op}`);
+  }
+  return { type: 'cond', column, op: normalized, value, negate };
+}
+
+// Literal values inside filter strings arrive as text
+function parseLiteral(value) {
+  if (value === 'null') return null;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return value;
+}
+
+// Split "a.eq.1,b.in.(x,y),and(c.eq.2,d.eq.3)" on top-level commas
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const ch of text) {
+    if (ch === '(') depth++;
+    if (ch === ')') depth--;
+    if (ch === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  if (current) parts.push(current);
+  return parts.map(p => p.trim()).filter(Boolean);
+}
+
+// "(a,b,"c d")" -> ['a', 'b', 'c d']
+function parseList(text) {
+  return splitTopLevel(String(text).replace(/^\(|\)$/g, ''))
+    .map(v => parseLiteral(v.replace(/^"|"$/g, '')));
+}
+
+/**
+ * Parse a PostgREST filter string (the argument to or()) into a node
+ */
+function parseFilterString(text, combine = 'or') {
+  const nodes = splitTopLevel(text).map(part => {
+    const group = part.match(/^(and|or)\((.*)\)$/);
+    if (group) return parseFilterString(group[2], group[1]);
+
+    const [column, ...rest] = part.split('.');
+    let negate = false;
+    if (rest[0] === 'not') {
+      negate = true;
+      rest.shift();
+    }
+    const op = rest.shift();
+    const raw = rest.join('.');
+
+    return condition(column, op, op === 'in' ? parseList(raw) : parseLiteral(raw), negate);
+  });
+
+  return { type: combine, nodes };
+}
+
+// ---- evaluation (memory adapter) ----
+
+function compareValues(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  const numA = Number(a);
+  const numB = Number(b);
+  if (a !== '' && b !== '' && !isNaN(numA) && !isNaN(numB) && typeof a !== 'boolean') {
+    return numA - numB;
+  }
+  const strA = String(a);
+  const strB = String(b);
+  return strA < strB ? -1 : strA > strB ? 1 : 0;
+}
+
+function sameValue(a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) return false;
+  if (typeof a === 'boolean' || typeof b === 'boolean') return String(a) === String(b);
+  return compareValues(a, b) === 0;
+}
+
+function likeToRegex(pattern, flags) {
+  const escaped = String(pattern)
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/%/g, '.*')
+    .replace(/_/g, '.');
+  return new RegExp(`^${escaped}$`, flags);
+}
+
+function containsValue(haystack, needle) {
+  if (Array.isArray(haystack)) {
+    const wanted = Array.isArray(needle) ? needle : [needle];
+    return wanted.every(w => haystack.some(h => JSON.stringify(h) === JSON.stringify(w)));
+  }
+  if (haystack && typeof haystack === 'object' && needle && typeof needle === 'object') {
+    return Object.entries(needle).every(([k, v]) => JSON.stringify(haystack[k]) === JSON.stringify(v));
+  }
+  return false;
+}
+
+function testCondition(node, row) {
+  const actual = row[node.column];
+  const { value } = node;
+
+  switch (node.op) {
+    case 'eq': return sameValue(actual, value);
+    case 'neq': return actual != null && !sameValue(actual, value);
+    case 'gt': return actual != null && compareValues(actual, value) > 0;
+    case 'gte': return actual != null && compareValues(actual, value) >= 0;
+    case 'lt': return actual != null && compareValues(actual, value) < 0;
+    case 'lte': return actual != null && compareValues(actual, value) <= 0;
+    case 'in': return (value || []).some(v => sameValue(actual, v));
+    case 'is': return value === null ? actual == null : actual === value;
+    case 'like': return actual != null && likeToRegex(value, 's').test(String(actual));
+    case 'ilike': return actual != null && likeToRegex(value, 'is').test(String(actual));
+    case 'contains': return containsValue(actual, value);
+    default: return false;
+  }
+}
+
+/**
+ * Does a row satisfy a node?
+ */
+function evaluate(node, row) {
+  if (node.type === 'and') return node.nodes.every(n => evaluate(n, row));
+  if (node.type === 'or') return node.nodes.some(n => evaluate(n, row));
+
+  const result = testCondition(node, row);
+  return node.negate ? !result : result;
+}
+
+module.exports = {
+  OPERATORS,
+  condition,
+  parseFilterString,
+  parseList,
+  parseLiteral,
+  splitTopLevel,
+  compareValues,
+  sameValue,
+  evaluate
+};
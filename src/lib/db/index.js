@@ -0,0 +1,79 @@
+/**
+ * Database client
+ *
+ * Self-contained - no shared modules outside this repo. The adapter is
+ * picked by config.DB_ADAPTER:
+ * - postgres: pg pool (DATABASE_URL or the standard PG* env vars)
+ * - memory:   in-process tables, optional MEMORY_DB_FILE persistence
+ *
+ * Every call is forwarded to the active client, so setClient() can swap
+ * the backend (tests do) without touching modules that already did
+ * `const { from } = require('../lib/db')`.
+ */
+
+const config = require('../config');
+const { createPostgresDb } = require('./postgres');
+const { createMemoryDb } = require('./memory');
+
+const ADAPTERS = {
+  postgres: () => createPostgresDb({
+    connectionString: config.DATABASE_URL,
+    max: config.DB_POOL_MAX,
+    storageDir: config.STORAGE_DIR,
+    publicUrl: config.STORAGE_PUBLIC_URL
+  }),
+  memory: () => createMemoryDb({
+    file: config.MEMORY_DB_FILE,
+    publicUrl: config.STORAGE_PUBLIC_URL
+  })
+};
+
+let activeClient = null;
+
+function client() {
+  if (!activeClient) {
+    const create = ADAPTERS[config.DB_ADAPTER];
+    if (!create) {
+      throw new Error(`Unknown DB_ADAPTER "${config.DB_ADAPTER}" (expected ${Object.keys(ADAPTERS).join(' or ')})`);
+    }
+    activeClient = create();
+  }
+  return activeClient;
+}
+
+/**
+ * Point every db call at a different client (tests use createMemoryDb())
+ */
+function setClient(next) {
+  activeClient = next;
+}
+
+/**
+ * Drop the active client; the next call builds one from config again
+ */
+function resetClient() {
+  activeClient = null;
+}
+
+/**
+ * Close the active client's connections (pool, pending file writes)
+ */
+async function close() {
+  if (!activeClient) return;
+  const closing = activeClient;
+  activeClient = null;
+  await closing.close();
+}
+
+module.exports = {
+  from: (table) => client().from(table),
+  rpc: (name, args) => client().rpc(name, args),
+  transaction: (work) => client().transaction(work),
+  storage: (bucket) => client().storage(bucket),
+  getClient: () => client().getClient(),
+  query: (...args) => client().query(...args),
+  adapter: () => client().adapter,
+  setClient,
+  resetClient,
+  close
+};
@@ -0,0 +1,243 @@
+/**
+ * In-memory database adapter
+ *
+ * Same query builder as Postgres, rows kept in plain arrays. Used by the
+ * test suite and for running Susan locally without a database server
+ * (DB_ADAPTER=memory). Set MEMORY_DB_FILE to keep rows across restarts.
+ *
+ *   const db = createMemoryDb({ seed: { dev_ai_todos: [{ id: 't1', title: 'x' }] } });
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { QueryBuilder } = require('./queryBuilder');
+const { evaluate, compareValues, sameValue } = require('./filters');
+const { createStorage, memoryBackend } = require('./storage');
+
+const SAVE_DELAY_MS = 200;
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function sortRows(rows, orders) {
+  if (orders.length === 0) return rows;
+  return [...rows].sort((a, b) => {
+    for (const { column, ascending, nullsFirst } of orders) {
+      const av = a[column];
+      const bv = b[column];
+      if (av == null && bv == null) continue;
+      if (av == null) return nullsFirst ? -1 : 1;
+      if (bv == null) return nullsFirst ? 1 : -1;
+      const diff = compareValues(av, bv);
+      if (diff !== 0) return ascending ? diff : -diff;
+    }
+    return 0;
+  });
+}
+
+/**
+ * { ...groupColumns, count } per distinct combination, like GROUP BY
+ */
+function groupRows(rows, columns) {
+  const groups = new Map();
+  for (const row of rows) {
+    const values = columns.map(column => row[column] ?? null);
+    const key = JSON.stringify(values);
+    if (!groups.has(key)) {
+      groups.set(key, { ...Object.fromEntries(columns.map((column, i) => [column, values[i]])), count: 0 });
+    }
+    groups.get(key).count += 1;
+  }
+  return [...groups.values()];
+}
+
+/**
+ * Create an in-memory database
+ * @param {object} options - { seed: { table: [rows] }, file, publicUrl }
+ */
+function createMemoryDb({ seed = {}, file = null, publicUrl = '' } = {}) {
+  const tables = new Map();
+  const failures = new Map();
+  const rpcs = new Map();
+  let queryHandler = null;
+  let saveTimer = null;
+
+  const table = (name) => {
+    if (!tables.has(name)) tables.set(name, []);
+    return tables.get(name);
+  };
+
+  function scheduleSave() {
+    if (!file || saveTimer) return;
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      fs.writeFileSync(file, JSON.stringify(Object.fromEntries(tables)));
+    }, SAVE_DELAY_MS);
+    saveTimer.unref();
+  }
+
+  function withDefaults(row) {
+    return {
+      id: crypto.randomUUID(),
+      created_at: new Date().toISOString(),
+      ...clone(row)
+    };
+  }
+
+  function execute(plan) {
+    const failure = failures.get(plan.table);
+    if (failure && (!failure.ops || failure.ops.includes(plan.op))) {
+      throw new Error(failure.message);
+    }
+
+    db.calls.push({ table: plan.table, op: plan.op });
+    const rows = table(plan.table);
+    const matches = (row) => plan.filters.every(node => evaluate(node, row));
+    let result;
+
+    switch (plan.op) {
+      case 'select': {
+        const filtered = rows.filter(matches);
+        let matched = sortRows(plan.groupBy ? groupRows(filtered, plan.groupBy) : filtered, plan.orders);
+        const count = matched.length;
+        if (plan.offset) matched = matched.slice(plan.offset);
+        if (plan.limit !== null) matched = matched.slice(0, plan.limit);
+        return { rows: clone(matched), count };
+      }
+
+      case 'insert':
+        result = [].concat(plan.payload).map(withDefaults);
+        rows.push(...result);
+        break;
+
+      case 'upsert': {
+        const keys = (plan.options.onConflict || 'id').split(',').map(k => k.trim());
+        result = [];
+        for (const incoming of [].concat(plan.payload)) {
+          const existing = rows.find(row => keys.every(k => sameValue(row[k], incoming[k])));
+          if (!existing) {
+            const row = withDefaults(incoming);
+            rows.push(row);
+            result.push(row);
+          } else if (!plan.options.ignoreDuplicates) {
+            Object.assign(existing, clone(incoming));
+            result.push(existing);
+          }
+        }
+        break;
+      }
+
+      case 'update':
+        result = rows.filter(matches);
+        result.forEach(row => Object.assign(row, clone(plan.payload)));
+        break;
+
+      case 'delete':
+        result = rows.filter(matches);
+        tables.set(plan.table, rows.filter(row => !result.includes(row)));
+        break;
+
+      default:
+        throw new Error(`Unknown operation: ${plan.op}`);
+    }
+
+    scheduleSave();
+    return { rows: clone(result), count: result.length };
+  }
+
+  const storage = createStorage(memoryBackend(), publicUrl);
+
+  const db = {
+    adapter: 'memory',
+    calls: [],
+
+    from(name) {
+      return new QueryBuilder(name, execute);
+    },
+
+    async rpc(name, args = {}) {
+      const handler = rpcs.get(name);
+      if (!handler) {
+        return { data: null, error: { message: `function ${name} does not exist` } };
+      }
+      try {
+        return { data: await handler(args, db), error: null };
+      } catch (err) {
+        return { data: null, error: { message: err.message } };
+      }
+    },
+
+    /**
+     * Same shape as the postgres adapter's, but nothing is rolled back -
+     * callers that need all-or-nothing undo their own writes on error
+     */
+    async transaction(work) {
+      return work({ from: db.from });
+    },
+
+    storage,
+
+    getClient() {
+      return { from: db.from, rpc: db.rpc, storage: { from: storage } };
+    },
+
+    async query(sql, params) {
+      if (!queryHandler) throw new Error('Raw SQL is not available on the memory adapter');
+      return queryHandler(sql, params, db);
+    },
+
+    async close() {
+      if (saveTimer) {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+        fs.writeFileSync(file, JSON.stringify(Object.fromEntries(tables)));
+      }
+    },
+
+    // ---- seeding and inspection (tests, local dev) ----
+
+    seed(name, rows) {
+      table(name).push(...clone(rows));
+      return db;
+    },
+
+    rows(name) {
+      return clone(table(name));
+    },
+
+    reset() {
+      tables.clear();
+      failures.clear();
+      db.calls.length = 0;
+      return db;
+    },
+
+    /**
+     * Make queries on a table fail, optionally only for some operations
+     */
+    failOn(name, message = 'relation does not exist', ops = null) {
+      failures.set(name, { message, ops });
+      return db;
+    },
+
+    defineRpc(name, handler) {
+      rpcs.set(name, handler);
+      return db;
+    },
+
+    onQuery(handler) {
+      queryHandler = handler;
+      return db;
+    }
+  };
+
+  if (file && fs.existsSync(file)) {
+    Object.entries(JSON.parse(fs.readFileSync(file, 'utf8'))).forEach(([name, rows]) => db.seed(name, rows));
+  }
+  Object.entries(seed).forEach(([name, rows]) => db.seed(name, rows));
+
+  return db;
+}
+
+module.exports = { createMemoryDb };
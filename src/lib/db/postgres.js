@@ -0,0 +1,319 @@
+/**
+ * PostgreSQL database adapter (pg)
+ *
+ * Compiles query builder plans to parameterized SQL. Values are always
+ * bound as parameters; identifiers are checked and quoted. Rows come back
+ * shaped like Supabase's (timestamps as ISO strings, bigint/numeric as numbers).
+ */
+
+const pg = require('pg');
+const { QueryBuilder } = require('./queryBuilder');
+const { splitTopLevel } = require('./filters');
+const { createStorage, diskBackend } = require('./storage');
+
+const TYPE_PARSERS = {
+  20: (value) => parseInt(value, 10),                 // int8
+  1700: (value) => parseFloat(value),                 // numeric
+  1082: (value) => value,                             // date
+  1114: (value) => value.replace(' ', 'T'),           // timestamp
+  1184: (value) => new Date(value).toISOString()      // timestamptz
+};
+
+const JSON_TYPES = ['json', 'jsonb'];
+
+function quoteIdent(name) {
+  if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+    throw new Error(`Invalid identifier: ${name}`);
+  }
+  return `"${name}"`;
+}
+
+/**
+ * Bind a value for a column (json/jsonb columns get JSON text)
+ */
+function serialize(value, type) {
+  if (value === undefined || value === null) return null;
+  if (JSON_TYPES.includes(type)) return JSON.stringify(value);
+  if (typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date) && !Buffer.isBuffer(value)) {
+    return JSON.stringify(value);
+  }
+  return value;
+}
+
+/**
+ * Underlying columns for a select() list, or null for "*"
+ * Aliases ("alias:column") are applied afterwards by the query builder
+ */
+function selectColumns(columns) {
+  if (!columns || columns.trim() === '*') return null;
+  const names = [];
+  for (const part of splitTopLevel(columns)) {
+    if (part === '*') return null;
+    if (part.includes('(')) continue;
+    const column = part.includes(':') ? part.split(':')[1].trim() : part;
+    if (!names.includes(column)) names.push(column);
+  }
+  return names.length > 0 ? names : null;
+}
+
+/**
+ * Compile a filter node to SQL, pushing bound values onto params
+ */
+function compileFilter(node, params, types) {
+  if (node.type === 'and' || node.type === 'or') {
+    if (node.nodes.length === 0) return node.type === 'and' ? 'TRUE' : 'FALSE';
+    const parts = node.nodes.map(n => compileFilter(n, params, types));
+    return `(${parts.join(node.type === 'and' ? ' AND ' : ' OR ')})`;
+  }
+
+  const column = quoteIdent(node.column);
+  const type = types[node.column];
+  const bind = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  let sql;
+  switch (node.op) {
+    case 'eq': sql = `${column} = ${bind(serialize(node.value, type))}`; break;
+    case 'neq': sql = `${column} <> ${bind(serialize(node.value, type))}`; break;
+    case 'gt': sql = `${column} > ${bind(node.value)}`; break;
+    case 'gte': sql = `${column} >= ${bind(node.value)}`; break;
+    case 'lt': sql = `${column} < ${bind(node.value)}`; break;
+    case 'lte': sql = `${column} <= ${bind(node.value)}`; break;
+    case 'in':
+      sql = node.value && node.value.length > 0
+        ? `${column} = ANY(${bind(node.value)})`
+        : 'FALSE';
+      break;
+    case 'is':
+      sql = node.value === null ? `${column} IS NULL`
+        : node.value === true ? `${column} IS TRUE`
+          : `${column} IS FALSE`;
+      break;
+    case 'like': sql = `${column}::text LIKE ${bind(node.value)}`; break;
+    case 'ilike': sql = `${column}::text ILIKE ${bind(node.value)}`; break;
+    case 'contains':
+      sql = JSON_TYPES.includes(type)
+        ? `${column} @> ${bind(JSON.stringify(node.value))}::jsonb`
+        : `${column} @> ${bind(node.value)}`;
+      break;
+    default:
+      throw new Error(`Unsupported filter operator: ${node.op}`);
+  }
+
+  return node.negate ? `NOT (${sql})` : sql;
+}
+
+function compileWhere(plan, params, types) {
+  if (plan.filters.length === 0) return '';
+  return ` WHERE ${plan.filters.map(node => compileFilter(node, params, types)).join(' AND ')}`;
+}
+
+function compileOrder(plan) {
+  if (plan.orders.length === 0) return '';
+  const parts = plan.orders.map(({ column, ascending, nullsFirst }) =>
+    `${quoteIdent(column)} ${ascending ? 'ASC' : 'DESC'} NULLS ${nullsFirst ? 'FIRST' : 'LAST'}`);
+  return ` ORDER BY ${parts.join(', ')}`;
+}
+
+/**
+ * Compile a plan into one or more statements
+ * @returns {object} { text, values, countText?, countValues? }
+ */
+function compilePlan(plan, types = {}) {
+  const table = quoteIdent(plan.table);
+  const params = [];
+
+  if (plan.op === 'select') {
+    const where = compileWhere(plan, params, types);
+    const countText = plan.count && !plan.groupBy ? `SELECT count(*)::int AS "count" FROM ${table}${where}` : null;
+
+    if (plan.head) {
+      return { text: countText || `SELECT 1 FROM ${table}${where} LIMIT 0`, values: params, headOnly: true };
+    }
+
+    let text;
+    if (plan.groupBy) {
+      const groups = plan.groupBy.map(quoteIdent).join(', ');
+      text = `SELECT ${groups}, count(*)::int AS "count" FROM ${table}${where} GROUP BY ${groups}${compileOrder(plan)}`;
+    } else {
+      const columns = selectColumns(plan.columns);
+      text = `SELECT ${columns ? columns.map(quoteIdent).join(', ') : '*'} FROM ${table}${where}${compileOrder(plan)}`;
+    }
+    if (plan.limit !== null) text += ` LIMIT ${parseInt(plan.limit, 10)}`;
+    if (plan.offset) text += ` OFFSET ${parseInt(plan.offset, 10)}`;
+
+    return { text, values: params, countText, countValues: [...params] };
+  }
+
+  const returning = plan.returning ? ' RETURNING *' : '';
+
+  if (plan.op === 'insert' || plan.op === 'upsert') {
+    const rows = [].concat(plan.payload);
+    const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+
+    let text;
+    if (columns.length === 0) {
+      text = `INSERT INTO ${table} DEFAULT VALUES`;
+    } else {
+      const tuples = rows.map(row => `(${columns.map(c => {
+        if (row[c] === undefined) return 'DEFAULT';
+        params.push(serialize(row[c], types[c]));
+        return `$${params.length}`;
+      }).join(', ')})`);
+      text = `INSERT INTO ${table} (${columns.map(quoteIdent).join(', ')}) VALUES ${tuples.join(', ')}`;
+    }
+
+    if (plan.op === 'upsert') {
+      const keys = (plan.options.onConflict || 'id').split(',').map(k => k.trim());
+      const updates = columns.filter(c => !keys.includes(c));
+      text += ` ON CONFLICT (${keys.map(quoteIdent).join(', ')})`;
+      text += plan.options.ignoreDuplicates || updates.length === 0
+        ? ' DO NOTHING'
+        : ` DO UPDATE SET ${updates.map(c => `${quoteIdent(c)} = EXCLUDED.${quoteIdent(c)}`).join(', ')}`;
+    }
+
+    return { text: text + returning, values: params };
+  }
+
+  if (plan.op === 'update') {
+    const sets = Object.entries(plan.payload)
+      .filter(([, value]) => value !== undefined)
+      .map(([column, value]) => {
+        params.push(serialize(value, types[column]));
+        return `${quoteIdent(column)} = $${params.length}`;
+      });
+    return { text: `UPDATE ${table} SET ${sets.join(', ')}${compileWhere(plan, params, types)}${returning}`, values: params };
+  }
+
+  if (plan.op === 'delete') {
+    return { text: `DELETE FROM ${table}${compileWhere(plan, params, types)}${returning}`, values: params };
+  }
+
+  throw new Error(`Unknown operation: ${plan.op}`);
+}
+
+/**
+ * Create a Postgres-backed database
+ * @param {object} options - { pool | connectionString, max, storageDir, publicUrl }
+ */
+function createPostgresDb({ pool, connectionString, max = 10, storageDir, publicUrl = '' } = {}) {
+  const client = pool || new pg.Pool({
+    connectionString,   // Falls back to PGHOST/PGUSER/PGDATABASE... when unset
+    max,
+    types: {
+      getTypeParser: (oid, format) => TYPE_PARSERS[oid] || pg.types.getTypeParser(oid, format)
+    }
+  });
+
+  // table -> { column: data_type }, used to bind json/jsonb values correctly
+  const typeCache = new Map();
+
+  async function columnTypes(table) {
+    if (typeCache.has(table)) return typeCache.get(table);
+    const { rows } = await client.query(
+      `SELECT column_name, data_type FROM information_schema.columns
+       WHERE table_name = $1 AND table_schema = ANY(current_schemas(false))`,
+      [table]
+    );
+    const types = Object.fromEntries(rows.map(r => [r.column_name, r.data_type]));
+    if (rows.length > 0) typeCache.set(table, types);
+    return types;
+  }
+
+  // Plans run on the pool, or on one checked-out connection inside transaction()
+  const executeOn = (conn) => async function execute(plan) {
+    const types = plan.op === 'select' && plan.filters.length === 0 ? {} : await columnTypes(plan.table);
+    const compiled = compilePlan(plan, types);
+
+    if (compiled.headOnly) {
+      const { rows } = await conn.query(compiled.text, compiled.values);
+      return { rows: [], count: rows[0]?.count ?? 0 };
+    }
+
+    const result = await conn.query(compiled.text, compiled.values);
+    let count = result.rowCount;
+
+    if (compiled.countText) {
+      const { rows } = await conn.query(compiled.countText, compiled.countValues);
+      count = rows[0]?.count ?? 0;
+    }
+
+    return { rows: result.rows, count };
+  };
+  const execute = executeOn(client);
+
+  const storage = createStorage(diskBackend(storageDir), publicUrl);
+
+  const db = {
+    adapter: 'postgres',
+    pool: client,
+
+    from(table) {
+      return new QueryBuilder(table, execute);
+    },
+
+    async rpc(name, args = {}) {
+      try {
+        const keys = Object.keys(args);
+        const named = keys.map((key, i) => `${quoteIdent(key)} => $${i + 1}`).join(', ');
+        const { rows } = await client.query(
+          `SELECT * FROM ${quoteIdent(name)}(${named})`,
+          keys.map(key => serialize(args[key]))
+        );
+
+        // Scalar functions come back as one row with one column named after the function
+        if (rows.length === 1 && Object.keys(rows[0]).length === 1 && name in rows[0]) {
+          return { data: rows[0][name], error: null };
+        }
+        return { data: rows, error: null };
+      } catch (err) {
+        return { data: null, error: { message: err.message, code: err.code || null } };
+      }
+    },
+
+    /**
+     * Run work({ from }) in one transaction - committed if it resolves,
+     * rolled back if it throws. Builder errors come back as { error } as
+     * usual, so work must throw them to roll back.
+     */
+    async transaction(work) {
+      const conn = await client.connect();
+      try {
+        await conn.query('BEGIN');
+        const execute = executeOn(conn);
+        const result = await work({ from: (table) => new QueryBuilder(table, execute) });
+        await conn.query('COMMIT');
+        return result;
+      } catch (err) {
+        await conn.query('ROLLBACK').catch(() => {});
+        throw err;
+      } finally {
+        conn.release();
+      }
+    },
+
+    storage,
+
+    getClient() {
+      return { from: db.from, rpc: db.rpc, storage: { from: storage } };
+    },
+
+    query(text, params) {
+      return client.query(text, params);
+    },
+
+    async close() {
+      await client.end();
+    }
+  };
+
+  return db;
+}
+
+module.exports = {
+  createPostgresDb,
+  compilePlan,
+  quoteIdent
+};
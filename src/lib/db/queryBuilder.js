@@ -0,0 +1,207 @@
+/**
+ * Supabase-style query builder shared by every adapter
+ *
+ *   from('dev_ai_todos').select('id, title').eq('status', 'pending').limit(10)
+ *   from('dev_ai_todos').groupBy('project_id, status')   // rows of { project_id, status, count }
+ *
+ * The builder only records what was asked for; awaiting it hands the plan
+ * to the adapter's execute(plan), which resolves to { data, error, count }.
+ */
+
+const { condition, parseFilterString, parseList, parseLiteral, splitTopLevel } = require('./filters');
+
+const NO_ROWS_ERROR = {
+  code: 'PGRST116',
+  message: 'JSON object requested, multiple (or no) rows returned'
+};
+
+class QueryBuilder {
+  constructor(table, execute) {
+    this.execute = execute;
+    this.plan = {
+      table,
+      op: 'select',
+      columns: '*',
+      filters: [],
+      orders: [],
+      limit: null,
+      offset: null,
+      single: null,      // 'single' | 'maybe'
+      count: null,       // 'exact'
+      head: false,
+      groupBy: null,     // columns to count by (select only)
+      returning: false,  // select() chained after a write
+      payload: null,
+      options: {}
+    };
+  }
+
+  select(columns = '*', options = {}) {
+    if (this.plan.op === 'select') {
+      this.plan.columns = columns;
+      this.plan.count = options.count || null;
+      this.plan.head = !!options.head;
+    } else {
+      this.plan.returning = true;
+      this.plan.columns = columns;
+    }
+    return this;
+  }
+
+  insert(rows, options = {}) {
+    return this._write('insert', rows, options);
+  }
+
+  update(patch, options = {}) {
+    return this._write('update', patch, options);
+  }
+
+  upsert(rows, options = {}) {
+    return this._write('upsert', rows, options);
+  }
+
+  delete(options = {}) {
+    return this._write('delete', null, options);
+  }
+
+  eq(column, value) { return this._where(column, 'eq', value); }
+  neq(column, value) { return this._where(column, 'neq', value); }
+  gt(column, value) { return this._where(column, 'gt', value); }
+  gte(column, value) { return this._where(column, 'gte', value); }
+  lt(column, value) { return this._where(column, 'lt', value); }
+  lte(column, value) { return this._where(column, 'lte', value); }
+  in(column, values) { return this._where(column, 'in', values); }
+  is(column, value) { return this._where(column, 'is', value); }
+  like(column, pattern) { return this._where(column, 'like', pattern); }
+  ilike(column, pattern) { return this._where(column, 'ilike', pattern); }
+  contains(column, value) { return this._where(column, 'contains', value); }
+
+  match(values) {
+    Object.entries(values).forEach(([column, value]) => this._where(column, 'eq', value));
+    return this;
+  }
+
+  not(column, op, value) {
+    const parsed = op === 'in' && typeof value === 'string' ? parseList(value) : value;
+    this.plan.filters.push(condition(column, op, parsed, true));
+    return this;
+  }
+
+  or(text) {
+    this.plan.filters.push(parseFilterString(text, 'or'));
+    return this;
+  }
+
+  filter(column, op, value) {
+    return this._where(column, op, op === 'in' ? parseList(value) : parseLiteral(value));
+  }
+
+  /**
+   * Count rows per distinct combination of columns, done by the database
+   */
+  groupBy(columns) {
+    this.plan.groupBy = splitTopLevel(columns);
+    this.plan.columns = [...this.plan.groupBy, 'count'].join(', ');
+    return this;
+  }
+
+  order(column, { ascending = true, nullsFirst } = {}) {
+    // Postgres default: NULLS LAST ascending, NULLS FIRST descending
+    this.plan.orders.push({ column, ascending, nullsFirst: nullsFirst ?? !ascending });
+    return this;
+  }
+
+  limit(count) {
+    this.plan.limit = count;
+    return this;
+  }
+
+  range(fromIndex, toIndex) {
+    this.plan.offset = fromIndex;
+    this.plan.limit = toIndex - fromIndex + 1;
+    return this;
+  }
+
+  single() {
+    this.plan.single = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.plan.single = 'maybe';
+    return this;
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve()
+      .then(() => this.execute(this.plan))
+      .then(result => shapeResult(this.plan, result))
+      .catch(err => ({ data: null, error: toError(err), count: null }))
+      .then(resolve, reject);
+  }
+
+  _write(op, payload, options) {
+    this.plan.op = op;
+    this.plan.payload = payload;
+    this.plan.options = options;
+    return this;
+  }
+
+  _where(column, op, value) {
+    this.plan.filters.push(condition(column, op, value));
+    return this;
+  }
+}
+
+function toError(err) {
+  return {
+    message: err.message,
+    code: err.code || null,
+    details: err.detail || err.details || null,
+    hint: err.hint || null
+  };
+}
+
+/**
+ * Apply a select() column list: "*", "id, title", "alias:column".
+ * Embedded resources like "project:dev_projects(name)" are not supported
+ * and are skipped.
+ */
+function projectRow(row, columns) {
+  if (!columns || columns.trim() === '*') return row;
+
+  const out = {};
+  for (const part of splitTopLevel(columns)) {
+    if (part.includes('(')) continue;
+    if (part === '*') {
+      Object.assign(out, row);
+      continue;
+    }
+    const [alias, column] = part.includes(':') ? part.split(':').map(s => s.trim()) : [part, part];
+    if (row[column] !== undefined) out[alias] = row[column];
+  }
+  return out;
+}
+
+/**
+ * Adapters return { rows, count }; turn that into what callers expect
+ */
+function shapeResult(plan, { rows, count = null }) {
+  const counted = plan.count || plan.options.count ? count : null;
+
+  if (plan.head) return { data: null, error: null, count: counted };
+  if (plan.op !== 'select' && !plan.returning) return { data: null, error: null, count: counted };
+
+  const data = rows.map(row => projectRow(row, plan.columns));
+  if (!plan.single) return { data, error: null, count: counted };
+
+  if (data.length === 1) return { data: data[0], error: null, count: counted };
+  if (data.length === 0 && plan.single === 'maybe') return { data: null, error: null, count: counted };
+  return { data: null, error: { ...NO_ROWS_ERROR }, count: counted };
+}
+
+module.exports = {
+  QueryBuilder,
+  projectRow,
+  NO_ROWS_ERROR
+};
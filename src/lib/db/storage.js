@@ -0,0 +1,239 @@
+/**
+ * File storage buckets (Supabase Storage-compatible surface)
+ *
+ *   storage('dev-ai-files').upload(path, buffer, { contentType })
+ *   storage('dev-ai-files').list('project/docs', { limit, sortBy })
+ *
+ * The bucket API is shared; where bytes live is a backend:
+ * - diskBackend(root)  - files under STORAGE_DIR/<bucket>/<path>
+ * - memoryBackend()    - a Map, for tests and throwaway dev runs
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MIME_TYPES = {
+  '.json': 'application/json',
+  '.md': 'text/markdown',
+  '.txt': 'text/plain',
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.svg': 'image/svg+xml'
+};
+
+function guessMimeType(filePath) {
+  return MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+}
+
+// Reject absolute paths and ".." so callers can't escape the bucket
+function cleanPath(filePath) {
+  const normalized = path.posix.normalize(String(filePath || '')).replace(/^\/+/, '');
+  if (normalized.startsWith('..')) {
+    throw new Error(`Invalid storage path: ${filePath}`);
+  }
+  return normalized === '.' ? '' : normalized;
+}
+
+/**
+ * Keep everything in a Map: bucket -> path -> { body, mimetype, created_at, updated_at }
+ */
+function memoryBackend() {
+  const buckets = new Map();
+  const bucket = (name) => {
+    if (!buckets.has(name)) buckets.set(name, new Map());
+    return buckets.get(name);
+  };
+
+  return {
+    async entries(name) {
+      return [...bucket(name).entries()].map(([filePath, file]) => ({
+        path: filePath,
+        size: file.body.length,
+        mimetype: file.mimetype,
+        created_at: file.created_at,
+        updated_at: file.updated_at
+      }));
+    },
+    async exists(name, filePath) {
+      return bucket(name).has(filePath);
+    },
+    async read(name, filePath) {
+      const file = bucket(name).get(filePath);
+      if (!file) throw new Error('Object not found');
+      return file.body;
+    },
+    async write(name, filePath, body, mimetype) {
+      const now = new Date().toISOString();
+      const existing = bucket(name).get(filePath);
+      bucket(name).set(filePath, {
+        body: Buffer.from(body),
+        mimetype,
+        created_at: existing?.created_at || now,
+        updated_at: now
+      });
+    },
+    async remove(name, filePath) {
+      return bucket(name).delete(filePath);
+    }
+  };
+}
+
+/**
+ * Plain files on disk under root/<bucket>/
+ */
+function diskBackend(root) {
+  const resolve = (name, filePath = '') => path.join(root, cleanPath(name), filePath);
+
+  async function walk(dir, prefix, out) {
+    let dirents;
+    try {
+      dirents = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (err) {
+      if (err.code === 'ENOENT') return out;
+      throw err;
+    }
+    for (const dirent of dirents) {
+      const relative = prefix ? `${prefix}/${dirent.name}` : dirent.name;
+      if (dirent.isDirectory()) {
+        await walk(path.join(dir, dirent.name), relative, out);
+      } else {
+        const stats = await fs.promises.stat(path.join(dir, dirent.name));
+        out.push({
+          path: relative,
+          size: stats.size,
+          mimetype: guessMimeType(relative),
+          created_at: stats.birthtime.toISOString(),
+          updated_at: stats.mtime.toISOString()
+        });
+      }
+    }
+    return out;
+  }
+
+  return {
+    async entries(name) {
+      return walk(resolve(name), '', []);
+    },
+    async exists(name, filePath) {
+      return fs.existsSync(resolve(name, filePath));
+    },
+    async read(name, filePath) {
+      return fs.promises.readFile(resolve(name, filePath));
+    },
+    async write(name, filePath, body) {
+      const target = resolve(name, filePath);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.writeFile(target, body);
+    },
+    async remove(name, filePath) {
+      try {
+        await fs.promises.unlink(resolve(name, filePath));
+        return true;
+      } catch (err) {
+        if (err.code === 'ENOENT') return false;
+        throw err;
+      }
+    }
+  };
+}
+
+// Run a storage call, returning { data, error } instead of throwing
+async function attempt(fn) {
+  try {
+    return { data: await fn(), error: null };
+  } catch (err) {
+    return { data: null, error: { message: err.message } };
+  }
+}
+
+/**
+ * Build storage(bucket) over a backend
+ * @param {object} backend - memoryBackend() or diskBackend(root)
+ * @param {string} publicUrl - Base URL files are served from
+ */
+function createStorage(backend, publicUrl = '') {
+  return function storage(bucket) {
+    return {
+      /**
+       * Direct children of a folder: files have an id, folders have id null
+       */
+      list(prefix = '', { limit = 100, offset = 0, sortBy } = {}) {
+        return attempt(async () => {
+          const folder = cleanPath(prefix);
+          const base = folder ? `${folder}/` : '';
+          const items = new Map();
+
+          for (const entry of await backend.entries(bucket)) {
+            if (!entry.path.startsWith(base)) continue;
+            const [name, ...deeper] = entry.path.slice(base.length).split('/');
+
+            if (deeper.length > 0) {
+              if (!items.has(name)) items.set(name, { name, id: null, metadata: null, created_at: null, updated_at: null });
+            } else {
+              items.set(name, {
+                name,
+                id: `${bucket}/${entry.path}`,
+                metadata: { size: entry.size, mimetype: entry.mimetype },
+                created_at: entry.created_at,
+                updated_at: entry.updated_at
+              });
+            }
+          }
+
+          const column = sortBy?.column || 'name';
+          const direction = sortBy?.order === 'desc' ? -1 : 1;
+          return [...items.values()]
+            .sort((a, b) => String(a[column] ?? '').localeCompare(String(b[column] ?? '')) * direction)
+            .slice(offset, offset + limit);
+        });
+      },
+
+      upload(filePath, body, { contentType, upsert = false } = {}) {
+        return attempt(async () => {
+          const target = cleanPath(filePath);
+          if (!upsert && await backend.exists(bucket, target)) {
+            throw new Error('The resource already exists');
+          }
+          await backend.write(bucket, target, body, contentType || guessMimeType(target));
+          return { path: target };
+        });
+      },
+
+      download(filePath) {
+        return attempt(() => backend.read(bucket, cleanPath(filePath)));
+      },
+
+      remove(paths) {
+        return attempt(async () => {
+          const removed = [];
+          for (const filePath of paths) {
+            if (await backend.remove(bucket, cleanPath(filePath))) removed.push({ name: filePath });
+          }
+          return removed;
+        });
+      },
+
+      move(fromPath, toPath) {
+        return attempt(async () => {
+          const source = cleanPath(fromPath);
+          const body = await backend.read(bucket, source);
+          await backend.write(bucket, cleanPath(toPath), body, guessMimeType(toPath));
+          await backend.remove(bucket, source);
+          return { message: 'Successfully moved' };
+        });
+      },
+
+      getPublicUrl(filePath) {
+        return { data: { publicUrl: `${publicUrl}/${bucket}/${cleanPath(filePath)}` } };
+      }
+    };
+  };
+}
+
+module.exports = {
+  createStorage,
+  memoryBackend,
+  diskBackend
+};
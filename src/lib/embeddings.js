@@ -0,0 +1,154 @@
+/**
+ * Susan's Embedding Providers
+ * Turns text into vectors for semantic search
+ *
+ * Providers:
+ * - openai: text-embedding-3-small via src/lib/openai.js
+ * - local:  feature-hashed bag of words, works offline (no API calls)
+ *
+ * Vectors from different models are not comparable, so every stored
+ * embedding carries its model name (see embeddingService).
+ */
+
+const crypto = require('crypto');
+const config = require('./config');
+const { Logger } = require('./logger');
+
+const logger = new Logger('Susan:Embeddings');
+
+const providers = new Map();
+
+/**
+ * Register an embedding provider
+ * Provider shape: { name, model, embed(texts) -> Promise<number[][]> }
+ */
+function registerProvider(provider) {
+  if (!provider?.name || typeof provider.embed !== 'function') {
+    throw new Error('Embedding provider needs a name and an embed(texts) function');
+  }
+  providers.set(provider.name, provider);
+}
+
+/**
+ * Split text into lowercase word tokens
+ */
+function tokenize(text) {
+  if (!text) return [];
+  return text.toLowerCase()
+    .replace(/[^a-z0-9\s_-]/g, ' ')
+    .split(/[\s_-]+/)
+    .filter(t => t.length > 1);
+}
+
+/**
+ * Hash a feature into a bucket and a sign
+ */
+function hashFeature(feature, dimensions) {
+  const digest = crypto.createHash('md5').update(feature).digest();
+  return {
+    index: digest.readUInt32LE(0) % dimensions,
+    sign: (digest[4] & 1) ? 1 : -1
+  };
+}
+
+/**
+ * Scale a vector to unit length
+ */
+function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  if (norm === 0) return vector;
+  return vector.map(v => v / norm);
+}
+
+/**
+ * Local embedder - words and word pairs hashed into a fixed-size vector
+ */
+function localEmbed(text, dimensions = config.LOCAL_EMBEDDING_DIMENSIONS) {
+  const vector = new Array(dimensions).fill(0);
+  const tokens = tokenize(text);
+
+  const features = [...tokens];
+  for (let i = 0; i < tokens.length - 1; i++) {
+    features.push(tokens[i] + ' ' + tokens[i + 1]);
+  }
+
+  for (const feature of features) {
+    const { index, sign } = hashFeature(feature, dimensions);
+    vector[index] += sign;
+  }
+
+  return normalize(vector);
+}
+
+registerProvider({
+  name: 'local',
+  model: `local-hash-${config.LOCAL_EMBEDDING_DIMENSIONS}`,
+  async embed(texts) {
+    return texts.map(t => localEmbed(t));
+  }
+});
+
+registerProvider({
+  name: 'openai',
+  model: config.OPENAI_EMBEDDING_MODEL,
+  async embed(texts) {
+    // Lazy require - keeps the local provider usable without the OpenAI SDK configured
+    const { createEmbeddings } = require('./openai');
+    return createEmbeddings(texts);
+  }
+});
+
+/**
+ * Get the configured provider
+ * Falls back to local when OpenAI is selected but no key is configured
+ */
+function getProvider(name = config.EMBEDDING_PROVIDER) {
+  if (name === 'openai' && !config.OPENAI_API_KEY) {
+    logger.warn('No OPENAI_API_KEY - using local embeddings');
+    name = 'local';
+  }
+
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Unknown embedding provider: ${name}`);
+  }
+  return provider;
+}
+
+/**
+ * Embed a batch of texts with the configured provider
+ * Returns { model, vectors }
+ */
+async function embed(texts, providerName) {
+  const provider = getProvider(providerName);
+  const vectors = await provider.embed(texts);
+  return { model: provider.model, vectors };
+}
+
+/**
+ * Cosine similarity between two vectors (0 when either is missing)
+ */
+function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (normA === 0 || normB === 0) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  embed,
+  localEmbed,
+  cosineSimilarity,
+  tokenize
+};
@@ -0,0 +1,146 @@
+/**
+ * List queries
+ * One way for list endpoints to page, sort and filter
+ *
+ * Query parameters every list takes:
+ *   limit            page size (default per list, capped at MAX_LIMIT)
+ *   cursor           nextCursor from the previous page
+ *   sort, order      a column from the list's sortable set, asc | desc
+ *   <filter>=a,b     the list's field filters; a comma list matches any
+ *   created_after, created_before
+ *   tag=a,b          rows carrying every tag (lists with a tags column)
+ *
+ * and every list answers with { items, nextCursor, total }.
+ *
+ * Cursors are opaque: an offset plus the sort they were issued for. A
+ * keyset on created_at would survive inserts better, but the postgres
+ * adapter hands timestamps back at millisecond precision, so rows written
+ * in one transaction (same NOW()) could be skipped between pages.
+ */
+
+const { from } = require('./db');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const ORDERS = ['asc', 'desc'];
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function encodeCursor(offset, sort, order) {
+  return Buffer.from(JSON.stringify({ o: offset, s: sort, d: order })).toString('base64url');
+}
+
+function decodeCursor(cursor, sort, order) {
+  let key;
+  try {
+    key = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    key = null;
+  }
+  if (!key || !Number.isInteger(key.o) || key.o < 0) throw httpError(400, 'Invalid cursor');
+  if (key.s !== sort || key.d !== order) throw httpError(400, 'cursor was issued for a different sort - start again without it');
+  return key.o;
+}
+
+function splitValues(value) {
+  return [].concat(value).flatMap(part => String(part).split(',')).map(part => part.trim()).filter(Boolean);
+}
+
+function timestampParam(name, value) {
+  if (value === undefined || value === '') return null;
+  if (Number.isNaN(Date.parse(value))) throw httpError(400, `${name} must be a date or timestamp`);
+  return new Date(value).toISOString();
+}
+
+/**
+ * Read list parameters from a query string - 400 for anything malformed
+ * @param {object} list - { sortable, defaultSort, defaultOrder, defaultLimit, filters, tagColumn }
+ * @returns {{ limit, offset, sort, order, filters: Array<{ column, values }>, tags, createdAfter, createdBefore }}
+ */
+function parseListQuery(list, query = {}) {
+  const sort = query.sort || list.defaultSort || 'created_at';
+  if (!list.sortable.includes(sort)) {
+    throw httpError(400, `sort must be one of: ${list.sortable.join(', ')}`);
+  }
+  const order = String(query.order || list.defaultOrder || 'desc').toLowerCase();
+  if (!ORDERS.includes(order)) throw httpError(400, `order must be one of: ${ORDERS.join(', ')}`);
+
+  const requested = parseInt(query.limit);
+  const limit = Math.min(Math.max(Number.isNaN(requested) ? list.defaultLimit || DEFAULT_LIMIT : requested, 1), MAX_LIMIT);
+  const offset = query.cursor ? decodeCursor(query.cursor, sort, order) : 0;
+
+  const filters = [];
+  for (const [param, column] of Object.entries(list.filters || {})) {
+    const values = query[param] === undefined ? [] : splitValues(query[param]);
+    if (values.length) filters.push({ column, values });
+  }
+
+  const tags = query.tag === undefined ? [] : splitValues(query.tag);
+  if (tags.length && !list.tagColumn) throw httpError(400, 'tag filter is not supported here');
+
+  return {
+    limit,
+    offset,
+    sort,
+    order,
+    filters,
+    tags,
+    createdAfter: timestampParam('created_after', query.created_after),
+    createdBefore: timestampParam('created_before', query.created_before)
+  };
+}
+
+/**
+ * Apply parsed filters, sort and page to a select() builder
+ */
+function applyListQuery(builder, list, params) {
+  let query = builder;
+  for (const { column, values } of params.filters) {
+    query = values.length === 1 ? query.eq(column, values[0]) : query.in(column, values);
+  }
+  if (params.tags.length) query = query.contains(list.tagColumn, params.tags);
+  if (params.createdAfter) query = query.gte('created_at', params.createdAfter);
+  if (params.createdBefore) query = query.lt('created_at', params.createdBefore);
+
+  // id breaks ties so an offset always lands in the same place
+  return query
+    .order(params.sort, { ascending: params.order === 'asc' })
+    .order('id', { ascending: params.order === 'asc' })
+    .range(params.offset, params.offset + params.limit - 1);
+}
+
+/**
+ * One page of a list
+ * @param {object} list - { table, columns, sortable, defaultSort, defaultOrder, defaultLimit, filters, tagColumn }
+ * @param {object} query - req.query
+ * @param {function} scope - adds the caller's fixed conditions to the builder
+ * @returns {Promise<{ items, nextCursor, total }>}
+ */
+async function listPage(list, query, scope = builder => builder) {
+  const params = parseListQuery(list, query);
+  const builder = scope(from(list.table).select(list.columns || '*', { count: 'exact' }));
+
+  const { data, error, count } = await applyListQuery(builder, list, params);
+  if (error) throw new Error(error.message);
+
+  const items = data || [];
+  const total = count ?? items.length;
+  const next = params.offset + items.length;
+  return {
+    items,
+    nextCursor: items.length && next < total ? encodeCursor(next, params.sort, params.order) : null,
+    total
+  };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseListQuery,
+  applyListQuery,
+  listPage
+};
@@ -0,0 +1,244 @@
+/**
+ * Migration Runner
+ *
+ * Applies database/migration-NNN-name.sql files in version order and
+ * records each one in the schema_migrations ledger. Down scripts live
+ * next to their up file as migration-NNN-name.down.sql.
+ *
+ * - Every migration (up or down) runs in its own transaction
+ * - A failure rolls back that migration and stops the run
+ * - An advisory lock keeps two runners from migrating at once
+ * - Checksums catch applied files that were edited afterwards (drift)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../../database');
+const FILE_PATTERN = /^migration-(\d+)-(.+?)(\.down)?\.sql$/;
+const LOCK_KEY = 5403;
+
+const LEDGER_SQL = `
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    checksum TEXT NOT NULL,
+    applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    duration_ms INTEGER
+  )`;
+
+class MigrationError extends Error {
+  constructor(message, migration) {
+    super(message);
+    this.name = 'MigrationError';
+    this.migration = migration || null;
+  }
+}
+
+function checksum(sql) {
+  return crypto.createHash('sha256').update(sql).digest('hex');
+}
+
+/**
+ * Read the migration files in a directory, ordered by version
+ * @returns {Array<{version, name, file, sql, checksum, downFile, downSql}>}
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = new Map();
+
+  for (const file of fs.readdirSync(dir).sort()) {
+    const match = file.match(FILE_PATTERN);
+    if (!match) continue;
+
+    const version = parseInt(match[1], 10);
+    const name = match[2];
+    const isDown = Boolean(match[3]);
+    const entry = byVersion.get(version) || { version, name };
+
+    if (entry.name !== name) {
+      throw new MigrationError(`Version ${version} is used by both "${entry.name}" and "${name}"`);
+    }
+
+    const sql = fs.readFileSync(path.join(dir, file), 'utf8');
+    if (isDown) {
+      entry.downFile = file;
+      entry.downSql = sql;
+    } else {
+      entry.file = file;
+      entry.sql = sql;
+      entry.checksum = checksum(sql);
+    }
+    byVersion.set(version, entry);
+  }
+
+  const migrations = [...byVersion.values()].sort((a, b) => a.version - b.version);
+  for (const m of migrations) {
+    if (!m.file) throw new MigrationError(`${m.downFile} has no matching up migration`, m.version);
+  }
+  return migrations;
+}
+
+/**
+ * @param {object} options
+ * @param {object} options.pool - pg Pool (anything with connect() returning a client)
+ * @param {string} [options.dir] - Directory holding the migration files
+ * @param {object} [options.logger] - Logger for per-migration progress
+ */
+function createMigrator({ pool, dir = MIGRATIONS_DIR, logger = null }) {
+  async function withClient(fn) {
+    const client = await pool.connect();
+    try {
+      await client.query(LEDGER_SQL);
+      await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+      try {
+        return await fn(client);
+      } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]);
+      }
+    } finally {
+      client.release();
+    }
+  }
+
+  async function readLedger(client) {
+    const { rows } = await client.query(
+      'SELECT version, name, checksum, applied_at, duration_ms FROM schema_migrations ORDER BY version'
+    );
+    return rows.map(row => ({ ...row, version: Number(row.version) }));
+  }
+
+  function compare(migrations, ledger) {
+    const files = new Map(migrations.map(m => [m.version, m]));
+    const appliedVersions = new Set(ledger.map(row => row.version));
+
+    const applied = ledger.map(row => {
+      const file = files.get(row.version);
+      return {
+        version: row.version,
+        name: row.name,
+        appliedAt: row.applied_at,
+        durationMs: row.duration_ms,
+        missing: !file,
+        drift: Boolean(file) && file.checksum !== row.checksum
+      };
+    });
+
+    const pending = migrations
+      .filter(m => !appliedVersions.has(m.version))
+      .map(m => ({ version: m.version, name: m.name, hasDown: Boolean(m.downFile) }));
+
+    return { applied, pending };
+  }
+
+  async function runInTransaction(client, migration, direction, sql, ledgerSql, ledgerValues) {
+    const started = Date.now();
+    await client.query('BEGIN');
+    try {
+      await client.query(sql);
+      await client.query(ledgerSql, typeof ledgerValues === 'function' ? ledgerValues(Date.now() - started) : ledgerValues);
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      const file = direction === 'up' ? migration.file : migration.downFile;
+      throw new MigrationError(`${file} failed: ${err.message}`, migration.version);
+    }
+    const durationMs = Date.now() - started;
+    if (logger) logger.info(`Migrated ${direction}`, { version: migration.version, name: migration.name, durationMs });
+    return { version: migration.version, name: migration.name, durationMs };
+  }
+
+  return {
+    /**
+     * Applied, pending and drifted migrations
+     */
+    async status() {
+      const migrations = loadMigrations(dir);
+      return withClient(async (client) => {
+        const { applied, pending } = compare(migrations, await readLedger(client));
+        return {
+          applied,
+          pending,
+          drift: applied.filter(m => m.drift).map(m => m.version),
+          missing: applied.filter(m => m.missing).map(m => m.version)
+        };
+      });
+    },
+
+    /**
+     * Apply pending migrations in order
+     * @param {object} [options]
+     * @param {number} [options.to] - Stop after this version
+     * @param {boolean} [options.allowDrift] - Run even if applied files were edited
+     */
+    async up({ to = null, allowDrift = false } = {}) {
+      const migrations = loadMigrations(dir);
+
+      return withClient(async (client) => {
+        const { applied } = compare(migrations, await readLedger(client));
+        const drifted = applied.filter(m => m.drift).map(m => m.version);
+        if (drifted.length > 0 && !allowDrift) {
+          throw new MigrationError(`Applied migrations were edited since they ran: ${drifted.join(', ')}`);
+        }
+
+        const done = new Set(applied.map(m => m.version));
+        const results = [];
+        for (const migration of migrations) {
+          if (done.has(migration.version)) continue;
+          if (to !== null && migration.version > to) break;
+
+          results.push(await runInTransaction(
+            client, migration, 'up', migration.sql,
+            'INSERT INTO schema_migrations (version, name, checksum, duration_ms) VALUES ($1, $2, $3, $4)',
+            (durationMs) => [migration.version, migration.name, migration.checksum, durationMs]
+          ));
+        }
+        return results;
+      });
+    },
+
+    /**
+     * Roll back the most recently applied migrations
+     * @param {object} [options]
+     * @param {number} [options.steps=1] - How many migrations to roll back
+     * @param {number} [options.to] - Roll back everything above this version (overrides steps)
+     */
+    async down({ steps = 1, to = null } = {}) {
+      const migrations = loadMigrations(dir);
+      const files = new Map(migrations.map(m => [m.version, m]));
+
+      return withClient(async (client) => {
+        const ledger = await readLedger(client);
+        const targets = (to !== null
+          ? ledger.filter(row => row.version > to)
+          : ledger.slice(Math.max(ledger.length - steps, 0))
+        ).reverse();
+
+        // Check every target up front so a missing script doesn't leave a half-finished rollback
+        for (const row of targets) {
+          const migration = files.get(row.version);
+          if (!migration) throw new MigrationError(`Migration ${row.version} is applied but its file is gone`, row.version);
+          if (!migration.downFile) throw new MigrationError(`${migration.file} has no down script`, row.version);
+        }
+
+        const results = [];
+        for (const row of targets) {
+          const migration = files.get(row.version);
+          results.push(await runInTransaction(
+            client, migration, 'down', migration.downSql,
+            'DELETE FROM schema_migrations WHERE version = $1',
+            [migration.version]
+          ));
+        }
+        return results;
+      });
+    }
+  };
+}
+
+module.exports = {
+  createMigrator,
+  loadMigrations,
+  MigrationError,
+  MIGRATIONS_DIR
+};
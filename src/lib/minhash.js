@@ -0,0 +1,176 @@
+/**
+ * Susan's MinHash / LSH
+ * Cheap candidate generation for near-duplicate text
+ *
+ * Text -> character shingles -> MinHash signature -> LSH band buckets.
+ * Two items land in the same bucket with probability that rises sharply
+ * with their shingle Jaccard similarity, so only likely pairs need the
+ * expensive comparison. Hashing is seeded and deterministic.
+ */
+
+const SHINGLE_SIZE = 3;
+const NUM_BANDS = 20;
+const ROWS_PER_BAND = 3;
+const SEED = 0x5403;
+
+/**
+ * Lowercase, strip punctuation, collapse whitespace
+ */
+function normalizeText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^\w\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Character k-shingles of normalized text (short text is one shingle)
+ * @returns {Set<string>}
+ */
+function shingle(text, size = SHINGLE_SIZE) {
+  const normalized = normalizeText(text);
+  const shingles = new Set();
+  if (!normalized) return shingles;
+
+  if (normalized.length <= size) {
+    shingles.add(normalized);
+    return shingles;
+  }
+  for (let i = 0; i <= normalized.length - size; i++) {
+    shingles.add(normalized.slice(i, i + size));
+  }
+  return shingles;
+}
+
+/**
+ * 32-bit FNV-1a
+ */
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Murmur3 finalizer - spreads a seeded value over 32 bits
+ */
+function mix(value) {
+  let h = value >>> 0;
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+/**
+ * Build a MinHasher with numHashes seeded hash functions
+ */
+function createMinHasher({ numHashes = NUM_BANDS * ROWS_PER_BAND, seed = SEED } = {}) {
+  const seeds = Array.from({ length: numHashes }, (_, i) => mix(seed + Math.imul(i + 1, 0x9e3779b9)));
+
+  return {
+    numHashes,
+
+    /**
+     * Signature of a shingle set (all 0xffffffff when the set is empty)
+     * @returns {Uint32Array}
+     */
+    signature(shingles) {
+      const sig = new Uint32Array(numHashes).fill(0xffffffff);
+      for (const s of shingles) {
+        const base = fnv1a(s);
+        for (let i = 0; i < numHashes; i++) {
+          const h = mix(base ^ seeds[i]);
+          if (h < sig[i]) sig[i] = h;
+        }
+      }
+      return sig;
+    }
+  };
+}
+
+/**
+ * Fraction of matching signature slots - estimates Jaccard similarity
+ */
+function estimateJaccard(a, b) {
+  if (!a || !b || a.length !== b.length || a.length === 0) return 0;
+  let same = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) same++;
+  }
+  return same / a.length;
+}
+
+/**
+ * Exact Jaccard similarity of two sets
+ */
+function jaccard(a, b) {
+  if (a.size === 0 && b.size === 0) return 0;
+  let common = 0;
+  for (const value of a) {
+    if (b.has(value)) common++;
+  }
+  return common / (a.size + b.size - common);
+}
+
+/**
+ * Candidate pairs from LSH banding
+ * @param {string[]} texts - One text per item
+ * @returns {Array<[number, number]>} index pairs, i < j, sorted
+ */
+function candidatePairs(texts, { bands = NUM_BANDS, rows = ROWS_PER_BAND, shingleSize = SHINGLE_SIZE, seed = SEED } = {}) {
+  const hasher = createMinHasher({ numHashes: bands * rows, seed });
+  const buckets = new Map();
+
+  texts.forEach((text, index) => {
+    const shingles = shingle(text, shingleSize);
+    if (shingles.size === 0) return;
+
+    const sig = hasher.signature(shingles);
+    for (let band = 0; band < bands; band++) {
+      const key = `${band}:${Array.from(sig.subarray(band * rows, (band + 1) * rows)).join(',')}`;
+      const bucket = buckets.get(key);
+      if (bucket) bucket.push(index);
+      else buckets.set(key, [index]);
+    }
+  });
+
+  const pairs = new Set();
+  for (const members of buckets.values()) {
+    for (let a = 0; a < members.length; a++) {
+      for (let b = a + 1; b < members.length; b++) {
+        pairs.add(members[a] * texts.length + members[b]);
+      }
+    }
+  }
+
+  return [...pairs]
+    .sort((x, y) => x - y)
+    .map(code => [Math.floor(code / texts.length), code % texts.length]);
+}
+
+/**
+ * Chance that a pair with Jaccard similarity s shares at least one bucket
+ */
+function candidateProbability(s, { bands = NUM_BANDS, rows = ROWS_PER_BAND } = {}) {
+  return 1 - Math.pow(1 - Math.pow(s, rows), bands);
+}
+
+module.exports = {
+  normalizeText,
+  shingle,
+  createMinHasher,
+  estimateJaccard,
+  jaccard,
+  candidatePairs,
+  candidateProbability,
+  NUM_BANDS,
+  ROWS_PER_BAND,
+  SHINGLE_SIZE
+};
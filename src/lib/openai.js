@@ -7,7 +7,7 @@
 const OpenAI = require('openai');
 const config = require('./config');
 const { Logger } = require('./logger');
-const { logOpenAIResponse } = require('./usageLogger');
+const { logOpenAIResponse, logUsage } = require('./usageLogger');
 
 const logger = new Logger('Susan:OpenAI');
 
@@ -192,9 +192,38 @@ If the user wants you to remember something, acknowledge it and explain you'll c
   return response.choices[0].message.content;
 }
 
+/**
+ * Create embeddings for a batch of texts
+ * Returns one vector per input, in input order
+ */
+async function createEmbeddings(inputs) {
+  const startTime = Date.now();
+  const response = await rateLimitedCall(() =>
+    getClient().embeddings.create({
+      model: config.OPENAI_EMBEDDING_MODEL,
+      input: inputs.map(text => (text || '').slice(0, 8000))
+    })
+  );
+
+  // Embeddings have no completion tokens, so log directly
+  await logUsage({
+    model: response.model || config.OPENAI_EMBEDDING_MODEL,
+    inputTokens: response.usage?.prompt_tokens || 0,
+    outputTokens: 0,
+    requestType: 'embedding',
+    promptPreview: `Embedding batch (${inputs.length})`,
+    responseTimeMs: Date.now() - startTime
+  });
+
+  return response.data
+    .sort((a, b) => a.index - b.index)
+    .map(d => d.embedding);
+}
+
 module.exports = {
   getClient,
   extractKnowledge,
   summarizeSession,
-  chat
+  chat,
+  createEmbeddings
 };
@@ -0,0 +1,239 @@
+/**
+ * OpenAPI document, built from the mounted route modules
+ *
+ * Routes come from the routers themselves (what Express will actually
+ * serve), so the document can't drift from the code:
+ * - method and path from each router's stack plus its mount prefix
+ * - summary and description from the JSDoc block above the route,
+ *   whose first line is "METHOD /path - Summary"
+ * - request bodies from lib/requestSchemas
+ * - required scope from lib/auth
+ *
+ * findConflicts() flags two registrations of the same method and path -
+ * Express silently serves the first, so the app refuses to start instead.
+ */
+
+const fs = require('fs');
+const { REQUEST_SCHEMAS } = require('./requestSchemas');
+const { requiredScope } = require('./auth');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+const DOC_BLOCK = /\/\*\*((?:(?!\*\/)[\s\S])*)\*\/\s*\n\s*router\.(get|post|put|patch|delete)\(\s*'([^']+)'/g;
+
+const docCache = new Map();
+
+function joinPath(prefix, routePath) {
+  const joined = `${prefix.replace(/\/$/, '')}/${routePath.replace(/^\//, '')}`;
+  return joined.length > 1 ? joined.replace(/\/$/, '') : joined;
+}
+
+// '/api/todo/:id' and '/api/todo/:todoId' are the same route to Express
+function routeKey(method, routePath) {
+  return `${method.toUpperCase()} ${routePath.replace(/:[^/]+/g, ':param')}`;
+}
+
+/**
+ * Every route the mounted routers serve
+ * @param {Array<{ prefix, name, file, router }>} mounts - in mount order
+ * @returns {Array<{ method, path, localPath, module, file }>}
+ */
+function collectRoutes(mounts) {
+  const routes = [];
+  for (const { prefix, name, file, router } of mounts) {
+    for (const layer of router.stack) {
+      if (!layer.route) continue;
+      for (const routePath of [].concat(layer.route.path)) {
+        for (const method of METHODS.filter(m => layer.route.methods[m])) {
+          routes.push({ method: method.toUpperCase(), path: joinPath(prefix, String(routePath)), localPath: String(routePath), module: name, file });
+        }
+      }
+    }
+  }
+  return routes;
+}
+
+/**
+ * Method + path pairs registered more than once
+ * @returns {Array<{ method, path, modules: string[] }>}
+ */
+function findConflicts(routes) {
+  const seen = new Map();
+  for (const route of routes) {
+    const key = routeKey(route.method, route.path);
+    if (!seen.has(key)) seen.set(key, []);
+    seen.get(key).push(route);
+  }
+  return [...seen.values()]
+    .filter(group => group.length > 1)
+    .map(group => ({ method: group[0].method, path: group[0].path, modules: group.map(route => route.module) }));
+}
+
+function assertNoConflicts(routes) {
+  const conflicts = findConflicts(routes);
+  if (!conflicts.length) return;
+  const lines = conflicts.map(c => `  ${c.method} ${c.path} (${c.modules.join(', ')})`);
+  throw new Error(`Conflicting route registrations - only the first would ever run:\n${lines.join('\n')}`);
+}
+
+function parseDocBlock(block) {
+  const lines = block
+    .split('\n')
+    .map(line => line.replace(/^\s*\* ?/, '').trimEnd())
+    .filter((line, i, all) => line || (i > 0 && i < all.length - 1));
+  while (lines.length && !lines[0]) lines.shift();
+
+  const header = (lines.shift() || '').match(/^([A-Z]+)\s+(\S+)(?:\s+-\s+(.*))?$/);
+  if (!header) return null;
+  return {
+    method: header[1],
+    path: header[2],
+    summary: (header[3] || '').trim(),
+    description: lines.join('\n').trim()
+  };
+}
+
+/**
+ * JSDoc headers in a route module, keyed by "METHOD /router-path"
+ */
+function readRouteDocs(file) {
+  if (docCache.has(file)) return docCache.get(file);
+  const docs = new Map();
+  const source = fs.readFileSync(file, 'utf8');
+  for (const match of source.matchAll(DOC_BLOCK)) {
+    const doc = parseDocBlock(match[1]);
+    if (doc) docs.set(`${match[2].toUpperCase()} ${match[3]}`, doc);
+  }
+  docCache.set(file, docs);
+  return docs;
+}
+
+/**
+ * The JSDoc for a route, if its header names this method and full path
+ */
+function docFor(route) {
+  const doc = readRouteDocs(route.file).get(`${route.method} ${route.localPath}`);
+  if (!doc || routeKey(doc.method, doc.path) !== routeKey(route.method, route.path)) return null;
+  return doc;
+}
+
+/**
+ * Routes with no JSDoc header matching their method and path
+ */
+function undocumentedRoutes(mounts) {
+  return collectRoutes(mounts).filter(route => !docFor(route));
+}
+
+function operationId(method, routePath) {
+  const words = routePath.split(/[^a-zA-Z0-9]+/).filter(Boolean)
+    .map(word => word[0].toUpperCase() + word.slice(1));
+  return method.toLowerCase() + words.join('');
+}
+
+function requestSchemaFor(route) {
+  return REQUEST_SCHEMAS.find(entry => routeKey(entry.method, entry.path) === routeKey(route.method, route.path));
+}
+
+// Express ':id' -> OpenAPI '{id}'; a '*' wildcard is the rest of the path
+function openapiPath(routePath) {
+  return routePath.replace(/:([A-Za-z0-9_]+)/g, '{$1}').replace(/\*/g, '{path}');
+}
+
+function operationFor(route, doc) {
+  const params = [...openapiPath(route.path).matchAll(/\{([A-Za-z0-9_]+)\}/g)].map(match => ({
+    name: match[1],
+    in: 'path',
+    required: true,
+    schema: { type: 'string' }
+  }));
+  const scope = requiredScope(route.method, route.path);
+  const requestSchema = requestSchemaFor(route);
+
+  const operation = {
+    operationId: operationId(route.method, route.path),
+    summary: doc?.summary || undefined,
+    description: doc?.description || undefined,
+    tags: [route.module],
+    parameters: params.length ? params : undefined,
+    responses: { '2XX': { description: 'Success' } }
+  };
+
+  if (requestSchema) {
+    operation.requestBody = {
+      required: Boolean(requestSchema.body.required?.length),
+      content: { 'application/json': { schema: requestSchema.body } }
+    };
+    operation.responses['422'] = { $ref: '#/components/responses/InvalidBody' };
+  }
+
+  if (scope === undefined) {
+    operation.security = [];
+  } else {
+    operation['x-required-scope'] = scope;
+    operation.responses['401'] = { $ref: '#/components/responses/Unauthenticated' };
+    if (scope) operation.responses['403'] = { $ref: '#/components/responses/Forbidden' };
+  }
+  return operation;
+}
+
+/**
+ * OpenAPI 3.1 document for the mounted routes
+ */
+function buildSpec(mounts, { version = '1.0.0' } = {}) {
+  const paths = {};
+
+  for (const route of collectRoutes(mounts)) {
+    const key = openapiPath(route.path);
+    paths[key] = paths[key] || {};
+    paths[key][route.method.toLowerCase()] = operationFor(route, docFor(route));
+  }
+
+  const errorBody = { type: 'object', properties: { error: { type: 'string' } }, required: ['error'] };
+  return JSON.parse(JSON.stringify({
+    openapi: '3.1.0',
+    info: {
+      title: 'Susan API',
+      version,
+      description: 'Susan - AI Librarian. Catalogs knowledge, tracks docs, todos, bugs and structures for the AI team.'
+    },
+    servers: [{ url: '/' }],
+    security: [{ bearer: [] }],
+    tags: mounts.map(mount => ({ name: mount.name })),
+    paths,
+    components: {
+      securitySchemes: {
+        bearer: { type: 'http', scheme: 'bearer', description: 'API token from POST /api/tokens or `susan token create`' }
+      },
+      responses: {
+        InvalidBody: {
+          description: 'Request body failed its schema (see GET /api/schemas/requests)',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  error: { type: 'string' },
+                  schema: { type: 'string' },
+                  errors: {
+                    type: 'array',
+                    items: { type: 'object', properties: { path: { type: 'string' }, message: { type: 'string' } } }
+                  }
+                }
+              }
+            }
+          }
+        },
+        Unauthenticated: { description: 'No valid API token', content: { 'application/json': { schema: errorBody } } },
+        Forbidden: { description: 'Token lacks the required scope', content: { 'application/json': { schema: errorBody } } }
+      }
+    }
+  }));
+}
+
+module.exports = {
+  collectRoutes,
+  findConflicts,
+  assertNoConflicts,
+  readRouteDocs,
+  undocumentedRoutes,
+  buildSpec
+};
@@ -0,0 +1,84 @@
+/**
+ * Fake process manager
+ *
+ * Processes are plain records that start/stop/restart flip in memory.
+ * Used by the test suite and for running Susan without pm2
+ * (PROCESS_MANAGER=fake). `calls` records every control call.
+ *
+ *   const manager = createFakeManager({
+ *     processes: [{ name: 'chad-5401', status: 'online', logs: { out: ['ready'], err: [] } }]
+ *   });
+ */
+
+function createFakeManager({ processes = [] } = {}) {
+  const procs = new Map();
+  const calls = [];
+  let nextId = 0;
+
+  function add({ name, status = 'online', restarts = 0, memoryBytes = 0, cpuPercent = 0, logs = {} }) {
+    procs.set(name, {
+      name,
+      pmId: nextId++,
+      status,
+      startedAt: status === 'online' ? new Date().toISOString() : null,
+      restarts,
+      memoryBytes,
+      cpuPercent,
+      logLines: { out: [...(logs.out || [])], err: [...(logs.err || [])] }
+    });
+  }
+  processes.forEach(add);
+
+  function record(proc) {
+    const online = proc.status === 'online';
+    return {
+      name: proc.name,
+      pmId: proc.pmId,
+      status: proc.status,
+      pid: online ? 10000 + proc.pmId : null,
+      uptimeMs: online ? Date.now() - new Date(proc.startedAt).getTime() : 0,
+      startedAt: online ? proc.startedAt : null,
+      restarts: proc.restarts,
+      memoryBytes: online ? proc.memoryBytes : 0,
+      cpuPercent: online ? proc.cpuPercent : 0,
+      logs: { out: `fake://${proc.name}/out`, err: `fake://${proc.name}/err` }
+    };
+  }
+
+  function control(action, name, apply) {
+    calls.push({ action, name });
+    const proc = procs.get(name);
+    if (!proc) throw new Error(`Process or Namespace ${name} not found`);
+    apply(proc);
+    proc.logLines.out.push(`[fake] ${action}`);
+    return Promise.resolve(record(proc));
+  }
+
+  return {
+    kind: 'fake',
+    calls,
+    add,
+    list: async () => [...procs.values()].map(record),
+    describe: async (name) => (procs.has(name) ? record(procs.get(name)) : null),
+    start: (name) => control('start', name, proc => {
+      if (proc.status !== 'online') proc.startedAt = new Date().toISOString();
+      proc.status = 'online';
+    }),
+    stop: (name) => control('stop', name, proc => {
+      proc.status = 'stopped';
+    }),
+    restart: (name) => control('restart', name, proc => {
+      proc.status = 'online';
+      proc.startedAt = new Date().toISOString();
+      proc.restarts++;
+    }),
+    async logs(name, { lines = 100 } = {}) {
+      const proc = procs.get(name);
+      if (!proc) return null;
+      return { out: proc.logLines.out.slice(-lines), err: proc.logLines.err.slice(-lines) };
+    },
+    async close() {}
+  };
+}
+
+module.exports = { createFakeManager };
@@ -0,0 +1,65 @@
+/**
+ * Process manager
+ *
+ * What /api/pm2 drives workers through. The manager is picked by
+ * config.PROCESS_MANAGER:
+ * - pm2:  pm2's programmatic API (talks to the local pm2 daemon, no shell)
+ * - fake: in-process processes, for tests and running without pm2
+ *
+ * Every manager takes a process name and returns structured records:
+ *   { name, pmId, status, pid, uptimeMs, startedAt, restarts, memoryBytes, cpuPercent, logs: { out, err } }
+ *
+ * Calls are forwarded to the active manager, so setManager() can swap it
+ * (tests do) without touching modules that already required this one.
+ */
+
+const config = require('../config');
+const { createPm2Manager } = require('./pm2');
+const { createFakeManager } = require('./fake');
+
+const MANAGERS = {
+  pm2: () => createPm2Manager(),
+  fake: () => createFakeManager()
+};
+
+let activeManager = null;
+
+function manager() {
+  if (!activeManager) {
+    const create = MANAGERS[config.PROCESS_MANAGER];
+    if (!create) {
+      throw new Error(`Unknown PROCESS_MANAGER "${config.PROCESS_MANAGER}" (expected ${Object.keys(MANAGERS).join(' or ')})`);
+    }
+    activeManager = create();
+  }
+  return activeManager;
+}
+
+/**
+ * Point every call at a different manager (tests use createFakeManager())
+ */
+function setManager(next) {
+  activeManager = next;
+}
+
+/**
+ * Disconnect from the daemon, if connected
+ */
+async function close() {
+  if (!activeManager) return;
+  const closing = activeManager;
+  activeManager = null;
+  await closing.close();
+}
+
+module.exports = {
+  list: () => manager().list(),
+  describe: (name) => manager().describe(name),
+  start: (name) => manager().start(name),
+  stop: (name) => manager().stop(name),
+  restart: (name) => manager().restart(name),
+  logs: (name, options) => manager().logs(name, options),
+  kind: () => manager().kind,
+  setManager,
+  close
+};
@@ -0,0 +1,131 @@
+/**
+ * pm2 process manager
+ *
+ * Uses pm2's programmatic API - process names are passed as arguments to
+ * the daemon, never through a shell. pm2 is loaded on first use, so the
+ * rest of Susan (and the tests) run on machines without it.
+ */
+
+const fs = require('fs');
+
+const TAIL_CHUNK_BYTES = 64 * 1024;
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * pm2's process description -> the manager's record
+ */
+function normalize(proc) {
+  const env = proc.pm2_env || {};
+  const online = env.status === 'online';
+  return {
+    name: proc.name,
+    pmId: proc.pm_id ?? env.pm_id ?? null,
+    status: env.status || 'unknown',
+    pid: online ? proc.pid || null : null,
+    uptimeMs: online && env.pm_uptime ? Date.now() - env.pm_uptime : 0,
+    startedAt: online && env.pm_uptime ? new Date(env.pm_uptime).toISOString() : null,
+    restarts: env.restart_time || 0,
+    memoryBytes: proc.monit?.memory || 0,
+    cpuPercent: proc.monit?.cpu || 0,
+    logs: { out: env.pm_out_log_path || null, err: env.pm_err_log_path || null }
+  };
+}
+
+/**
+ * Last `lines` lines of a file, reading backwards from the end in chunks
+ */
+async function tailFile(file, lines) {
+  if (!file) return [];
+  let handle;
+  try {
+    handle = await fs.promises.open(file, 'r');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+
+  try {
+    const { size } = await handle.stat();
+    let position = size;
+    let text = '';
+    while (position > 0 && text.split('\n').length <= lines + 1) {
+      const length = Math.min(TAIL_CHUNK_BYTES, position);
+      position -= length;
+      const buffer = Buffer.alloc(length);
+      await handle.read(buffer, 0, length, position);
+      text = buffer.toString('utf8') + text;
+    }
+    return text.split('\n').filter((line, i, all) => line || i < all.length - 1).slice(-lines);
+  } finally {
+    await handle.close();
+  }
+}
+
+function createPm2Manager() {
+  let pm2 = null;
+  let connecting = null;
+
+  function load() {
+    if (pm2) return pm2;
+    try {
+      pm2 = require('pm2');
+    } catch (err) {
+      throw httpError(503, 'pm2 is not installed here - install it or set PROCESS_MANAGER=fake');
+    }
+    return pm2;
+  }
+
+  // pm2's API is callback-based; connect once and reuse the daemon connection
+  function call(method, ...args) {
+    const api = load();
+    if (!connecting) {
+      connecting = new Promise((resolve, reject) => {
+        api.connect(err => (err ? reject(err) : resolve()));
+      }).catch(err => {
+        connecting = null;
+        throw httpError(503, `Could not reach the pm2 daemon: ${err.message}`);
+      });
+    }
+    return connecting.then(() => new Promise((resolve, reject) => {
+      api[method](...args, (err, result) => (err ? reject(err) : resolve(result)));
+    }));
+  }
+
+  async function describe(name) {
+    const procs = await call('describe', name);
+    return procs && procs.length ? normalize(procs[0]) : null;
+  }
+
+  async function control(method, name) {
+    await call(method, name);
+    return describe(name);
+  }
+
+  return {
+    kind: 'pm2',
+    list: async () => (await call('list')).map(normalize),
+    describe,
+    start: (name) => control('start', name),
+    stop: (name) => control('stop', name),
+    restart: (name) => control('restart', name),
+    async logs(name, { lines = 100 } = {}) {
+      const proc = await describe(name);
+      if (!proc) return null;
+      const [out, err] = await Promise.all([tailFile(proc.logs.out, lines), tailFile(proc.logs.err, lines)]);
+      return { out, err };
+    },
+    async close() {
+      if (pm2 && connecting) {
+        connecting = null;
+        pm2.disconnect();
+      }
+    }
+  };
+}
+
+module.exports = { createPm2Manager, normalize, tailFile };
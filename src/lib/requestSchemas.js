@@ -0,0 +1,303 @@
+/**
+ * Request body schemas for the write routes
+ *
+ * One entry per route that takes a body, keyed by a stable id. A route opts
+ * in with validateBody('<id>'); the whole set is published at
+ * GET /api/schemas/requests so workers can check payloads before sending.
+ *
+ * Schemas check shape - presence, types, enums, simple bounds. Checks that
+ * need the database (does the row exist, is the scope taken) stay in the
+ * routes and services. Unknown fields are allowed unless a schema says
+ * otherwise, so older callers that send extra keys keep working.
+ *
+ * A body that fails gets 422:
+ *   { error: 'Invalid request body', schema: 'todo.create', errors: [{ path: 'title', message: 'is required' }] }
+ */
+
+const { validate } = require('./validation');
+
+// Building blocks
+const text = { type: 'string' };
+const required = { type: 'string', minLength: 1 };
+const nullableText = { type: ['string', 'null'] };
+const flag = { type: 'boolean' };
+const id = { type: ['string', 'integer'] };
+const tags = { type: 'array', items: { type: 'string' } };
+const identifier = { type: 'string', pattern: '^[a-z_][a-z0-9_]*$' };
+const list = (items, extra = {}) => ({ type: 'array', items, ...extra });
+const object = (properties, requiredKeys = [], extra = {}) => ({
+  type: 'object',
+  properties,
+  ...(requiredKeys.length ? { required: requiredKeys } : {}),
+  ...extra
+});
+// Older routes take project_id or projectPath for the same thing
+const projectRef = { anyOf: [{ required: ['project_id'] }, { required: ['projectPath'] }] };
+
+const FILE_CATEGORIES = ['bugs', 'docs', 'screenshots', 'assets', 'discoveries', 'exports', 'misc'];
+const SCOPE_PATTERN = '^(\\*|(read|write|admin):(\\*|[a-z][a-z0-9-]*))$';
+
+const todoFields = { title: required, description: nullableText, priority: text, category: text, status: text, tags };
+const bugFields = {
+  title: required,
+  description: nullableText,
+  severity: text,
+  assigned_to: nullableText,
+  steps_to_reproduce: nullableText,
+  expected_behavior: nullableText,
+  actual_behavior: nullableText,
+  environment: text,
+  screenshot_url: nullableText,
+  related_file: nullableText
+};
+const docFields = { project_id: required, projectPath: required, category: text, doc_type: text, docType: text, title: required, content: text, tags };
+const structureFields = { path: required, name: required, type: text, status: text, purpose: nullableText, notes: nullableText, parent_path: nullableText };
+const retentionFields = {
+  table_name: identifier,
+  keep_days: { type: ['integer', 'null'], minimum: 1 },
+  date_column: identifier,
+  action: { enum: ['purge', 'mark_stale'] },
+  project_id: nullableText,
+  status: nullableText,
+  description: nullableText,
+  enabled: flag
+};
+const routingRuleFields = {
+  bucket: required,
+  target_table: identifier,
+  status: required,
+  project_id: nullableText,
+  field_map: { type: ['object', 'null'] },
+  enabled: flag,
+  description: nullableText
+};
+const stagingSelection = {
+  ids: list(id, { minItems: 1 }),
+  cause: required,
+  status: { enum: ['retry', 'error'] },
+  stage: text,
+  table: text,
+  bucket: text,
+  project: text
+};
+const webhookFields = {
+  url: { type: 'string', format: 'uri', pattern: '^https?://' },
+  events: list(required, { minItems: 1 }),
+  name: nullableText
+};
+const approval = { approve: flag, force: flag, dev_id: required };
+
+// Items inside a catalog extraction - title is used for duplicate checks, so it must be there
+const titled = (properties = {}) => object({ title: required, ...properties }, ['title']);
+
+const extraction = object({
+  routing: { type: ['object', 'null'] },
+  routingConfidence: { type: 'number', minimum: 0, maximum: 1 },
+  todos: list(titled({ description: nullableText, priority: text, targetProject: nullableText })),
+  completedTodos: list(titled({ targetProject: nullableText })),
+  commits: list(object({ hash: text, message: text, author: text, filesChanged: { type: ['array', 'integer'] } })),
+  codeChanges: list(object({ file: text, action: text, summary: text, linesAdded: { type: 'integer' }, linesRemoved: { type: 'integer' } })),
+  structureChanges: list(object({ path: required, name: text, type: text, action: text }, ['path'])),
+  schemaChanges: list(object({ table: required, action: text, columns: { type: ['array', 'object', 'null'] } }, ['table'])),
+  bugs: list(titled({ severity: text, file: nullableText })),
+  decisions: list(titled({ rationale: nullableText })),
+  knowledge: list(titled({ category: text, summary: nullableText, importance: { type: ['number', 'string'] } })),
+  apis: list(object({ endpoint: required, method: text }, ['endpoint'])),
+  ports: list(object({ port: { type: ['integer', 'string'] }, service: text }, ['port'])),
+  dependencies: list(object({ package: required, action: text, version: nullableText }, ['package'])),
+  configChanges: list(object({ file: text, setting: text })),
+  documentation: list(titled({ type: text, file: nullableText, summary: nullableText })),
+  errors: list(object({ error: required, cause: nullableText, solution: nullableText, file: nullableText }, ['error'])),
+  buildInfo: { type: ['object', 'null'] },
+  projectMentions: list(object({ project: required }, ['project']))
+});
+
+const REQUEST_SCHEMAS = [
+  // Knowledge
+  { id: 'remember', method: 'POST', path: '/api/remember',
+    body: object({ title: required, category: text, summary: text, details: text, tags, projectPath: text, project: text, importance: { type: ['number', 'string'] } }, ['title']) },
+  { id: 'message', method: 'POST', path: '/api/message',
+    body: object({ sessionId: text, projectPath: text, message: object({ role: required, content: text }, ['role', 'content']) }, ['message']) },
+  { id: 'summarize', method: 'POST', path: '/api/summarize',
+    body: object({ sessionId: required }, ['sessionId']) },
+  { id: 'chat', method: 'POST', path: '/api/chat',
+    body: object({ message: required, context: {}, projectPath: text }, ['message']) },
+  { id: 'doc.create', method: 'POST', path: '/api/doc',
+    body: { ...object(docFields, ['title']), ...projectRef } },
+  { id: 'docs.create', method: 'POST', path: '/api/docs',
+    body: { ...object(docFields, ['title']), ...projectRef } },
+  { id: 'doc.update', method: 'PATCH', path: '/api/doc/:id',
+    body: object({ title: required, content: text, category: text, doc_type: text, docType: text, tags }) },
+  { id: 'decision.create', method: 'POST', path: '/api/decision',
+    body: object({ title: required, decision: required, sessionId: text, context: nullableText, alternatives: { type: 'array' }, rationale: nullableText, projectPath: text, tags }, ['title', 'decision']) },
+  { id: 'note.create', method: 'POST', path: '/api/note',
+    body: object({ project_id: required, title: required, content: text }, ['project_id', 'title']) },
+  { id: 'note.update', method: 'PATCH', path: '/api/note/:id',
+    body: object({ title: required, content: text }) },
+  { id: 'schema.store', method: 'POST', path: '/api/schema',
+    body: object({ databaseName: required, tableName: required, schema: {}, description: nullableText }, ['databaseName', 'tableName']) },
+  { id: 'structure.create', method: 'POST', path: '/api/structure',
+    body: object({ projectPath: required, structure: {}, description: nullableText, ports: { type: 'array' }, services: { type: 'array' } }, ['projectPath']) },
+  { id: 'structure.port', method: 'POST', path: '/api/structure/port',
+    body: object({ projectPath: required, port: { type: ['integer', 'string'] }, service: required, description: nullableText }, ['projectPath', 'port', 'service']) },
+  { id: 'structure.service', method: 'POST', path: '/api/structure/service',
+    body: object({ projectPath: required, name: required, type: text, path: text, port: { type: ['integer', 'string', 'null'] }, description: nullableText }, ['projectPath', 'name']) },
+  { id: 'structure.item.create', method: 'POST', path: '/api/structure-item',
+    body: { ...object({ ...structureFields, project_id: required, projectPath: required }, ['path', 'name']), ...projectRef } },
+  { id: 'structure.update', method: 'PATCH', path: '/api/structure/:id',
+    body: object(structureFields) },
+  { id: 'conflicts.flag', method: 'POST', path: '/api/conflicts/flag',
+    body: object({
+      existing_table: identifier,
+      existing_id: id,
+      new_content: required,
+      project_id: nullableText,
+      existing_content: nullableText,
+      existing_summary: nullableText,
+      new_source: nullableText,
+      conflict_type: text,
+      conflict_description: nullableText,
+      priority: text
+    }, ['existing_table', 'existing_id', 'new_content']) },
+  { id: 'conflicts.resolve', method: 'POST', path: '/api/conflicts/resolve',
+    body: object({
+      conflict_id: id,
+      resolution: { enum: ['keep_existing', 'update', 'both_valid', 'dismiss'] },
+      resolution_notes: nullableText,
+      dev_id: required
+    }, ['conflict_id', 'resolution']) },
+  { id: 'notifications.read', method: 'POST', path: '/api/notifications/read',
+    body: object({ notification_ids: list(id), dev_id: text }, ['notification_ids']) },
+
+  // Catalog
+  { id: 'catalog', method: 'POST', path: '/api/catalog',
+    body: object({ sessionId: text, projectPath: text, extraction, catalogedAt: text }, ['extraction']) },
+  { id: 'code-change', method: 'POST', path: '/api/code-change',
+    body: object({ project_id: required, commit_hash: required, commit_message: nullableText, author: nullableText, files_changed: { type: ['array', 'integer', 'null'] }, build_number: { type: ['integer', 'string', 'null'] } }, ['project_id', 'commit_hash']) },
+  { id: 'file.upload', method: 'POST', path: '/api/file',
+    body: object({ project_slug: required, filename: required, file: required, category: text, content_type: text, metadata: { type: 'object' } }, ['project_slug', 'filename', 'file']) },
+  { id: 'files.organize', method: 'POST', path: '/api/files/organize',
+    body: object({ from_path: required, to_category: { enum: FILE_CATEGORIES }, project_slug: required }, ['from_path', 'to_category', 'project_slug']) },
+  { id: 'sessions.log', method: 'POST', path: '/api/sessions',
+    body: object({ summary: required, project: text, messages: { type: 'array' } }, ['summary']) },
+  { id: 'projects.subfolder', method: 'POST', path: '/api/projects/subfolder',
+    body: object({ projectPath: required, subfolderPath: required, description: nullableText, type: text }, ['projectPath', 'subfolderPath']) },
+  { id: 'staging.errors.requeue', method: 'POST', path: '/api/staging/errors/requeue',
+    body: object(stagingSelection) },
+  { id: 'staging.errors.discard', method: 'POST', path: '/api/staging/errors/discard',
+    body: object({ ...stagingSelection, reason: nullableText }) },
+  { id: 'staging.error.discard', method: 'POST', path: '/api/staging/errors/:id/discard',
+    body: object({ reason: nullableText }) },
+  { id: 'staging.review.accept', method: 'POST', path: '/api/staging/review/:id/accept',
+    body: object({
+      bucket: required,
+      project_id: nullableText,
+      fields: object({ title: required, content: text, priority: text, hash: nullableText }, [], { additionalProperties: false })
+    }) },
+  { id: 'staging.review.reject', method: 'POST', path: '/api/staging/review/:id/reject',
+    body: object({ reason: nullableText }) },
+  { id: 'staging.review.merge', method: 'POST', path: '/api/staging/review/:id/merge',
+    body: object({ target_id: id, table: identifier }, ['target_id']) },
+  { id: 'routing.rules.create', method: 'POST', path: '/api/routing/rules',
+    body: object(routingRuleFields, ['bucket', 'target_table']) },
+  { id: 'routing.rules.update', method: 'PATCH', path: '/api/routing/rules/:id',
+    body: object(routingRuleFields) },
+  { id: 'routing.dry-run', method: 'POST', path: '/api/routing/dry-run',
+    body: {
+      ...object({ item: object({ bucket: required }, ['bucket']), staging_id: id }),
+      anyOf: [{ required: ['item'] }, { required: ['staging_id'] }]
+    } },
+  { id: 'routing.unrouted.requeue', method: 'POST', path: '/api/routing/unrouted/requeue',
+    body: object({ bucket: text, project_id: nullableText }) },
+
+  // Todos and bugs
+  { id: 'todo.create', method: 'POST', path: '/api/todo',
+    body: object({ ...todoFields, project_id: text, projectPath: text, discovered_in: nullableText, discoveredIn: nullableText }, ['title']) },
+  { id: 'todo.update', method: 'PATCH', path: '/api/todo/:id',
+    body: object(todoFields) },
+  { id: 'bug.create', method: 'POST', path: '/api/bug',
+    body: object({ ...bugFields, project_id: required, reported_by: text, related_todo_id: { type: ['string', 'integer', 'null'] } }, ['title', 'project_id']) },
+  { id: 'bug.update', method: 'PATCH', path: '/api/bug/:id',
+    body: object({ ...bugFields, status: text, resolved_at: { type: ['string', 'null'], format: 'date-time' } }) },
+  { id: 'stats.snapshot', method: 'POST', path: '/api/stats/snapshot',
+    body: object({ date: { type: 'string', format: 'date' } }) },
+
+  // Storage
+  { id: 'storage.flag-for-purge', method: 'POST', path: '/api/storage/flag-for-purge',
+    body: object({ tables: list(identifier), project_id: nullableText, reason: nullableText }) },
+  { id: 'storage.approve-purge', method: 'POST', path: '/api/storage/approve-purge',
+    body: object({ request_id: id, dry_run: flag, ...approval }, ['request_id']) },
+  { id: 'storage.bulk-approve', method: 'POST', path: '/api/storage/bulk-approve',
+    body: object({ request_ids: list(id, { minItems: 1 }), ...approval }, ['request_ids']) },
+  { id: 'storage.retention.create', method: 'POST', path: '/api/storage/retention',
+    body: object(retentionFields, ['table_name', 'keep_days']) },
+  { id: 'storage.retention.update', method: 'PATCH', path: '/api/storage/retention/:id',
+    body: object(retentionFields) },
+  { id: 'storage.trash.restore', method: 'POST', path: '/api/storage/trash/:id/restore',
+    body: object({ dev_id: required }) },
+  { id: 'bucket.flag-large', method: 'POST', path: '/api/bucket/flag-large',
+    body: object({ bucket: required, minSizeMB: { type: 'number', minimum: 0 } }) },
+
+  // Events
+  { id: 'webhooks.create', method: 'POST', path: '/api/webhooks',
+    body: object({ ...webhookFields, project_id: nullableText, secret: nullableText }, ['url']) },
+  { id: 'webhooks.update', method: 'PATCH', path: '/api/webhooks/:id',
+    body: object({ ...webhookFields, active: flag }) },
+  { id: 'team-chat.send', method: 'POST', path: '/api/team-chat/:workerSlug/send',
+    body: object({ content: required, userId: nullableText, projectId: nullableText, replyTo: nullableText }, ['content']) },
+
+  // Operations
+  { id: 'embeddings.backfill', method: 'POST', path: '/api/embeddings/backfill',
+    body: object({ tables: list(text), batchSize: { type: 'integer', minimum: 1 } }) },
+  { id: 'jobs.run', method: 'POST', path: '/api/jobs/:name/run',
+    body: object({ wait: flag }) },
+  { id: 'pm2.start', method: 'POST', path: '/api/pm2/start',
+    body: object({ name: required, dry_run: flag }, ['name']) },
+  { id: 'pm2.stop', method: 'POST', path: '/api/pm2/stop',
+    body: object({ name: required, dry_run: flag }, ['name']) },
+  { id: 'pm2.restart', method: 'POST', path: '/api/pm2/restart',
+    body: object({ name: required, dry_run: flag }, ['name']) },
+  { id: 'tokens.create', method: 'POST', path: '/api/tokens',
+    body: object({
+      name: required,
+      kind: { enum: ['service', 'dashboard', 'dev'] },
+      scopes: list({ type: 'string', pattern: SCOPE_PATTERN }, { minItems: 1 }),
+      expires_in_days: { type: ['integer', 'null'], minimum: 1 },
+      description: nullableText
+    }, ['name', 'scopes']) }
+];
+
+const BY_ID = new Map(REQUEST_SCHEMAS.map(entry => [entry.id, entry]));
+
+/**
+ * Express middleware validating req.body against a registered schema
+ * Throws at startup for an unknown id, so a typo can't leave a route unchecked
+ */
+function validateBody(schemaId) {
+  const entry = BY_ID.get(schemaId);
+  if (!entry) throw new Error(`No request schema "${schemaId}"`);
+
+  return (req, res, next) => {
+    const errors = validate(entry.body, req.body === undefined ? {} : req.body);
+    if (!errors.length) return next();
+    res.status(422).json({ error: 'Invalid request body', schema: schemaId, errors });
+  };
+}
+
+/**
+ * The published form: JSON Schema documents with the route they guard
+ */
+function describeSchemas() {
+  return REQUEST_SCHEMAS.map(({ id: schemaId, method, path, body }) => ({
+    id: schemaId,
+    method,
+    path,
+    schema: { $schema: 'http://json-schema.org/draft-07/schema#', $id: `susan:${schemaId}`, ...body }
+  }));
+}
+
+module.exports = {
+  REQUEST_SCHEMAS,
+  validateBody,
+  describeSchemas
+};
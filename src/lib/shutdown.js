@@ -0,0 +1,80 @@
+/**
+ * Shutdown coordinator
+ *
+ * Steps are registered in start-up order and run in that order on
+ * shutdown (stop schedulers first, close the db last). Each step is
+ * awaited; if the whole sequence outlasts the timeout the remaining
+ * steps are abandoned and run() resolves with clean: false so the
+ * caller can exit non-zero.
+ */
+
+const config = require('./config');
+const { Logger } = require('./logger');
+
+const logger = new Logger('Susan:Shutdown');
+
+const steps = [];
+let running = null;
+
+/**
+ * Add a shutdown step
+ * @param {string} name - shown in logs and in the result's pending list
+ * @param {Function} fn - async () => void
+ */
+function register(name, fn) {
+  steps.push({ name, fn });
+}
+
+function reset() {
+  steps.length = 0;
+  running = null;
+}
+
+async function runSteps(pending) {
+  for (const step of steps) {
+    const started = Date.now();
+    try {
+      await step.fn();
+      logger.info('Shutdown step done', { step: step.name, ms: Date.now() - started });
+    } catch (err) {
+      logger.error('Shutdown step failed', { step: step.name, error: err.message });
+    }
+    pending.delete(step.name);
+  }
+}
+
+/**
+ * Run every step once; later calls (a second signal) get the same promise
+ * @returns {Promise<{clean: boolean, pending: string[], durationMs: number}>}
+ */
+function run(reason, { timeoutMs = config.SHUTDOWN_TIMEOUT_MS } = {}) {
+  if (running) {
+    logger.warn('Shutdown already in progress', { reason });
+    return running;
+  }
+
+  logger.info('Shutting down', { reason, steps: steps.length, timeoutMs });
+  const started = Date.now();
+  const pending = new Set(steps.map(step => step.name));
+
+  let timer;
+  const timedOut = new Promise(resolve => {
+    timer = setTimeout(() => resolve(false), timeoutMs);
+    timer.unref();
+  });
+
+  running = Promise.race([runSteps(pending).then(() => true), timedOut]).then((finished) => {
+    clearTimeout(timer);
+    const result = { clean: finished, pending: [...pending], durationMs: Date.now() - started };
+    if (finished) logger.info('Shutdown complete', result);
+    else logger.warn('Shutdown timed out, abandoning remaining steps', result);
+    return result;
+  });
+  return running;
+}
+
+module.exports = {
+  register,
+  reset,
+  run
+};
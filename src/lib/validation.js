@@ -0,0 +1,124 @@
+/**
+ * Request validation
+ *
+ * A JSON Schema (draft-07) subset, enough for request bodies:
+ * type, enum, const, required, properties, additionalProperties, items,
+ * minItems/maxItems, minLength/maxLength, pattern, format (date, date-time,
+ * uri), minimum/maximum, minProperties, anyOf and allOf.
+ * Unsupported keywords are ignored, so the published schemas stay standard
+ * and any full validator (Ajv) gives the same answer on the client side.
+ *
+ * Errors come back as { path, message } with paths like
+ * 'extraction.todos[2].title'; '' is the body itself.
+ */
+
+const FORMATS = {
+  'date': value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+  'date-time': value => /^\d{4}-\d{2}-\d{2}T/.test(value) && !Number.isNaN(Date.parse(value)),
+  'uri': value => {
+    try {
+      return Boolean(new URL(value).protocol);
+    } catch {
+      return false;
+    }
+  }
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function join(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+function check(schema, value, path, errors) {
+  if (!schema || schema === true) return;
+  const fail = (message, at = path) => errors.push({ path: at, message });
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(value, type))) {
+      return fail(`must be ${types.join(' or ')}`);
+    }
+  }
+  if (schema.enum && !schema.enum.some(option => option === value)) {
+    return fail(`must be one of: ${schema.enum.map(String).join(', ')}`);
+  }
+  if (schema.const !== undefined && value !== schema.const) return fail(`must be ${schema.const}`);
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`must be at most ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(`must match ${schema.pattern}`);
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) fail(`must be a valid ${schema.format}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} item(s)`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+    if (schema.items) value.forEach((item, i) => check(schema.items, item, join(path, i), errors));
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) fail('is required', join(path, key));
+    }
+    if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+      fail(`must have at least ${schema.minProperties} field(s)`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (child === undefined) continue;
+      if (Object.prototype.hasOwnProperty.call(properties, key)) {
+        check(properties[key], child, join(path, key), errors);
+      } else if (schema.additionalProperties === false) {
+        fail('is not allowed', join(path, key));
+      } else if (typeof schema.additionalProperties === 'object') {
+        check(schema.additionalProperties, child, join(path, key), errors);
+      }
+    }
+  }
+
+  if (schema.allOf) schema.allOf.forEach(part => check(part, value, path, errors));
+  if (schema.anyOf) {
+    const attempts = schema.anyOf.map(option => {
+      const optionErrors = [];
+      check(option, value, path, optionErrors);
+      return optionErrors;
+    });
+    if (!attempts.some(attempt => attempt.length === 0)) {
+      // Report the closest option - the one with the fewest problems
+      const closest = attempts.reduce((best, attempt) => (attempt.length < best.length ? attempt : best));
+      errors.push(...closest);
+    }
+  }
+}
+
+/**
+ * Validate a value against a schema
+ * @returns {Array<{ path: string, message: string }>} empty when valid
+ */
+function validate(schema, value) {
+  const errors = [];
+  check(schema, value, '', errors);
+  return errors;
+}
+
+module.exports = { validate };
@@ -7,6 +7,7 @@ const express = require('express');
 const router = express.Router();
 const { from, storage } = require('../lib/db');
 const { Logger } = require('../lib/logger');
+const { validateBody } = require('../lib/requestSchemas');
 
 const logger = new Logger('Susan:Bucket');
 
@@ -148,7 +149,7 @@ router.get('/large-files', async (req, res) => {
 /**
  * POST /api/bucket/flag-large - Flag large files for review
  */
-router.post('/flag-large', async (req, res) => {
+router.post('/flag-large', validateBody('bucket.flag-large'), async (req, res) => {
   const { bucket = 'dev-ai-files', minSizeMB = 100 } = req.body;
 
   try {
@@ -7,13 +7,23 @@ const express = require('express');
 const router = express.Router();
 const { from } = require('../lib/db');
 const { Logger } = require('../lib/logger');
+const { validateBody } = require('../lib/requestSchemas');
+const { listPage } = require('../lib/listQuery');
+const revisionService = require('../services/revisionService');
+const statsService = require('../services/statsService');
 
 const logger = new Logger('Susan:Bugs');
 
+const BUG_LIST = {
+  table: 'dev_ai_bugs',
+  sortable: ['created_at', 'updated_at', 'severity', 'status'],
+  filters: { project: 'project_id', status: 'status', severity: 'severity', reported_by: 'reported_by', assigned_to: 'assigned_to' }
+};
+
 /**
  * POST /api/bug - Report a new bug
  */
-router.post('/bug', async (req, res) => {
+router.post('/bug', validateBody('bug.create'), async (req, res) => {
   const {
     project_id,
     title,
@@ -30,30 +40,23 @@ router.post('/bug', async (req, res) => {
     related_todo_id
   } = req.body;
 
-  if (!title || !project_id) {
-    return res.status(400).json({ error: 'Title and project_id required' });
-  }
-
   try {
-    const { data, error } = await from('dev_ai_bugs')
-      .insert({
-        project_id,
-        title,
-        description,
-        severity: severity || 'medium',
-        status: 'open',
-        reported_by: reported_by || 'manual',
-        assigned_to,
-        steps_to_reproduce,
-        expected_behavior,
-        actual_behavior,
-        environment: environment || 'dev',
-        screenshot_url,
-        related_file,
-        related_todo_id
-      })
-      .select('id')
-      .single();
+    const { data, error } = await revisionService.insert('dev_ai_bugs', {
+      project_id,
+      title,
+      description,
+      severity: severity || 'medium',
+      status: 'open',
+      reported_by: reported_by || 'manual',
+      assigned_to,
+      steps_to_reproduce,
+      expected_behavior,
+      actual_behavior,
+      environment: environment || 'dev',
+      screenshot_url,
+      related_file,
+      related_todo_id
+    }, { actor: revisionService.actorFrom(req) });
 
     if (error) throw error;
 
@@ -67,37 +70,15 @@ router.post('/bug', async (req, res) => {
 
 /**
  * GET /api/bugs - Get bugs for a project
+ * Query: project, status, severity, reported_by, assigned_to, created_after, created_before,
+ *        limit, cursor, sort (created_at | updated_at | severity | status), order
  */
 router.get('/bugs', async (req, res) => {
-  const { project, status, severity, reported_by, limit = 50 } = req.query;
-
   try {
-    let query = from('dev_ai_bugs')
-      .select('*')
-      .order('created_at', { ascending: false })
-      .limit(parseInt(limit));
-
-    if (project) {
-      query = query.eq('project_id', project);
-    }
-
-    if (status) {
-      query = query.eq('status', status);
-    }
-
-    if (severity) {
-      query = query.eq('severity', severity);
-    }
-
-    if (reported_by) {
-      query = query.eq('reported_by', reported_by);
-    }
-
-    const { data, error } = await query;
-    if (error) throw error;
-
-    res.json({ success: true, bugs: data || [] });
+    const page = await listPage(BUG_LIST, req.query);
+    res.json({ success: true, ...page, bugs: page.items });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     logger.error('Bugs fetch failed', { error: err.message });
     res.status(500).json({ error: err.message });
   }
@@ -125,7 +106,7 @@ router.get('/bug/:id', async (req, res) => {
 /**
  * PATCH /api/bug/:id - Update bug
  */
-router.patch('/bug/:id', async (req, res) => {
+router.patch('/bug/:id', validateBody('bug.update'), async (req, res) => {
   const {
     title,
     description,
@@ -162,9 +143,9 @@ router.patch('/bug/:id', async (req, res) => {
       updates.resolved_at = new Date().toISOString();
     }
 
-    const { error } = await from('dev_ai_bugs')
-      .update(updates)
-      .eq('id', req.params.id);
+    const { error } = await revisionService.update('dev_ai_bugs', req.params.id, updates, {
+      actor: revisionService.actorFrom(req)
+    });
 
     if (error) throw error;
 
@@ -181,9 +162,9 @@ router.patch('/bug/:id', async (req, res) => {
  */
 router.delete('/bug/:id', async (req, res) => {
   try {
-    const { error } = await from('dev_ai_bugs')
-      .delete()
-      .eq('id', req.params.id);
+    const { error } = await revisionService.remove('dev_ai_bugs', req.params.id, {
+      actor: revisionService.actorFrom(req)
+    });
 
     if (error) throw error;
 
@@ -202,37 +183,20 @@ router.get('/bugs/stats', async (req, res) => {
   const { project } = req.query;
 
   try {
-    let query = from('dev_ai_bugs')
-      .select('status, severity, environment, reported_by');
+    const { total, by } = await statsService.breakdown('dev_ai_bugs',
+      ['status', 'severity', 'environment', 'reported_by'], { project });
 
-    if (project) {
-      query = query.eq('project_id', project);
-    }
-
-    const { data, error } = await query;
-    if (error) throw error;
+    // Unset environment/reporter aren't a category of their own
+    const withoutNull = (counts) => Object.fromEntries(Object.entries(counts).filter(([key]) => key !== 'null' && key !== ''));
 
     const stats = {
-      total: data?.length || 0,
-      byStatus: {},
-      bySeverity: {},
-      byEnvironment: {},
-      byReporter: {}
+      total,
+      byStatus: by.status,
+      bySeverity: by.severity,
+      byEnvironment: withoutNull(by.environment),
+      byReporter: withoutNull(by.reported_by)
     };
 
-    if (data) {
-      data.forEach(bug => {
-        stats.byStatus[bug.status] = (stats.byStatus[bug.status] || 0) + 1;
-        stats.bySeverity[bug.severity] = (stats.bySeverity[bug.severity] || 0) + 1;
-        if (bug.environment) {
-          stats.byEnvironment[bug.environment] = (stats.byEnvironment[bug.environment] || 0) + 1;
-        }
-        if (bug.reported_by) {
-          stats.byReporter[bug.reported_by] = (stats.byReporter[bug.reported_by] || 0) + 1;
-        }
-      });
-    }
-
     res.json({ success: true, stats });
   } catch (err) {
     logger.error('Bug stats failed', { error: err.message });
@@ -7,6 +7,8 @@ const express = require('express');
 const router = express.Router();
 const { from } = require('../lib/db');
 const { Logger } = require('../lib/logger');
+const { validateBody } = require('../lib/requestSchemas');
+const eventBus = require('../services/eventBus');
 
 const logger = new Logger('Susan:Catalog');
 
@@ -154,13 +156,9 @@ async function resolveProjectPath(targetProject, defaultPath) {
  *   catalogedAt: string
  * }
  */
-router.post('/catalog', async (req, res) => {
+router.post('/catalog', validateBody('catalog'), async (req, res) => {
   const { sessionId, projectPath, extraction, catalogedAt } = req.body;
 
-  if (!extraction) {
-    return res.status(400).json({ error: 'extraction required' });
-  }
-
   // Check for routing info from Chad's context-aware extraction
   const routingInfo = extraction.routing || null;
   const routingConfidence = extraction.routingConfidence || 0;
@@ -245,7 +243,7 @@ router.post('/catalog', async (req, res) => {
             .limit(1);
 
           if (!existing || existing.length === 0) {
-            await from('dev_ai_todos').insert({
+            const { data: created } = await from('dev_ai_todos').insert({
               project_id: targetPath,
               title: todo.title,
               description: todo.description || null,
@@ -255,8 +253,9 @@ router.post('/catalog', async (req, res) => {
               category: todo.targetProject ? 'cross-project' : 'extracted',
               client_id: projectInfo?.client_id || null,
               project_id: projectInfo?.project_id || null
-            });
+            }).select('*').single();
             results.todosAdded++;
+            eventBus.emitRowEvent('dev_ai_todos', 'created', created, { source: 'catalog', session_id: sessionId });
             if (todo.targetProject) {
               logger.info('Cross-project todo', { from: projectPath, to: targetPath, title: todo.title });
             }
@@ -273,7 +272,7 @@ router.post('/catalog', async (req, res) => {
         try {
           // Find matching pending todo
           const { data: matchingTodo } = await from('dev_ai_todos')
-            .select('id')
+            .select('id, project_id, title')
             .eq('project_id', projectPath)
             .in('status', ['pending', 'in_progress'])
             .ilike('title', `%${completed.title.slice(0, 30)}%`)
@@ -288,6 +287,11 @@ router.post('/catalog', async (req, res) => {
               })
               .eq('id', matchingTodo[0].id);
             results.todosCompleted++;
+            eventBus.emitRowEvent('dev_ai_todos', 'completed', { ...matchingTodo[0], status: 'completed' }, {
+              source: 'catalog',
+              session_id: sessionId,
+              completed_by: completed.completedBy || null
+            });
           }
         } catch (err) {
           results.errors.push(`Todo complete failed: ${err.message}`);
@@ -299,14 +303,15 @@ router.post('/catalog', async (req, res) => {
     if (extraction.decisions?.length > 0) {
       for (const decision of extraction.decisions) {
         try {
-          await from('dev_ai_decisions').insert({
+          const { data: created } = await from('dev_ai_decisions').insert({
             project_id: resolvedProjectPath,
             title: decision.title,
             decision: decision.title,
             rationale: decision.rationale || null,
             session_id: sessionId
-          });
+          }).select('*').single();
           results.decisionsAdded++;
+          eventBus.emitRowEvent('dev_ai_decisions', 'created', created, { source: 'catalog', session_id: sessionId });
         } catch (err) {
           results.errors.push(`Decision add failed: ${err.message}`);
         }
@@ -325,7 +330,7 @@ router.post('/catalog', async (req, res) => {
             .limit(1);
 
           if (!existing || existing.length === 0) {
-            await from('dev_ai_knowledge').insert({
+            const { data: created } = await from('dev_ai_knowledge').insert({
               project_id: resolvedProjectPath,
               category: item.category || 'general',
               title: item.title,
@@ -333,8 +338,13 @@ router.post('/catalog', async (req, res) => {
               importance: getCategoryImportance(item.category),
               source_session_id: sessionId,
               client_id: projectInfo?.client_id || null
-            });
+            }).select('*').single();
             results.knowledgeAdded++;
+            eventBus.emitRowEvent('dev_ai_knowledge', 'created', created, {
+              source: 'catalog',
+              session_id: sessionId,
+              category: created?.category
+            });
           }
         } catch (err) {
           results.errors.push(`Knowledge add failed: ${err.message}`);
@@ -478,13 +488,13 @@ router.post('/catalog', async (req, res) => {
         try {
           // Check for existing similar bug
           const { data: existing } = await from('dev_ai_bugs')
-            .select('id')
+            .select('id, project_id, title')
             .eq('project_id', projectPath)
             .ilike('title', `%${bug.title.slice(0, 30)}%`)
             .limit(1);
 
           if (!existing || existing.length === 0) {
-            await from('dev_ai_bugs').insert({
+            const { data: created } = await from('dev_ai_bugs').insert({
               project_id: resolvedProjectPath,
               title: bug.title,
               severity: bug.severity || 'medium',
@@ -493,8 +503,13 @@ router.post('/catalog', async (req, res) => {
               steps_to_reproduce: bug.stepsToReproduce,
               reported_by: 'chad',
               fix_session_id: bug.status === 'fixed' ? sessionId : null
-            });
+            }).select('*').single();
             results.bugsLogged++;
+            eventBus.emitRowEvent('dev_ai_bugs', 'created', created, {
+              source: 'catalog',
+              session_id: sessionId,
+              severity: created?.severity
+            });
           } else if (bug.status === 'fixed') {
             // Update existing bug as fixed
             await from('dev_ai_bugs')
@@ -505,6 +520,11 @@ router.post('/catalog', async (req, res) => {
               })
               .eq('id', existing[0].id);
             results.bugsLogged++;
+            eventBus.emitRowEvent('dev_ai_bugs', 'fixed', { ...existing[0], status: 'fixed' }, {
+              source: 'catalog',
+              session_id: sessionId,
+              fixed_by: bug.fixedBy || null
+            });
           }
         } catch (err) {
           results.errors.push(`Bug log failed: ${err.message}`);
@@ -732,50 +752,6 @@ function getCategoryImportance(category) {
   return importanceMap[category] || 5;
 }
 
-/**
- * POST /api/summarize - Summarize a completed session
- * Called by Chad when a session ends
- */
-router.post('/summarize', async (req, res) => {
-  const { sessionId } = req.body;
-
-  if (!sessionId) {
-    return res.status(400).json({ error: 'sessionId required' });
-  }
-
-  try {
-    // Get session messages
-    const { data: messages } = await from('dev_ai_messages')
-      .select('role, content')
-      .eq('session_id', sessionId)
-      .order('sequence_num', { ascending: true });
-
-    if (!messages || messages.length === 0) {
-      return res.json({ success: true, summary: 'Empty session' });
-    }
-
-    // Build a simple summary
-    const userMessages = messages.filter(m => m.role === 'user');
-    const assistantMessages = messages.filter(m => m.role === 'assistant');
-
-    const summary = `Session with ${messages.length} messages. ` +
-      `User sent ${userMessages.length} messages. ` +
-      `Assistant responded ${assistantMessages.length} times.`;
-
-    // Update session with summary
-    await from('dev_ai_sessions')
-      .update({ summary })
-      .eq('id', sessionId);
-
-    logger.info('Session summarized', { sessionId, messageCount: messages.length });
-
-    res.json({ success: true, summary });
-  } catch (err) {
-    logger.error('Session summarize failed', { error: err.message, sessionId });
-    res.status(500).json({ error: err.message });
-  }
-});
-
 /**
  * POST /api/migrate-bugs - Migrate bug-fix knowledge items to bugs table
  * One-time migration to clean up incorrectly categorized items
@@ -11,19 +11,16 @@ const router = express.Router();
 const { from } = require('../lib/db');
 const { chat } = require('../lib/openai');
 const { Logger } = require('../lib/logger');
+const { validateBody } = require('../lib/requestSchemas');
 
 const logger = new Logger('Susan:Chat');
 
 /**
  * POST /api/chat - Chat with Susan
  */
-router.post('/chat', async (req, res) => {
+router.post('/chat', validateBody('chat'), async (req, res) => {
   const { message, context, projectPath } = req.body;
 
-  if (!message) {
-    return res.status(400).json({ error: 'Message required' });
-  }
-
   try {
     // Build context from database
     const chatContext = await buildChatContext(projectPath);
@@ -174,7 +171,7 @@ module.exports = router;
 // ========================================
 
 /**
- * GET /api/chat/pending-questions - Get questions Susan needs to ask
+ * GET /api/pending-questions - Get questions Susan needs to ask
  * DISABLED - Jen handles classification now
  */
 router.get('/pending-questions', async (req, res) => {
@@ -187,7 +184,7 @@ router.get('/pending-questions', async (req, res) => {
 });
 
 /**
- * POST /api/chat/answer-question - User answers Susan's question
+ * POST /api/answer-question - User answers Susan's question
  * DISABLED - Jen handles classification now
  */
 router.post('/answer-question', async (req, res) => {
@@ -198,7 +195,7 @@ router.post('/answer-question', async (req, res) => {
 });
 
 /**
- * GET /api/chat/has-questions - Quick check if Susan has questions
+ * GET /api/has-questions - Quick check if Susan has questions
  * DISABLED - Jen handles classification now
  */
 router.get('/has-questions', async (req, res) => {
@@ -206,7 +203,7 @@ router.get('/has-questions', async (req, res) => {
 });
 
 /**
- * POST /api/chat/ask - Susan proactively asks in the chat
+ * POST /api/ask - Susan proactively asks in the chat
  * DISABLED - Jen handles classification now
  */
 router.post('/ask', async (req, res) => {
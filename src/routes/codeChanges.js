@@ -7,13 +7,21 @@ const express = require('express');
 const router = express.Router();
 const { from } = require('../lib/db');
 const { Logger } = require('../lib/logger');
+const { validateBody } = require('../lib/requestSchemas');
+const { listPage } = require('../lib/listQuery');
 
 const logger = new Logger('Susan:CodeChanges');
 
+const CODE_CHANGE_LIST = {
+  table: 'dev_ai_code_changes',
+  sortable: ['created_at', 'author'],
+  filters: { project: 'project_id', author: 'author', action: 'action', session_id: 'session_id' }
+};
+
 /**
  * POST /api/code-change - Log a code change/commit
  */
-router.post('/code-change', async (req, res) => {
+router.post('/code-change', validateBody('code-change'), async (req, res) => {
   const {
     project_id,
     commit_hash,
@@ -23,10 +31,6 @@ router.post('/code-change', async (req, res) => {
     build_number
   } = req.body;
 
-  if (!commit_hash || !project_id) {
-    return res.status(400).json({ error: 'commit_hash and project_id required' });
-  }
-
   try {
     const { data, error } = await from('dev_ai_code_changes')
       .insert({
@@ -52,29 +56,15 @@ router.post('/code-change', async (req, res) => {
 
 /**
  * GET /api/code-changes - Get code changes for a project
+ * Query: project, author, action, session_id, created_after, created_before,
+ *        limit, cursor, sort (created_at | author), order
  */
 router.get('/code-changes', async (req, res) => {
-  const { project, author, limit = 50 } = req.query;
-
   try {
-    let query = from('dev_ai_code_changes')
-      .select('*')
-      .order('created_at', { ascending: false })
-      .limit(parseInt(limit));
-
-    if (project) {
-      query = query.eq('project_id', project);
-    }
-
-    if (author) {
-      query = query.eq('author', author);
-    }
-
-    const { data, error } = await query;
-    if (error) throw error;
-
-    res.json({ success: true, changes: data || [] });
+    const page = await listPage(CODE_CHANGE_LIST, req.query);
+    res.json({ success: true, ...page, changes: page.items });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     logger.error('Code changes fetch failed', { error: err.message });
     res.status(500).json({ error: err.message });
   }
@@ -10,43 +10,41 @@ const express = require('express');
 const router = express.Router();
 const { from } = require('../lib/db');
 const { Logger } = require('../lib/logger');
+const { validateBody } = require('../lib/requestSchemas');
+const { listPage } = require('../lib/listQuery');
+const eventBus = require('../services/eventBus');
+const { approverFrom } = require('../services/revisionService');
 
 const logger = new Logger('Susan:Conflicts');
 
+const CONFLICT_LIST = {
+  table: 'dev_ai_conflicts',
+  sortable: ['created_at', 'priority', 'status'],
+  filters: { project_id: 'project_id', project: 'project_id', status: 'status', priority: 'priority', conflict_type: 'conflict_type' }
+};
+
 /**
  * GET /api/conflicts - Get all pending conflicts
+ * Query: project_id, status (default pending; 'all' for every status), priority, conflict_type,
+ *        created_after, created_before, limit, cursor, sort (created_at | priority | status), order
  */
 router.get('/conflicts', async (req, res) => {
-  const { project_id, status = 'pending', priority } = req.query;
+  const query = { status: 'pending', ...req.query };
+  if (query.status === 'all') delete query.status;
 
   try {
-    let query = from('dev_ai_conflicts')
-      .select('*')
-      .order('created_at', { ascending: false });
-
-    if (project_id) {
-      query = query.eq('project_id', project_id);
-    }
-
-    if (status !== 'all') {
-      query = query.eq('status', status);
-    }
-
-    if (priority) {
-      query = query.eq('priority', priority);
-    }
-
-    const { data: conflicts, error } = await query;
-    if (error) throw error;
+    const page = await listPage(CONFLICT_LIST, query);
 
     res.json({
-      conflicts: conflicts || [],
-      count: conflicts?.length || 0,
-      message: conflicts?.length > 0
+      ...page,
+      conflicts: page.items,
+      count: page.items.length,
+      message: page.total > 0
         ? 'Review these conflicts - Susan needs your help determining the truth'
         : 'No pending conflicts'
     });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     logger.error('Get conflicts failed', { error: err.message });
     res.status(500).json({ error: err.message });
   }
@@ -56,7 +54,7 @@ router.get('/conflicts', async (req, res) => {
  * POST /api/conflicts/flag - Flag a new conflict
  * Called by Susan when she detects contradicting info
  */
-router.post('/conflicts/flag', async (req, res) => {
+router.post('/conflicts/flag', validateBody('conflicts.flag'), async (req, res) => {
   const {
     project_id,
     existing_table,
@@ -70,12 +68,6 @@ router.post('/conflicts/flag', async (req, res) => {
     priority = 'medium'
   } = req.body;
 
-  if (!existing_table || !existing_id || !new_content) {
-    return res.status(400).json({
-      error: 'Required: existing_table, existing_id, new_content'
-    });
-  }
-
   try {
     const { data: conflict, error } = await from('dev_ai_conflicts')
       .insert({
@@ -118,6 +110,15 @@ router.post('/conflicts/flag', async (req, res) => {
         status: 'unread'
       });
 
+    eventBus.emit('conflict.flagged', {
+      id: conflict.id,
+      project_id: conflict.project_id,
+      existing_table,
+      existing_id,
+      conflict_type,
+      priority
+    }, { source: 'conflicts' });
+
     res.json({
       message: 'Conflict flagged - awaiting dev review',
       conflict,
@@ -132,25 +133,16 @@ router.post('/conflicts/flag', async (req, res) => {
 /**
  * POST /api/conflicts/resolve - Dev resolves a conflict
  */
-router.post('/conflicts/resolve', async (req, res) => {
+router.post('/conflicts/resolve', validateBody('conflicts.resolve'), async (req, res) => {
   const {
     conflict_id,
-    dev_id,
     resolution,  // 'keep_existing', 'update', 'both_valid', 'dismiss'
     resolution_notes
   } = req.body;
+  const dev_id = approverFrom(req);  // the token's identity when authenticated
 
-  if (!conflict_id || !dev_id || !resolution) {
-    return res.status(400).json({
-      error: 'Required: conflict_id, dev_id, resolution'
-    });
-  }
-
-  const validResolutions = ['keep_existing', 'update', 'both_valid', 'dismiss'];
-  if (!validResolutions.includes(resolution)) {
-    return res.status(400).json({
-      error: `Invalid resolution. Must be one of: ${validResolutions.join(', ')}`
-    });
+  if (!dev_id) {
+    return res.status(400).json({ error: 'dev_id is required when auth is off - must know who is resolving' });
   }
 
   try {
@@ -217,6 +209,13 @@ router.post('/conflicts/resolve', async (req, res) => {
       resolvedBy: dev_id
     });
 
+    eventBus.emit('conflict.resolved', {
+      id: conflict_id,
+      project_id: conflict.project_id,
+      resolution,
+      resolved_by: dev_id
+    }, { source: 'conflicts' });
+
     res.json({
       message: 'Conflict resolved',
       conflictId: conflict_id,
@@ -308,13 +307,9 @@ router.get('/notifications', async (req, res) => {
 /**
  * POST /api/notifications/read - Mark notifications as read
  */
-router.post('/notifications/read', async (req, res) => {
+router.post('/notifications/read', validateBody('notifications.read'), async (req, res) => {
   const { notification_ids, dev_id } = req.body;
 
-  if (!notification_ids || !Array.isArray(notification_ids)) {
-    return res.status(400).json({ error: 'notification_ids array required' });
-  }
-
   try {
     await from('dev_ai_notifications')
       .update({
@@ -15,6 +15,7 @@ const router = express.Router();
 const { from } = require('../lib/db');
 const { Logger } = require('../lib/logger');
 const config = require('../lib/config');
+const contextPacker = require('../services/contextPacker');
 
 const logger = new Logger('Susan:Context');
 
@@ -22,6 +23,34 @@ const logger = new Logger('Susan:Context');
 function isUUID(str) { return str && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(str); }
 const RYAN_URL = 'http://localhost:5407';
 
+// Fixed slice sizes when no budget is given
+const DEFAULT_LIMITS = {
+  journal: 50,
+  knowledge: config.MAX_CONTEXT_ITEMS || 20,
+  decisions: 10,
+  todos: 15,
+  bugs: 10,
+  schemas: 30,
+  ryanTodos: 10
+};
+
+// With a budget, fetch a wider pool and let the packer choose
+const BUDGET_CANDIDATE_LIMITS = {
+  journal: 200,
+  knowledge: 100,
+  decisions: 50,
+  todos: 100,
+  bugs: 50,
+  schemas: 100,
+  ryanTodos: 30
+};
+
+const MIN_BUDGET = 500;
+
+// Rows matching the focus, fetched on top of each section's usual slice -
+// a relevant row too old or unimportant for the slice can still be packed
+const FOCUS_CANDIDATE_LIMIT = 20;
+
 /**
  * Fetch data from Ryan's API
  */
@@ -36,15 +65,45 @@ async function fetchFromRyan(endpoint) {
   }
 }
 
+/**
+ * A section's rows: the usual slice plus any rows matching the focus terms
+ * @param {function} build - returns the section's filtered, ordered select()
+ */
+async function fetchSection(build, limit, terms, focusFields) {
+  const { data } = await build().limit(limit);
+  const rows = data || [];
+  if (terms.length === 0) return rows;
+
+  // Terms are plain [a-z0-9] words, safe inside the or() filter
+  const { data: matches } = await build()
+    .or(focusFields.flatMap(field => terms.map(term => `${field}.ilike.%${term}%`)).join(','))
+    .limit(FOCUS_CANDIDATE_LIMIT);
+  const seen = new Set(rows.map(row => row.id));
+  return [...rows, ...(matches || []).filter(row => !seen.has(row.id))];
+}
+
 /**
  * GET /api/context - Claude's startup context
+ * Query: project (or path), userId, budget (tokens), focus (query text)
+ * With a budget, sections are ranked and packed to fit; context.budget
+ * reports what was dropped per section. focus also pulls in matching
+ * knowledge, decisions, todos and bugs, and orders sections without a budget
  */
 router.get('/context', async (req, res) => {
   const projectPath = req.query.project || req.query.path;
   const userId = req.query.userId;
+  const { focus } = req.query;
+  let budget = null;
+
+  if (req.query.budget !== undefined) {
+    budget = parseInt(req.query.budget);
+    if (isNaN(budget) || budget < MIN_BUDGET) {
+      return res.status(400).json({ error: `budget must be a number of tokens >= ${MIN_BUDGET}` });
+    }
+  }
 
   try {
-    const context = await buildStartupContext(projectPath, userId);
+    const context = await buildStartupContext(projectPath, userId, { budget, focus });
     res.json(context);
   } catch (err) {
     logger.error('Context build failed', { error: err.message, projectPath });
@@ -54,8 +113,15 @@ router.get('/context', async (req, res) => {
 
 /**
  * Build comprehensive startup context for Claude
+ * @param {object} options - { budget, focus } - budget packs sections into N tokens
  */
-async function buildStartupContext(projectPath, userId) {
+async function buildStartupContext(projectPath, userId, options = {}) {
+  const { budget, focus } = options;
+  const limits = budget ? BUDGET_CANDIDATE_LIMITS : DEFAULT_LIMITS;
+  const terms = contextPacker.focusTerms(focus);
+  // Without a budget the focus-ranked pool is cut back to the usual slice
+  const keep = (section, rows, limit) => budget ? rows : contextPacker.rankSection(section, rows, { focus, limit });
+
   const context = {
     greeting: null,
     // SHORT-TERM MEMORY: Last 6 hours
@@ -86,10 +152,11 @@ async function buildStartupContext(projectPath, userId) {
     .select('id, entry_type, title, content, project_id, created_at, metadata')
     .gte('created_at', sixHoursAgo)
     .order('created_at', { ascending: false })
-    .limit(50);
+    .limit(limits.journal);
 
   if (recentJournal?.length > 0) {
     context.recentTranscripts = recentJournal.map(j => ({
+      id: j.id,
       type: j.entry_type,
       title: j.title,
       content: j.content,
@@ -126,59 +193,59 @@ async function buildStartupContext(projectPath, userId) {
   // =====================
 
   // Knowledge base
-  let knowledgeQuery = from('dev_ai_knowledge')
-    .select('id, category, title, summary, tags, importance, project_id')
-    .order('importance', { ascending: false })
-    .limit(config.MAX_CONTEXT_ITEMS || 20);
+  const knowledge = await fetchSection(() => {
+    let query = from('dev_ai_knowledge')
+      .select('id, category, title, summary, tags, importance, project_id, created_at')
+      .order('importance', { ascending: false });
 
-  if (isUUID(projectPath)) {
-    knowledgeQuery = knowledgeQuery.or(`project_id.eq.${projectPath},project_id.is.null`);
-  }
-
-  const { data: knowledge } = await knowledgeQuery;
-  context.relevantKnowledge = knowledge || [];
+    if (isUUID(projectPath)) {
+      query = query.or(`project_id.eq.${projectPath},project_id.is.null`);
+    }
+    return query;
+  }, limits.knowledge, terms, ['title', 'summary']);
+  context.relevantKnowledge = keep('relevantKnowledge', knowledge, DEFAULT_LIMITS.knowledge);
 
   // Decisions
-  let decisionsQuery = from('dev_ai_decisions')
-    .select('id, title, decision, rationale, created_at, project_id')
-    .order('created_at', { ascending: false })
-    .limit(10);
+  const decisions = await fetchSection(() => {
+    let query = from('dev_ai_decisions')
+      .select('id, title, decision, rationale, created_at, project_id')
+      .order('created_at', { ascending: false });
 
-  if (isUUID(projectPath)) {
-    decisionsQuery = decisionsQuery.eq('project_id', projectPath);
-  }
-
-  const { data: decisions } = await decisionsQuery;
-  context.decisions = decisions || [];
+    if (isUUID(projectPath)) {
+      query = query.eq('project_id', projectPath);
+    }
+    return query;
+  }, limits.decisions, terms, ['title', 'decision', 'rationale']);
+  context.decisions = keep('decisions', decisions, DEFAULT_LIMITS.decisions);
 
   // Todos (from Susan's tables, not Ryan's)
-  let todosQuery = from('dev_ai_todos')
-    .select('id, title, description, priority, category, status, created_at, project_id')
-    .in('status', ['pending', 'in_progress', 'open', 'unassigned'])
-    .order('priority', { ascending: true })
-    .order('created_at', { ascending: false })
-    .limit(15);
-
-  if (isUUID(projectPath)) {
-    todosQuery = todosQuery.eq('project_id', projectPath);
-  }
-
-  const { data: todos } = await todosQuery;
-  context.todos = todos || [];
+  const todos = await fetchSection(() => {
+    let query = from('dev_ai_todos')
+      .select('id, title, description, priority, category, status, created_at, project_id')
+      .in('status', ['pending', 'in_progress', 'open', 'unassigned'])
+      .order('priority', { ascending: true })
+      .order('created_at', { ascending: false });
+
+    if (isUUID(projectPath)) {
+      query = query.eq('project_id', projectPath);
+    }
+    return query;
+  }, limits.todos, terms, ['title', 'description']);
+  context.todos = keep('todos', todos, DEFAULT_LIMITS.todos);
 
   // Active bugs
-  let bugsQuery = from('dev_ai_bugs')
-    .select('id, title, description, severity, status, created_at, project_id')
-    .in('status', ['open', 'in_progress', 'pending', 'unassigned'])
-    .order('severity', { ascending: true })
-    .limit(10);
-
-  if (isUUID(projectPath)) {
-    bugsQuery = bugsQuery.eq('project_id', projectPath);
-  }
-
-  const { data: bugs } = await bugsQuery;
-  context.bugs = bugs || [];
+  const bugs = await fetchSection(() => {
+    let query = from('dev_ai_bugs')
+      .select('id, title, description, severity, status, created_at, project_id')
+      .in('status', ['open', 'in_progress', 'pending', 'unassigned'])
+      .order('severity', { ascending: true });
+
+    if (isUUID(projectPath)) {
+      query = query.eq('project_id', projectPath);
+    }
+    return query;
+  }, limits.bugs, terms, ['title', 'description']);
+  context.bugs = keep('bugs', bugs, DEFAULT_LIMITS.bugs);
 
   // =====================
   // 3. PROJECT INFO
@@ -240,7 +307,7 @@ async function buildStartupContext(projectPath, userId) {
   let schemaQuery = from('dev_ai_schemas')
     .select('table_name, prefix, column_count, description')
     .order('table_name', { ascending: true })
-    .limit(30);
+    .limit(limits.schemas);
 
   const { data: schemas } = await schemaQuery;
   context.schemas = schemas || [];
@@ -252,7 +319,7 @@ async function buildStartupContext(projectPath, userId) {
   // Get Ryan's actual todo list (what to work on NOW)
   const ryanTodosData = await fetchFromRyan('/api/todos?status=pending,in_progress');
   if (ryanTodosData?.success && ryanTodosData.todos) {
-    context.ryanTodos = ryanTodosData.todos.slice(0, 10).map(t => ({
+    context.ryanTodos = ryanTodosData.todos.slice(0, limits.ryanTodos).map(t => ({
       id: t.id,
       title: t.title,
       priority: t.priority,
@@ -274,17 +341,30 @@ async function buildStartupContext(projectPath, userId) {
   }
 
   // =====================
-  // 5. BUILD GREETING
+  // 5. PACK INTO BUDGET (optional)
+  // =====================
+  if (budget) {
+    context.budget = contextPacker.packContext(context, { budget, focus, projectPath });
+  }
+
+  // =====================
+  // 6. BUILD GREETING
   // =====================
   context.greeting = buildGreeting(context);
 
+  if (context.budget) {
+    context.budget.greetingTokens = contextPacker.estimateTokens(context.greeting);
+    context.budget.used += context.budget.greetingTokens;
+  }
+
   logger.info('Context built', {
     projectPath,
     shortTermItems: context.recentTranscripts.length,
     knowledgeCount: context.relevantKnowledge.length,
     todoCount: context.todos.length,
     bugCount: context.bugs.length,
-    ryanTodos: context.ryanTodos.length
+    ryanTodos: context.ryanTodos.length,
+    budget: context.budget ? `${context.budget.used}/${context.budget.limit}` : null
   });
 
   return context;
@@ -7,36 +7,45 @@ const express = require('express');
 const router = express.Router();
 const { from } = require('../lib/db');
 const { Logger } = require('../lib/logger');
+const { validateBody } = require('../lib/requestSchemas');
+const { listPage } = require('../lib/listQuery');
+const revisionService = require('../services/revisionService');
+const embeddingService = require('../services/embeddingService');
 
 const logger = new Logger('Susan:Decisions');
 
+const DECISION_LIST = {
+  table: 'dev_ai_decisions',
+  columns: 'id, title, context, decision, alternatives, rationale, project_id, tags, created_at',
+  sortable: ['created_at', 'title'],
+  defaultLimit: 20,
+  filters: { project: 'project_id' },
+  tagColumn: 'tags'
+};
+
 /**
  * POST /api/decision - Record architecture decision
  */
-router.post('/decision', async (req, res) => {
+router.post('/decision', validateBody('decision.create'), async (req, res) => {
   const { sessionId, title, context, decision, alternatives, rationale, projectPath, tags } = req.body;
 
-  if (!title || !decision) {
-    return res.status(400).json({ error: 'Title and decision required' });
-  }
-
   try {
-    const { data, error } = await from('dev_ai_decisions')
-      .insert({
-        session_id: sessionId,
-        title,
-        context,
-        decision,
-        alternatives: alternatives || [],
-        rationale,
-        project_id: projectPath,
-        tags: tags || []
-      })
-      .select('id')
-      .single();
+    const { data, error } = await revisionService.insert('dev_ai_decisions', {
+      session_id: sessionId,
+      title,
+      context,
+      decision,
+      alternatives: alternatives || [],
+      rationale,
+      project_id: projectPath,
+      tags: tags || []
+    }, { actor: revisionService.actorFrom(req) });
 
     if (error) throw error;
 
+    // Embed in the background - the backfill job picks it up if this fails
+    embeddingService.embedRecord('dev_ai_decisions', data.id);
+
     logger.info('Decision recorded', { id: data.id, title });
     res.json({ success: true, id: data.id });
   } catch (err) {
@@ -47,25 +56,14 @@ router.post('/decision', async (req, res) => {
 
 /**
  * GET /api/decisions - Get decisions
+ * Query: project, tag, created_after, created_before, limit (default 20), cursor, sort (created_at | title), order
  */
 router.get('/decisions', async (req, res) => {
-  const { project, limit = 20 } = req.query;
-
   try {
-    let query = from('dev_ai_decisions')
-      .select('id, title, context, decision, alternatives, rationale, project_id, tags, created_at')
-      .order('created_at', { ascending: false })
-      .limit(parseInt(limit));
-
-    if (project) {
-      query = query.eq('project_id', project);
-    }
-
-    const { data, error } = await query;
-    if (error) throw error;
-
-    res.json(data || []);
+    const page = await listPage(DECISION_LIST, req.query);
+    res.json({ success: true, ...page, decisions: page.items });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     logger.error('Decisions fetch failed', { error: err.message });
     res.status(500).json({ error: err.message });
   }
@@ -97,9 +95,9 @@ router.get('/decision/:id', async (req, res) => {
  */
 router.delete('/decision/:id', async (req, res) => {
   try {
-    const { error } = await from('dev_ai_decisions')
-      .delete()
-      .eq('id', req.params.id);
+    const { error } = await revisionService.remove('dev_ai_decisions', req.params.id, {
+      actor: revisionService.actorFrom(req)
+    });
 
     if (error) throw error;
 
@@ -7,13 +7,27 @@ const express = require('express');
 const router = express.Router();
 const { from } = require('../lib/db');
 const { Logger } = require('../lib/logger');
+const { validateBody } = require('../lib/requestSchemas');
+const { listPage } = require('../lib/listQuery');
+const revisionService = require('../services/revisionService');
+const embeddingService = require('../services/embeddingService');
 
 const logger = new Logger('Susan:Docs');
 
+// category and docType are older names for doc_type
+const DOC_LIST = {
+  table: 'dev_ai_docs',
+  columns: 'id, project_id, doc_type, title, content, tags, created_at, updated_at',
+  sortable: ['updated_at', 'created_at', 'doc_type', 'title'],
+  defaultSort: 'updated_at',
+  filters: { project: 'project_id', doc_type: 'doc_type', docType: 'doc_type', category: 'doc_type' },
+  tagColumn: 'tags'
+};
+
 /**
  * POST /api/doc - Create documentation (singular route for UI)
  */
-router.post('/doc', async (req, res) => {
+router.post('/doc', validateBody('doc.create'), async (req, res) => {
   // Accept both camelCase and snake_case
   const {
     projectPath, project_id,
@@ -24,25 +38,21 @@ router.post('/doc', async (req, res) => {
   const projPath = project_id || projectPath;
   const type = category || doc_type || docType || 'general';
 
-  if (!projPath || !title) {
-    return res.status(400).json({ error: 'project_id and title required' });
-  }
-
   try {
-    const { data, error } = await from('dev_ai_docs')
-      .insert({
-        project_id: projPath,
-        doc_type: type,
-        title,
-        content: content || '',
-        tags: tags || [],
-        updated_at: new Date().toISOString()
-      })
-      .select('id')
-      .single();
+    const { data, error } = await revisionService.insert('dev_ai_docs', {
+      project_id: projPath,
+      doc_type: type,
+      title,
+      content: content || '',
+      tags: tags || [],
+      updated_at: new Date().toISOString()
+    }, { actor: revisionService.actorFrom(req) });
 
     if (error) throw error;
 
+    // Embed in the background - the backfill job picks it up if this fails
+    embeddingService.embedRecord('dev_ai_docs', data.id);
+
     logger.info('Documentation created', { id: data.id, title, project_id: projPath });
     res.json({ success: true, id: data.id });
   } catch (err) {
@@ -54,33 +64,29 @@ router.post('/doc', async (req, res) => {
 /**
  * POST /api/docs - Create/update documentation (legacy upsert)
  */
-router.post('/docs', async (req, res) => {
+router.post('/docs', validateBody('docs.create'), async (req, res) => {
   const { projectPath, project_id, docType, doc_type, category, title, content, tags } = req.body;
 
   const projPath = project_id || projectPath;
   const type = category || doc_type || docType || 'general';
 
-  if (!projPath || !title) {
-    return res.status(400).json({ error: 'project_id and title required' });
-  }
-
   try {
-    const { data, error } = await from('dev_ai_docs')
-      .upsert({
-        project_id: projPath,
-        doc_type: type,
-        title,
-        content,
-        tags: tags || [],
-        updated_at: new Date().toISOString()
-      }, {
-        onConflict: 'project_id,doc_type,title'
-      })
-      .select('id')
-      .single();
+    const { data, error } = await revisionService.upsert('dev_ai_docs', {
+      project_id: projPath,
+      doc_type: type,
+      title,
+      content,
+      tags: tags || [],
+      updated_at: new Date().toISOString()
+    }, {
+      onConflict: 'project_id,doc_type,title',
+      actor: revisionService.actorFrom(req)
+    });
 
     if (error) throw error;
 
+    embeddingService.embedRecord('dev_ai_docs', data.id);
+
     logger.info('Documentation updated', { project_id: projPath, doc_type: type, title });
     res.json({ success: true, id: data.id });
   } catch (err) {
@@ -91,35 +97,22 @@ router.post('/docs', async (req, res) => {
 
 /**
  * GET /api/docs - Get documentation for a project
+ * Query: project, doc_type (or category), tag, created_after, created_before,
+ *        limit, cursor, sort (updated_at | created_at | doc_type | title), order
  */
 router.get('/docs', async (req, res) => {
-  const { project, docType, doc_type, category } = req.query;
-  const type = category || doc_type || docType;
-
   try {
-    let query = from('dev_ai_docs')
-      .select('id, project_id, doc_type, title, content, tags, created_at, updated_at')
-      .order('updated_at', { ascending: false });
-
-    if (project) {
-      query = query.eq('project_id', project);
-    }
-
-    if (type) {
-      query = query.eq('doc_type', type);
-    }
-
-    const { data, error } = await query;
-    if (error) throw error;
+    const page = await listPage(DOC_LIST, req.query);
 
     // Map doc_type to category for UI compatibility
-    const docs = (data || []).map(doc => ({
+    const docs = page.items.map(doc => ({
       ...doc,
       category: doc.doc_type
     }));
 
-    res.json({ success: true, docs });
+    res.json({ success: true, ...page, items: docs, docs });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     logger.error('Docs fetch failed', { error: err.message });
     res.status(500).json({ error: err.message });
   }
@@ -149,7 +142,7 @@ router.get('/doc/:id', async (req, res) => {
 /**
  * PATCH /api/doc/:id - Update documentation
  */
-router.patch('/doc/:id', async (req, res) => {
+router.patch('/doc/:id', validateBody('doc.update'), async (req, res) => {
   const { title, content, category, doc_type, docType, tags } = req.body;
 
   try {
@@ -162,12 +155,21 @@ router.patch('/doc/:id', async (req, res) => {
     }
     if (tags !== undefined) updates.tags = tags;
 
-    const { error } = await from('dev_ai_docs')
-      .update(updates)
-      .eq('id', req.params.id);
+    // Content changed - clear the old embedding and re-embed below
+    const textChanged = title !== undefined || content !== undefined;
+    if (textChanged) {
+      updates.embedding = null;
+      updates.embedding_model = null;
+    }
+
+    const { error } = await revisionService.update('dev_ai_docs', req.params.id, updates, {
+      actor: revisionService.actorFrom(req)
+    });
 
     if (error) throw error;
 
+    if (textChanged) embeddingService.embedRecord('dev_ai_docs', req.params.id);
+
     logger.info('Documentation updated', { id: req.params.id });
     res.json({ success: true });
   } catch (err) {
@@ -181,9 +183,9 @@ router.patch('/doc/:id', async (req, res) => {
  */
 router.delete('/doc/:id', async (req, res) => {
   try {
-    const { error } = await from('dev_ai_docs')
-      .delete()
-      .eq('id', req.params.id);
+    const { error } = await revisionService.remove('dev_ai_docs', req.params.id, {
+      actor: revisionService.actorFrom(req)
+    });
 
     if (error) throw error;
 
@@ -199,9 +201,9 @@ router.delete('/doc/:id', async (req, res) => {
  */
 router.delete('/docs/:id', async (req, res) => {
   try {
-    const { error } = await from('dev_ai_docs')
-      .delete()
-      .eq('id', req.params.id);
+    const { error } = await revisionService.remove('dev_ai_docs', req.params.id, {
+      actor: revisionService.actorFrom(req)
+    });
 
     if (error) throw error;
 
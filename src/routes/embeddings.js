@@ -0,0 +1,46 @@
+/**
+ * Susan Embeddings Routes
+ * Backfill control and progress for semantic search
+ */
+
+const express = require('express');
+const router = express.Router();
+const embeddingService = require('../services/embeddingService');
+const { Logger } = require('../lib/logger');
+const { validateBody } = require('../lib/requestSchemas');
+
+const logger = new Logger('Susan:EmbeddingsRoutes');
+
+/**
+ * POST /api/embeddings/backfill - Start embedding rows that have none
+ * Body: { tables (optional), batchSize (optional) }
+ * Returns immediately - poll GET /api/embeddings/backfill for progress
+ */
+router.post('/embeddings/backfill', validateBody('embeddings.backfill'), (req, res) => {
+  const { tables, batchSize } = req.body || {};
+
+  const unknown = (tables || []).filter(t => !embeddingService.EMBEDDED_TABLES[t]);
+  if (unknown.length > 0) {
+    return res.status(400).json({
+      error: `Unknown tables: ${unknown.join(', ')}`,
+      supported: Object.keys(embeddingService.EMBEDDED_TABLES)
+    });
+  }
+
+  const status = embeddingService.startBackfill({
+    tables,
+    batchSize: batchSize ? parseInt(batchSize) : undefined
+  });
+
+  logger.info('Embedding backfill requested', { tables: tables || 'all' });
+  res.status(202).json({ success: true, backfill: status });
+});
+
+/**
+ * GET /api/embeddings/backfill - Backfill progress
+ */
+router.get('/embeddings/backfill', (req, res) => {
+  res.json({ success: true, backfill: embeddingService.getBackfillStatus() });
+});
+
+module.exports = router;
@@ -0,0 +1,74 @@
+/**
+ * Susan Events Routes
+ * Live librarian events over Server-Sent Events
+ *
+ * The dashboard and Ryan subscribe here instead of polling list endpoints.
+ * Reconnecting clients send Last-Event-ID and get whatever they missed
+ * from the recent-events buffer.
+ */
+
+const express = require('express');
+const router = express.Router();
+const eventBus = require('../services/eventBus');
+
+const HEARTBEAT_MS = 25 * 1000;
+
+function parseTypes(value) {
+  if (!value) return null;
+  return String(value).split(',').map(t => t.trim()).filter(Boolean);
+}
+
+function frame(event) {
+  return `id: ${event.seq}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+}
+
+/**
+ * GET /api/events - Server-Sent Events stream
+ * Query: types (comma list, e.g. todo.*,bug.fixed), project, since (seq)
+ * Header: Last-Event-ID (takes precedence over since)
+ */
+router.get('/events', (req, res) => {
+  const filter = { types: parseTypes(req.query.types), project: req.query.project || null };
+  const lastId = req.get('Last-Event-ID') || req.query.since;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 5000\n\n');
+
+  if (lastId !== undefined) {
+    eventBus.since(lastId, filter).forEach(event => res.write(frame(event)));
+  }
+
+  const unsubscribe = eventBus.subscribe(event => res.write(frame(event)), filter);
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+/**
+ * GET /api/events/recent - Buffered events as JSON (for clients that can't hold a stream)
+ * Query: types, project, since (seq, default 0)
+ */
+router.get('/events/recent', (req, res) => {
+  const events = eventBus.since(req.query.since || 0, {
+    types: parseTypes(req.query.types),
+    project: req.query.project || null
+  });
+  res.json({ success: true, count: events.length, events });
+});
+
+/**
+ * GET /api/events/types - Event types Susan emits
+ */
+router.get('/events/types', (req, res) => {
+  res.json({ success: true, types: eventBus.EVENT_TYPES });
+});
+
+module.exports = router;
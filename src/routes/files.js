@@ -17,6 +17,7 @@ const express = require('express');
 const router = express.Router();
 const { getClient } = require('../lib/db');
 const { Logger } = require('../lib/logger');
+const { validateBody } = require('../lib/requestSchemas');
 
 const logger = new Logger('Susan:Files');
 
@@ -29,7 +30,7 @@ const CATEGORIES = ['bugs', 'docs', 'screenshots', 'assets', 'discoveries', 'exp
  * POST /api/file - Upload a file to Susan's library
  * Body: { project_slug, category, filename, file (base64), content_type, metadata }
  */
-router.post('/file', async (req, res) => {
+router.post('/file', validateBody('file.upload'), async (req, res) => {
   const {
     project_slug,
     category = 'misc',
@@ -39,10 +40,6 @@ router.post('/file', async (req, res) => {
     metadata = {}  // Additional info Susan wants to track
   } = req.body;
 
-  if (!project_slug || !filename || !file) {
-    return res.status(400).json({ error: 'project_slug, filename, and file (base64) required' });
-  }
-
   // Validate category
   const cat = CATEGORIES.includes(category) ? category : 'misc';
 
@@ -197,7 +194,8 @@ router.get('/files', async (req, res) => {
 });
 
 /**
- * GET /api/file/:path - Get file info/URL
+ * GET /api/file/* - Get file info/URL
+ * The rest of the path is the storage key
  */
 router.get('/file/*', async (req, res) => {
   const filePath = req.params[0];
@@ -255,17 +253,9 @@ router.delete('/file', async (req, res) => {
 /**
  * POST /api/files/organize - Susan reorganizes files (move between categories)
  */
-router.post('/files/organize', async (req, res) => {
+router.post('/files/organize', validateBody('files.organize'), async (req, res) => {
   const { from_path, to_category, project_slug } = req.body;
 
-  if (!from_path || !to_category || !project_slug) {
-    return res.status(400).json({ error: 'from_path, to_category, and project_slug required' });
-  }
-
-  if (!CATEGORIES.includes(to_category)) {
-    return res.status(400).json({ error: `Invalid category. Use: ${CATEGORIES.join(', ')}` });
-  }
-
   try {
     const client = getClient();
 
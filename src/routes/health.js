@@ -6,6 +6,9 @@ const express = require('express');
 const router = express.Router();
 const config = require('../lib/config');
 
+/**
+ * GET /health - Liveness check, open without a token
+ */
 router.get('/health', (req, res) => {
   res.json({
     status: 'ok',
@@ -16,15 +19,19 @@ router.get('/health', (req, res) => {
 
 module.exports = router;
 
-// Manual trigger for Filing Clerk cycle
-const processor = require('../services/processor-v2');
+// Manual trigger for Filing Clerk cycle (same as POST /api/jobs/processor/run)
+const jobScheduler = require('../services/jobScheduler');
+const { actorFrom } = require('../services/revisionService');
 
+/**
+ * POST /trigger-cycle - Run the Filing Clerk cycle now
+ */
 router.post('/trigger-cycle', async (req, res) => {
   try {
     console.log('[Susan] Manual cycle triggered');
-    const stats = await processor.runCycle();
-    res.json({ success: true, stats });
+    const run = await jobScheduler.runJob('processor', { trigger: 'manual', actor: actorFrom(req) });
+    res.json({ success: run.status === 'succeeded', stats: run.stats, run });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
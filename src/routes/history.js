@@ -0,0 +1,114 @@
+/**
+ * Susan History Routes
+ * Revision history, diffs and restore for librarian items
+ *
+ * :type is one of knowledge, doc, note, todo, bug, decision
+ */
+
+const express = require('express');
+const router = express.Router();
+const revisionService = require('../services/revisionService');
+const { Logger } = require('../lib/logger');
+
+const logger = new Logger('Susan:History');
+
+function tableFor(req, res) {
+  const table = revisionService.REVISION_TYPES[req.params.type];
+  if (!table) {
+    res.status(404).json({
+      error: `Unknown type: ${req.params.type}`,
+      types: Object.keys(revisionService.REVISION_TYPES)
+    });
+  }
+  return table;
+}
+
+function parseRev(value) {
+  const rev = Number(value);
+  return Number.isInteger(rev) && rev > 0 ? rev : null;
+}
+
+/**
+ * GET /api/:type/:id/history - All revisions of an item, oldest first
+ */
+router.get('/:type/:id/history', async (req, res) => {
+  const table = tableFor(req, res);
+  if (!table) return;
+
+  try {
+    const revisions = await revisionService.getHistory(table, req.params.id);
+    res.json({
+      success: true,
+      type: req.params.type,
+      id: req.params.id,
+      revisions: revisions.map(r => ({
+        rev: r.rev,
+        action: r.action,
+        actor: r.actor,
+        changed_fields: r.changed_fields || [],
+        restored_from: r.restored_from,
+        created_at: r.created_at
+      }))
+    });
+  } catch (err) {
+    logger.error('History fetch failed', { type: req.params.type, id: req.params.id, error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/:type/:id/history/:rev/diff - What a revision changed
+ * ?against=N compares the item at :rev with the item at revision N instead
+ */
+router.get('/:type/:id/history/:rev/diff', async (req, res) => {
+  const table = tableFor(req, res);
+  if (!table) return;
+
+  const rev = parseRev(req.params.rev);
+  const against = req.query.against !== undefined ? parseRev(req.query.against) : null;
+  if (!rev || (req.query.against !== undefined && !against)) {
+    return res.status(400).json({ error: 'Revisions are positive integers' });
+  }
+
+  try {
+    const diff = await revisionService.diffRevision(table, req.params.id, rev, against);
+    res.json({ success: true, ...diff });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    logger.error('Diff failed', { type: req.params.type, id: req.params.id, rev, error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/:type/:id/history/:rev/restore - Restore an item to a revision
+ * Writes a new 'restore' revision; later revisions stay in the history
+ */
+router.post('/:type/:id/history/:rev/restore', async (req, res) => {
+  const table = tableFor(req, res);
+  if (!table) return;
+
+  const rev = parseRev(req.params.rev);
+  if (!rev) {
+    return res.status(400).json({ error: 'Revisions are positive integers' });
+  }
+
+  try {
+    const { record, revision } = await revisionService.restore(table, req.params.id, rev, {
+      actor: revisionService.actorFrom(req)
+    });
+
+    logger.info('Item restored', { type: req.params.type, id: req.params.id, from: rev, rev: revision?.rev });
+    res.json({ success: true, record, rev: revision?.rev ?? null, restored_from: rev });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    logger.error('Restore failed', { type: req.params.type, id: req.params.id, rev, error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -6,62 +6,74 @@
 
 const express = require('express');
 const cors = require('cors');
+const config = require('../lib/config');
+const { authenticate } = require('../lib/auth');
 
-const healthRoutes = require('./health');
-const contextRoutes = require('./context');
-const messageRoutes = require('./message');
-const knowledgeRoutes = require('./knowledge');
-const schemasRoutes = require('./schemas');
-const decisionsRoutes = require('./decisions');
-const chatRoutes = require('./chat');
-const docsRoutes = require('./docs');
-const todosRoutes = require('./todos');
-const structuresRoutes = require('./structures');
-const storageRoutes = require('./storage');
-const conflictsRoutes = require('./conflicts');
-const catalogRoutes = require('./catalog');
-const projectDataRoutes = require('./projectData');
-const bugsRoutes = require('./bugs');
-const notesRoutes = require('./notes');
-const tablesRoutes = require('./tables');
-const codeChangesRoutes = require('./codeChanges');
-const filesRoutes = require('./files');
-const bucketRoutes = require('./bucket-monitor');
-const projectsRoutes = require('./projects');
-const sessionsRoutes = require('./sessions');
-const ideasRoutes = require('./ideas');
-const teamChatRoutes = require('./teamChat');
-const pm2Routes = require('./pm2');
+const { assertNoConflicts, collectRoutes } = require('../lib/openapi');
+
+// [mount prefix, module] in mount order - order decides which of two
+// overlapping routes wins, and the startup check below refuses exact clashes
+const ROUTE_MODULES = [
+  ['/', 'health'],
+  ['/api', 'context'],
+  ['/api', 'message'],
+  ['/api', 'knowledge'],
+  ['/api', 'embeddings'],
+  ['/api', 'search'],
+  ['/api', 'schemas'],
+  ['/api', 'decisions'],
+  ['/api', 'chat'],
+  ['/api', 'docs'],
+  ['/api', 'todos'],
+  ['/api', 'structures'],
+  ['/api', 'storage'],
+  ['/api', 'conflicts'],
+  ['/api', 'merges'],
+  ['/api', 'catalog'],
+  ['/api', 'projectData'],
+  ['/api', 'bugs'],
+  ['/api', 'notes'],
+  ['/api', 'tables'],
+  ['/api', 'codeChanges'],
+  ['/api', 'files'],
+  ['/api', 'history'],
+  ['/api', 'events'],
+  ['/api', 'webhooks'],
+  ['/api', 'stats'],
+  ['/api', 'jobs'],
+  ['/api', 'staging'],
+  ['/api', 'routing'],
+  ['/api', 'tokens'],
+  ['/api', 'pm2'],
+  ['/api', 'openapi'],
+  ['/api/bucket', 'bucket-monitor'],
+  ['/api/projects', 'projects'],
+  ['/api/sessions', 'sessions'],
+  ['/api/ideas', 'ideas'],
+  ['/api/team-chat', 'teamChat']
+];
+
+const MOUNTS = ROUTE_MODULES.map(([prefix, name]) => ({
+  prefix,
+  name,
+  file: require.resolve(`./${name}`),
+  router: require(`./${name}`)
+}));
 
 const app = express();
-app.use(cors());
+// Any origin unless CORS_ORIGINS narrows it - tokens, not CORS, gate access
+app.use(cors((req, done) => done(null, { origin: config.CORS_ORIGINS.length ? config.CORS_ORIGINS : '*' })));
 app.use(express.json({ limit: '10mb' }));
 
+// Every request past here needs a token with the right scope (lib/auth.js)
+app.use(authenticate());
+
+// Uploaded files (disk storage buckets)
+app.use('/storage', express.static(config.STORAGE_DIR));
+
 // Mount routes
-app.use('/', healthRoutes);
-app.use('/api', contextRoutes);
-app.use('/api', messageRoutes);
-app.use('/api', knowledgeRoutes);
-app.use('/api', schemasRoutes);
-app.use('/api', decisionsRoutes);
-app.use('/api', chatRoutes);
-app.use('/api', docsRoutes);
-app.use('/api', todosRoutes);
-app.use('/api', structuresRoutes);
-app.use('/api', storageRoutes);
-app.use('/api', conflictsRoutes);
-app.use('/api', catalogRoutes);
-app.use('/api', projectDataRoutes);
-app.use('/api', bugsRoutes);
-app.use('/api', notesRoutes);
-app.use('/api', tablesRoutes);
-app.use('/api', codeChangesRoutes);
-app.use('/api', filesRoutes);
-app.use('/api/bucket', bucketRoutes);
-app.use('/api/projects', projectsRoutes);
-app.use('/api/sessions', sessionsRoutes);
-app.use('/api/ideas', ideasRoutes);
-app.use('/api/team-chat', teamChatRoutes);
-app.use('/api/pm2', pm2Routes);
+assertNoConflicts(collectRoutes(MOUNTS));
+MOUNTS.forEach(({ prefix, router }) => app.use(prefix, router));
+app.locals.routeMounts = MOUNTS;
 
 module.exports = app;
@@ -0,0 +1,92 @@
+/**
+ * Susan Jobs Routes
+ * Status, history and manual control of the background cycles
+ */
+
+const express = require('express');
+const router = express.Router();
+const jobScheduler = require('../services/jobScheduler');
+const { actorFrom } = require('../services/revisionService');
+const { Logger } = require('../lib/logger');
+const { validateBody } = require('../lib/requestSchemas');
+
+const logger = new Logger('Susan:Jobs');
+
+function sendError(res, err, action) {
+  if (err.status) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  logger.error(`${action} failed`, { error: err.message });
+  res.status(500).json({ error: err.message });
+}
+
+/**
+ * GET /api/jobs - Every job with schedule, next run, pause/lock state and last run
+ */
+router.get('/jobs', async (req, res) => {
+  try {
+    const jobs = await jobScheduler.listJobs();
+    res.json({ success: true, instance: jobScheduler.INSTANCE_ID, jobs });
+  } catch (err) {
+    sendError(res, err, 'List jobs');
+  }
+});
+
+/**
+ * GET /api/jobs/:name/runs - Run history, newest first
+ * Query: status (running | succeeded | failed | interrupted), limit
+ */
+router.get('/jobs/:name/runs', async (req, res) => {
+  const { status, limit = 50 } = req.query;
+
+  try {
+    const result = await jobScheduler.listRuns(req.params.name, {
+      status,
+      limit: Math.min(parseInt(limit) || 50, 500)
+    });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    sendError(res, err, 'List job runs');
+  }
+});
+
+/**
+ * POST /api/jobs/:name/run - Run a job now
+ * Body: { wait } - false answers 202 straight away with the running run
+ */
+router.post('/jobs/:name/run', validateBody('jobs.run'), async (req, res) => {
+  const wait = req.body?.wait !== false;
+
+  try {
+    const run = await jobScheduler.runJob(req.params.name, { trigger: 'manual', actor: actorFrom(req), wait });
+    res.status(wait ? 200 : 202).json({ success: run.status !== 'failed', run });
+  } catch (err) {
+    sendError(res, err, 'Run job');
+  }
+});
+
+/**
+ * POST /api/jobs/:name/pause - Stop scheduled runs (manual runs still work)
+ */
+router.post('/jobs/:name/pause', async (req, res) => {
+  try {
+    const job = await jobScheduler.pause(req.params.name, { actor: actorFrom(req) });
+    res.json({ success: true, job });
+  } catch (err) {
+    sendError(res, err, 'Pause job');
+  }
+});
+
+/**
+ * POST /api/jobs/:name/resume - Put a paused job back on its schedule
+ */
+router.post('/jobs/:name/resume', async (req, res) => {
+  try {
+    const job = await jobScheduler.resume(req.params.name, { actor: actorFrom(req) });
+    res.json({ success: true, job });
+  } catch (err) {
+    sendError(res, err, 'Resume job');
+  }
+});
+
+module.exports = router;
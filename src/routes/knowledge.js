@@ -9,23 +9,47 @@ const express = require('express');
 const router = express.Router();
 const { from } = require('../lib/db');
 const { Logger } = require('../lib/logger');
+const { validateBody } = require('../lib/requestSchemas');
+const embeddingService = require('../services/embeddingService');
+const revisionService = require('../services/revisionService');
 
 const logger = new Logger('Susan:Knowledge');
 
+const QUERY_MODES = ['keyword', 'semantic', 'hybrid'];
+
 /**
  * GET /api/query - Search knowledge base
+ * Query: q, project, category, limit, mode (keyword | semantic | hybrid)
+ * keyword searches dev_ai_knowledge titles/summaries; semantic and hybrid
+ * rank knowledge, docs, decisions and lessons by embedding similarity
  */
 router.get('/query', async (req, res) => {
-  const { q, project, category, limit = 10 } = req.query;
+  const { q, project, category, limit = 10, mode = 'keyword' } = req.query;
+
+  if (!QUERY_MODES.includes(mode)) {
+    return res.status(400).json({ error: `Invalid mode. Must be one of: ${QUERY_MODES.join(', ')}` });
+  }
 
   try {
+    if (mode !== 'keyword' && q) {
+      const results = await embeddingService.search(q, {
+        mode,
+        project,
+        category,
+        limit: parseInt(limit)
+      });
+      return res.json(results);
+    }
+
     let query = from('dev_ai_knowledge')
       .select('id, category, title, summary, tags, importance, created_at, project_id')
       .order('importance', { ascending: false })
       .limit(parseInt(limit));
 
     if (q) {
-      query = query.or(`title.ilike.%${q}%,summary.ilike.%${q}%`);
+      // Strip characters that would break the or() filter syntax
+      const term = q.replace(/[,()%]/g, ' ').trim();
+      query = query.or(`title.ilike.%${term}%,summary.ilike.%${term}%`);
     }
 
     if (project) {
@@ -55,13 +79,9 @@ router.get('/query', async (req, res) => {
 /**
  * POST /api/remember - Manually add knowledge
  */
-router.post('/remember', async (req, res) => {
+router.post('/remember', validateBody('remember'), async (req, res) => {
   const { category, title, summary, details, tags, projectPath, project, importance } = req.body;
 
-  if (!title) {
-    return res.status(400).json({ error: 'Title required' });
-  }
-
   try {
     let finalProjectId = null;
     const projectInput = (projectPath || project || '').trim().toLowerCase();
@@ -92,21 +112,21 @@ router.post('/remember', async (req, res) => {
       }
     }
 
-    const { data, error } = await from('dev_ai_knowledge')
-      .insert({
-        category: category || 'note',
-        title,
-        summary,
-        details,
-        tags: tags || [],
-        project_id: finalProjectId,
-        importance: importance || 5
-      })
-      .select('id')
-      .single();
+    const { data, error } = await revisionService.insert('dev_ai_knowledge', {
+      category: category || 'note',
+      title,
+      summary,
+      details,
+      tags: tags || [],
+      project_id: finalProjectId,
+      importance: importance || 5
+    }, { actor: revisionService.actorFrom(req) });
 
     if (error) throw error;
 
+    // Embed in the background - the backfill job picks it up if this fails
+    embeddingService.embedRecord('dev_ai_knowledge', data.id);
+
     logger.info('Knowledge remembered', { id: data.id, title, project: finalProjectId });
     res.json({ success: true, id: data.id, project: finalProjectId });
   } catch (err) {
@@ -141,9 +161,9 @@ router.get('/knowledge/:id', async (req, res) => {
  */
 router.delete('/knowledge/:id', async (req, res) => {
   try {
-    const { error } = await from('dev_ai_knowledge')
-      .delete()
-      .eq('id', req.params.id);
+    const { error } = await revisionService.remove('dev_ai_knowledge', req.params.id, {
+      actor: revisionService.actorFrom(req)
+    });
 
     if (error) throw error;
 
@@ -174,7 +194,9 @@ router.get('/categories', async (req, res) => {
 
 module.exports = router;
 
-// Category stats for Session Hub
+/**
+ * GET /api/knowledge/category-stats - Knowledge counts by category for Session Hub
+ */
 router.get('/knowledge/category-stats', async (req, res) => {
   try {
     // Get counts from new dev_knowledge table
@@ -211,7 +233,9 @@ router.get('/knowledge/category-stats', async (req, res) => {
   }
 });
 
-// Category stats - different path to avoid conflict
+/**
+ * GET /api/category-stats - Active knowledge counts by category, plus the review backlog
+ */
 router.get('/category-stats', async (req, res) => {
   try {
     const { data, error } = await from('dev_knowledge')
@@ -243,7 +267,9 @@ router.get('/category-stats', async (req, res) => {
   }
 });
 
-// GET /api/knowledge/queue-stats - Show pending extractions from Chad
+/**
+ * GET /api/queue-stats - Show pending extractions from Chad
+ */
 router.get('/queue-stats', async (req, res) => {
   try {
     // Get pending extractions count
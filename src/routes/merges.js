@@ -0,0 +1,91 @@
+/**
+ * Susan Merges Routes
+ * Review and undo consolidator merges
+ *
+ * Undoing a merge restores every source item and puts the pairs on the
+ * never-merge list so the next consolidation cycle leaves them apart
+ */
+
+const express = require('express');
+const router = express.Router();
+const mergeService = require('../services/mergeService');
+const { actorFrom } = require('../services/revisionService');
+const { Logger } = require('../lib/logger');
+
+const logger = new Logger('Susan:Merges');
+
+/**
+ * GET /api/merges - List merges, newest first
+ * Query: table, project, status (active | undone | all, default active), limit
+ */
+router.get('/merges', async (req, res) => {
+  const { table, project, status = 'active', limit = 50 } = req.query;
+
+  try {
+    const result = await mergeService.listMerges({
+      table,
+      project,
+      status: status === 'all' ? null : status,
+      limit: Math.min(parseInt(limit) || 50, 500)
+    });
+
+    res.json({
+      success: true,
+      total: result.total,
+      merges: result.merges.map(merge => ({
+        id: merge.id,
+        table: merge.table_name,
+        project_id: merge.project_id,
+        master_id: merge.master_id,
+        merged_title: merge.merged_title,
+        status: merge.status,
+        merged_by: merge.merged_by,
+        created_at: merge.created_at,
+        undone_by: merge.undone_by,
+        undone_at: merge.undone_at,
+        sources: (merge.originals || []).map(original => ({
+          id: original.id,
+          title: original.title,
+          status: original.status
+        }))
+      }))
+    });
+  } catch (err) {
+    logger.error('Merges fetch failed', { error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/merges/:id - One merge with the full original rows
+ */
+router.get('/merges/:id', async (req, res) => {
+  try {
+    const merge = await mergeService.getMerge(req.params.id);
+    res.json({ success: true, merge });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    logger.error('Merge fetch failed', { id: req.params.id, error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/merges/:id/undo - Restore the originals and block the pairs
+ */
+router.post('/merges/:id/undo', async (req, res) => {
+  try {
+    const result = await mergeService.undoMerge(req.params.id, { actor: actorFrom(req) });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    logger.error('Merge undo failed', { id: req.params.id, error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -10,6 +10,7 @@ const router = express.Router();
 const { from } = require('../lib/db');
 const { extractKnowledge, summarizeSession } = require('../lib/openai');
 const { Logger } = require('../lib/logger');
+const { validateBody } = require('../lib/requestSchemas');
 const config = require('../lib/config');
 
 const logger = new Logger('Susan:Message');
@@ -17,7 +18,7 @@ const logger = new Logger('Susan:Message');
 /**
  * POST /api/message - Receive message from Chad
  */
-router.post('/message', async (req, res) => {
+router.post('/message', validateBody('message'), async (req, res) => {
   const { sessionId, projectPath, message } = req.body;
 
   try {
@@ -37,7 +38,7 @@ router.post('/message', async (req, res) => {
 /**
  * POST /api/summarize - Summarize ended session
  */
-router.post('/summarize', async (req, res) => {
+router.post('/summarize', validateBody('summarize'), async (req, res) => {
   const { sessionId } = req.body;
 
   try {
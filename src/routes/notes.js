@@ -7,28 +7,31 @@ const express = require('express');
 const router = express.Router();
 const { from } = require('../lib/db');
 const { Logger } = require('../lib/logger');
+const { validateBody } = require('../lib/requestSchemas');
+const { listPage } = require('../lib/listQuery');
+const revisionService = require('../services/revisionService');
 
 const logger = new Logger('Susan:Notes');
 
+const NOTE_LIST = {
+  table: 'dev_ai_notes',
+  sortable: ['updated_at', 'created_at'],
+  defaultSort: 'updated_at',
+  filters: { project: 'project_id' }
+};
+
 /**
  * POST /api/note - Create a note
  */
-router.post('/note', async (req, res) => {
+router.post('/note', validateBody('note.create'), async (req, res) => {
   const { project_id, title, content } = req.body;
 
-  if (!title || !project_id) {
-    return res.status(400).json({ error: 'Title and project_id required' });
-  }
-
   try {
-    const { data, error } = await from('dev_ai_notes')
-      .insert({
-        project_id,
-        title,
-        content: content || ''
-      })
-      .select('id')
-      .single();
+    const { data, error } = await revisionService.insert('dev_ai_notes', {
+      project_id,
+      title,
+      content: content || ''
+    }, { actor: revisionService.actorFrom(req) });
 
     if (error) throw error;
 
@@ -42,25 +45,14 @@ router.post('/note', async (req, res) => {
 
 /**
  * GET /api/notes - Get notes for a project
+ * Query: project, created_after, created_before, limit, cursor, sort (updated_at | created_at), order
  */
 router.get('/notes', async (req, res) => {
-  const { project, limit = 50 } = req.query;
-
   try {
-    let query = from('dev_ai_notes')
-      .select('*')
-      .order('updated_at', { ascending: false })
-      .limit(parseInt(limit));
-
-    if (project) {
-      query = query.eq('project_id', project);
-    }
-
-    const { data, error } = await query;
-    if (error) throw error;
-
-    res.json({ success: true, notes: data || [] });
+    const page = await listPage(NOTE_LIST, req.query);
+    res.json({ success: true, ...page, notes: page.items });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     logger.error('Notes fetch failed', { error: err.message });
     res.status(500).json({ error: err.message });
   }
@@ -88,7 +80,7 @@ router.get('/note/:id', async (req, res) => {
 /**
  * PATCH /api/note/:id - Update note
  */
-router.patch('/note/:id', async (req, res) => {
+router.patch('/note/:id', validateBody('note.update'), async (req, res) => {
   const { title, content } = req.body;
 
   try {
@@ -97,9 +89,9 @@ router.patch('/note/:id', async (req, res) => {
     if (title !== undefined) updates.title = title;
     if (content !== undefined) updates.content = content;
 
-    const { error } = await from('dev_ai_notes')
-      .update(updates)
-      .eq('id', req.params.id);
+    const { error } = await revisionService.update('dev_ai_notes', req.params.id, updates, {
+      actor: revisionService.actorFrom(req)
+    });
 
     if (error) throw error;
 
@@ -116,9 +108,9 @@ router.patch('/note/:id', async (req, res) => {
  */
 router.delete('/note/:id', async (req, res) => {
   try {
-    const { error } = await from('dev_ai_notes')
-      .delete()
-      .eq('id', req.params.id);
+    const { error } = await revisionService.remove('dev_ai_notes', req.params.id, {
+      actor: revisionService.actorFrom(req)
+    });
 
     if (error) throw error;
 
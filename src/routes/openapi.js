@@ -0,0 +1,22 @@
+/**
+ * Susan OpenAPI Routes
+ * The API description, generated from the mounted route modules (lib/openapi.js)
+ */
+
+const express = require('express');
+const router = express.Router();
+const { buildSpec } = require('../lib/openapi');
+const { version } = require('../../package.json');
+
+let cached = null;
+
+/**
+ * GET /api/openapi.json - OpenAPI 3.1 document for every mounted route
+ */
+router.get('/openapi.json', (req, res) => {
+  // Routes don't change after startup - build once
+  if (!cached) cached = buildSpec(req.app.locals.routeMounts || [], { version });
+  res.json(cached);
+});
+
+module.exports = router;
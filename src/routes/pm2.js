@@ -1,114 +1,109 @@
 /**
  * PM2 Control Routes - Start/Stop/Restart AI Team services
  * Called by dashboard at 5500
+ *
+ * Only WORKER_MAP workers can be controlled (see services/processService).
+ * Control calls take dry_run: true to see what would happen first.
  */
 
 const express = require('express');
 const router = express.Router();
-const { exec } = require('child_process');
-const util = require('util');
-const execAsync = util.promisify(exec);
+const processService = require('../services/processService');
+const processManager = require('../lib/processManager');
+const { actorFrom } = require('../services/revisionService');
+const { Logger } = require('../lib/logger');
+const { validateBody } = require('../lib/requestSchemas');
 
-// Map worker names to PM2 process names
-const WORKER_MAP = {
-  'chad': 'chad-5401',
-  'jen': 'ai-jen-5402',
-  'susan': 'susan-5403',
-  'clair': 'clair-5404',
-  'mike': 'mike-5405',
-  'tiffany': 'tiffany-5406',
-  'ryan': 'ryan-5407',
-  'terminal': 'terminal-server-5400',
-  'transcripts': 'transcripts-9500'
-};
+const logger = new Logger('Susan:PM2');
+
+function sendError(res, err, action) {
+  if (err.status) {
+    return res.status(err.status).json({ success: false, error: err.message });
+  }
+  logger.error(`${action} failed`, { error: err.message });
+  res.status(500).json({ success: false, error: err.message });
+}
+
+function controlRoute(action) {
+  return async (req, res) => {
+    const { name, dry_run: dryRun = false } = req.body || {};
+
+    try {
+      const result = await processService.control(action, name, { dryRun: dryRun === true, actor: actorFrom(req) });
+      res.json({ success: true, name: result.before.process, ...result });
+    } catch (err) {
+      sendError(res, err, `PM2 ${action}`);
+    }
+  };
+}
 
 /**
  * POST /api/pm2/start - Start a service
+ * Body: { name (worker or its pm2 name), dry_run }
  */
-router.post('/start', async (req, res) => {
-  const { name } = req.body;
-  const pm2Name = WORKER_MAP[name] || name;
-  
-  try {
-    const { stdout } = await execAsync(`pm2 start ${pm2Name}`);
-    console.log(`[PM2] Started ${pm2Name}`);
-    res.json({ success: true, action: 'start', name: pm2Name, output: stdout });
-  } catch (err) {
-    console.error(`[PM2] Start failed for ${pm2Name}:`, err.message);
-    res.status(500).json({ success: false, error: err.message });
-  }
-});
+router.post('/pm2/start', validateBody('pm2.start'), controlRoute('start'));
 
 /**
  * POST /api/pm2/stop - Stop a service
+ * Body: { name, dry_run }
  */
-router.post('/stop', async (req, res) => {
-  const { name } = req.body;
-  const pm2Name = WORKER_MAP[name] || name;
-  
+router.post('/pm2/stop', validateBody('pm2.stop'), controlRoute('stop'));
+
+/**
+ * POST /api/pm2/restart - Restart a service
+ * Body: { name, dry_run }
+ */
+router.post('/pm2/restart', validateBody('pm2.restart'), controlRoute('restart'));
+
+/**
+ * GET /api/pm2/status - Status of all AI team services (uptime, restarts, memory, CPU)
+ */
+router.get('/pm2/status', async (req, res) => {
   try {
-    const { stdout } = await execAsync(`pm2 stop ${pm2Name}`);
-    console.log(`[PM2] Stopped ${pm2Name}`);
-    res.json({ success: true, action: 'stop', name: pm2Name, output: stdout });
+    const processes = await processService.status();
+    res.json({ success: true, manager: processManager.kind(), processes });
   } catch (err) {
-    console.error(`[PM2] Stop failed for ${pm2Name}:`, err.message);
-    res.status(500).json({ success: false, error: err.message });
+    sendError(res, err, 'PM2 status');
   }
 });
 
 /**
- * POST /api/pm2/restart - Restart a service
+ * GET /api/pm2/status/:name - Status of one service
  */
-router.post('/restart', async (req, res) => {
-  const { name } = req.body;
-  const pm2Name = WORKER_MAP[name] || name;
-  
+router.get('/pm2/status/:name', async (req, res) => {
   try {
-    const { stdout } = await execAsync(`pm2 restart ${pm2Name}`);
-    console.log(`[PM2] Restarted ${pm2Name}`);
-    res.json({ success: true, action: 'restart', name: pm2Name, output: stdout });
+    const proc = await processService.describeWorker(req.params.name);
+    res.json({ success: true, process: proc });
   } catch (err) {
-    console.error(`[PM2] Restart failed for ${pm2Name}:`, err.message);
-    res.status(500).json({ success: false, error: err.message });
+    sendError(res, err, 'PM2 status');
   }
 });
 
 /**
- * GET /api/pm2/status - Get status of all AI team services
+ * GET /api/pm2/logs/:name - Tail a service's pm2 logs
+ * Query: lines (default 100), stream (out | err | both)
  */
-router.get('/status', async (req, res) => {
+router.get('/pm2/logs/:name', async (req, res) => {
+  const { lines, stream } = req.query;
+
   try {
-    const { stdout } = await execAsync('pm2 jlist');
-    const processes = JSON.parse(stdout);
-    
-    const aiTeam = processes
-      .filter(p => Object.values(WORKER_MAP).includes(p.name))
-      .map(p => ({
-        name: p.name,
-        status: p.pm2_env.status,
-        cpu: p.monit?.cpu || 0,
-        memory: p.monit?.memory || 0,
-        uptime: p.pm2_env.pm_uptime,
-        restarts: p.pm2_env.restart_time
-      }));
-    
-    res.json({ success: true, processes: aiTeam });
+    const tail = await processService.logs(req.params.name, { lines, stream });
+    res.json({ success: true, ...tail });
   } catch (err) {
-    console.error('[PM2] Status failed:', err.message);
-    res.status(500).json({ success: false, error: err.message });
+    sendError(res, err, 'PM2 logs');
   }
 });
 
 /**
- * GET /api/pm2/list - Get all PM2 processes
+ * GET /api/pm2/list - Every process the process manager knows, marked with its worker if allow-listed
  */
-router.get('/list', async (req, res) => {
+router.get('/pm2/list', async (req, res) => {
   try {
-    const { stdout } = await execAsync('pm2 jlist');
-    const processes = JSON.parse(stdout);
+    const workers = Object.fromEntries(Object.entries(processService.WORKER_MAP).map(([worker, name]) => [name, worker]));
+    const processes = (await processManager.list()).map(({ logs, ...proc }) => ({ ...proc, worker: workers[proc.name] || null }));
     res.json({ success: true, processes });
   } catch (err) {
-    res.status(500).json({ success: false, error: err.message });
+    sendError(res, err, 'PM2 list');
   }
 });
 
@@ -11,6 +11,7 @@ const fs = require('fs').promises;
 const path = require('path');
 const projectOrganizer = require('../services/projectOrganizer');
 const { Logger } = require('../lib/logger');
+const { validateBody } = require('../lib/requestSchemas');
 
 const logger = new Logger('Susan:Projects');
 const BASE_PATH = '/var/www/Studio';
@@ -29,13 +30,9 @@ router.get('/', async (req, res) => {
  * POST /api/projects/subfolder - Create subfolder within existing project
  * Used for planning new addons, concepts, features within a project
  */
-router.post('/subfolder', async (req, res) => {
+router.post('/subfolder', validateBody('projects.subfolder'), async (req, res) => {
   const { projectPath, subfolderPath, description, type = 'planning' } = req.body;
 
-  if (!projectPath || !subfolderPath) {
-    return res.status(400).json({ error: 'projectPath and subfolderPath required' });
-  }
-
   // Verify project exists
   if (!projectOrganizer.knownProjects.has(projectPath)) {
     return res.status(400).json({ error: `Project ${projectPath} does not exist. New projects must be created by a person.` });
@@ -0,0 +1,122 @@
+/**
+ * Susan Routing Routes
+ * Bucket -> table rules for the extraction sorter, the unrouted inbox and dry runs
+ */
+
+const express = require('express');
+const router = express.Router();
+const routingService = require('../services/routingService');
+const { actorFrom } = require('../services/revisionService');
+const { Logger } = require('../lib/logger');
+const { validateBody } = require('../lib/requestSchemas');
+
+const logger = new Logger('Susan:Routing');
+
+function sendError(res, err, action) {
+  if (err.status) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  logger.error(`${action} failed`, { error: err.message });
+  res.status(500).json({ error: err.message });
+}
+
+/**
+ * GET /api/routing/rules - Routing rules (stored ones and the built-in defaults)
+ * Query: bucket, project_id (that project's rules plus the global ones)
+ */
+router.get('/routing/rules', async (req, res) => {
+  const { bucket, project_id } = req.query;
+
+  try {
+    const rules = await routingService.listRules({ bucket, project: project_id });
+    res.json({ rules, count: rules.length });
+  } catch (err) {
+    sendError(res, err, 'List routing rules');
+  }
+});
+
+/**
+ * POST /api/routing/rules - Add a rule; unrouted items for the bucket are requeued
+ * Body: { bucket, target_table, status, project_id, field_map, enabled, description }
+ */
+router.post('/routing/rules', validateBody('routing.rules.create'), async (req, res) => {
+  try {
+    const result = await routingService.createRule(req.body || {}, { actor: actorFrom(req) });
+    res.status(201).json(result);
+  } catch (err) {
+    sendError(res, err, 'Create routing rule');
+  }
+});
+
+/**
+ * PATCH /api/routing/rules/:id - Change a stored rule
+ */
+router.patch('/routing/rules/:id', validateBody('routing.rules.update'), async (req, res) => {
+  try {
+    const result = await routingService.updateRule(req.params.id, req.body || {});
+    res.json(result);
+  } catch (err) {
+    sendError(res, err, 'Update routing rule');
+  }
+});
+
+/**
+ * DELETE /api/routing/rules/:id - Remove a stored rule (a replaced default applies again)
+ */
+router.delete('/routing/rules/:id', async (req, res) => {
+  try {
+    await routingService.deleteRule(req.params.id);
+    res.json({ deleted: req.params.id });
+  } catch (err) {
+    sendError(res, err, 'Delete routing rule');
+  }
+});
+
+/**
+ * POST /api/routing/dry-run - Where an item would land, and the row it would become
+ * Body: { item: { bucket, title, content, project_id, ... } } or { staging_id }
+ */
+router.post('/routing/dry-run', validateBody('routing.dry-run'), async (req, res) => {
+  try {
+    const result = await routingService.dryRun(req.body || {});
+    res.json(result);
+  } catch (err) {
+    sendError(res, err, 'Routing dry run');
+  }
+});
+
+/**
+ * GET /api/routing/unrouted - Staged items whose bucket has no rule
+ * Query: bucket, project_id, limit
+ */
+router.get('/routing/unrouted', async (req, res) => {
+  const { bucket, project_id, limit = 100 } = req.query;
+
+  try {
+    const result = await routingService.listUnrouted({
+      bucket,
+      project: project_id,
+      limit: Math.min(parseInt(limit) || 100, 1000)
+    });
+    res.json(result);
+  } catch (err) {
+    sendError(res, err, 'List unrouted items');
+  }
+});
+
+/**
+ * POST /api/routing/unrouted/requeue - Send unrouted items back to the sorter
+ * Body: { bucket, project_id } - both optional
+ */
+router.post('/routing/unrouted/requeue', validateBody('routing.unrouted.requeue'), async (req, res) => {
+  const { bucket, project_id } = req.body || {};
+
+  try {
+    const result = await routingService.requeueUnrouted({ bucket, project: project_id });
+    res.json(result);
+  } catch (err) {
+    sendError(res, err, 'Requeue unrouted items');
+  }
+});
+
+module.exports = router;
@@ -7,19 +7,16 @@ const express = require('express');
 const router = express.Router();
 const { from } = require('../lib/db');
 const { Logger } = require('../lib/logger');
+const { validateBody, describeSchemas } = require('../lib/requestSchemas');
 
 const logger = new Logger('Susan:Schemas');
 
 /**
  * POST /api/schema - Store/update table schema
  */
-router.post('/schema', async (req, res) => {
+router.post('/schema', validateBody('schema.store'), async (req, res) => {
   const { databaseName, tableName, schema, description } = req.body;
 
-  if (!databaseName || !tableName) {
-    return res.status(400).json({ error: 'Database name and table name required' });
-  }
-
   try {
     const { error } = await from('dev_ai_schemas')
       .upsert({
@@ -68,6 +65,23 @@ router.get('/schemas', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/schemas/requests - JSON Schemas for the write routes' request bodies
+ * Query: id (one schema)
+ */
+router.get('/schemas/requests', (req, res) => {
+  const schemas = describeSchemas();
+  if (!req.query.id) {
+    return res.json({ schemas, count: schemas.length });
+  }
+
+  const match = schemas.find(entry => entry.id === req.query.id);
+  if (!match) {
+    return res.status(404).json({ error: `No request schema "${req.query.id}"` });
+  }
+  res.json(match);
+});
+
 /**
  * GET /api/schema/:database/:table - Get specific schema
  */
@@ -0,0 +1,60 @@
+/**
+ * Susan Search Routes
+ * One endpoint across todos, bugs, notes, docs, decisions, code changes and knowledge
+ */
+
+const express = require('express');
+const router = express.Router();
+const searchService = require('../services/searchService');
+const { Logger } = require('../lib/logger');
+
+const logger = new Logger('Susan:SearchRoutes');
+
+// "a,b" or repeated ?x=a&x=b -> ['a', 'b']
+function parseList(value) {
+  if (!value) return [];
+  const values = Array.isArray(value) ? value : [value];
+  return values.flatMap(v => String(v).split(',')).map(v => v.trim()).filter(Boolean);
+}
+
+function isValidDate(value) {
+  return !isNaN(new Date(value).getTime());
+}
+
+/**
+ * GET /api/search - Search every librarian table at once
+ * Query: q, type (todo,bug,note,doc,decision,code_change,knowledge), project,
+ *        status, created_after, created_before, limit, cursor
+ */
+router.get('/search', async (req, res) => {
+  const { q, created_after, created_before, limit, cursor } = req.query;
+
+  for (const [name, value] of [['created_after', created_after], ['created_before', created_before]]) {
+    if (value && !isValidDate(value)) {
+      return res.status(400).json({ error: `${name} must be a date` });
+    }
+  }
+
+  try {
+    const result = await searchService.search({
+      q,
+      types: parseList(req.query.type),
+      projects: parseList(req.query.project),
+      statuses: parseList(req.query.status),
+      createdAfter: created_after ? new Date(created_after).toISOString() : null,
+      createdBefore: created_before ? new Date(created_before).toISOString() : null,
+      limit,
+      cursor
+    });
+
+    res.json({ success: true, ...result });
+  } catch (err) {
+    if (err.status === 400) {
+      return res.status(400).json({ error: err.message });
+    }
+    logger.error('Search failed', { error: err.message, q });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const { from } = require('../lib/db');
+const { validateBody } = require('../lib/requestSchemas');
 
 /**
- * GET /api/sessions
- * Returns recent session logs with full content for briefing
+ * GET /api/sessions - Returns recent session logs with full content for briefing
  */
 router.get('/', async (req, res) => {
   try {
@@ -25,17 +25,12 @@ router.get('/', async (req, res) => {
 });
 
 /**
- * POST /api/sessions
- * Log a new session for memory persistence
+ * POST /api/sessions - Log a new session for memory persistence
  */
-router.post('/', async (req, res) => {
+router.post('/', validateBody('sessions.log'), async (req, res) => {
   try {
     const { project, summary, messages } = req.body;
     
-    if (!summary) {
-      return res.status(400).json({ success: false, error: 'Summary required' });
-    }
-    
     const sessionData = {
       project_id: project || 'unknown',
       summary: summary,
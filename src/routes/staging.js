@@ -0,0 +1,173 @@
+/**
+ * Susan Staging Routes
+ * Failed extraction-sorter items: inspect by cause, requeue or discard
+ * Low-confidence items: review inbox (accept, reject, merge)
+ */
+
+const express = require('express');
+const router = express.Router();
+const stagingErrorService = require('../services/stagingErrorService');
+const stagingReviewService = require('../services/stagingReviewService');
+const { actorFrom } = require('../services/revisionService');
+const { Logger } = require('../lib/logger');
+const { validateBody } = require('../lib/requestSchemas');
+
+const logger = new Logger('Susan:Staging');
+
+function sendError(res, err, action) {
+  if (err.status) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  logger.error(`${action} failed`, { error: err.message });
+  res.status(500).json({ error: err.message });
+}
+
+/**
+ * GET /api/staging/errors - Failed items grouped by cause, largest group first
+ * Query: status (retry | error), stage, table, bucket, project
+ */
+router.get('/staging/errors', async (req, res) => {
+  const { status, stage, table, bucket, project } = req.query;
+
+  if (status && !['retry', 'error'].includes(status)) {
+    return res.status(400).json({ error: 'status must be retry or error' });
+  }
+
+  try {
+    const result = await stagingErrorService.listErrors({ status, stage, table, bucket, project });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    sendError(res, err, 'List staging errors');
+  }
+});
+
+/**
+ * POST /api/staging/errors/requeue - Send failed items back to the sorter
+ * Body: { ids } | { cause } | { status, stage, table, bucket, project }
+ */
+router.post('/staging/errors/requeue', validateBody('staging.errors.requeue'), async (req, res) => {
+  try {
+    const result = await stagingErrorService.requeue(req.body || {}, { actor: actorFrom(req) });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    sendError(res, err, 'Requeue staging items');
+  }
+});
+
+/**
+ * POST /api/staging/errors/discard - Dismiss failed items (kept as 'discarded')
+ * Body: same selection as requeue, plus optional reason
+ */
+router.post('/staging/errors/discard', validateBody('staging.errors.discard'), async (req, res) => {
+  const { reason, ...selection } = req.body || {};
+
+  try {
+    const result = await stagingErrorService.discard(selection, { actor: actorFrom(req), reason });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    sendError(res, err, 'Discard staging items');
+  }
+});
+
+/**
+ * POST /api/staging/errors/:id/requeue - Requeue one failed item
+ */
+router.post('/staging/errors/:id/requeue', async (req, res) => {
+  try {
+    const result = await stagingErrorService.requeueOne(req.params.id, { actor: actorFrom(req) });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    sendError(res, err, 'Requeue staging item');
+  }
+});
+
+/**
+ * POST /api/staging/errors/:id/discard - Discard one failed item
+ * Body: { reason }
+ */
+router.post('/staging/errors/:id/discard', validateBody('staging.error.discard'), async (req, res) => {
+  try {
+    const result = await stagingErrorService.discardOne(req.params.id, {
+      actor: actorFrom(req),
+      reason: req.body?.reason || null
+    });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    sendError(res, err, 'Discard staging item');
+  }
+});
+
+/**
+ * GET /api/staging/review - Items waiting for review, least confident first
+ * Query: bucket, project, limit
+ */
+router.get('/staging/review', async (req, res) => {
+  const { bucket, project, limit = 50 } = req.query;
+
+  try {
+    const result = await stagingReviewService.listReview({
+      bucket,
+      project,
+      limit: Math.min(parseInt(limit) || 50, 500)
+    });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    sendError(res, err, 'List review inbox');
+  }
+});
+
+/**
+ * GET /api/staging/review/signals - Review decisions per bucket (training signal for routing)
+ * Query: bucket, project, since (ISO date)
+ */
+router.get('/staging/review/signals', async (req, res) => {
+  const { bucket, project, since } = req.query;
+
+  try {
+    const result = await stagingReviewService.signals({ bucket, project, since });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    sendError(res, err, 'Review signals');
+  }
+});
+
+/**
+ * POST /api/staging/review/:id/accept - Accept and route now
+ * Body: { bucket, project_id, fields: { title, content, priority, hash } } - all optional
+ */
+router.post('/staging/review/:id/accept', validateBody('staging.review.accept'), async (req, res) => {
+  try {
+    const result = await stagingReviewService.accept(req.params.id, req.body || {}, { actor: actorFrom(req) });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    sendError(res, err, 'Accept staging item');
+  }
+});
+
+/**
+ * POST /api/staging/review/:id/reject - Reject; the item is never routed
+ * Body: { reason }
+ */
+router.post('/staging/review/:id/reject', validateBody('staging.review.reject'), async (req, res) => {
+  try {
+    const result = await stagingReviewService.reject(req.params.id, req.body || {}, { actor: actorFrom(req) });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    sendError(res, err, 'Reject staging item');
+  }
+});
+
+/**
+ * POST /api/staging/review/:id/merge - Merge into an existing row it duplicates
+ * Body: { target_id, table } - table defaults to where the bucket routes
+ */
+router.post('/staging/review/:id/merge', validateBody('staging.review.merge'), async (req, res) => {
+  try {
+    const result = await stagingReviewService.merge(req.params.id, req.body || {}, { actor: actorFrom(req) });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    sendError(res, err, 'Merge staging item');
+  }
+});
+
+module.exports = router;
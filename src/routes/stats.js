@@ -0,0 +1,50 @@
+/**
+ * Susan Stats Routes
+ * Trend series from the daily snapshots (burn-down, open bugs per day)
+ */
+
+const express = require('express');
+const router = express.Router();
+const statsService = require('../services/statsService');
+const { Logger } = require('../lib/logger');
+const { validateBody } = require('../lib/requestSchemas');
+
+const logger = new Logger('Susan:Stats');
+
+/**
+ * GET /api/stats/trends - Time series for todos or bugs
+ * Query: entity (todos | bugs), project, interval (day | week, default day), days (default 30)
+ * Points: { date, open, total, created, closed } - all projects summed when project is omitted
+ */
+router.get('/stats/trends', async (req, res) => {
+  const { entity, project, interval = 'day', days = 30 } = req.query;
+
+  try {
+    const series = await statsService.trend({ entity, project: project || null, interval, days });
+    res.json({ success: true, ...series });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    logger.error('Stats trend failed', { error: err.message, entity });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/stats/snapshot - Take (or retake) a day's snapshot now
+ * Body: { date } - YYYY-MM-DD, default yesterday
+ */
+router.post('/stats/snapshot', validateBody('stats.snapshot'), async (req, res) => {
+  const { date } = req.body || {};
+
+  try {
+    const result = await statsService.takeSnapshot(date ? { date: new Date(`${date}T00:00:00.000Z`) } : {});
+    res.json({ success: true, ...result });
+  } catch (err) {
+    logger.error('Stats snapshot failed', { error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
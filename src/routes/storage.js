@@ -3,30 +3,95 @@
  * Monitor storage usage and flag stale data for dev approval
  *
  * IMPORTANT: Susan can ADD and EDIT but NEVER DELETES without explicit dev approval
+ * Approved purges go to the trash first and stay restorable for TRASH_GRACE_DAYS
  */
 
 const express = require('express');
 const router = express.Router();
 const { from, storage } = require('../lib/db');
 const { Logger } = require('../lib/logger');
+const { validateBody } = require('../lib/requestSchemas');
+const eventBus = require('../services/eventBus');
+const trashService = require('../services/trashService');
+const purgePreview = require('../services/purgePreview');
+const retentionService = require('../services/retentionService');
+const purgeScheduler = require('../services/purgeScheduler');
+const { actorFrom, approverFrom } = require('../services/revisionService');
 
 const logger = new Logger('Susan:Storage');
 
-// Default retention periods (in days)
-const RETENTION = {
-  sessions: 30,      // Keep sessions for 30 days
-  messages: 30,      // Keep messages for 30 days
-  knowledge: 90,     // Keep knowledge for 90 days
-  decisions: 180,    // Keep decisions for 180 days
-  docs: 365,         // Keep docs for 1 year
-  todos: 90,         // Keep completed todos for 90 days
-  structures: 365    // Keep structures for 1 year
-};
+/**
+ * Take a pending purge request for one decision ('approving' or 'rejected')
+ * Conditional on status so two concurrent approvals can't both run it
+ * @returns {Promise<boolean>} false if it was no longer pending
+ */
+async function claimPurgeRequest(id, updates) {
+  const { data, error } = await from('dev_ai_purge_requests')
+    .update(updates)
+    .eq('id', id)
+    .eq('status', 'pending')
+    .select('id');
+  if (error) throw new Error(error.message);
+  return data.length > 0;
+}
+
+// Hand a claimed request back when the purge couldn't run
+async function releasePurgeRequest(id) {
+  const { error } = await from('dev_ai_purge_requests')
+    .update({ status: 'pending' })
+    .eq('id', id)
+    .eq('status', 'approving');
+  if (error) logger.error('Could not put purge request back to pending', { id, error: error.message });
+}
+
+/**
+ * Trash a claimed request's rows and mark it approved
+ * The claim is released if the rows couldn't be moved
+ */
+async function executePurge(request, preview, dev_id) {
+  let trash;
+  try {
+    trash = await trashService.trashRows(request.table_name, request.record_ids, {
+      purgeRequestId: request.id,
+      actor: dev_id
+    });
+  } catch (err) {
+    await releasePurgeRequest(request.id);
+    throw err;
+  }
+
+  await from('dev_ai_purge_requests')
+    .update({
+      status: 'approved',
+      reviewed_by: dev_id,
+      reviewed_at: new Date().toISOString(),
+      executed_at: new Date().toISOString(),
+      estimated_bytes: preview.estimatedBytes,
+      orphan_count: preview.orphanCount,
+      cascade_count: preview.cascadeCount,
+      forced: preview.verdict === 'block'
+    })
+    .eq('id', request.id);
+
+  eventBus.emit('purge.approved', {
+    id: request.id,
+    project_id: request.project_id,
+    table: request.table_name,
+    deleted: request.record_count,
+    approved_by: dev_id
+  }, { source: 'storage' });
+
+  return trash;
+}
 
 /**
  * GET /api/storage/stats - Get storage statistics
+ * Stale counts come from the retention policies (see /api/storage/retention)
+ * Query: project_id - apply that project's policies and count only its rows
  */
 router.get('/storage/stats', async (req, res) => {
+  const { project_id } = req.query;
+
   try {
     const stats = {
       tables: {},
@@ -35,59 +100,54 @@ router.get('/storage/stats', async (req, res) => {
       pendingApprovals: []
     };
 
-    // Get counts for each table
-    const tables = [
-      { name: 'dev_ai_sessions', retention: RETENTION.sessions },
-      { name: 'dev_ai_messages', retention: RETENTION.messages },
-      { name: 'dev_ai_knowledge', retention: RETENTION.knowledge },
-      { name: 'dev_ai_decisions', retention: RETENTION.decisions },
-      { name: 'dev_ai_schemas', retention: null }, // Don't auto-purge schemas
-      { name: 'dev_ai_docs', retention: RETENTION.docs },
-      { name: 'dev_ai_todos', retention: RETENTION.todos },
-      { name: 'dev_ai_structures', retention: RETENTION.structures }
-    ];
-
-    for (const table of tables) {
-      try {
-        // Total count
-        const { count: totalCount } = await from(table.name)
-          .select('*', { count: 'exact', head: true });
+    const policies = await retentionService.loadPolicies();
+    const tables = [...new Set(policies.filter(p => p.action === 'purge').map(p => p.table_name))];
 
-        // Stale count (older than retention period)
-        let staleCount = 0;
-        if (table.retention) {
-          const cutoffDate = new Date();
-          cutoffDate.setDate(cutoffDate.getDate() - table.retention);
-
-          const { count } = await from(table.name)
-            .select('*', { count: 'exact', head: true })
-            .lt('created_at', cutoffDate.toISOString());
+    // Tables are counted concurrently - one round trip's latency instead of one per query
+    const counted = await Promise.all(tables.map(async (table) => {
+      try {
+        let totalQuery = from(table).select('*', { count: 'exact', head: true });
+        if (project_id) totalQuery = totalQuery.eq('project_id', project_id);
 
-          staleCount = count || 0;
-        }
+        const [{ count: totalCount, error }, { stale, rules }] = await Promise.all([
+          totalQuery,
+          retentionService.countStale(table, { project: project_id, policies })
+        ]);
+        if (error) throw error;
 
-        stats.tables[table.name] = {
-          total: totalCount || 0,
-          stale: staleCount,
-          retentionDays: table.retention
-        };
-
-        stats.totals.rows += totalCount || 0;
-        stats.totals.stale += staleCount;
-
-        // Add recommendation if stale data exists
-        if (staleCount > 0) {
-          stats.recommendations.push({
-            table: table.name,
-            action: 'flag_for_purge',
-            count: staleCount,
-            reason: `${staleCount} records older than ${table.retention} days`,
-            requiresApproval: true
-          });
-        }
+        return { table, total: totalCount || 0, stale, rules };
       } catch (err) {
         // Table might not exist yet
-        stats.tables[table.name] = { total: 0, stale: 0, error: err.message };
+        return { table, error: err.message };
+      }
+    }));
+
+    for (const { table, total, stale: staleCount, rules, error } of counted) {
+      if (error) {
+        stats.tables[table] = { total: 0, stale: 0, error };
+        continue;
+      }
+
+      const catchAll = rules.find(rule => rule.status === null && rule.project_id === (project_id || null));
+      stats.tables[table] = {
+        total,
+        stale: staleCount,
+        retentionDays: catchAll ? catchAll.keep_days : null,
+        rules
+      };
+
+      stats.totals.rows += total;
+      stats.totals.stale += staleCount;
+
+      // Add recommendation if stale data exists
+      if (staleCount > 0) {
+        stats.recommendations.push({
+          table,
+          action: 'flag_for_purge',
+          count: staleCount,
+          reason: rules.filter(rule => rule.count > 0).map(rule => `${rule.count} ${rule.description}`).join('; '),
+          requiresApproval: true
+        });
       }
     }
 
@@ -124,62 +184,18 @@ router.get('/storage/stats', async (req, res) => {
  * POST /api/storage/flag-for-purge - Flag stale data for dev approval (does NOT delete)
  * Susan uses this to recommend cleanup - dev must approve
  */
-router.post('/storage/flag-for-purge', async (req, res) => {
+router.post('/storage/flag-for-purge', validateBody('storage.flag-for-purge'), async (req, res) => {
   const { tables, project_id, reason } = req.body;
 
   try {
-    const flaggedItems = [];
-    const tablesToFlag = tables || ['dev_ai_sessions', 'dev_ai_messages', 'dev_ai_knowledge'];
-
-    for (const tableName of tablesToFlag) {
-      const retention = RETENTION[tableName.replace('dev_ai_', '')] || 30;
-      const cutoffDate = new Date();
-      cutoffDate.setDate(cutoffDate.getDate() - retention);
-
-      // Get stale records (but don't delete!)
-      const { data: staleRecords, count } = await from(tableName)
-        .select('id, created_at', { count: 'exact' })
-        .lt('created_at', cutoffDate.toISOString())
-        .limit(1000);
-
-      if (staleRecords && staleRecords.length > 0) {
-        // Create a purge request for dev approval
-        const { data: request, error } = await from('dev_ai_purge_requests')
-          .insert({
-            table_name: tableName,
-            record_count: count || staleRecords.length,
-            record_ids: staleRecords.map(r => r.id),
-            cutoff_date: cutoffDate.toISOString(),
-            reason: reason || `Records older than ${retention} days`,
-            project_id: project_id || null,
-            status: 'pending',
-            flagged_by: 'susan',
-            created_at: new Date().toISOString()
-          })
-          .select()
-          .single();
-
-        if (error) throw error;
-
-        flaggedItems.push({
-          table: tableName,
-          count: count || staleRecords.length,
-          requestId: request.id,
-          status: 'pending_approval'
-        });
-
-        logger.info('Flagged stale data for approval', {
-          table: tableName,
-          count: count || staleRecords.length,
-          requestId: request.id
-        });
-      }
-    }
+    // Stale records per the retention policies, minus any already awaiting approval (nothing is deleted)
+    const result = await purgeScheduler.flagStale({ tables, project: project_id || null, reason });
 
     res.json({
       message: 'Items flagged for purge - awaiting dev approval',
-      flagged: flaggedItems,
-      totalFlagged: flaggedItems.reduce((sum, item) => sum + item.count, 0),
+      flagged: result.flagged,
+      totalFlagged: result.totalFlagged,
+      alreadyPending: result.alreadyPending,
       nextStep: 'Dev must call POST /api/storage/approve-purge with request IDs'
     });
   } catch (err) {
@@ -188,6 +204,20 @@ router.post('/storage/flag-for-purge', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/storage/purge-digest - Send the awaiting-approval digest now
+ * Body: { force } - send even if one already went out this period
+ */
+router.post('/storage/purge-digest', async (req, res) => {
+  try {
+    const digest = await purgeScheduler.sendDigest({ force: Boolean(req.body?.force) });
+    res.json(digest);
+  } catch (err) {
+    logger.error('Purge digest failed', { error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
 /**
  * GET /api/storage/pending-purges - Get all pending purge requests
  */
@@ -221,18 +251,43 @@ router.get('/storage/pending-purges', async (req, res) => {
 });
 
 /**
- * POST /api/storage/approve-purge - Dev approves purge request (ONLY endpoint that can delete)
- * Requires explicit dev_id to track who approved
+ * GET /api/storage/purge-requests/:id/preview - Dry run of a purge request
+ * Sample rows, references that would dangle or cascade, estimated bytes freed
  */
-router.post('/storage/approve-purge', async (req, res) => {
-  const { request_id, dev_id, approve = true } = req.body;
+router.get('/storage/purge-requests/:id/preview', async (req, res) => {
+  try {
+    const { data: request, error: fetchError } = await from('dev_ai_purge_requests')
+      .select('*')
+      .eq('id', req.params.id)
+      .maybeSingle();
 
-  if (!request_id) {
-    return res.status(400).json({ error: 'request_id is required' });
+    if (fetchError) throw fetchError;
+    if (!request) {
+      return res.status(404).json({ error: 'Purge request not found' });
+    }
+
+    const preview = await purgePreview.previewRequest(request);
+    res.json({ preview });
+  } catch (err) {
+    logger.error('Purge preview failed', { error: err.message, id: req.params.id });
+    res.status(500).json({ error: err.message });
   }
+});
+
+/**
+ * POST /api/storage/approve-purge - Dev approves purge request (ONLY endpoint that can delete)
+ * The approver is the authenticated token (dev_id in the body only counts with auth off)
+ * Rows move to the trash - see GET /api/storage/trash to review or restore them
+ * Body: { request_id, approve = true, dry_run, force }
+ * dry_run returns the preview without purging; a blocking preview needs force: true
+ * 409 if another approval or rejection took the request first
+ */
+router.post('/storage/approve-purge', validateBody('storage.approve-purge'), async (req, res) => {
+  const { request_id, approve = true, dry_run = false, force = false } = req.body;
+  const dev_id = approverFrom(req);
 
   if (!dev_id) {
-    return res.status(400).json({ error: 'dev_id is required - must know who is approving' });
+    return res.status(400).json({ error: 'dev_id is required when auth is off - must know who is approving' });
   }
 
   try {
@@ -252,34 +307,46 @@ router.post('/storage/approve-purge', async (req, res) => {
 
     if (!approve) {
       // Dev rejected the purge
-      await from('dev_ai_purge_requests')
-        .update({
-          status: 'rejected',
-          reviewed_by: dev_id,
-          reviewed_at: new Date().toISOString()
-        })
-        .eq('id', request_id);
+      const rejected = await claimPurgeRequest(request_id, {
+        status: 'rejected',
+        reviewed_by: dev_id,
+        reviewed_at: new Date().toISOString()
+      });
+      if (!rejected) {
+        return res.status(409).json({ error: 'Request was decided by someone else first' });
+      }
+
+      eventBus.emit('purge.rejected', {
+        id: request_id,
+        project_id: request.project_id,
+        table: request.table_name,
+        reviewed_by: dev_id
+      }, { source: 'storage' });
 
       logger.info('Purge request rejected', { requestId: request_id, dev_id });
       return res.json({ message: 'Purge request rejected', requestId: request_id });
     }
 
-    // Dev approved - NOW we can delete
-    const { error: deleteError } = await from(request.table_name)
-      .delete()
-      .in('id', request.record_ids);
+    // Show the dev what this purge would take with it
+    const preview = await purgePreview.previewRequest(request);
 
-    if (deleteError) throw deleteError;
+    if (dry_run) {
+      return res.json({ message: 'Dry run - nothing purged', dryRun: true, preview });
+    }
 
-    // Update request status
-    await from('dev_ai_purge_requests')
-      .update({
-        status: 'approved',
-        reviewed_by: dev_id,
-        reviewed_at: new Date().toISOString(),
-        executed_at: new Date().toISOString()
-      })
-      .eq('id', request_id);
+    if (preview.verdict === 'block' && !force) {
+      return res.status(409).json({
+        error: 'Purge would orphan or cascade-delete other data - review the preview, then approve with force: true',
+        preview
+      });
+    }
+
+    if (!(await claimPurgeRequest(request_id, { status: 'approving' }))) {
+      return res.status(409).json({ error: 'Request was decided by someone else first' });
+    }
+
+    // Dev approved - NOW we can delete (via the trash, so it can be undone)
+    const trash = await executePurge(request, preview, dev_id);
 
     logger.info('Purge approved and executed', {
       requestId: request_id,
@@ -293,6 +360,10 @@ router.post('/storage/approve-purge', async (req, res) => {
       requestId: request_id,
       table: request.table_name,
       deleted: request.record_count,
+      trashed: trash.trashed,
+      recoverableUntil: trash.expiresAt,
+      estimatedBytes: preview.estimatedBytes,
+      warnings: preview.warnings,
       approvedBy: dev_id
     });
   } catch (err) {
@@ -303,16 +374,14 @@ router.post('/storage/approve-purge', async (req, res) => {
 
 /**
  * POST /api/storage/bulk-approve - Approve multiple purge requests at once
+ * Requests whose preview blocks are skipped unless force: true
  */
-router.post('/storage/bulk-approve', async (req, res) => {
-  const { request_ids, dev_id, approve = true } = req.body;
-
-  if (!request_ids || !Array.isArray(request_ids) || request_ids.length === 0) {
-    return res.status(400).json({ error: 'request_ids array is required' });
-  }
+router.post('/storage/bulk-approve', validateBody('storage.bulk-approve'), async (req, res) => {
+  const { request_ids, approve = true, force = false } = req.body;
+  const dev_id = approverFrom(req);
 
   if (!dev_id) {
-    return res.status(400).json({ error: 'dev_id is required - must know who is approving' });
+    return res.status(400).json({ error: 'dev_id is required when auth is off - must know who is approving' });
   }
 
   const results = [];
@@ -329,30 +398,43 @@ router.post('/storage/bulk-approve', async (req, res) => {
       }
 
       if (approve) {
-        await from(request.table_name)
-          .delete()
-          .in('id', request.record_ids);
-
-        await from('dev_ai_purge_requests')
-          .update({
-            status: 'approved',
-            reviewed_by: dev_id,
-            reviewed_at: new Date().toISOString(),
-            executed_at: new Date().toISOString()
-          })
-          .eq('id', request_id);
-
-        results.push({ request_id, status: 'approved', deleted: request.record_count });
+        const preview = await purgePreview.previewRequest(request);
+        if (preview.verdict === 'block' && !force) {
+          results.push({ request_id, status: 'blocked', reason: preview.warnings.join('; ') });
+          continue;
+        }
+
+        if (!(await claimPurgeRequest(request_id, { status: 'approving' }))) {
+          results.push({ request_id, status: 'skipped', reason: 'Decided by someone else first' });
+          continue;
+        }
+
+        const trash = await executePurge(request, preview, dev_id);
+        results.push({
+          request_id,
+          status: 'approved',
+          deleted: request.record_count,
+          trashed: trash.trashed,
+          warnings: preview.warnings
+        });
       } else {
-        await from('dev_ai_purge_requests')
-          .update({
-            status: 'rejected',
-            reviewed_by: dev_id,
-            reviewed_at: new Date().toISOString()
-          })
-          .eq('id', request_id);
+        const rejected = await claimPurgeRequest(request_id, {
+          status: 'rejected',
+          reviewed_by: dev_id,
+          reviewed_at: new Date().toISOString()
+        });
+        if (!rejected) {
+          results.push({ request_id, status: 'skipped', reason: 'Decided by someone else first' });
+          continue;
+        }
 
         results.push({ request_id, status: 'rejected' });
+        eventBus.emit('purge.rejected', {
+          id: request_id,
+          project_id: request.project_id,
+          table: request.table_name,
+          reviewed_by: dev_id
+        }, { source: 'storage' });
       }
     } catch (err) {
       results.push({ request_id, status: 'error', error: err.message });
@@ -393,10 +475,91 @@ router.get('/storage/old', async (req, res) => {
 });
 
 /**
- * GET /api/storage/retention - Get retention settings
+ * GET /api/storage/retention - Retention policies (stored ones and the built-in defaults)
+ * Query: table, project_id (that project's policies plus the global ones)
+ */
+router.get('/storage/retention', async (req, res) => {
+  const { table, project_id } = req.query;
+
+  try {
+    const policies = await retentionService.listPolicies({ table, project: project_id });
+    res.json({ policies, count: policies.length });
+  } catch (err) {
+    logger.error('Get retention policies failed', { error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/storage/retention/resolve - Effective rules for a table
+ * Query: table (required), project_id, action (purge | mark_stale, default purge)
+ */
+router.get('/storage/retention/resolve', async (req, res) => {
+  const { table, project_id, action = 'purge' } = req.query;
+
+  if (!table) {
+    return res.status(400).json({ error: 'table is required' });
+  }
+
+  try {
+    const policies = await retentionService.loadPolicies();
+    const rules = retentionService.resolveScopes(policies, table, { project: project_id || null, action })
+      .map(scope => retentionService.summarizeScope(scope));
+
+    res.json({ table, project_id: project_id || null, action, rules });
+  } catch (err) {
+    logger.error('Resolve retention failed', { error: err.message, table });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/storage/retention - Add a retention policy
+ * Body: { table_name, keep_days (null = forever), project_id, status, date_column, action, description }
+ */
+router.post('/storage/retention', validateBody('storage.retention.create'), async (req, res) => {
+  try {
+    const policy = await retentionService.createPolicy(req.body || {}, { actor: actorFrom(req) });
+    res.status(201).json({ policy });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    logger.error('Create retention policy failed', { error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * PATCH /api/storage/retention/:id - Change a stored policy
+ */
+router.patch('/storage/retention/:id', validateBody('storage.retention.update'), async (req, res) => {
+  try {
+    const policy = await retentionService.updatePolicy(req.params.id, req.body || {});
+    res.json({ policy });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    logger.error('Update retention policy failed', { error: err.message, id: req.params.id });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * DELETE /api/storage/retention/:id - Remove a stored policy (a replaced default applies again)
  */
-router.get('/storage/retention', (req, res) => {
-  res.json(RETENTION);
+router.delete('/storage/retention/:id', async (req, res) => {
+  try {
+    await retentionService.deletePolicy(req.params.id);
+    res.json({ deleted: req.params.id });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    logger.error('Delete retention policy failed', { error: err.message, id: req.params.id });
+    res.status(500).json({ error: err.message });
+  }
 });
 
 /**
@@ -424,4 +587,61 @@ router.get('/storage/purge-history', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/storage/trash - Rows removed by approved purges, still restorable
+ * Query: table, project_id, purge_request_id, status (trashed | restored | all, default trashed), limit
+ */
+router.get('/storage/trash', async (req, res) => {
+  const { table, project_id, purge_request_id, status = 'trashed', limit = 50 } = req.query;
+
+  try {
+    const { items, total } = await trashService.listTrash({
+      table,
+      project: project_id,
+      purgeRequestId: purge_request_id,
+      status: status === 'all' ? null : status,
+      limit: Math.min(parseInt(limit) || 50, 500)
+    });
+
+    res.json({
+      trash: items,
+      count: items.length,
+      total
+    });
+  } catch (err) {
+    logger.error('Get trash failed', { error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/storage/trash/:id/restore - Put a purged row back in its table
+ * Body: { dev_id } - only read when auth is off; otherwise the token is the approver
+ */
+router.post('/storage/trash/:id/restore', validateBody('storage.trash.restore'), async (req, res) => {
+  const dev_id = approverFrom(req);
+
+  if (!dev_id) {
+    return res.status(400).json({ error: 'dev_id is required when auth is off - must know who is restoring' });
+  }
+
+  try {
+    const { item, row } = await trashService.restore(req.params.id, { actor: dev_id });
+    res.json({
+      message: 'Row restored',
+      trashId: item.id,
+      table: item.table_name,
+      recordId: item.record_id,
+      restoredBy: dev_id,
+      row
+    });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    logger.error('Restore from trash failed', { error: err.message, id: req.params.id });
+    res.status(500).json({ error: err.message });
+  }
+});
+
 module.exports = router;
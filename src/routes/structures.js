@@ -7,19 +7,16 @@ const express = require('express');
 const router = express.Router();
 const { from } = require('../lib/db');
 const { Logger } = require('../lib/logger');
+const { validateBody } = require('../lib/requestSchemas');
 
 const logger = new Logger('Susan:Structures');
 
 /**
  * POST /api/structure - Store/update file structure
  */
-router.post('/structure', async (req, res) => {
+router.post('/structure', validateBody('structure.create'), async (req, res) => {
   const { projectPath, structure, description, ports, services } = req.body;
 
-  if (!projectPath) {
-    return res.status(400).json({ error: 'Project path required' });
-  }
-
   try {
     const { data, error } = await from('dev_ai_structures')
       .upsert({
@@ -91,13 +88,9 @@ router.get('/structures', async (req, res) => {
 /**
  * POST /api/structure/port - Add port assignment to structure
  */
-router.post('/structure/port', async (req, res) => {
+router.post('/structure/port', validateBody('structure.port'), async (req, res) => {
   const { projectPath, port, service, description } = req.body;
 
-  if (!projectPath || !port || !service) {
-    return res.status(400).json({ error: 'projectPath, port, and service required' });
-  }
-
   try {
     // Get existing structure
     const { data: existing } = await from('dev_ai_structures')
@@ -138,13 +131,9 @@ router.post('/structure/port', async (req, res) => {
 /**
  * POST /api/structure/service - Add service to structure
  */
-router.post('/structure/service', async (req, res) => {
+router.post('/structure/service', validateBody('structure.service'), async (req, res) => {
   const { projectPath, name, type, path, port, description } = req.body;
 
-  if (!projectPath || !name) {
-    return res.status(400).json({ error: 'projectPath and name required' });
-  }
-
   try {
     // Get existing structure
     const { data: existing } = await from('dev_ai_structures')
@@ -220,10 +209,10 @@ router.get('/ports', async (req, res) => {
 // ========================================
 
 /**
- * GET /api/structures - Get structure items for a project
- * (Note: This overrides the old /structures endpoint)
+ * GET /api/structure-items - Get structure items for a project
+ * Query: project
  */
-router.get('/structures', async (req, res) => {
+router.get('/structure-items', async (req, res) => {
   const { project } = req.query;
 
   try {
@@ -253,9 +242,9 @@ router.get('/structures', async (req, res) => {
 });
 
 /**
- * POST /api/structure - Add a structure item (file or folder)
+ * POST /api/structure-item - Add a structure item (file or folder)
  */
-router.post('/structure', async (req, res) => {
+router.post('/structure-item', validateBody('structure.item.create'), async (req, res) => {
   const {
     project_id, projectPath,
     path, name, type,
@@ -265,10 +254,6 @@ router.post('/structure', async (req, res) => {
 
   const projPath = project_id || projectPath;
 
-  if (!projPath || !path || !name) {
-    return res.status(400).json({ error: 'project_id, path, and name required' });
-  }
-
   try {
     const { data, error } = await from('dev_ai_structure_items')
       .insert({
@@ -316,7 +301,7 @@ router.get('/structure/:id', async (req, res) => {
 /**
  * PATCH /api/structure/:id - Update a structure item
  */
-router.patch('/structure/:id', async (req, res) => {
+router.patch('/structure/:id', validateBody('structure.update'), async (req, res) => {
   const { path, name, type, status, purpose, notes, parent_path } = req.body;
 
   try {
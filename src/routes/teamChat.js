@@ -7,8 +7,18 @@ const express = require('express');
 const router = express.Router();
 const db = require('../lib/db');
 const { Logger } = require('../lib/logger');
+const { validateBody } = require('../lib/requestSchemas');
+const { listPage } = require('../lib/listQuery');
 
 const logger = new Logger('Susan:TeamChat');
+
+// Top-level messages only - replies come from the thread route
+const MESSAGE_LIST = {
+  table: 'dev_team_chat',
+  sortable: ['created_at'],
+  filters: { status: 'status', message_type: 'message_type', direction: 'direction', project: 'project_id' }
+};
+
 // UUID validation helper
 const isValidUUID = (str) => {
   if (!str) return false;
@@ -18,8 +28,7 @@ const isValidUUID = (str) => {
 
 
 /**
- * GET /workers
- * Get list of AI workers for chat channels
+ * GET /api/team-chat/workers - Get list of AI workers for chat channels
  */
 router.get('/workers', async (req, res) => {
   try {
@@ -37,8 +46,7 @@ router.get('/workers', async (req, res) => {
 });
 
 /**
- * GET /pending
- * Get all pending questions from workers
+ * GET /api/team-chat/pending - Get all pending questions from workers
  */
 router.get('/pending', async (req, res) => {
   try {
@@ -83,13 +91,15 @@ router.get('/pending', async (req, res) => {
 });
 
 /**
- * GET /:workerSlug/messages
- * Get chat history with a specific worker
+ * GET /api/team-chat/:workerSlug/messages - Get chat history with a specific worker
+ * Query: userId, before, status, message_type, direction, project, created_after, created_before,
+ *        limit, cursor, order
+ * items are newest first (or oldest first with order=asc); messages stay oldest first
  */
 router.get('/:workerSlug/messages', async (req, res) => {
   try {
     const { workerSlug } = req.params;
-    const { userId, limit = 50, before } = req.query;
+    const { userId, before } = req.query;
 
     const { data: worker } = await db
       .from('dev_ai_workers')
@@ -101,35 +111,31 @@ router.get('/:workerSlug/messages', async (req, res) => {
       return res.status(404).json({ success: false, error: 'Worker not found' });
     }
 
-    let query = db
-      .from('dev_team_chat')
-      .select('*')
-      .eq('worker_id', worker.id)
-      .is('response_to', null)
-      .order('created_at', { ascending: false })
-      .limit(parseInt(limit));
+    const page = await listPage(MESSAGE_LIST, req.query, query => {
+      query = query.eq('worker_id', worker.id).is('response_to', null);
 
-    if (userId && isValidUUID(userId)) {
-      query = query.eq('user_id', userId);
-    }
-
-    if (before) {
-      query = query.lt('created_at', before);
-    }
+      if (userId && isValidUUID(userId)) {
+        query = query.eq('user_id', userId);
+      }
 
-    const { data: messages, error } = await query;
-    if (error) throw error;
+      if (before) {
+        query = query.lt('created_at', before);
+      }
+      return query;
+    });
 
-    res.json({ success: true, messages: (messages || []).reverse() });
+    // messages stays oldest first for the chat views
+    const messages = String(req.query.order).toLowerCase() === 'asc' ? page.items : [...page.items].reverse();
+    res.json({ success: true, ...page, messages });
   } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, error: error.message });
     logger.error('Failed to get messages', { error: error.message });
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 /**
- * GET /:workerSlug/thread/:messageId
- * Get thread replies
+ * GET /api/team-chat/:workerSlug/thread/:messageId - Get thread replies
  */
 router.get('/:workerSlug/thread/:messageId', async (req, res) => {
   try {
@@ -150,10 +156,9 @@ router.get('/:workerSlug/thread/:messageId', async (req, res) => {
 });
 
 /**
- * POST /:workerSlug/send
- * Send a message to a worker
+ * POST /api/team-chat/:workerSlug/send - Send a message to a worker
  */
-router.post('/:workerSlug/send', async (req, res) => {
+router.post('/:workerSlug/send', validateBody('team-chat.send'), async (req, res) => {
   try {
     const { workerSlug } = req.params;
     const { userId, projectId, content, replyTo } = req.body;
@@ -5,15 +5,26 @@
 
 const express = require('express');
 const router = express.Router();
-const { from } = require('../lib/db');
 const { Logger } = require('../lib/logger');
+const { validateBody } = require('../lib/requestSchemas');
+const { listPage } = require('../lib/listQuery');
+const revisionService = require('../services/revisionService');
+const statsService = require('../services/statsService');
 
 const logger = new Logger('Susan:Todos');
 
+const TODO_LIST = {
+  table: 'dev_ai_todos',
+  columns: 'id, project_id, title, description, priority, category, status, discovered_in, tags, created_at, updated_at',
+  sortable: ['created_at', 'updated_at', 'priority', 'status'],
+  filters: { project: 'project_id', status: 'status', priority: 'priority', category: 'category' },
+  tagColumn: 'tags'
+};
+
 /**
  * POST /api/todo - Add a todo item
  */
-router.post('/todo', async (req, res) => {
+router.post('/todo', validateBody('todo.create'), async (req, res) => {
   // Accept both camelCase and snake_case for flexibility
   const {
     projectPath, project_id,
@@ -25,24 +36,17 @@ router.post('/todo', async (req, res) => {
 
   const projPath = project_id || projectPath;
 
-  if (!title) {
-    return res.status(400).json({ error: 'Title required' });
-  }
-
   try {
-    const { data, error } = await from('dev_ai_todos')
-      .insert({
-        project_id: projPath,
-        title,
-        description,
-        priority: priority || 'medium',
-        category: category || 'general',
-        status: status || 'pending',
-        discovered_in: discovered_in || discoveredIn,
-        tags: tags || []
-      })
-      .select('id')
-      .single();
+    const { data, error } = await revisionService.insert('dev_ai_todos', {
+      project_id: projPath,
+      title,
+      description,
+      priority: priority || 'medium',
+      category: category || 'general',
+      status: status || 'pending',
+      discovered_in: discovered_in || discoveredIn,
+      tags: tags || []
+    }, { actor: revisionService.actorFrom(req) });
 
     if (error) throw error;
 
@@ -56,37 +60,15 @@ router.post('/todo', async (req, res) => {
 
 /**
  * GET /api/todos - Get todos for a project
+ * Query: project, status, priority, category, tag, created_after, created_before,
+ *        limit, cursor, sort (created_at | updated_at | priority | status), order
  */
 router.get('/todos', async (req, res) => {
-  const { project, status, priority, category, limit = 50 } = req.query;
-
   try {
-    let query = from('dev_ai_todos')
-      .select('id, project_id, title, description, priority, category, status, discovered_in, tags, created_at, updated_at')
-      .order('created_at', { ascending: false })
-      .limit(parseInt(limit));
-
-    if (project) {
-      query = query.eq('project_id', project);
-    }
-
-    if (status) {
-      query = query.eq('status', status);
-    }
-
-    if (priority) {
-      query = query.eq('priority', priority);
-    }
-
-    if (category) {
-      query = query.eq('category', category);
-    }
-
-    const { data, error } = await query;
-    if (error) throw error;
-
-    res.json({ success: true, todos: data || [] });
+    const page = await listPage(TODO_LIST, req.query);
+    res.json({ success: true, ...page, todos: page.items });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     logger.error('Todos fetch failed', { error: err.message });
     res.status(500).json({ error: err.message });
   }
@@ -95,7 +77,7 @@ router.get('/todos', async (req, res) => {
 /**
  * PATCH /api/todo/:id - Update todo status
  */
-router.patch('/todo/:id', async (req, res) => {
+router.patch('/todo/:id', validateBody('todo.update'), async (req, res) => {
   const { status, priority, title, description } = req.body;
 
   try {
@@ -109,9 +91,9 @@ router.patch('/todo/:id', async (req, res) => {
       updates.completed_at = new Date().toISOString();
     }
 
-    const { error } = await from('dev_ai_todos')
-      .update(updates)
-      .eq('id', req.params.id);
+    const { error } = await revisionService.update('dev_ai_todos', req.params.id, updates, {
+      actor: revisionService.actorFrom(req)
+    });
 
     if (error) throw error;
 
@@ -128,9 +110,9 @@ router.patch('/todo/:id', async (req, res) => {
  */
 router.delete('/todo/:id', async (req, res) => {
   try {
-    const { error } = await from('dev_ai_todos')
-      .delete()
-      .eq('id', req.params.id);
+    const { error } = await revisionService.remove('dev_ai_todos', req.params.id, {
+      actor: revisionService.actorFrom(req)
+    });
 
     if (error) throw error;
 
@@ -148,32 +130,15 @@ router.get('/todos/stats', async (req, res) => {
   const { project } = req.query;
 
   try {
-    let query = from('dev_ai_todos')
-      .select('status, priority, category');
-
-    if (project) {
-      query = query.eq('project_id', project);
-    }
-
-    const { data, error } = await query;
-    if (error) throw error;
-
-    const stats = {
-      total: data?.length || 0,
-      byStatus: {},
-      byPriority: {},
-      byCategory: {}
-    };
-
-    if (data) {
-      data.forEach(item => {
-        stats.byStatus[item.status] = (stats.byStatus[item.status] || 0) + 1;
-        stats.byPriority[item.priority] = (stats.byPriority[item.priority] || 0) + 1;
-        stats.byCategory[item.category] = (stats.byCategory[item.category] || 0) + 1;
-      });
-    }
-
-    res.json(stats);
+    // Counted in the database - one grouped query, no row transfer
+    const { total, by } = await statsService.breakdown('dev_ai_todos', ['status', 'priority', 'category'], { project });
+
+    res.json({
+      total,
+      byStatus: by.status,
+      byPriority: by.priority,
+      byCategory: by.category
+    });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -0,0 +1,71 @@
+/**
+ * Susan Token Routes
+ * Issue, list and revoke API tokens (admin:tokens), and whoami for any caller
+ */
+
+const express = require('express');
+const router = express.Router();
+const tokenService = require('../services/tokenService');
+const { actorFrom } = require('../services/revisionService');
+const { Logger } = require('../lib/logger');
+const { validateBody } = require('../lib/requestSchemas');
+
+const logger = new Logger('Susan:TokenRoutes');
+
+function sendError(res, err, action) {
+  if (err.status) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  logger.error(`${action} failed`, { error: err.message });
+  res.status(500).json({ error: err.message });
+}
+
+/**
+ * GET /api/auth/whoami - The identity and scopes of the calling token
+ */
+router.get('/auth/whoami', (req, res) => {
+  if (!req.auth) {
+    return res.status(401).json({ error: 'No API token on this request' });
+  }
+  res.json(req.auth);
+});
+
+/**
+ * GET /api/tokens - Active tokens (never the token itself)
+ * Query: include_revoked=true
+ */
+router.get('/tokens', async (req, res) => {
+  try {
+    const tokens = await tokenService.listTokens({ includeRevoked: req.query.include_revoked === 'true' });
+    res.json({ tokens, count: tokens.length });
+  } catch (err) {
+    sendError(res, err, 'List tokens');
+  }
+});
+
+/**
+ * POST /api/tokens - Issue a token; the response is the only time it is shown
+ * Body: { name, kind (service | dashboard | dev), scopes: ['read:knowledge', 'write:todos', ...], expires_in_days, description }
+ */
+router.post('/tokens', validateBody('tokens.create'), async (req, res) => {
+  try {
+    const result = await tokenService.issue(req.body || {}, { actor: actorFrom(req) });
+    res.status(201).json(result);
+  } catch (err) {
+    sendError(res, err, 'Issue token');
+  }
+});
+
+/**
+ * DELETE /api/tokens/:id - Revoke a token (takes effect immediately)
+ */
+router.delete('/tokens/:id', async (req, res) => {
+  try {
+    const token = await tokenService.revoke(req.params.id, { actor: actorFrom(req) });
+    res.json({ success: true, token });
+  } catch (err) {
+    sendError(res, err, 'Revoke token');
+  }
+});
+
+module.exports = router;
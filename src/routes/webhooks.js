@@ -0,0 +1,140 @@
+/**
+ * Susan Webhooks Routes
+ * Register outbound webhooks for librarian events and inspect deliveries
+ *
+ * Deliveries are signed with the webhook's secret - see webhookService
+ * for the signature scheme. The secret is only returned on create.
+ */
+
+const express = require('express');
+const router = express.Router();
+const webhookService = require('../services/webhookService');
+const { actorFrom } = require('../services/revisionService');
+const { Logger } = require('../lib/logger');
+const { validateBody } = require('../lib/requestSchemas');
+
+const logger = new Logger('Susan:Webhooks');
+
+function sendError(res, err, message, context = {}) {
+  if (err.status) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  logger.error(message, { ...context, error: err.message });
+  res.status(500).json({ error: err.message });
+}
+
+/**
+ * GET /api/webhooks - List registered webhooks
+ */
+router.get('/webhooks', async (req, res) => {
+  try {
+    const webhooks = await webhookService.listWebhooks();
+    res.json({ success: true, count: webhooks.length, webhooks });
+  } catch (err) {
+    sendError(res, err, 'Webhooks fetch failed');
+  }
+});
+
+/**
+ * POST /api/webhooks - Register a webhook
+ * Body: { url, events: ['todo.*', 'bug.fixed'] (default ['*']), name, project_id, secret }
+ */
+router.post('/webhooks', validateBody('webhooks.create'), async (req, res) => {
+  const { url, events, name, project_id, secret } = req.body;
+
+  try {
+    const webhook = await webhookService.register({
+      url,
+      events,
+      name,
+      project_id,
+      secret,
+      created_by: actorFrom(req)
+    });
+    res.status(201).json({ success: true, webhook });
+  } catch (err) {
+    sendError(res, err, 'Webhook register failed', { url });
+  }
+});
+
+/**
+ * GET /api/webhooks/:id - One webhook
+ */
+router.get('/webhooks/:id', async (req, res) => {
+  try {
+    const webhook = await webhookService.getWebhook(req.params.id);
+    res.json({ success: true, webhook });
+  } catch (err) {
+    sendError(res, err, 'Webhook fetch failed', { id: req.params.id });
+  }
+});
+
+/**
+ * PATCH /api/webhooks/:id - Change url, events, name or active
+ */
+router.patch('/webhooks/:id', validateBody('webhooks.update'), async (req, res) => {
+  const { url, events, name, active } = req.body;
+
+  try {
+    const webhook = await webhookService.updateWebhook(req.params.id, { url, events, name, active });
+    res.json({ success: true, webhook });
+  } catch (err) {
+    sendError(res, err, 'Webhook update failed', { id: req.params.id });
+  }
+});
+
+/**
+ * DELETE /api/webhooks/:id - Remove a webhook and its delivery log
+ */
+router.delete('/webhooks/:id', async (req, res) => {
+  try {
+    await webhookService.removeWebhook(req.params.id);
+    res.json({ success: true, deleted: req.params.id });
+  } catch (err) {
+    sendError(res, err, 'Webhook delete failed', { id: req.params.id });
+  }
+});
+
+/**
+ * GET /api/webhooks/:id/deliveries - Recent deliveries, newest first
+ * Query: status (pending | delivered | failed), limit
+ */
+router.get('/webhooks/:id/deliveries', async (req, res) => {
+  const { status, limit = 50 } = req.query;
+
+  try {
+    const deliveries = await webhookService.listDeliveries(req.params.id, {
+      status,
+      limit: Math.min(parseInt(limit) || 50, 500)
+    });
+    res.json({ success: true, count: deliveries.length, deliveries });
+  } catch (err) {
+    sendError(res, err, 'Deliveries fetch failed', { id: req.params.id });
+  }
+});
+
+/**
+ * POST /api/webhooks/:id/test - Send a webhook.ping to this webhook only
+ */
+router.post('/webhooks/:id/test', async (req, res) => {
+  try {
+    const delivery = await webhookService.ping(req.params.id);
+    res.json({ success: delivery.status === 'delivered', delivery });
+  } catch (err) {
+    sendError(res, err, 'Webhook test failed', { id: req.params.id });
+  }
+});
+
+/**
+ * POST /api/webhooks/deliveries/:id/redeliver - Send a delivery again now
+ */
+router.post('/webhooks/deliveries/:id/redeliver', async (req, res) => {
+  try {
+    const delivery = await webhookService.redeliver(req.params.id);
+    res.json({ success: delivery.status === 'delivered', delivery });
+  } catch (err) {
+    sendError(res, err, 'Redeliver failed', { id: req.params.id });
+  }
+});
+
+module.exports = router;
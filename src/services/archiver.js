@@ -9,7 +9,7 @@
  * 4. After another 24h, mark as 'archived'
  */
 
-const { from } = require('../../../shared/db');
+const { from } = require('../lib/db');
 const { Logger } = require('../lib/logger');
 
 const logger = new Logger('Susan:Archiver');
@@ -20,6 +20,9 @@ const CLEAN_TO_ARCHIVE_HOURS = 24;  // Wait 24h after cleaned before archiving
 const BATCH_SIZE = 20;
 
 let isRunning = false;
+let stopping = false;
+let currentRun = null;    // settles when the in-flight cycle ends
+let intervalHandle = null;
 
 /**
  * Start the archiver service
@@ -31,9 +34,23 @@ function start(intervalMs = 60 * 60 * 1000) {  // Default: every hour
     cleanToArchive: `${CLEAN_TO_ARCHIVE_HOURS}h`
   });
 
+  stopping = false;
+
   // Run immediately then on interval
   setTimeout(runCycle, 10000);
-  setInterval(runCycle, intervalMs);
+  intervalHandle = setInterval(runCycle, intervalMs);
+}
+
+/**
+ * Stop after the session being cleaned; the rest wait for the next cycle
+ */
+function stop() {
+  stopping = true;
+  if (intervalHandle) {
+    clearInterval(intervalHandle);
+    intervalHandle = null;
+  }
+  return currentRun || Promise.resolve();
 }
 
 /**
@@ -46,6 +63,8 @@ async function runCycle() {
   }
 
   isRunning = true;
+  let finish;
+  currentRun = new Promise(resolve => { finish = resolve; });
   const stats = { cleaned: 0, archived: 0, errors: 0 };
 
   try {
@@ -53,7 +72,7 @@ async function runCycle() {
     stats.cleaned = await cleanProcessedSessions();
 
     // Step 2: Archive sessions that have been cleaned for 24h+
-    stats.archived = await archiveCleanedSessions();
+    if (!stopping) stats.archived = await archiveCleanedSessions();
 
     if (stats.cleaned > 0 || stats.archived > 0) {
       logger.info('Archiver cycle complete', stats);
@@ -63,6 +82,8 @@ async function runCycle() {
     stats.errors++;
   } finally {
     isRunning = false;
+    currentRun = null;
+    finish();
   }
 
   return stats;
@@ -96,6 +117,7 @@ async function cleanProcessedSessions() {
 
     let cleaned = 0;
     for (const session of sessions) {
+      if (stopping) break;
       try {
         // Clean the raw content
         const cleanedContent = cleanRawContent(session.raw_content || '');
@@ -326,6 +348,7 @@ async function runOnce() {
 
 module.exports = {
   start,
+  stop,
   runCycle,
   runOnce,
   getStats,
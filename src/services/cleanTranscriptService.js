@@ -6,11 +6,14 @@
  * 2. Terminal capture format
  */
 
-const { from } = require('../../../shared/db');
+const { from } = require('../lib/db');
 const { Logger } = require('../lib/logger');
 
 const logger = new Logger('Susan:CleanTranscript');
 let isRunning = false;
+let stopping = false;
+let currentRun = null;
+let intervalHandle = null;
 
 function isValidUuid(str) {
   if (!str || typeof str !== 'string') return false;
@@ -151,13 +154,36 @@ function cleanTranscript(rawText = "") {
 
 function start(intervalMs = 5 * 60 * 1000) {
   logger.info('Clean transcript service v3 started', { intervalMs: intervalMs / 1000 + 's' });
+  stopping = false;
   setTimeout(runCycle, 10000);
-  setInterval(runCycle, intervalMs);
+  intervalHandle = setInterval(runCycle, intervalMs);
+}
+
+/**
+ * Finish the session in hand, then stop; the rest stay 'processed' for next time
+ */
+function stop() {
+  stopping = true;
+  if (intervalHandle) {
+    clearInterval(intervalHandle);
+    intervalHandle = null;
+  }
+  return currentRun || Promise.resolve();
 }
 
 async function runCycle() {
   if (isRunning) return;
   isRunning = true;
+  currentRun = cleanBatch();
+  try {
+    return await currentRun;
+  } finally {
+    currentRun = null;
+    isRunning = false;
+  }
+}
+
+async function cleanBatch() {
   const stats = { processed: 0, cleaned: 0, errors: 0, skipped: 0 };
 
   try {
@@ -170,14 +196,15 @@ async function runCycle() {
 
     if (error) {
       logger.error('Failed to fetch', { error: error.message });
-      return;
+      return stats;
     }
-    if (!sessions || sessions.length === 0) return;
+    if (!sessions || sessions.length === 0) return stats;
 
     stats.processed = sessions.length;
     logger.info(`Processing ${sessions.length} sessions`);
 
     for (const session of sessions) {
+      if (stopping) break;
       try {
         const cleanText = cleanTranscript(session.raw_content);
         
@@ -219,9 +246,36 @@ async function runCycle() {
     }
   } catch (err) {
     logger.error('Cycle failed', { error: err.message });
-  } finally {
-    isRunning = false;
   }
+  return stats;
+}
+
+/**
+ * Startup recovery: sessions whose clean transcript was written but whose
+ * status never moved from 'processed' to 'cleaned'
+ * @returns {Promise<number>} sessions fixed
+ */
+async function recoverInterrupted() {
+  const { data: sessions, error } = await from('dev_ai_sessions')
+    .select('id')
+    .eq('status', 'processed')
+    .limit(1000);
+  if (error) throw error;
+  if (!sessions?.length) return 0;
+
+  const { data: transcripts, error: transcriptError } = await from('dev_ai_clean_transcripts')
+    .select('session_id')
+    .in('session_id', sessions.map(s => s.id));
+  if (transcriptError) throw transcriptError;
+
+  const ids = [...new Set((transcripts || []).map(t => t.session_id))];
+  if (!ids.length) return 0;
+
+  const { error: updateError } = await from('dev_ai_sessions').update({ status: 'cleaned' }).in('id', ids);
+  if (updateError) throw updateError;
+
+  logger.info('Recovered half-cleaned sessions', { count: ids.length });
+  return ids.length;
 }
 
 function extractFileRefs(content) {
@@ -235,4 +289,4 @@ function extractFileRefs(content) {
   return Array.from(refs).slice(0, 50);
 }
 
-module.exports = { start, runCycle, cleanTranscript, extractFileRefs };
+module.exports = { start, stop, runCycle, recoverInterrupted, cleanTranscript, extractFileRefs };
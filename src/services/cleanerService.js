@@ -3,19 +3,16 @@
  * Cleans up old/duplicate data
  */
 
-const { from } = require('../../../shared/db');
+const { from } = require('../lib/db');
 const { Logger } = require('../lib/logger');
+const retentionService = require('./retentionService');
 
 const logger = new Logger('Susan:Cleaner');
 
 let isRunning = false;
-
-// Retention periods in days
-const RETENTION = {
-  empty_sessions: 1,
-  completed_sessions: 30,
-  duplicate_threshold: 7
-};
+let stopping = false;
+let currentRun = null;    // settles when the in-flight cycle ends
+let intervalHandle = null;
 
 /**
  * Start the cleaner service
@@ -23,9 +20,23 @@ const RETENTION = {
 function start(intervalMs = 30 * 60 * 1000) {
   logger.info('Cleaner service started', { intervalMs });
   
+  stopping = false;
+
   // Run immediately then on interval
   setTimeout(runCycle, 5000);
-  setInterval(runCycle, intervalMs);
+  intervalHandle = setInterval(runCycle, intervalMs);
+}
+
+/**
+ * Stop between steps; a step in progress is allowed to finish
+ */
+function stop() {
+  stopping = true;
+  if (intervalHandle) {
+    clearInterval(intervalHandle);
+    intervalHandle = null;
+  }
+  return currentRun || Promise.resolve();
 }
 
 /**
@@ -38,53 +49,37 @@ async function runCycle() {
   }
 
   isRunning = true;
-  const stats = { emptySessions: 0, duplicates: 0 };
+  let finish;
+  currentRun = new Promise(resolve => { finish = resolve; });
+  const stats = { markedStale: 0, duplicates: 0 };
 
   try {
-    stats.emptySessions = await cleanEmptySessions();
-    stats.duplicates = await cleanDuplicateKnowledge();
+    stats.markedStale = await markStaleRows();
+    if (!stopping) stats.duplicates = await cleanDuplicateKnowledge();
     
-    if (stats.emptySessions > 0 || stats.duplicates > 0) {
+    if (stats.markedStale > 0 || stats.duplicates > 0) {
       logger.info('Cleaner cycle complete', stats);
     }
   } catch (err) {
     logger.error('Cleaner cycle failed', { error: err.message });
   } finally {
     isRunning = false;
+    currentRun = null;
+    finish();
   }
 
   return stats;
 }
 
 /**
- * Remove sessions that have been active too long without processing
+ * Mark rows stale per the retention policies' mark_stale rules
+ * (by default: sessions left active for more than a day)
  */
-async function cleanEmptySessions() {
+async function markStaleRows() {
   try {
-    const cutoff = new Date(Date.now() - RETENTION.empty_sessions * 24 * 60 * 60 * 1000).toISOString();
-
-    // Find old active sessions
-    const { data: oldSessions, error } = await from('dev_ai_sessions')
-      .select('id')
-      .eq('status', 'active')
-      .lt('started_at', cutoff);
-
-    if (error || !oldSessions?.length) return 0;
-
-    // Mark them as stale instead of deleting
-    for (const session of oldSessions) {
-      await from('dev_ai_sessions')
-        .update({ status: 'stale' })
-        .eq('id', session.id);
-    }
-
-    if (oldSessions.length > 0) {
-      logger.info('Marked stale sessions', { count: oldSessions.length });
-    }
-
-    return oldSessions.length;
+    return await retentionService.markStale();
   } catch (err) {
-    logger.error('cleanEmptySessions failed', { error: err.message });
+    logger.error('markStaleRows failed', { error: err.message });
     return 0;
   }
 }
@@ -150,6 +145,7 @@ async function getStats() {
 
 module.exports = {
   start,
+  stop,
   runCycle,
   getStats
 };
@@ -4,9 +4,12 @@
  * "fix X" + "fix Y on dashboard" -> "fix X and Y on dashboard"
  */
 
-const { from } = require('../../../shared/db');
+const { from } = require('../lib/db');
 const { Logger } = require('../lib/logger');
 const duplicateChecker = require('./duplicateChecker');
+const revisionService = require('./revisionService');
+const mergeService = require('./mergeService');
+const eventBus = require('./eventBus');
 
 const logger = new Logger('Susan:Consolidator');
 
@@ -62,6 +65,7 @@ function mergeTitles(titles) {
 /**
  * Consolidate a group of similar items into one
  * Keeps the oldest item, marks others as 'consolidated'
+ * The merge is recorded first (with the original rows) so it can be undone
  */
 async function consolidateGroup(table, group) {
   if (!group || group.length < 2) return null;
@@ -78,33 +82,45 @@ async function consolidateGroup(table, group) {
     // Merge titles
     const mergedTitle = mergeTitles(group.map(g => g.title));
     
-    // Update master with merged title
-    await from(table)
-      .update({ 
-        title: mergedTitle,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', master.id);
+    // Full rows as they are now - no merge without a record to undo it from
+    const { data: originals, error: readError } = await from(table)
+      .select('*')
+      .in('id', sorted.map(g => g.id));
+    if (readError) throw readError;
+    
+    const merge = await mergeService.recordMerge({ table, master, originals, mergedTitle });
+    
+    // Update master with merged title (revisions keep the pre-merge titles)
+    await revisionService.update(table, master.id, {
+      title: mergedTitle,
+      updated_at: new Date().toISOString()
+    }, { actor: 'consolidator', action: 'consolidate' });
     
     // Mark duplicates as 'consolidated'
     for (const dup of duplicates) {
-      await from(table)
-        .update({ 
-          status: 'consolidated',
-          consolidated_into: master.id,
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', dup.id);
+      await revisionService.update(table, dup.id, {
+        status: 'consolidated',
+        consolidated_into: master.id,
+        updated_at: new Date().toISOString()
+      }, { actor: 'consolidator', action: 'consolidate' });
     }
     
+    eventBus.emitRowEvent(table, 'merged', { ...master, title: mergedTitle }, {
+      source: 'consolidator',
+      merge_id: merge.id,
+      merged_ids: duplicates.map(dup => dup.id)
+    });
+    
     logger.info('Consolidated group', {
       table,
+      mergeId: merge.id,
       masterId: master.id,
       duplicateCount: duplicates.length,
       mergedTitle
     });
     
     return {
+      mergeId: merge.id,
       masterId: master.id,
       mergedTitle,
       duplicatesConsolidated: duplicates.length
@@ -0,0 +1,266 @@
+/**
+ * Susan Context Packer
+ * Fits Claude's startup context into a token budget
+ *
+ * Every candidate item (journal entry, knowledge, todo, bug, port...) gets
+ * a token cost and a score from recency, importance and relevance to an
+ * optional focus query. The best-scoring items are packed until the budget
+ * is spent; whatever didn't fit is reported per section so the caller knows
+ * what to ask for next. Without a budget, rankSection() applies the same
+ * scores to order each section before it is cut to its usual size.
+ */
+
+const { tokenize } = require('../lib/embeddings');
+
+const CHARS_PER_TOKEN = 4;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Tokens held back for the greeting text built from the packed sections
+const GREETING_RESERVE_RATIO = 0.15;
+const MAX_GREETING_RESERVE = 800;
+const MAX_DROPPED_IDS = 20;
+
+const PRIORITY_WEIGHT = { critical: 1, high: 0.8, medium: 0.5, low: 0.3 };
+
+/**
+ * Per-section rules
+ * - importance(item): 0..1
+ * - halfLifeDays: recency decay
+ * - dateField: which field holds the item's timestamp
+ * - fetchMore(projectPath): endpoint the caller can use for dropped items
+ */
+const SECTION_RULES = {
+  lastSession: {
+    single: true,
+    importance: () => 1,
+    halfLifeDays: 7,
+    dateField: 'endedAt',
+    fetchMore: () => '/api/sessions'
+  },
+  projectInfo: {
+    single: true,
+    importance: () => 1,
+    halfLifeDays: null,
+    fetchMore: () => null
+  },
+  fileStructure: {
+    single: true,
+    importance: () => 0.6,
+    halfLifeDays: 30,
+    dateField: 'updatedAt',
+    fetchMore: () => null
+  },
+  ryanBriefing: {
+    single: true,
+    importance: () => 0.9,
+    halfLifeDays: null,
+    fetchMore: () => null
+  },
+  recentTranscripts: {
+    importance: (item) => item.type === 'decision' ? 0.7 : 0.5,
+    halfLifeDays: 0.25,
+    dateField: 'time',
+    fetchMore: (project) => `/api/context?project=${project || ''}`
+  },
+  relevantKnowledge: {
+    importance: (item) => (item.importance || 5) / 10,
+    halfLifeDays: 60,
+    dateField: 'created_at',
+    fetchMore: (project) => `/api/query?project=${project || ''}`
+  },
+  decisions: {
+    importance: () => 0.6,
+    halfLifeDays: 30,
+    dateField: 'created_at',
+    fetchMore: (project) => `/api/decisions?project=${project || ''}`
+  },
+  todos: {
+    importance: (item) => PRIORITY_WEIGHT[item.priority] || 0.5,
+    halfLifeDays: 14,
+    dateField: 'created_at',
+    fetchMore: (project) => `/api/todos?project=${project || ''}`
+  },
+  bugs: {
+    importance: (item) => PRIORITY_WEIGHT[item.severity] || 0.5,
+    halfLifeDays: 14,
+    dateField: 'created_at',
+    fetchMore: (project) => `/api/bugs?project=${project || ''}`
+  },
+  ryanTodos: {
+    importance: (item) => PRIORITY_WEIGHT[item.priority] || 0.5,
+    halfLifeDays: null,
+    fetchMore: () => null
+  },
+  ports: {
+    importance: () => 0.3,
+    halfLifeDays: null,
+    fetchMore: () => '/api/ports'
+  },
+  schemas: {
+    importance: () => 0.3,
+    halfLifeDays: null,
+    fetchMore: () => '/api/schemas'
+  }
+};
+
+/**
+ * Rough token estimate (~4 chars per token of the JSON we send)
+ */
+function estimateTokens(value) {
+  if (value === null || value === undefined) return 0;
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * 1.0 for brand new, 0.5 after one half-life; 0.5 when undated
+ */
+function recencyScore(dateValue, halfLifeDays, now = Date.now()) {
+  if (!halfLifeDays || !dateValue) return 0.5;
+  const time = new Date(dateValue).getTime();
+  if (isNaN(time)) return 0.5;
+
+  const ageDays = Math.max(0, now - time) / DAY_MS;
+  return Math.pow(0.5, ageDays / halfLifeDays);
+}
+
+/**
+ * Fraction of focus terms that appear in the item
+ */
+function relevanceScore(focusTokens, item) {
+  if (!focusTokens.length) return 0;
+  const itemTokens = new Set(tokenize(JSON.stringify(item)));
+  const hits = focusTokens.filter(t => itemTokens.has(t)).length;
+  return hits / focusTokens.length;
+}
+
+/**
+ * Distinct focus terms, as the relevance score matches them
+ */
+function focusTerms(focus) {
+  return [...new Set(tokenize(focus || ''))];
+}
+
+/**
+ * Combined score for one candidate
+ */
+function scoreItem(section, item, focusTokens, now = Date.now()) {
+  const rules = SECTION_RULES[section];
+  const recency = recencyScore(rules.dateField ? item[rules.dateField] : null, rules.halfLifeDays, now);
+  const importance = rules.importance(item);
+
+  if (focusTokens.length === 0) {
+    return (recency * 0.5) + (importance * 0.5);
+  }
+
+  const relevance = relevanceScore(focusTokens, item);
+  return (recency * 0.3) + (importance * 0.3) + (relevance * 0.4);
+}
+
+/**
+ * Pack context sections into a token budget (mutates context)
+ * @param {object} context - Output of buildStartupContext (before greeting)
+ * @param {object} options - { budget, focus, projectPath }
+ * @returns {object} Budget report: { limit, used, reserved, sections }
+ */
+function packContext(context, { budget, focus, projectPath } = {}) {
+  const focusTokens = focusTerms(focus);
+  const reserved = Math.min(MAX_GREETING_RESERVE, Math.floor(budget * GREETING_RESERVE_RATIO));
+  const available = Math.max(0, budget - reserved);
+  const now = Date.now();
+
+  // Flatten every section into scored candidates
+  const candidates = [];
+  for (const [section, rules] of Object.entries(SECTION_RULES)) {
+    const value = context[section];
+    if (value === null || value === undefined) continue;
+
+    const items = rules.single ? [value] : value;
+    items.forEach((item, index) => {
+      candidates.push({
+        section,
+        index,
+        item,
+        cost: estimateTokens(item),
+        score: scoreItem(section, item, focusTokens, now)
+      });
+    });
+  }
+
+  // Best first; cheaper wins ties so more fits
+  candidates.sort((a, b) => (b.score - a.score) || (a.cost - b.cost));
+
+  let used = 0;
+  const kept = new Set();
+  for (const candidate of candidates) {
+    if (used + candidate.cost <= available) {
+      kept.add(candidate);
+      used += candidate.cost;
+    }
+  }
+
+  // Rebuild sections in their original order, collecting what was dropped
+  const sections = {};
+  for (const [section, rules] of Object.entries(SECTION_RULES)) {
+    const sectionCandidates = candidates
+      .filter(c => c.section === section)
+      .sort((a, b) => a.index - b.index);
+    if (sectionCandidates.length === 0) continue;
+
+    const included = sectionCandidates.filter(c => kept.has(c));
+    const dropped = sectionCandidates.filter(c => !kept.has(c));
+
+    if (rules.single) {
+      context[section] = included.length > 0 ? included[0].item : null;
+    } else {
+      context[section] = included.map(c => c.item);
+    }
+
+    sections[section] = {
+      candidates: sectionCandidates.length,
+      included: included.length,
+      dropped: dropped.length,
+      tokens: included.reduce((sum, c) => sum + c.cost, 0),
+      droppedTokens: dropped.reduce((sum, c) => sum + c.cost, 0),
+      droppedIds: dropped
+        .map(c => c.item.id)
+        .filter(Boolean)
+        .slice(0, MAX_DROPPED_IDS),
+      fetchMore: dropped.length > 0 ? rules.fetchMore(projectPath) : null
+    };
+  }
+
+  return {
+    limit: budget,
+    used,
+    reserved,
+    focus: focus || null,
+    sections
+  };
+}
+
+/**
+ * Best `limit` items of one section for a focus; without one, the first `limit` as given
+ */
+function rankSection(section, items, { focus, limit = items.length } = {}) {
+  const focusTokens = focusTerms(focus);
+  if (focusTokens.length === 0) return items.slice(0, limit);
+
+  const now = Date.now();
+  return items
+    .map((item, index) => ({ item, index, score: scoreItem(section, item, focusTokens, now) }))
+    .sort((a, b) => (b.score - a.score) || (a.index - b.index))
+    .slice(0, limit)
+    .map(entry => entry.item);
+}
+
+module.exports = {
+  SECTION_RULES,
+  estimateTokens,
+  recencyScore,
+  relevanceScore,
+  focusTerms,
+  scoreItem,
+  packContext,
+  rankSection
+};
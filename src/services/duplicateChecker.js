@@ -2,16 +2,36 @@
  * Susan Duplicate Checker
  * Finds similar items by title/content matching
  * Uses string similarity (no AI needed)
+ *
+ * MinHash/LSH over title shingles picks candidate pairs first, so only
+ * likely duplicates pay for the Levenshtein comparison - not every pair.
  */
 
-const { from } = require('../../../shared/db');
+const { from } = require('../lib/db');
+const config = require('../lib/config');
 const { Logger } = require('../lib/logger');
+const minhash = require('../lib/minhash');
+const { cosineSimilarity } = require('../lib/embeddings');
+const mergeService = require('./mergeService');
 
 const logger = new Logger('Susan:DuplicateChecker');
 
 // Similarity threshold (0-1) - items above this are considered duplicates
 const SIMILARITY_THRESHOLD = 0.7;
 
+const OPEN_STATUSES = ['unassigned', 'open', 'pending', 'active'];
+const RETIRED_STATUSES = ['consolidated', 'archived', 'deleted', 'stale'];
+
+// Tables duplicate detection covers - the consolidator merges only todos and
+// bugs, knowledge/docs groups are reported. statuses: null = anything not retired
+const DEDUPE_SOURCES = {
+  dev_ai_todos: { statuses: OPEN_STATUSES, requireValidated: true, hasEmbeddings: false },
+  dev_ai_bugs: { statuses: OPEN_STATUSES, requireValidated: true, hasEmbeddings: false },
+  dev_ai_knowledge: { statuses: null, requireValidated: false, hasEmbeddings: true },
+  dev_ai_docs: { statuses: null, requireValidated: false, hasEmbeddings: true }
+};
+const DEFAULT_SOURCE = DEDUPE_SOURCES.dev_ai_todos;
+
 /**
  * Calculate Levenshtein distance between two strings
  */
@@ -92,70 +112,175 @@ function areSimilar(item1, item2) {
   return (titleSim * 0.6) + (termOverlap * 0.4);
 }
 
+/**
+ * Group similar items, scoring only the pairs LSH puts in a shared bucket
+ * Greedy and order-preserving: each item joins the first group whose
+ * founder it matches, and never a group holding a never-merge partner.
+ * @param {object[]} items - Oldest first
+ * @param {object} [options]
+ * @param {Set<string>} [options.blocked] - mergeService.pairKey() pairs to keep apart
+ * @param {boolean} [options.useEmbeddings] - Blend in embedding cosine where both items have one
+ * @param {number} [options.threshold] - Score at or above which two items are duplicates
+ * @returns {{ groups, singles, stats: { items, candidatePairs, comparisons } }}
+ */
+function groupDuplicates(items, { blocked = new Set(), useEmbeddings = false, threshold = SIMILARITY_THRESHOLD } = {}) {
+  const candidates = items.map(() => []);
+  const pairs = minhash.candidatePairs(items.map(item => item.title));
+  pairs.forEach(([i, j]) => candidates[i].push(j));
+
+  const isBlocked = (group, item) => group.some(member => blocked.has(mergeService.pairKey(member.id, item.id)));
+
+  const groups = [];
+  const used = new Set();
+  let comparisons = 0;
+
+  for (let i = 0; i < items.length; i++) {
+    if (used.has(items[i].id)) continue;
+
+    const group = [items[i]];
+    used.add(items[i].id);
+
+    for (const j of candidates[i]) {
+      if (used.has(items[j].id)) continue;
+      if (isBlocked(group, items[j])) continue;
+
+      comparisons++;
+      if (pairScore(items[i], items[j], useEmbeddings) >= threshold) {
+        group.push(items[j]);
+        used.add(items[j].id);
+      }
+    }
+
+    if (group.length > 1) {
+      groups.push(group);
+    }
+  }
+
+  const grouped = new Set(groups.flat().map(item => item.id));
+  const singles = items.filter(item => !grouped.has(item.id));
+
+  return {
+    groups,
+    singles,
+    stats: { items: items.length, candidatePairs: pairs.length, comparisons }
+  };
+}
+
+/**
+ * Text score, blended 50/50 with embedding cosine when both items carry a
+ * vector from the same model
+ */
+function pairScore(item1, item2, useEmbeddings = false) {
+  const textScore = areSimilar(item1, item2);
+  if (!useEmbeddings || item1.project_id !== item2.project_id) return textScore;
+
+  const e1 = item1.embedding;
+  const e2 = item2.embedding;
+  if (!e1 || !e2 || item1.embedding_model !== item2.embedding_model) return textScore;
+
+  return (textScore * 0.5) + (cosineSimilarity(e1, e2) * 0.5);
+}
+
 /**
  * Find duplicates in a table
- * @param {string} table - Table name (dev_ai_todos, dev_ai_bugs, etc.)
+ * Pairs on the never-merge list (undone merges) never share a group
+ * @param {string} table - A DEDUPE_SOURCES table (dev_ai_todos, dev_ai_bugs, ...)
  * @param {string} projectId - Project ID to scope the search
- * @param {array} statuses - Statuses to check (default: open/unassigned/pending/active)
+ * @param {array} [statuses] - Statuses to check (default: the table's open statuses)
+ * @param {object} [options] - { useEmbeddings } (default config.DEDUPE_USE_EMBEDDINGS)
  */
-async function findDuplicates(table, projectId, statuses = ['unassigned', 'open', 'pending', 'active']) {
+async function findDuplicates(table, projectId, statuses, { useEmbeddings = config.DEDUPE_USE_EMBEDDINGS } = {}) {
+  const source = DEDUPE_SOURCES[table] || DEFAULT_SOURCE;
+  const withEmbeddings = useEmbeddings && source.hasEmbeddings;
+
   try {
+    const columns = ['id', 'title', 'project_id', 'status', 'created_at'];
+    if (withEmbeddings) columns.push('embedding', 'embedding_model');
+
     let query = from(table)
-      .select('id, title, project_id, status, created_at')
-      .eq('project_id', projectId)
-      .not('validated_at', 'is', null); // v2.1: Skip candidates
-    
-    // Filter by statuses
-    if (statuses.length > 0) {
-      query = query.in('status', statuses);
+      .select(columns.join(', '))
+      .eq('project_id', projectId);
+
+    if (source.requireValidated) {
+      query = query.not('validated_at', 'is', null); // v2.1: Skip candidates
     }
-    
-    const { data: items, error } = await query.order('created_at', { ascending: true });
-    
-    if (error || !items?.length) {
-      return { groups: [], singles: [] };
+
+    const wanted = statuses || source.statuses;
+    if (wanted && wanted.length > 0) {
+      query = query.in('status', wanted);
     }
-    
-    // Group similar items
-    const groups = [];
-    const used = new Set();
-    
-    for (let i = 0; i < items.length; i++) {
-      if (used.has(items[i].id)) continue;
-      
-      const group = [items[i]];
-      used.add(items[i].id);
-      
-      for (let j = i + 1; j < items.length; j++) {
-        if (used.has(items[j].id)) continue;
-        
-        const sim = areSimilar(items[i], items[j]);
-        if (sim >= SIMILARITY_THRESHOLD) {
-          group.push(items[j]);
-          used.add(items[j].id);
-        }
-      }
-      
-      if (group.length > 1) {
-        groups.push(group);
-      }
+
+    const { data, error } = await query.order('created_at', { ascending: true });
+
+    if (error || !data?.length) {
+      return { groups: [], singles: [] };
     }
-    
-    // Singles are items not in any duplicate group
-    const singles = items.filter(i => !used.has(i.id) || 
-      groups.every(g => !g.some(gi => gi.id === i.id)));
-    
-    return { groups, singles };
+
+    // Tables without an open-status list keep everything not already retired
+    const items = wanted ? data : data.filter(item => !RETIRED_STATUSES.includes(item.status));
+
+    const blocked = await mergeService.getBlockedPairs(table);
+    const { groups, singles, stats } = groupDuplicates(items, { blocked, useEmbeddings: withEmbeddings });
+
+    logger.debug('Duplicate scan', { table, projectId, ...stats, groups: groups.length });
+    return { groups, singles, stats };
   } catch (err) {
     logger.error('findDuplicates failed', { table, projectId, error: err.message });
     return { groups: [], singles: [] };
   }
 }
 
+/**
+ * Precision/recall of duplicate detection against labelled pairs
+ * @param {object[]} items - Items in created order
+ * @param {Array<[string, string]>} labelled - id pairs that really are duplicates
+ * @returns {{ precision, recall, f1, candidateRecall, truePositives, falsePositives, falseNegatives, stats }}
+ */
+function measureDetection(items, labelled, options = {}) {
+  const { groups, stats } = groupDuplicates(items, options);
+  const key = (a, b) => mergeService.pairKey(a, b);
+
+  const predicted = new Set();
+  for (const group of groups) {
+    for (let i = 0; i < group.length; i++) {
+      for (let j = i + 1; j < group.length; j++) {
+        predicted.add(key(group[i].id, group[j].id));
+      }
+    }
+  }
+
+  const expected = new Set(labelled.map(([a, b]) => key(a, b)));
+  const index = new Map(items.map((item, i) => [item.id, i]));
+  const candidates = new Set(minhash.candidatePairs(items.map(item => item.title))
+    .map(([i, j]) => key(items[i].id, items[j].id)));
+
+  const truePositives = [...predicted].filter(pair => expected.has(pair)).length;
+  const falsePositives = predicted.size - truePositives;
+  const falseNegatives = expected.size - truePositives;
+  const reachable = [...expected].filter(pair => {
+    const [a, b] = pair.split('|');
+    return index.has(a) && index.has(b) && candidates.has(pair);
+  }).length;
+
+  const precision = predicted.size ? truePositives / predicted.size : 1;
+  const recall = expected.size ? truePositives / expected.size : 1;
+
+  return {
+    precision,
+    recall,
+    f1: precision + recall ? (2 * precision * recall) / (precision + recall) : 0,
+    candidateRecall: expected.size ? reachable / expected.size : 1,
+    truePositives,
+    falsePositives,
+    falseNegatives,
+    stats: { ...stats, allPairs: (items.length * (items.length - 1)) / 2 }
+  };
+}
+
 /**
  * Find all duplicates across all projects for a table
  */
-async function findAllDuplicates(table, statuses = ['unassigned', 'open', 'pending', 'active']) {
+async function findAllDuplicates(table, statuses) {
   try {
     // Get distinct project IDs
     const { data: projects } = await from('dev_projects').select('id');
@@ -180,7 +305,11 @@ module.exports = {
   similarity,
   areSimilar,
   extractTerms,
+  pairScore,
+  groupDuplicates,
   findDuplicates,
   findAllDuplicates,
+  measureDetection,
+  DEDUPE_SOURCES,
   SIMILARITY_THRESHOLD
 };
@@ -0,0 +1,420 @@
+/**
+ * Susan Embedding Service
+ * Stores embeddings alongside librarian rows and ranks them for /api/query
+ *
+ * Embedded tables: knowledge, docs, decisions, lessons
+ * Each row gets: embedding (REAL[]), embedding_model, embedded_at
+ *
+ * Ranking modes:
+ * - semantic: cosine similarity only
+ * - hybrid:   keyword overlap + cosine + importance
+ *
+ * Embeddings are plain arrays, not pgvector, so ranking happens here: every
+ * embedded row is scored, read SCAN_PAGE rows at a time, keeping only the
+ * best few. A search costs a full pass over the embedded tables.
+ */
+
+const { from } = require('../lib/db');
+const { Logger } = require('../lib/logger');
+const embeddings = require('../lib/embeddings');
+
+const logger = new Logger('Susan:Embeddings');
+
+// Which text fields feed the embedding for each table
+const EMBEDDED_TABLES = {
+  dev_ai_knowledge: {
+    type: 'knowledge',
+    fields: ['title', 'summary', 'details', 'content'],
+    select: 'id, title, summary, details, content, category, importance, project_id, created_at'
+  },
+  dev_ai_docs: {
+    type: 'doc',
+    fields: ['title', 'content'],
+    select: 'id, title, content, doc_type, project_id, created_at'
+  },
+  dev_ai_decisions: {
+    type: 'decision',
+    fields: ['title', 'decision', 'context', 'rationale'],
+    select: 'id, title, decision, context, rationale, project_id, created_at'
+  },
+  dev_ai_lessons: {
+    type: 'lesson',
+    fields: ['title', 'description'],
+    select: 'id, title, description, project_id, created_at'
+  }
+};
+
+// Hybrid ranking weights (sum to 1)
+const HYBRID_WEIGHTS = {
+  keyword: 0.35,
+  semantic: 0.5,
+  importance: 0.15
+};
+
+const BATCH_SIZE = 50;
+const SCAN_PAGE = 500;         // Rows read per query while scoring a table
+const DEFAULT_IMPORTANCE = 5;
+
+let isRunning = false;
+let stopping = false;
+let currentRun = null;    // promise of the backfill in flight
+let backfillState = {
+  status: 'idle',     // idle | running | completed | stopped | failed
+  model: null,
+  startedAt: null,
+  finishedAt: null,
+  tables: {},
+  error: null
+};
+
+/**
+ * Build the text that represents a row for embedding
+ */
+function buildEmbeddingText(table, row) {
+  const tableConfig = EMBEDDED_TABLES[table];
+  if (!tableConfig) return '';
+
+  return tableConfig.fields
+    .map(field => row[field])
+    .filter(value => typeof value === 'string' && value.trim())
+    .join('\n')
+    .slice(0, 8000);
+}
+
+/**
+ * Embed a batch of rows and store the vectors on them
+ * Returns { embedded, errors, failedIds }
+ */
+async function embedRows(table, rows) {
+  const result = { embedded: 0, errors: 0, failedIds: [] };
+  if (!rows?.length) return result;
+
+  const texts = rows.map(row => buildEmbeddingText(table, row));
+  const { model, vectors } = await embeddings.embed(texts);
+  const embeddedAt = new Date().toISOString();
+
+  for (let i = 0; i < rows.length; i++) {
+    const { error } = await from(table)
+      .update({
+        embedding: vectors[i],
+        embedding_model: model,
+        embedded_at: embeddedAt
+      })
+      .eq('id', rows[i].id);
+
+    if (error) {
+      logger.warn('Failed to store embedding', { table, id: rows[i].id, error: error.message });
+      result.errors++;
+      result.failedIds.push(rows[i].id);
+    } else {
+      result.embedded++;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Embed a single record right after it is written (best effort)
+ */
+async function embedRecord(table, id) {
+  const tableConfig = EMBEDDED_TABLES[table];
+  if (!tableConfig) return false;
+
+  try {
+    const { data: row, error } = await from(table)
+      .select(tableConfig.select)
+      .eq('id', id)
+      .single();
+
+    if (error || !row) return false;
+
+    const result = await embedRows(table, [row]);
+    return result.embedded === 1;
+  } catch (err) {
+    logger.warn('embedRecord failed', { table, id, error: err.message });
+    return false;
+  }
+}
+
+/**
+ * Embed every row that has no embedding (or one from a different model)
+ * Progress is tracked in backfillState for GET /api/embeddings/backfill
+ */
+async function runBackfill(options = {}) {
+  if (isRunning) {
+    logger.info('Embedding backfill already running, skipping');
+    return backfillState;
+  }
+
+  const tables = (options.tables || Object.keys(EMBEDDED_TABLES))
+    .filter(t => EMBEDDED_TABLES[t]);
+  const batchSize = options.batchSize || BATCH_SIZE;
+
+  isRunning = true;
+  let finish;
+  currentRun = new Promise(resolve => { finish = resolve; });
+  const model = embeddings.getProvider().model;
+  backfillState = {
+    status: 'running',
+    model,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    tables: {},
+    error: null
+  };
+
+  try {
+    for (const table of tables) {
+      if (stopping) break;
+      const progress = { total: 0, processed: 0, errors: 0 };
+      backfillState.tables[table] = progress;
+
+      const needsEmbedding = `embedding.is.null,embedding_model.neq.${model}`;
+
+      const { count } = await from(table)
+        .select('id', { count: 'exact', head: true })
+        .or(needsEmbedding);
+      progress.total = count || 0;
+
+      if (progress.total === 0) continue;
+
+      // Rows that failed stay unembedded - remember them so we don't loop forever
+      const failed = new Set();
+
+      // Unembedded rows are picked up again by the next backfill run, so stopping
+      // between batches loses nothing
+      while (!stopping) {
+        const { data: rows, error } = await from(table)
+          .select(EMBEDDED_TABLES[table].select)
+          .or(needsEmbedding)
+          .order('created_at', { ascending: true })
+          .limit(batchSize + failed.size);
+
+        if (error) throw error;
+
+        const batch = (rows || []).filter(r => !failed.has(r.id)).slice(0, batchSize);
+        if (batch.length === 0) break;
+
+        const result = await embedRows(table, batch);
+        result.failedIds.forEach(id => failed.add(id));
+        progress.processed += result.embedded;
+        progress.errors += result.errors;
+      }
+
+      logger.info('Embedding backfill table complete', { table, ...progress });
+    }
+
+    backfillState.status = stopping ? 'stopped' : 'completed';
+  } catch (err) {
+    logger.error('Embedding backfill failed', { error: err.message });
+    backfillState.status = 'failed';
+    backfillState.error = err.message;
+  } finally {
+    backfillState.finishedAt = new Date().toISOString();
+    isRunning = false;
+    currentRun = null;
+    finish();
+  }
+
+  return backfillState;
+}
+
+/**
+ * Kick off a backfill without waiting for it
+ */
+function startBackfill(options = {}) {
+  if (!isRunning) {
+    runBackfill(options).catch(err =>
+      logger.error('Background backfill crashed', { error: err.message })
+    );
+  }
+  return getBackfillStatus();
+}
+
+/**
+ * Current backfill progress
+ */
+function getBackfillStatus() {
+  const totals = Object.values(backfillState.tables).reduce((acc, t) => {
+    acc.total += t.total;
+    acc.processed += t.processed;
+    acc.errors += t.errors;
+    return acc;
+  }, { total: 0, processed: 0, errors: 0 });
+
+  return {
+    ...backfillState,
+    totals,
+    percent: totals.total > 0 ? Math.round((totals.processed / totals.total) * 100) : 100
+  };
+}
+
+/**
+ * Fraction of query terms found in the row text (title hits count double)
+ */
+function keywordScore(queryTokens, row, table) {
+  if (queryTokens.length === 0) return 0;
+
+  const titleTokens = new Set(embeddings.tokenize(row.title));
+  const bodyTokens = new Set(embeddings.tokenize(buildEmbeddingText(table, row)));
+
+  let score = 0;
+  for (const token of queryTokens) {
+    if (titleTokens.has(token)) score += 2;
+    else if (bodyTokens.has(token)) score += 1;
+  }
+  return score / (queryTokens.length * 2);
+}
+
+/**
+ * Shape a row into the common search result envelope
+ */
+function toResult(table, row, scores, score) {
+  const tableConfig = EMBEDDED_TABLES[table];
+  const text = buildEmbeddingText(table, row);
+  const body = row.title && text.startsWith(row.title) ? text.slice(row.title.length).trim() : text;
+
+  return {
+    type: tableConfig.type,
+    source_table: table,
+    id: row.id,
+    title: row.title,
+    summary: row.summary || body.slice(0, 300),
+    category: row.category || row.doc_type || null,
+    importance: row.importance ?? null,
+    project_id: row.project_id,
+    created_at: row.created_at,
+    score: Math.round(score * 1000) / 1000,
+    scores
+  };
+}
+
+/**
+ * Visit every candidate row of a table, a page at a time
+ * Semantic: every row embedded with the current model
+ * Hybrid: those plus keyword (title) matches embedded with another model or not at all
+ */
+async function scanCandidates(table, q, model, mode, filters, visit) {
+  const tableConfig = EMBEDDED_TABLES[table];
+  const select = `${tableConfig.select}, embedding, embedding_model`;
+
+  const applyFilters = (query) => {
+    if (filters.project) query = query.eq('project_id', filters.project);
+    if (filters.category && table === 'dev_ai_knowledge') query = query.eq('category', filters.category);
+    return query;
+  };
+
+  const scan = async (narrow, skip = () => false) => {
+    for (let offset = 0; ; offset += SCAN_PAGE) {
+      const { data: rows, error } = await applyFilters(narrow(from(table).select(select)))
+        .order('id', { ascending: true })
+        .range(offset, offset + SCAN_PAGE - 1);
+      if (error) throw error;
+
+      (rows || []).filter(row => !skip(row)).forEach(visit);
+      if (!rows || rows.length < SCAN_PAGE) return;
+    }
+  };
+
+  await scan(query => query.eq('embedding_model', model));
+
+  if (mode === 'hybrid' && q) {
+    // Rows on the current model were scored above
+    await scan(query => query.ilike('title', `%${q}%`), row => row.embedding_model === model);
+  }
+}
+
+/**
+ * Semantic / hybrid search across the embedded tables
+ * @param {string} q - Natural language query
+ * @param {object} options - { mode, project, category, limit, tables }
+ */
+async function search(q, options = {}) {
+  const { mode = 'hybrid', project, category, limit = 10 } = options;
+  const tables = (options.tables || Object.keys(EMBEDDED_TABLES))
+    .filter(t => EMBEDDED_TABLES[t]);
+
+  if (!q) return [];
+
+  const { model, vectors } = await embeddings.embed([q]);
+  const queryVector = vectors[0];
+  const queryTokens = [...new Set(embeddings.tokenize(q))];
+
+  // Best results so far - trimmed back to limit whenever it doubles
+  let results = [];
+  let scored = 0;
+  const keep = (result) => {
+    results.push(result);
+    if (results.length >= limit * 2) {
+      results.sort((a, b) => b.score - a.score);
+      results = results.slice(0, limit);
+    }
+  };
+
+  for (const table of tables) {
+    const visit = (row) => {
+      scored++;
+      const semantic = row.embedding_model === model
+        ? Math.max(0, embeddings.cosineSimilarity(queryVector, row.embedding))
+        : 0;
+
+      let score;
+      let scores;
+
+      if (mode === 'semantic') {
+        score = semantic;
+        scores = { semantic };
+      } else {
+        const keyword = keywordScore(queryTokens, row, table);
+        const importance = (row.importance ?? DEFAULT_IMPORTANCE) / 10;
+        score = (keyword * HYBRID_WEIGHTS.keyword) +
+          (semantic * HYBRID_WEIGHTS.semantic) +
+          (importance * HYBRID_WEIGHTS.importance);
+        scores = { keyword, semantic, importance };
+
+        // Importance alone shouldn't surface an unrelated row
+        if (keyword === 0 && semantic === 0) return;
+      }
+
+      if (score > 0) {
+        keep(toResult(table, row, scores, score));
+      }
+    };
+
+    try {
+      await scanCandidates(table, q, model, mode, { project, category }, visit);
+    } catch (err) {
+      // Table may not have embedding columns yet
+      logger.warn('Semantic candidates failed', { table, error: err.message });
+    }
+  }
+
+  results.sort((a, b) => b.score - a.score);
+
+  logger.info('Semantic search', { query: q, mode, model, scored, resultCount: Math.min(results.length, limit) });
+
+  return results.slice(0, limit);
+}
+
+/**
+ * Stop after the batch being embedded
+ */
+function stop() {
+  stopping = true;
+  return currentRun || Promise.resolve();
+}
+
+module.exports = {
+  EMBEDDED_TABLES,
+  HYBRID_WEIGHTS,
+  stop,
+  buildEmbeddingText,
+  embedRows,
+  embedRecord,
+  runBackfill,
+  startBackfill,
+  getBackfillStatus,
+  keywordScore,
+  search
+};
@@ -0,0 +1,197 @@
+/**
+ * Susan Event Bus
+ * Typed, in-process events for librarian changes
+ *
+ * Writers (catalog route, extractionSorter, statusUpdater, consolidator,
+ * conflicts and storage routes) call emit() after a change lands.
+ * Subscribers are the SSE stream at /api/events and the webhook service.
+ * A short ring buffer of recent events lets SSE clients catch up after a
+ * reconnect via Last-Event-ID. emit() never throws - a broken listener
+ * must not fail the write that triggered it.
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { Logger } = require('../lib/logger');
+
+const logger = new Logger('Susan:Events');
+
+const EVENT_TYPES = [
+  'todo.created',
+  'todo.completed',
+  'todo.merged',
+  'bug.created',
+  'bug.fixed',
+  'bug.merged',
+  'knowledge.created',
+  'knowledge.merged',
+  'doc.created',
+  'doc.merged',
+  'decision.created',
+  'journal.created',
+  'lesson.created',
+  'convention.created',
+  'snippet.created',
+  'merge.undone',
+  'conflict.flagged',
+  'conflict.resolved',
+  'purge.flagged',
+  'purge.approved',
+  'purge.rejected',
+  'purge.restored',
+  'webhook.ping'
+];
+
+// Table -> event entity ("dev_ai_bugs" -> "bug.created", "bug.merged")
+const TABLE_ENTITIES = {
+  dev_ai_todos: 'todo',
+  dev_ai_bugs: 'bug',
+  dev_ai_knowledge: 'knowledge',
+  dev_ai_docs: 'doc',
+  dev_ai_decisions: 'decision',
+  dev_ai_journal: 'journal',
+  dev_ai_lessons: 'lesson',
+  dev_ai_conventions: 'convention',
+  dev_ai_snippets: 'snippet'
+};
+
+const BUFFER_SIZE = 500;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);  // One per SSE client
+
+let sequence = 0;
+let recent = [];
+
+/**
+ * Event type for a table change, or null for tables without events
+ */
+function eventFor(table, action) {
+  const entity = TABLE_ENTITIES[table];
+  return entity ? `${entity}.${action}` : null;
+}
+
+/**
+ * Does a type match a filter list? Entries may be exact ("bug.fixed"),
+ * a prefix wildcard ("todo.*") or "*"
+ */
+function matchesType(type, patterns) {
+  if (!patterns || patterns.length === 0) return true;
+  return patterns.some(pattern =>
+    pattern === '*' ||
+    pattern === type ||
+    (pattern.endsWith('.*') && type.startsWith(pattern.slice(0, -1)))
+  );
+}
+
+/**
+ * Publish an event
+ * @param {string} type - One of EVENT_TYPES
+ * @param {object} data - Event body; project_id is lifted onto the envelope
+ * @param {object} options - { source }
+ * @returns {object|null} the event envelope
+ */
+function emit(type, data = {}, { source = 'susan' } = {}) {
+  if (!EVENT_TYPES.includes(type)) {
+    logger.warn('Unknown event type', { type });
+    return null;
+  }
+
+  const event = {
+    id: crypto.randomUUID(),
+    seq: ++sequence,
+    type,
+    source,
+    project_id: data.project_id || null,
+    data,
+    created_at: new Date().toISOString()
+  };
+
+  recent.push(event);
+  if (recent.length > BUFFER_SIZE) recent = recent.slice(-BUFFER_SIZE);
+
+  for (const listener of emitter.listeners('event')) {
+    try {
+      listener(event);
+    } catch (err) {
+      logger.error('Event listener failed', { type, error: err.message });
+    }
+  }
+
+  return event;
+}
+
+/**
+ * Publish the event for a row change in a librarian table
+ * ("dev_ai_todos", "created", row) -> todo.created; other tables are ignored
+ * @param {object} options - { source, ...extra fields for the event body }
+ */
+function emitRowEvent(table, action, row, { source, ...extra } = {}) {
+  const type = eventFor(table, action);
+  if (!type || !row) return null;
+
+  return emit(type, {
+    table,
+    id: row.id,
+    project_id: row.project_id || null,
+    title: row.title || row.name || null,
+    status: row.status || null,
+    ...extra
+  }, { source });
+}
+
+/**
+ * Listen for events
+ * @param {Function} listener - Called with each event envelope
+ * @param {object} filter - { types, project }
+ * @returns {Function} unsubscribe
+ */
+function subscribe(listener, { types, project } = {}) {
+  const wrapped = (event) => {
+    if (!matchesType(event.type, types)) return;
+    if (project && event.project_id !== project) return;
+    listener(event);
+  };
+  emitter.on('event', wrapped);
+  return () => emitter.off('event', wrapped);
+}
+
+/**
+ * Buffered events after a sequence number (for SSE catch-up)
+ * An afterSeq the buffer has never seen (e.g. from before a restart) replays nothing
+ */
+function since(afterSeq, { types, project } = {}) {
+  const after = parseInt(afterSeq);
+  if (!Number.isFinite(after) || after > sequence) return [];
+
+  return recent.filter(event =>
+    event.seq > after &&
+    matchesType(event.type, types) &&
+    (!project || event.project_id === project)
+  );
+}
+
+function subscriberCount() {
+  return emitter.listenerCount('event');
+}
+
+/**
+ * Drop buffered events and listeners (tests)
+ */
+function reset() {
+  emitter.removeAllListeners('event');
+  recent = [];
+}
+
+module.exports = {
+  EVENT_TYPES,
+  TABLE_ENTITIES,
+  eventFor,
+  matchesType,
+  emit,
+  emitRowEvent,
+  subscribe,
+  since,
+  subscriberCount,
+  reset
+};
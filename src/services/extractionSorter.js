@@ -2,74 +2,55 @@
  * Extraction Sorter - Routes staging items to final tables
  * 
  * Consumes from dev_ai_smart_extractions (status='pending')
- * Routes to final tables based on bucket mapping
+ * Routes to final tables by the routing rules (routingService - stored
+ * per bucket, optionally per project, with field mapping)
  * 
- * Staging status = workflow state: pending → processed | duplicate | error
+ * Staging status = workflow state: pending → routing → processed | duplicate | unrouted | review | retry | error
+ * ('unrouted' = no rule for the bucket yet; adding one puts the items back to pending)
+ * ('review' = extractor confidence under STAGING_REVIEW_CONFIDENCE - a dev
+ * accepts, rejects or merges it through /api/staging/review)
+ * ('routing' is held only while an item is being inserted - one left behind
+ * by a crash or restart is resolved by recoverInterrupted() at startup)
+ * Transient failures go to 'retry' and are picked up again after an
+ * exponential backoff; permanent ones, or any after STAGING_MAX_ATTEMPTS,
+ * land in 'error' - the dead-letter state, inspected and requeued or
+ * discarded through /api/staging/errors.
  * Final table status = bucket semantics (open/fixed/unassigned/active/pending)
  * 
- * Runs every 5 minutes to process Jason's extracted items
+ * Runs as the 'extraction-sorter' job (jobScheduler, every 5 minutes by default)
+ * Each routed item is announced on the event bus (todo.created, bug.created, ...)
  */
 
 const db = require('../lib/db');
+const config = require('../lib/config');
+const eventBus = require('./eventBus');
+const routingService = require('./routingService');
+const embeddingService = require('./embeddingService');
+
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
+const ERROR_HISTORY_LIMIT = 10;
+
+// Failures that will fail the same way on every attempt - straight to dead letter
+const PERMANENT_ERRORS = [
+  /^Not a routable table/,
+  /null value in column/i,
+  /violates (not-null|check|foreign key) constraint/i,
+  /invalid input (syntax|value)/i,
+  /value too long/i,
+  /column .* does not exist/i
+];
 
-const CYCLE_MS = 5 * 60 * 1000; // 5 minutes
-
-// Complete bucket → table mapping (20 buckets)
-const BUCKET_CONFIG = {
-  // Bugs
-  'Bugs Open':           { table: 'dev_ai_bugs',        status: 'open' },
-  'Bugs Fixed':          { table: 'dev_ai_bugs',        status: 'fixed' },
-  
-  // Todos
-  'Todos':               { table: 'dev_ai_todos',       status: 'unassigned' },
-  
-  // Journal
-  'Journal':             { table: 'dev_ai_journal',     status: 'pending' },
-  'Work Log':            { table: 'dev_ai_journal',     status: 'pending' },
-  
-  // Decisions & Lessons
-  'Decisions':           { table: 'dev_ai_decisions',   status: 'pending' },
-  'Lessons':             { table: 'dev_ai_lessons',     status: 'pending' },
-  
-  // Docs
-  'System Breakdown':    { table: 'dev_ai_docs',        status: 'pending' },
-  'How-To Guide':        { table: 'dev_ai_docs',        status: 'pending' },
-  'Schematic':           { table: 'dev_ai_docs',        status: 'pending' },
-  'Reference':           { table: 'dev_ai_docs',        status: 'pending' },
-  
-  // Conventions (active)
-  'Naming Conventions':  { table: 'dev_ai_conventions', status: 'active' },
-  'File Structure':      { table: 'dev_ai_conventions', status: 'active' },
-  'Database Patterns':   { table: 'dev_ai_conventions', status: 'active' },
-  'API Patterns':        { table: 'dev_ai_conventions', status: 'active' },
-  'Component Patterns':  { table: 'dev_ai_conventions', status: 'active' },
-  
-  // Knowledge
-  'Ideas':               { table: 'dev_ai_knowledge',   status: 'pending' },
-  'Quirks & Gotchas':    { table: 'dev_ai_knowledge',   status: 'pending' },
-  'Other':               { table: 'dev_ai_knowledge',   status: 'pending' },
-  
-  // Snippets
-  'Snippets':            { table: 'dev_ai_snippets',    status: 'pending' }
-};
-
-let intervalHandle = null;
 let isProcessing = false;  // Prevent overlapping runs
+let stopping = false;
+let currentRun = null;
 
-function start() {
-  console.log('[ExtractionSorter] Starting (5 min cycle)');
-  processStagingItems().catch(err => console.error('[ExtractionSorter] Initial run error:', err));
-  intervalHandle = setInterval(() => {
-    processStagingItems().catch(err => console.error('[ExtractionSorter] Cycle error:', err));
-  }, CYCLE_MS);
-}
-
+/**
+ * Let the current batch end after the item in hand
+ * Resolves once the in-flight run (if any) has finished; unrouted items stay pending
+ */
 function stop() {
-  if (intervalHandle) {
-    clearInterval(intervalHandle);
-    intervalHandle = null;
-    console.log('[ExtractionSorter] Stopped');
-  }
+  stopping = true;
+  return currentRun || Promise.resolve();
 }
 
 async function processStagingItems(limit = 50) {
@@ -79,13 +60,24 @@ async function processStagingItems(limit = 50) {
     return { skipped: true };
   }
   isProcessing = true;
+  currentRun = routeBatch(limit);
+  try {
+    return await currentRun;
+  } finally {
+    currentRun = null;
+    isProcessing = false;
+  }
+}
 
-  const stats = { processed: 0, errors: 0, duplicates: 0, byTable: {} };
+async function routeBatch(limit) {
+  const stats = emptyStats();
+  const now = new Date().toISOString();
 
   try {
+    // New items plus retries whose backoff has elapsed
     const { data: items, error } = await db.from('dev_ai_smart_extractions')
       .select('*')
-      .eq('status', 'pending')
+      .or(`status.eq.pending,and(status.eq.retry,next_attempt_at.lte.${now})`)
       .order('created_at', { ascending: true })
       .limit(limit);
 
@@ -97,79 +89,191 @@ async function processStagingItems(limit = 50) {
     if (!items || items.length === 0) return stats;
 
     console.log(`[ExtractionSorter] Processing ${items.length} pending items`);
+    const rules = await routingService.loadRules();
 
-    for (const item of items) {
-      try {
-        const config = BUCKET_CONFIG[item.bucket];
-        if (!config) {
-          await markStaging(item.id, 'error', {
-            error: `Unknown bucket: ${item.bucket}`,
-            error_stage: 'bucket_lookup',
-            error_table: null
-          });
-          stats.errors++;
-          continue;
-        }
-
-        // Dedupe check by hash
-        if (item.hash) {
-          const dupeResult = await checkDuplicate(config.table, item.hash);
-          if (dupeResult.error) {
-            await markStaging(item.id, 'error', {
-              error: dupeResult.error,
-              error_stage: 'dedupe',
-              error_table: config.table
-            });
-            stats.errors++;
-            continue;
-          }
-          if (dupeResult.isDupe) {
-            await markStaging(item.id, 'duplicate');
-            stats.duplicates++;
-            continue;
-          }
-        }
-
-        // Route to appropriate table
-        const insertResult = await insertToTable(config.table, config.status, item);
-        
-        if (insertResult.success) {
-          await markStaging(item.id, 'processed');
-          stats.processed++;
-          stats.byTable[config.table] = (stats.byTable[config.table] || 0) + 1;
-        } else {
-          await markStaging(item.id, 'error', {
-            error: insertResult.error,
-            error_stage: 'insert',
-            error_table: config.table
-          });
-          stats.errors++;
-        }
-
-      } catch (err) {
-        console.error(`[ExtractionSorter] Error processing ${item.id}:`, err.message);
-        await markStaging(item.id, 'error', {
-          error: err.message,
-          error_stage: 'processing',
-          error_table: null
-        });
-        stats.errors++;
+    for (const [index, item] of items.entries()) {
+      if (stopping) {
+        stats.leftPending = items.length - index;
+        console.log(`[ExtractionSorter] Stopping - ${stats.leftPending} items left pending`);
+        break;
       }
+
+      await routeItem(item, rules, stats);
     }
 
-    if (stats.processed > 0 || stats.duplicates > 0 || stats.errors > 0) {
-      console.log(`[ExtractionSorter] Complete: ${stats.processed} processed, ${stats.duplicates} dupes, ${stats.errors} errors`, stats.byTable);
+    if (stats.processed > 0 || stats.duplicates > 0 || stats.unrouted > 0 || stats.review > 0 || stats.errors > 0) {
+      console.log(`[ExtractionSorter] Complete: ${stats.processed} processed, ${stats.duplicates} dupes, ${stats.unrouted} unrouted, ${stats.review} to review, ${stats.errors} errors (${stats.retrying} to retry)`, stats.byTable);
     }
     return stats;
 
   } catch (err) {
     console.error('[ExtractionSorter] Fatal error:', err.message);
     return stats;
-  } finally {
-    isProcessing = false;
   }
 }
 
+/**
+ * Route one staged item (already read as pending/retry) and count it in stats
+ * @returns {Promise<object>} { status, table, row, error } - status is the staging status it ended in
+ */
+async function routeItem(item, rules, stats) {
+  // Claim the item so a second instance (or a retry after a crash) can't route it twice
+  if (!(await claimStaging(item.id))) return { status: 'skipped' };
+
+  try {
+    // Unsure extractions wait for a human (reviewed ones have been seen already)
+    if (needsReview(item)) {
+      // Copy a metadata-only score into the column so the inbox can sort on it
+      await markStaging(item.id, 'review', null, { confidence: confidenceOf(item) });
+      stats.review++;
+      return { status: 'review' };
+    }
+
+    const rule = routingService.resolveRule(rules, item.bucket, item.project_id);
+    if (!rule) {
+      await markStaging(item.id, 'unrouted');
+      stats.unrouted++;
+      return { status: 'unrouted' };
+    }
+
+    // Dedupe check by hash
+    if (item.hash) {
+      const dupeResult = await checkDuplicate(rule.target_table, item.hash);
+      if (dupeResult.error) {
+        const status = await failStaging(item, {
+          error: dupeResult.error,
+          error_stage: 'dedupe',
+          error_table: rule.target_table
+        }, stats);
+        return { status, table: rule.target_table, error: dupeResult.error };
+      }
+      if (dupeResult.isDupe) {
+        await markStaging(item.id, 'duplicate');
+        stats.duplicates++;
+        return { status: 'duplicate', table: rule.target_table };
+      }
+    }
+
+    // Route to appropriate table
+    const insertResult = await insertToTable(rule, item);
+
+    if (!insertResult.success) {
+      const status = await failStaging(item, {
+        error: insertResult.error,
+        error_stage: 'insert',
+        error_table: rule.target_table
+      }, stats);
+      return { status, table: rule.target_table, error: insertResult.error };
+    }
+
+    await markStaging(item.id, 'processed');
+    // Best effort (no-op for tables without embeddings) - the backfill job catches misses
+    await embeddingService.embedRecord(rule.target_table, insertResult.row.id);
+    stats.processed++;
+    stats.byTable[rule.target_table] = (stats.byTable[rule.target_table] || 0) + 1;
+    eventBus.emitRowEvent(rule.target_table, 'created', insertResult.row, {
+      source: 'extraction-sorter',
+      bucket: item.bucket,
+      staging_id: item.id
+    });
+    return { status: 'processed', table: rule.target_table, row: insertResult.row };
+
+  } catch (err) {
+    console.error(`[ExtractionSorter] Error processing ${item.id}:`, err.message);
+    const status = await failStaging(item, {
+      error: err.message,
+      error_stage: 'processing',
+      error_table: null
+    }, stats);
+    return { status, error: err.message };
+  }
+}
+
+/**
+ * Route a single pending item now (review accepts use this)
+ */
+async function routeOne(id) {
+  const { data: item, error } = await db.from('dev_ai_smart_extractions')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+  if (error) throw error;
+  if (!item) return { status: 'missing' };
+
+  const rules = await routingService.loadRules();
+  return routeItem(item, rules, emptyStats());
+}
+
+function emptyStats() {
+  return { processed: 0, errors: 0, retrying: 0, duplicates: 0, unrouted: 0, review: 0, byTable: {} };
+}
+
+/**
+ * Extractor confidence (0-1): the confidence column, else metadata.confidence
+ * @returns {number|null} null when the extractor gave none
+ */
+function confidenceOf(item) {
+  const value = item.confidence ?? item.metadata?.confidence;
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function needsReview(item) {
+  if (item.reviewed_at) return false;
+  const confidence = confidenceOf(item);
+  return confidence !== null && confidence < config.STAGING_REVIEW_CONFIDENCE;
+}
+
+// pending/retry -> routing; false if another run got there first
+async function claimStaging(id) {
+  const { data, error } = await db.from('dev_ai_smart_extractions')
+    .update({ status: 'routing', updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .in('status', ['pending', 'retry'])
+    .select('id');
+  if (error) {
+    console.error(`[ExtractionSorter] Claim failed for ${id}:`, error.message);
+    return false;
+  }
+  return data.length === 1;
+}
+
+/**
+ * Startup recovery: items left in 'routing' by an interrupted run
+ * If the insert landed, mark processed; otherwise put the item back to pending
+ * @returns {Promise<{ completed: number, requeued: number }>}
+ */
+async function recoverInterrupted() {
+  const result = { completed: 0, requeued: 0 };
+
+  const { data: items, error } = await db.from('dev_ai_smart_extractions')
+    .select('id, bucket, project_id')
+    .eq('status', 'routing');
+  if (error) throw error;
+
+  const rules = items?.length ? await routingService.loadRules() : [];
+  for (const item of items || []) {
+    const rule = routingService.resolveRule(rules, item.bucket, item.project_id);
+    let landed = false;
+    if (rule) {
+      const { data: rows } = await db.from(rule.target_table)
+        .select('id')
+        .contains('metadata', { staging_id: item.id })
+        .limit(1);
+      landed = Boolean(rows?.length);
+    }
+
+    await markStaging(item.id, landed ? 'processed' : 'pending');
+    result[landed ? 'completed' : 'requeued']++;
+  }
+
+  if (items?.length) {
+    console.log(`[ExtractionSorter] Recovered interrupted items: ${result.completed} completed, ${result.requeued} requeued`);
+  }
+  return result;
+}
+
 // Returns { isDupe: boolean, error: string|null }
 // On query failure, skip dedupe rather than block insert (better to have dupe than lose data)
 async function checkDuplicate(table, hash) {
@@ -193,164 +297,76 @@ async function checkDuplicate(table, hash) {
   }
 }
 
-// Returns { success: boolean, error: string|null }
-async function insertToTable(table, status, item) {
-  const baseMetadata = {
-    ...(item.metadata || {}),
-    hash: item.hash,
-    source: 'jason',
-    staging_id: item.id
-  };
-
+// Returns { success: boolean, error: string|null, row: object|null }
+async function insertToTable(rule, item) {
+  const table = rule.target_table;
   let payload;
-
-  switch (table) {
-    case 'dev_ai_todos':
-      payload = {
-        title: item.title || item.content?.substring(0, 200) || 'Untitled',
-        description: item.content,
-        status: status,
-        priority: item.priority || 'medium',
-        project_id: item.project_id,
-        source_session_id: item.session_id,
-        metadata: baseMetadata
-      };
-      break;
-
-    case 'dev_ai_bugs':
-      payload = {
-        title: item.title || item.content?.substring(0, 200) || 'Untitled',
-        description: item.content,
-        status: status,
-        severity: item.priority || 'medium',
-        project_id: item.project_id,
-        source_session_id: item.session_id,
-        metadata: baseMetadata
-      };
-      break;
-
-    case 'dev_ai_journal':
-      payload = {
-        title: item.title || item.content?.substring(0, 200) || 'Journal Entry',
-        content: item.content || '',
-        entry_type: item.bucket === 'Work Log' ? 'worklog' : 'journal',
-        bucket: item.bucket,
-        status: status,
-        project_id: item.project_id,
-        source_session_id: item.session_id,
-        metadata: baseMetadata
-      };
-      break;
-
-    case 'dev_ai_decisions':
-      payload = {
-        title: item.title || item.content?.substring(0, 200) || 'Decision',
-        context: item.content,
-        status: status,
-        project_id: item.project_id,
-        source_session_id: item.session_id,
-        metadata: baseMetadata
-      };
-      break;
-
-    case 'dev_ai_lessons':
-      payload = {
-        title: item.title || item.content?.substring(0, 200) || 'Lesson Learned',
-        description: item.content,
-        status: status,
-        project_id: item.project_id,
-        source_session_id: item.session_id,
-        metadata: baseMetadata
-      };
-      break;
-
-    case 'dev_ai_docs':
-      payload = {
-        title: item.title || item.content?.substring(0, 200) || 'Document',
-        content: item.content,
-        doc_type: item.bucket?.toLowerCase().replace(/\s+/g, '_') || 'reference',
-        bucket: item.bucket,
-        status: status,
-        project_id: item.project_id,
-        source_session_id: item.session_id,
-        metadata: baseMetadata
-      };
-      break;
-
-    case 'dev_ai_conventions':
-      payload = {
-        name: item.title || item.content?.substring(0, 200) || 'Convention',
-        description: item.content,
-        convention_type: item.bucket?.toLowerCase().replace(/\s+/g, '_') || 'general',
-        bucket: item.bucket,
-        status: status,
-        project_id: item.project_id,
-        source_session_id: item.session_id,
-        metadata: baseMetadata
-      };
-      break;
-
-    case 'dev_ai_knowledge':
-      payload = {
-        title: item.title || item.content?.substring(0, 200) || 'Knowledge Item',
-        content: item.content,
-        summary: item.content?.substring(0, 500),
-        knowledge_type: item.bucket?.toLowerCase().replace(/\s+/g, '_') || 'general',
-        bucket: item.bucket,
-        status: status,
-        project_id: item.project_id,
-        source_session_id: item.session_id,
-        metadata: baseMetadata
-      };
-      break;
-
-    case 'dev_ai_snippets':
-      payload = {
-        content: item.content || '',
-        context: item.title || 'Extracted snippet',
-        snippet_type: 'extracted',
-        bucket: item.bucket,
-        status: status,
-        project_id: item.project_id,
-        source_session_id: item.session_id,
-        metadata: baseMetadata
-      };
-      break;
-
-    default:
-      return { success: false, error: `No handler for table: ${table}` };
+  try {
+    payload = routingService.buildPayload(rule, item);
+  } catch (err) {
+    return { success: false, error: err.message, row: null };
   }
 
-  const { error } = await db.from(table).insert(payload);
+  const { data: row, error } = await db.from(table).insert(payload).select('*').single();
   if (error) {
     console.error(`[ExtractionSorter] Insert error (${table}):`, error.message);
-    return { success: false, error: error.message };
+    return { success: false, error: error.message, row: null };
   }
-  return { success: true, error: null };
+  return { success: true, error: null, row };
+}
+
+function isTransient(message) {
+  return !PERMANENT_ERRORS.some(pattern => pattern.test(String(message || '')));
+}
+
+// Delay before the next attempt after `attempts` failures
+function backoffMs(attempts) {
+  return Math.min(config.STAGING_RETRY_BASE_MS * Math.pow(2, Math.max(attempts - 1, 0)), MAX_BACKOFF_MS);
+}
+
+// Record a failed attempt: 'retry' with a backoff if it may succeed later, else dead-letter 'error'
+// Returns the status it was given
+async function failStaging(item, errorDetails, stats) {
+  const attempts = (item.attempts || 0) + 1;
+  const retry = isTransient(errorDetails.error) && attempts < config.STAGING_MAX_ATTEMPTS;
+
+  await markStaging(item.id, retry ? 'retry' : 'error', errorDetails, {
+    attempts,
+    next_attempt_at: retry ? new Date(Date.now() + backoffMs(attempts)).toISOString() : null
+  });
+
+  stats.errors++;
+  if (retry) stats.retrying++;
+  return retry ? 'retry' : 'error';
 }
 
 // Mark staging row with status and optional error details
-async function markStaging(id, status, errorDetails = null) {
+async function markStaging(id, status, errorDetails = null, extra = {}) {
   const update = { 
+    ...extra,
     status: status, 
     updated_at: new Date().toISOString() 
   };
   
   // If error, append to metadata for audit trail (never delete, only append)
-  if (errorDetails && status === 'error') {
+  if (errorDetails && (status === 'error' || status === 'retry')) {
     const { data } = await db.from('dev_ai_smart_extractions')
       .select('metadata')
       .eq('id', id)
       .single();
     
     const currentMeta = data?.metadata || {};
-    update.metadata = {
-      ...currentMeta,
+    const failure = {
       error: String(errorDetails.error || '').substring(0, 500),
       error_stage: errorDetails.error_stage || 'unknown',
       error_table: errorDetails.error_table || null,
       error_at: new Date().toISOString()
     };
+    update.metadata = {
+      ...currentMeta,
+      ...failure,
+      error_history: [...(currentMeta.error_history || []), failure].slice(-ERROR_HISTORY_LIMIT)
+    };
   }
   
   await db.from('dev_ai_smart_extractions')
@@ -358,4 +374,12 @@ async function markStaging(id, status, errorDetails = null) {
     .eq('id', id);
 }
 
-module.exports = { start, stop, processStagingItems };
+module.exports = {
+  stop,
+  processStagingItems,
+  routeOne,
+  recoverInterrupted,
+  confidenceOf,
+  isTransient,
+  backoffMs
+};
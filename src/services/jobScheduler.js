@@ -0,0 +1,397 @@
+/**
+ * Susan Job Scheduler
+ * One place that runs every background cycle on a cron schedule
+ *
+ * Jobs register a run function; schedules come from config.JOB_SCHEDULES.
+ * Each run takes a lock row in dev_ai_jobs first, so with several Susan
+ * instances only one runs a given job at a time (a lock past
+ * JOB_LOCK_TTL_MINUTES counts as abandoned). Every run is recorded in
+ * dev_ai_job_runs with its duration, returned stats and error. Pausing is
+ * stored on the job row, so it applies to every instance.
+ *
+ * A running job renews its lock every third of the TTL, so a lock only
+ * expires once the instance holding it is gone. On shutdown drain() waits
+ * for this instance's runs; on startup recover() closes out runs whose
+ * instance no longer holds a live lock so they can be re-run.
+ */
+
+const os = require('os');
+const { from } = require('../lib/db');
+const config = require('../lib/config');
+const cron = require('../lib/cron');
+const { Logger } = require('../lib/logger');
+
+const logger = new Logger('Susan:Jobs');
+
+const TICK_MS = 30 * 1000;
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+const jobs = new Map();
+let tickHandle = null;
+let stopping = false;   // set by stop(): shutdown has begun, start no new runs
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function getJob(name) {
+  const job = jobs.get(name);
+  if (!job) throw httpError(404, `Unknown job: ${name}`);
+  return job;
+}
+
+/**
+ * Register a job
+ * @param {string} name - also the key in config.JOB_SCHEDULES
+ * @param {Function} run - async () => stats
+ * @param {object} options - { schedule (overrides config), description }
+ */
+function register(name, run, { schedule, description = null } = {}) {
+  const expression = schedule || config.JOB_SCHEDULES[name];
+  if (!expression) throw new Error(`No schedule for job ${name} (set JOB_SCHEDULES.${name})`);
+
+  const parsed = cron.parse(expression);
+  jobs.set(name, {
+    name,
+    run,
+    description,
+    schedule: expression,
+    parsed,
+    nextRunAt: cron.nextRun(parsed),
+    running: null   // promise of the run this instance is doing
+  });
+}
+
+// Back to a fresh scheduler (tests)
+function unregisterAll() {
+  jobs.clear();
+  stopping = false;
+}
+
+async function loadStates() {
+  const { data, error } = await from('dev_ai_jobs').select('*');
+  if (error) throw error;
+  return new Map((data || []).map(row => [row.name, row]));
+}
+
+/**
+ * Take the job's lock row; false if another run holds a live lock
+ */
+async function acquireLock(name, now = new Date()) {
+  const lockedUntil = new Date(now.getTime() + config.JOB_LOCK_TTL_MINUTES * 60 * 1000).toISOString();
+
+  const take = () => from('dev_ai_jobs')
+    .update({ locked_by: INSTANCE_ID, locked_until: lockedUntil })
+    .eq('name', name)
+    .or(`locked_until.is.null,locked_until.lt.${now.toISOString()}`)
+    .select('name');
+
+  let { data, error } = await take();
+  if (!error && !data.length && !(await loadStates()).has(name)) {
+    // Registered after start() - create its row and try once more
+    await ensureRows();
+    ({ data, error } = await take());
+  }
+  if (error) throw error;
+  return data.length === 1;
+}
+
+// Keep the lock live while a run is going - an expired lock means a dead instance
+function startHeartbeat(name) {
+  const ttlMs = config.JOB_LOCK_TTL_MINUTES * 60 * 1000;
+  const handle = setInterval(async () => {
+    const { error } = await from('dev_ai_jobs')
+      .update({ locked_until: new Date(Date.now() + ttlMs).toISOString() })
+      .eq('name', name)
+      .eq('locked_by', INSTANCE_ID);
+    if (error) logger.error('Renewing job lock failed', { job: name, error: error.message });
+  }, Math.max(Math.floor(ttlMs / 3), 1000));
+  handle.unref();
+  return handle;
+}
+
+async function releaseLock(name) {
+  const { error } = await from('dev_ai_jobs')
+    .update({ locked_by: null, locked_until: null })
+    .eq('name', name)
+    .eq('locked_by', INSTANCE_ID);
+  if (error) logger.error('Releasing job lock failed', { job: name, error: error.message });
+}
+
+/**
+ * Make sure every registered job has its row in dev_ai_jobs
+ */
+async function ensureRows() {
+  const rows = [...jobs.keys()].map(name => ({ name, paused: false }));
+  if (!rows.length) return;
+  const { error } = await from('dev_ai_jobs').upsert(rows, { onConflict: 'name', ignoreDuplicates: true });
+  if (error) throw error;
+}
+
+async function recordStart(job, { trigger, actor }) {
+  const { data, error } = await from('dev_ai_job_runs')
+    .insert({
+      job_name: job.name,
+      trigger,
+      triggered_by: actor,
+      instance: INSTANCE_ID,
+      status: 'running',
+      started_at: new Date().toISOString()
+    })
+    .select('*')
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+async function execute(job, run) {
+  const started = Date.now();
+  const heartbeat = startHeartbeat(job.name);
+  let outcome;
+  try {
+    const stats = await job.run();
+    outcome = { status: 'succeeded', stats: stats && typeof stats === 'object' ? stats : null, error: null };
+  } catch (err) {
+    logger.error('Job failed', { job: job.name, error: err.message });
+    outcome = { status: 'failed', stats: null, error: err.message };
+  } finally {
+    clearInterval(heartbeat);
+    await releaseLock(job.name);
+  }
+
+  const { data, error } = await from('dev_ai_job_runs')
+    .update({
+      ...outcome,
+      finished_at: new Date().toISOString(),
+      duration_ms: Date.now() - started
+    })
+    .eq('id', run.id)
+    .select('*')
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Run a job now (scheduled or manual)
+ * 409 if it's already running here or another instance holds the lock
+ * @param {object} options - { trigger, actor, wait: false returns the 'running' row straight away }
+ * @returns {Promise<object>} the dev_ai_job_runs row
+ */
+async function runJob(name, { trigger = 'manual', actor = null, wait = true } = {}) {
+  const job = getJob(name);
+  if (stopping) throw httpError(503, 'Susan is shutting down - not starting new runs');
+  if (job.running) throw httpError(409, `${name} is already running`);
+
+  if (!(await acquireLock(name))) throw httpError(409, `${name} is running on another instance`);
+
+  let run;
+  try {
+    // Holding the lock means nothing else is running this job - close out what a dead instance left
+    const { data: abandoned, error } = await from('dev_ai_job_runs').select('*').eq('job_name', name).eq('status', 'running');
+    if (error) throw error;
+    await interruptRuns(abandoned || []);
+    run = await recordStart(job, { trigger, actor });
+  } catch (err) {
+    await releaseLock(name);
+    throw err;
+  }
+
+  job.running = execute(job, run).finally(() => { job.running = null; });
+  if (!wait) {
+    job.running.catch(err => logger.error('Job run failed', { job: name, error: err.message }));
+    return run;
+  }
+  return job.running;
+}
+
+/**
+ * Scheduler tick: start every due, unpaused job that isn't running
+ */
+async function tick(now = new Date()) {
+  const due = [...jobs.values()].filter(job => job.nextRunAt && job.nextRunAt <= now);
+  if (!due.length) return [];
+
+  const states = await loadStates();
+  const started = [];
+
+  for (const job of due) {
+    job.nextRunAt = cron.nextRun(job.parsed, now);
+    if (states.get(job.name)?.paused || job.running) continue;
+
+    started.push(runJob(job.name, { trigger: 'schedule' }).catch(err => {
+      if (err.status === 409) {
+        logger.debug('Job skipped, locked elsewhere', { job: job.name });
+        return null;
+      }
+      logger.error('Scheduled job error', { job: job.name, error: err.message });
+      return null;
+    }));
+  }
+
+  return Promise.all(started);
+}
+
+async function setPaused(name, paused, actor) {
+  getJob(name);
+  await ensureRows();
+  const { data, error } = await from('dev_ai_jobs')
+    .update({
+      paused,
+      paused_by: paused ? actor : null,
+      paused_at: paused ? new Date().toISOString() : null
+    })
+    .eq('name', name)
+    .select('*')
+    .single();
+  if (error) throw error;
+
+  logger.info(paused ? 'Job paused' : 'Job resumed', { job: name, actor });
+  return data;
+}
+
+function pause(name, { actor = null } = {}) {
+  return setPaused(name, true, actor);
+}
+
+function resume(name, { actor = null } = {}) {
+  return setPaused(name, false, actor);
+}
+
+async function lastRun(name) {
+  const { data, error } = await from('dev_ai_job_runs')
+    .select('*')
+    .eq('job_name', name)
+    .order('started_at', { ascending: false })
+    .limit(1);
+  if (error) throw error;
+  return data?.[0] || null;
+}
+
+/**
+ * Every job with its schedule, state and latest run
+ */
+async function listJobs() {
+  const states = await loadStates();
+  return Promise.all([...jobs.values()].map(async (job) => {
+    const state = states.get(job.name) || {};
+    return {
+      name: job.name,
+      description: job.description,
+      schedule: job.schedule,
+      nextRunAt: job.nextRunAt ? job.nextRunAt.toISOString() : null,
+      paused: Boolean(state.paused),
+      pausedBy: state.paused_by || null,
+      running: Boolean(job.running),
+      lockedBy: state.locked_by || null,
+      lockedUntil: state.locked_until || null,
+      lastRun: await lastRun(job.name)
+    };
+  }));
+}
+
+async function listRuns(name, { status, limit = 50 } = {}) {
+  getJob(name);
+  let query = from('dev_ai_job_runs')
+    .select('*', { count: 'exact' })
+    .eq('job_name', name)
+    .order('started_at', { ascending: false })
+    .limit(limit);
+  if (status) query = query.eq('status', status);
+
+  const { data, count, error } = await query;
+  if (error) throw error;
+  return { runs: data || [], total: count ?? (data || []).length };
+}
+
+/**
+ * Wait for every run this instance has in flight
+ * @returns {Promise<string[]>} names of the jobs that were running
+ */
+async function drain() {
+  const running = [...jobs.values()].filter(job => job.running);
+  await Promise.all(running.map(job => job.running.catch(() => null)));
+  return running.map(job => job.name);
+}
+
+async function interruptRuns(runs, now = new Date()) {
+  for (const run of runs) {
+    const { error: updateError } = await from('dev_ai_job_runs')
+      .update({
+        status: 'interrupted',
+        error: `Interrupted: ${run.instance} stopped before the run finished`,
+        finished_at: now.toISOString(),
+        duration_ms: now.getTime() - new Date(run.started_at).getTime()
+      })
+      .eq('id', run.id)
+      .eq('status', 'running');
+    if (updateError) throw updateError;
+  }
+}
+
+/**
+ * Startup recovery: mark runs a dead instance left 'running' as 'interrupted'.
+ * A run is dead only once its instance no longer holds a live lock - another
+ * Susan on this host (a pm2 reload) keeps renewing its locks, so its runs
+ * are left alone. Expired locks need no freeing; acquireLock takes them.
+ * @returns {Promise<string[]>} job names that were interrupted (to re-run)
+ */
+async function recover(now = new Date()) {
+  const [states, { data: runs, error }] = await Promise.all([
+    loadStates(),
+    from('dev_ai_job_runs').select('*').eq('status', 'running')
+  ]);
+  if (error) throw error;
+
+  const interrupted = (runs || []).filter(run => {
+    if (run.instance === INSTANCE_ID) return false;
+    const state = states.get(run.job_name);
+    const lockLive = state?.locked_by === run.instance && state.locked_until && new Date(state.locked_until) > now;
+    return !lockLive;
+  });
+  await interruptRuns(interrupted, now);
+
+  const names = [...new Set(interrupted.map(run => run.job_name))];
+  if (names.length) logger.warn('Recovered interrupted job runs', { runs: interrupted.length, jobs: names });
+  return names;
+}
+
+async function start() {
+  stopping = false;
+  await ensureRows();
+  if (tickHandle) return;
+  tickHandle = setInterval(() => {
+    tick().catch(err => logger.error('Scheduler tick failed', { error: err.message }));
+  }, TICK_MS);
+  logger.info('Job scheduler started', { jobs: [...jobs.keys()], instance: INSTANCE_ID });
+}
+
+/**
+ * Stop scheduling and refuse new runs (manual ones too); drain() waits for the rest
+ */
+function stop() {
+  stopping = true;
+  if (tickHandle) {
+    clearInterval(tickHandle);
+    tickHandle = null;
+  }
+}
+
+module.exports = {
+  INSTANCE_ID,
+  register,
+  unregisterAll,
+  ensureRows,
+  runJob,
+  tick,
+  pause,
+  resume,
+  listJobs,
+  listRuns,
+  drain,
+  recover,
+  start,
+  stop
+};
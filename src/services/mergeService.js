@@ -0,0 +1,165 @@
+/**
+ * Susan Merge Service
+ * Provenance and undo for consolidator merges
+ *
+ * consolidateGroup records every merge here with the source rows as they
+ * were before it. Undoing a merge puts the merged fields back and adds
+ * each pair in the group to the never-merge list, which duplicate
+ * detection checks so the same items aren't merged again next cycle.
+ */
+
+const { from } = require('../lib/db');
+const { Logger } = require('../lib/logger');
+const revisionService = require('./revisionService');
+const eventBus = require('./eventBus');
+
+const logger = new Logger('Susan:Merges');
+
+// Fields consolidateGroup changes - undo puts back exactly these
+const MERGED_FIELDS = ['title', 'status', 'consolidated_into'];
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Order-independent key for a pair of items
+ */
+function pairKey(a, b) {
+  const [first, second] = [String(a), String(b)].sort();
+  return `${first}|${second}`;
+}
+
+/**
+ * Store a merge before it is applied
+ * @param {object[]} originals - Full rows of every item in the group, master included
+ */
+async function recordMerge({ table, master, originals, mergedTitle, mergedBy = 'consolidator' }) {
+  const { data, error } = await from('dev_ai_merges')
+    .insert({
+      table_name: table,
+      project_id: master.project_id || null,
+      master_id: String(master.id),
+      source_ids: originals.map(row => String(row.id)),
+      originals,
+      merged_title: mergedTitle,
+      status: 'active',
+      merged_by: mergedBy
+    })
+    .select('*')
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Merges for review, newest first
+ */
+async function listMerges({ table, project, status, limit = 50 } = {}) {
+  let query = from('dev_ai_merges')
+    .select('*', { count: 'exact' })
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (table) query = query.eq('table_name', table);
+  if (project) query = query.eq('project_id', project);
+  if (status) query = query.eq('status', status);
+
+  const { data, error, count } = await query;
+  if (error) throw error;
+  return { merges: data || [], total: count ?? (data || []).length };
+}
+
+async function getMerge(id) {
+  const { data, error } = await from('dev_ai_merges').select('*').eq('id', id).maybeSingle();
+  if (error) throw error;
+  if (!data) throw httpError(404, 'Merge not found');
+  return data;
+}
+
+/**
+ * Put every source item back the way it was before the merge and block
+ * the group's pairs from merging again
+ */
+async function undoMerge(id, { actor = 'system' } = {}) {
+  const merge = await getMerge(id);
+  if (merge.status === 'undone') {
+    throw httpError(409, 'Merge was already undone');
+  }
+
+  const restored = [];
+  for (const original of merge.originals || []) {
+    const fields = {};
+    MERGED_FIELDS.forEach(field => { fields[field] = original[field] ?? null; });
+    if ('updated_at' in original) fields.updated_at = new Date().toISOString();
+
+    const { data, error } = await revisionService.update(merge.table_name, original.id, fields, {
+      actor,
+      action: 'unmerge'
+    });
+    if (error) throw error;
+    if (data) restored.push(data.id);
+  }
+
+  const ids = merge.source_ids || [];
+  const blocks = [];
+  for (let i = 0; i < ids.length; i++) {
+    for (let j = i + 1; j < ids.length; j++) {
+      const [item_a, item_b] = pairKey(ids[i], ids[j]).split('|');
+      blocks.push({ table_name: merge.table_name, item_a, item_b, merge_id: merge.id, created_by: actor });
+    }
+  }
+
+  if (blocks.length > 0) {
+    const { error } = await from('dev_ai_merge_blocks')
+      .upsert(blocks, { onConflict: 'table_name,item_a,item_b', ignoreDuplicates: true });
+    if (error) throw error;
+  }
+
+  const { data: updated, error } = await from('dev_ai_merges')
+    .update({ status: 'undone', undone_by: actor, undone_at: new Date().toISOString() })
+    .eq('id', merge.id)
+    .select('*')
+    .single();
+  if (error) throw error;
+
+  eventBus.emit('merge.undone', {
+    table: merge.table_name,
+    id: merge.id,
+    project_id: merge.project_id,
+    master_id: merge.master_id,
+    restored,
+    undone_by: actor
+  }, { source: 'merges' });
+
+  logger.info('Merge undone', { id: merge.id, table: merge.table_name, restored: restored.length, blocked: blocks.length });
+  return { merge: updated, restored, blockedPairs: blocks.length };
+}
+
+/**
+ * Never-merge pairs for a table, as a Set of pairKey() strings
+ */
+async function getBlockedPairs(table) {
+  const { data, error } = await from('dev_ai_merge_blocks')
+    .select('item_a, item_b')
+    .eq('table_name', table);
+
+  if (error) {
+    logger.warn('Could not load never-merge pairs', { table, error: error.message });
+    return new Set();
+  }
+  return new Set((data || []).map(row => pairKey(row.item_a, row.item_b)));
+}
+
+module.exports = {
+  recordMerge,
+  listMerges,
+  getMerge,
+  undoMerge,
+  getBlockedPairs,
+  pairKey,
+  MERGED_FIELDS
+};
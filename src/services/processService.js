@@ -0,0 +1,140 @@
+/**
+ * Susan Process Service
+ * Start, stop and restart the AI team's processes, and report on them
+ *
+ * Only processes in WORKER_MAP can be touched. A request may name the
+ * worker ('chad') or its pm2 process ('chad-5401'); anything else is
+ * refused before the process manager sees it. Every control call can be a
+ * dry run, which reports what would happen without doing it.
+ */
+
+const config = require('../lib/config');
+const processManager = require('../lib/processManager');
+const { Logger } = require('../lib/logger');
+
+const logger = new Logger('Susan:Processes');
+
+// Worker name -> pm2 process name
+const WORKER_MAP = {
+  'chad': 'chad-5401',
+  'jen': 'ai-jen-5402',
+  'susan': 'susan-5403',
+  'clair': 'clair-5404',
+  'mike': 'mike-5405',
+  'tiffany': 'tiffany-5406',
+  'ryan': 'ryan-5407',
+  'terminal': 'terminal-server-5400',
+  'transcripts': 'transcripts-9500'
+};
+
+const ACTIONS = ['start', 'stop', 'restart'];
+const LOG_STREAMS = ['out', 'err', 'both'];
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Allow-listed worker for a name - 400 for anything not in WORKER_MAP
+ * @returns {{ worker: string, process: string }}
+ */
+function resolveWorker(name) {
+  if (typeof name !== 'string' || !name) throw httpError(400, 'name is required');
+  if (Object.prototype.hasOwnProperty.call(WORKER_MAP, name)) return { worker: name, process: WORKER_MAP[name] };
+
+  const worker = Object.keys(WORKER_MAP).find(key => WORKER_MAP[key] === name);
+  if (worker) return { worker, process: name };
+  throw httpError(400, `Unknown worker "${name}" (allowed: ${Object.keys(WORKER_MAP).join(', ')})`);
+}
+
+function missing(target) {
+  return { ...target, status: 'not_found', pid: null, uptimeMs: 0, startedAt: null, restarts: 0, memoryBytes: 0, cpuPercent: 0 };
+}
+
+function present(target, proc) {
+  const { name, logs, ...stats } = proc;
+  return { ...target, ...stats };
+}
+
+/**
+ * Status of every worker; ones pm2 doesn't know come back as 'not_found'
+ */
+async function status() {
+  const procs = await processManager.list();
+  const byName = new Map(procs.map(proc => [proc.name, proc]));
+
+  return Object.entries(WORKER_MAP).map(([worker, name]) => {
+    const target = { worker, process: name };
+    return byName.has(name) ? present(target, byName.get(name)) : missing(target);
+  });
+}
+
+async function describeWorker(name) {
+  const target = resolveWorker(name);
+  const proc = await processManager.describe(target.process);
+  return proc ? present(target, proc) : missing(target);
+}
+
+// What an action would change, given the current status
+function planFor(action, current) {
+  if (current.status === 'not_found') return { allowed: false, reason: `${current.process} is not registered with pm2` };
+  if (action === 'start' && current.status === 'online') return { allowed: true, changes: false, reason: 'already online' };
+  if (action === 'stop' && current.status !== 'online') return { allowed: true, changes: false, reason: `already ${current.status}` };
+  return { allowed: true, changes: true, reason: `${current.status} -> ${action === 'stop' ? 'stopped' : 'online'}` };
+}
+
+/**
+ * Start, stop or restart a worker
+ * @param {object} options - { dryRun, actor }
+ * @returns {Promise<{ action, dryRun, changed, before, after, reason }>}
+ */
+async function control(action, name, { dryRun = false, actor = 'api' } = {}) {
+  if (!ACTIONS.includes(action)) throw httpError(400, `action must be one of: ${ACTIONS.join(', ')}`);
+  const before = await describeWorker(name);
+  const plan = planFor(action, before);
+  if (!plan.allowed) throw httpError(404, plan.reason);
+
+  if (dryRun) {
+    return { action, dryRun: true, changed: false, wouldChange: plan.changes, reason: plan.reason, before, after: null };
+  }
+  if (!plan.changes) {
+    return { action, dryRun: false, changed: false, reason: plan.reason, before, after: before };
+  }
+
+  const proc = await processManager[action](before.process);
+  const after = proc ? present({ worker: before.worker, process: before.process }, proc) : await describeWorker(before.worker);
+  logger.info(`Worker ${action}`, { worker: before.worker, process: before.process, from: before.status, to: after.status, actor });
+  return { action, dryRun: false, changed: true, reason: plan.reason, before, after };
+}
+
+/**
+ * Last lines of a worker's pm2 logs
+ * @param {object} options - { lines (capped at PM2_LOG_MAX_LINES), stream: out | err | both }
+ */
+async function logs(name, { lines = 100, stream = 'both' } = {}) {
+  const target = resolveWorker(name);
+  if (!LOG_STREAMS.includes(stream)) throw httpError(400, `stream must be one of: ${LOG_STREAMS.join(', ')}`);
+  const count = Math.min(Math.max(parseInt(lines) || 100, 1), config.PM2_LOG_MAX_LINES);
+
+  const tail = await processManager.logs(target.process, { lines: count });
+  if (!tail) throw httpError(404, `${target.process} is not registered with pm2`);
+
+  return {
+    ...target,
+    lines: count,
+    out: stream === 'err' ? undefined : tail.out,
+    err: stream === 'out' ? undefined : tail.err
+  };
+}
+
+module.exports = {
+  WORKER_MAP,
+  ACTIONS,
+  resolveWorker,
+  status,
+  describeWorker,
+  control,
+  logs
+};
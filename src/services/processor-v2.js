@@ -3,16 +3,18 @@
  * Main 30-minute cycle orchestrator
  *
  * Duties:
- * 1. Consolidate duplicates in each project
+ * 1. Consolidate duplicate todos/bugs in each project; knowledge/docs
+ *    duplicates are only reported (lastCycle.duplicateGroups)
  * 2. Assign items to phases based on keywords
  * 3. Mark items complete when done
  * 4. For parent projects: aggregate children, combine cross-child duplicates
  * 5. Never delete knowledge/docs, only consolidate
  */
 
-const { from } = require('../../../shared/db');
+const { from } = require('../lib/db');
 const { Logger } = require('../lib/logger');
 const consolidator = require('./consolidator');
+const duplicateChecker = require('./duplicateChecker');
 const phaseAssigner = require('./phaseAssigner');
 const aiPhaseAssigner = require('./aiPhaseAssigner');
 const statusUpdater = require('./statusUpdater');
@@ -21,11 +23,20 @@ const logger = new Logger('Susan:Processor');
 
 let isRunning = false;
 let lastCycleStats = null;
+let stopping = false;
+let currentRun = null;    // settles when the in-flight cycle ends
+let intervalHandle = null;
 
 // Tables to process
 const TABLES = ['dev_ai_todos', 'dev_ai_bugs'];
 const KNOWLEDGE_TABLES = ['dev_ai_knowledge', 'dev_ai_docs'];
 
+// Duplicate-report stats key per knowledge table
+const DUPLICATE_KEYS = {
+  dev_ai_knowledge: 'knowledge',
+  dev_ai_docs: 'docs'
+};
+
 /**
  * Start the processor service
  * @param {number} intervalMs - Interval in milliseconds (default 30 min)
@@ -33,11 +44,25 @@ const KNOWLEDGE_TABLES = ['dev_ai_knowledge', 'dev_ai_docs'];
 function start(intervalMs = 30 * 60 * 1000) {
   logger.info('Processor v2 (Librarian) started', { intervalMs });
 
+  stopping = false;
+
   // Run first cycle after 10 seconds
   setTimeout(runCycle, 10000);
 
   // Then run on interval
-  setInterval(runCycle, intervalMs);
+  intervalHandle = setInterval(runCycle, intervalMs);
+}
+
+/**
+ * Stop after the project being processed; the rest wait for the next cycle
+ */
+function stop() {
+  stopping = true;
+  if (intervalHandle) {
+    clearInterval(intervalHandle);
+    intervalHandle = null;
+  }
+  return currentRun || Promise.resolve();
 }
 
 /**
@@ -50,6 +75,8 @@ async function runCycle() {
   }
 
   isRunning = true;
+  let finish;
+  currentRun = new Promise(resolve => { finish = resolve; });
   const startTime = Date.now();
 
   const stats = {
@@ -57,6 +84,8 @@ async function runCycle() {
     childProjects: { processed: 0, errors: 0 },
     parentProjects: { processed: 0, errors: 0 },
     consolidation: { todos: 0, bugs: 0 },
+    duplicates: { knowledge: 0, docs: 0 },
+    duplicateGroups: [],
     phaseAssignment: { todos: 0, bugs: 0 },
     statusUpdates: { todos: 0, bugs: 0 },
     duration: 0
@@ -79,10 +108,14 @@ async function runCycle() {
 
     // 2. Process child projects first
     for (const project of [...childProjects, ...orphanProjects]) {
+      if (stopping) break;
       try {
         const result = await processChildProject(project);
         stats.consolidation.todos += result.consolidation.todos;
         stats.consolidation.bugs += result.consolidation.bugs;
+        stats.duplicates.knowledge += result.duplicates.knowledge;
+        stats.duplicates.docs += result.duplicates.docs;
+        stats.duplicateGroups.push(...result.duplicateGroups);
         stats.phaseAssignment.todos += result.phaseAssignment.todos;
         stats.phaseAssignment.bugs += result.phaseAssignment.bugs;
         stats.statusUpdates.todos += result.statusUpdates.todos;
@@ -100,6 +133,7 @@ async function runCycle() {
 
     // 3. Process parent projects (aggregate from children)
     for (const parent of parentProjects) {
+      if (stopping) break;
       try {
         await processParentProject(parent, childProjects);
         stats.parentProjects.processed++;
@@ -124,6 +158,7 @@ async function runCycle() {
     if (totalWork > 0) {
       logger.info('Cycle complete', {
         consolidated: stats.consolidation,
+        duplicatesFound: stats.duplicates,
         assigned: stats.phaseAssignment,
         statusUpdates: stats.statusUpdates,
         duration: stats.duration + 'ms'
@@ -134,6 +169,8 @@ async function runCycle() {
     logger.error('Processor cycle failed', { error: err.message });
   } finally {
     isRunning = false;
+    currentRun = null;
+    finish();
   }
 
   return stats;
@@ -145,6 +182,8 @@ async function runCycle() {
 async function processChildProject(project) {
   const result = {
     consolidation: { todos: 0, bugs: 0 },
+    duplicates: { knowledge: 0, docs: 0 },
+    duplicateGroups: [],
     phaseAssignment: { todos: 0, bugs: 0 },
     statusUpdates: { todos: 0, bugs: 0 }
   };
@@ -159,6 +198,17 @@ async function processChildProject(project) {
     }
   }
 
+  // Knowledge/docs are never merged automatically - report the groups for a dev
+  for (const table of KNOWLEDGE_TABLES) {
+    const { groups } = await duplicateChecker.findDuplicates(table, project.id);
+    result.duplicates[DUPLICATE_KEYS[table]] = groups.length;
+    result.duplicateGroups.push(...groups.map(group => ({
+      table,
+      project_id: project.id,
+      items: group.map(item => ({ id: item.id, title: item.title }))
+    })));
+  }
+
   // 2. Assign phases (if project has a parent)
   if (project.parent_id) {
     const phaseResult = await aiPhaseAssigner.runAIAssignment(project.id);
@@ -269,6 +319,7 @@ async function triggerCycle() {
 
 module.exports = {
   start,
+  stop,
   runCycle,
   getStats,
   triggerCycle
@@ -0,0 +1,169 @@
+/**
+ * Susan Purge Preview
+ * Dry-run of a purge request: what goes, what points at it, how much it frees
+ *
+ * References are listed per table below. A 'cascade' reference is a
+ * foreign key with ON DELETE CASCADE - those rows disappear with the purge
+ * and never reach the trash, so they always block approval. A 'dangling'
+ * reference is left pointing at nothing; PURGE_ORPHAN_POLICY decides
+ * whether those warn or block. force: true on approval overrides a block.
+ */
+
+const { from } = require('../lib/db');
+const config = require('../lib/config');
+const { Logger } = require('../lib/logger');
+
+const logger = new Logger('Susan:PurgePreview');
+
+const SAMPLE_ROWS = 5;
+const SAMPLE_REFERENCE_IDS = 10;
+const MAX_SAMPLE_TEXT = 200;
+
+// Tables whose rows carry the session they came from
+const SESSION_SOURCES = [
+  ['dev_ai_todos', 'source_session_id'],
+  ['dev_ai_todos', 'discovered_in'],
+  ['dev_ai_todos', 'completed_session_id'],
+  ['dev_ai_bugs', 'source_session_id'],
+  ['dev_ai_bugs', 'fix_session_id'],
+  ['dev_ai_knowledge', 'session_id'],
+  ['dev_ai_knowledge', 'source_session_id'],
+  ['dev_ai_decisions', 'session_id'],
+  ['dev_ai_decisions', 'source_session_id'],
+  ['dev_ai_docs', 'session_id'],
+  ['dev_ai_docs', 'source_session_id'],
+  ['dev_ai_journal', 'source_session_id'],
+  ['dev_ai_lessons', 'source_session_id'],
+  ['dev_ai_conventions', 'source_session_id'],
+  ['dev_ai_snippets', 'source_session_id'],
+  ['dev_ai_code_changes', 'session_id'],
+  ['dev_ai_commits', 'session_id'],
+  ['dev_ai_schema_changes', 'session_id'],
+  ['dev_ai_smart_extractions', 'session_id']
+];
+
+// Target table -> rows elsewhere that reference its ids
+const REFERENCES = {
+  dev_ai_sessions: [
+    { table: 'dev_ai_messages', column: 'session_id', effect: 'cascade' },
+    { table: 'dev_ai_clean_transcripts', column: 'session_id', effect: 'cascade' },
+    ...SESSION_SOURCES.map(([table, column]) => ({ table, column, effect: 'dangling' }))
+  ],
+  dev_ai_todos: [{ table: 'dev_ai_todos', column: 'consolidated_into', effect: 'dangling' }],
+  dev_ai_bugs: [{ table: 'dev_ai_bugs', column: 'consolidated_into', effect: 'dangling' }],
+  dev_ai_knowledge: [{ table: 'dev_ai_knowledge', column: 'consolidated_into', effect: 'dangling' }],
+  dev_ai_docs: [{ table: 'dev_ai_docs', column: 'consolidated_into', effect: 'dangling' }]
+};
+
+// Polymorphic references that can point at any table
+const GENERIC_REFERENCES = [
+  { table: 'dev_ai_conflicts', column: 'existing_id', typeColumn: 'existing_table', effect: 'dangling' },
+  { table: 'dev_ai_notifications', column: 'related_id', typeColumn: 'related_table', effect: 'dangling' }
+];
+
+function referencesFor(table) {
+  return [...(REFERENCES[table] || []), ...GENERIC_REFERENCES];
+}
+
+/**
+ * Shorten long strings so a sample row stays readable
+ */
+function trimRow(row) {
+  return Object.fromEntries(Object.entries(row).map(([key, value]) => [
+    key,
+    typeof value === 'string' && value.length > MAX_SAMPLE_TEXT ? `${value.slice(0, MAX_SAMPLE_TEXT)}…` : value
+  ]));
+}
+
+/**
+ * Rows in ref.table pointing at any of ids (rows being purged themselves don't count)
+ */
+async function countReferences(ref, table, ids) {
+  let query = from(ref.table)
+    .select('id', { count: 'exact' })
+    .in(ref.column, ids)
+    .limit(SAMPLE_REFERENCE_IDS);
+
+  if (ref.typeColumn) query = query.eq(ref.typeColumn, table);
+  if (ref.table === table) query = query.not('id', 'in', ids);
+
+  const { data, count, error } = await query;
+  if (error) {
+    // Table may not exist in this deployment - report, don't fail the preview
+    logger.warn('Reference check failed', { table: ref.table, column: ref.column, error: error.message });
+    return { count: 0, sampleIds: [], error: error.message };
+  }
+  return { count: count ?? (data || []).length, sampleIds: (data || []).map(row => row.id) };
+}
+
+/**
+ * Preview purging ids from table
+ * @returns {Promise<object>} { table, requested, found, missing, sample, estimatedBytes,
+ *   references, orphanCount, cascadeCount, verdict: 'ok'|'warn'|'block', warnings }
+ */
+async function previewPurge(table, ids) {
+  const recordIds = (ids || []).map(String);
+
+  const { data: rows, error } = recordIds.length
+    ? await from(table).select('*').in('id', recordIds)
+    : { data: [], error: null };
+  if (error) throw error;
+
+  const found = rows || [];
+  const foundIds = new Set(found.map(row => String(row.id)));
+  const estimatedBytes = found.reduce((sum, row) => sum + Buffer.byteLength(JSON.stringify(row)), 0);
+
+  const references = [];
+  if (recordIds.length) {
+    for (const ref of referencesFor(table)) {
+      const result = await countReferences(ref, table, recordIds);
+      if (result.count > 0 || result.error) {
+        references.push({ table: ref.table, column: ref.column, effect: ref.effect, ...result });
+      }
+    }
+  }
+
+  const cascadeCount = references.filter(r => r.effect === 'cascade').reduce((sum, r) => sum + r.count, 0);
+  const orphanCount = references.filter(r => r.effect === 'dangling').reduce((sum, r) => sum + r.count, 0);
+
+  const warnings = [];
+  if (cascadeCount > 0) {
+    warnings.push(`${cascadeCount} rows would be cascade-deleted with these records and cannot be restored from the trash`);
+  }
+  if (orphanCount > 0) {
+    warnings.push(`${orphanCount} rows would be left referencing purged records`);
+  }
+
+  let verdict = 'ok';
+  if (cascadeCount > 0 || (orphanCount > 0 && config.PURGE_ORPHAN_POLICY === 'block')) verdict = 'block';
+  else if (orphanCount > 0) verdict = 'warn';
+
+  return {
+    table,
+    requested: recordIds.length,
+    found: found.length,
+    missing: recordIds.filter(id => !foundIds.has(id)),
+    sample: found.slice(0, SAMPLE_ROWS).map(trimRow),
+    estimatedBytes,
+    references,
+    orphanCount,
+    cascadeCount,
+    verdict,
+    warnings
+  };
+}
+
+/**
+ * Preview a stored purge request
+ */
+async function previewRequest(request) {
+  const preview = await previewPurge(request.table_name, request.record_ids);
+  return { requestId: request.id, status: request.status, reason: request.reason, ...preview };
+}
+
+module.exports = {
+  REFERENCES,
+  GENERIC_REFERENCES,
+  previewPurge,
+  previewRequest
+};
@@ -0,0 +1,235 @@
+/**
+ * Susan Purge Scheduler
+ * Turns retention recommendations into purge requests on a schedule
+ *
+ * Flagging never deletes anything - it creates pending purge requests in
+ * batches of PURGE_BATCH_SIZE, skipping rows already held by a pending
+ * request (the project's own or a global one), and lets the devs know
+ * through dev_ai_notifications and team chat. Once every PURGE_DIGEST_DAYS a digest lists everything
+ * still waiting for approval.
+ */
+
+const { from } = require('../lib/db');
+const config = require('../lib/config');
+const { Logger } = require('../lib/logger');
+const retentionService = require('./retentionService');
+const teamChat = require('./teamChat');
+const eventBus = require('./eventBus');
+
+const logger = new Logger('Susan:PurgeScheduler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Statuses whose record ids are spoken for - 'approving' is mid-purge
+const HELD = ['pending', 'approving'];
+
+let isRunning = false;
+
+/**
+ * Record ids already waiting in a purge request for this table
+ * For a project that is its own requests plus the global (project_id null) ones
+ */
+async function awaitingIds(table, project) {
+  const { data, error } = await from('dev_ai_purge_requests')
+    .select('record_ids, project_id')
+    .eq('table_name', table)
+    .in('status', HELD);
+  if (error) throw error;
+
+  const holding = (data || []).filter(request => !project || request.project_id === project || request.project_id === null);
+  return [...new Set(holding.flatMap(request => request.record_ids || []).map(String))];
+}
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+}
+
+/**
+ * Create pending purge requests for stale rows
+ * alreadyPending counts records skipped because a request already holds them
+ * @returns {Promise<{ flagged: object[], totalFlagged: number, alreadyPending: number }>}
+ */
+async function flagStale({ tables = null, project = null, reason = null, flaggedBy = 'susan', now = new Date() } = {}) {
+  const flagged = [];
+  let alreadyPending = 0;
+  const tablesToFlag = tables || await retentionService.tablesWithPolicies('purge');
+  const batchSize = config.PURGE_BATCH_SIZE;
+
+  for (const table of tablesToFlag) {
+    const excludeIds = await awaitingIds(table, project);
+    const stale = await retentionService.findStale(table, {
+      project,
+      excludeIds,
+      limit: batchSize * config.PURGE_MAX_BATCHES,
+      now
+    });
+    alreadyPending += excludeIds.length;
+
+    if (!stale.rows.length) continue;
+
+    const cutoffDate = new Date(now.getTime() - stale.minKeepDays * DAY_MS);
+    const batches = chunk(stale.rows.map(row => row.id), batchSize);
+
+    for (const [index, ids] of batches.entries()) {
+      const { data: request, error } = await from('dev_ai_purge_requests')
+        .insert({
+          table_name: table,
+          record_count: ids.length,
+          record_ids: ids,
+          cutoff_date: cutoffDate.toISOString(),
+          reason: reason || `Retention: ${stale.reasons.join('; ')}`,
+          policy_ids: stale.policyIds,
+          project_id: project,
+          status: 'pending',
+          flagged_by: flaggedBy,
+          created_at: new Date().toISOString()
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      flagged.push({
+        table,
+        count: ids.length,
+        requestId: request.id,
+        batch: batches.length > 1 ? `${index + 1}/${batches.length}` : undefined,
+        status: 'pending_approval'
+      });
+
+      eventBus.emit('purge.flagged', {
+        id: request.id,
+        project_id: project,
+        table,
+        record_count: ids.length
+      }, { source: 'storage' });
+    }
+
+    logger.info('Flagged stale data for approval', {
+      table,
+      count: stale.rows.length,
+      batches: batches.length,
+      remaining: stale.count - stale.rows.length,
+      flaggedBy
+    });
+  }
+
+  return {
+    flagged,
+    totalFlagged: flagged.reduce((sum, item) => sum + item.count, 0),
+    alreadyPending
+  };
+}
+
+function formatCounts(byTable) {
+  return Object.entries(byTable)
+    .map(([table, { requests, records }]) => `- ${table}: ${records} records in ${requests} request${requests === 1 ? '' : 's'}`)
+    .join('\n');
+}
+
+function tally(items) {
+  return items.reduce((acc, item) => {
+    const key = item.table || item.table_name;
+    acc[key] = acc[key] || { requests: 0, records: 0 };
+    acc[key].requests += 1;
+    acc[key].records += item.count ?? item.record_count ?? 0;
+    return acc;
+  }, {});
+}
+
+/**
+ * Tell the devs a scheduled run flagged something
+ */
+async function notifyFlagged(result) {
+  const title = `Susan flagged ${result.totalFlagged} stale records for purge`;
+  const message = `${formatCounts(tally(result.flagged))}\n\nNothing is deleted until a dev approves (POST /api/storage/approve-purge).`;
+
+  const { error } = await from('dev_ai_notifications').insert({
+    dev_id: 'assigned',
+    notification_type: 'purge_request',
+    title,
+    message,
+    related_table: 'dev_ai_purge_requests',
+    related_id: result.flagged[0].requestId,
+    status: 'unread'
+  });
+  if (error) logger.warn('Purge notification failed', { error: error.message });
+
+  await teamChat.notify(`${title}\n${message}`, 'low');
+}
+
+/**
+ * Digest of purge requests awaiting approval, at most once per PURGE_DIGEST_DAYS
+ * @returns {Promise<{ sent: boolean, reason?: string, requests?: number, records?: number }>}
+ */
+async function sendDigest({ now = new Date(), force = false } = {}) {
+  if (!force) {
+    const { data: recent, error } = await from('dev_ai_notifications')
+      .select('id')
+      .eq('notification_type', 'purge_digest')
+      .gte('created_at', new Date(now.getTime() - config.PURGE_DIGEST_DAYS * DAY_MS).toISOString())
+      .limit(1);
+    if (error) throw error;
+    if (recent?.length) return { sent: false, reason: 'Digest already sent this period' };
+  }
+
+  const { data: requests, error } = await from('dev_ai_purge_requests')
+    .select('id, table_name, record_count, status, created_at')
+    .eq('status', 'pending')
+    .order('created_at', { ascending: true });
+  if (error) throw error;
+  if (!requests?.length) return { sent: false, reason: 'Nothing awaiting approval' };
+
+  const records = requests.reduce((sum, r) => sum + (r.record_count || 0), 0);
+  const oldestDays = Math.floor((now.getTime() - new Date(requests[0].created_at).getTime()) / DAY_MS);
+
+  const title = `Purge digest: ${requests.length} request${requests.length === 1 ? '' : 's'} (${records} records) awaiting approval`;
+  const message = [
+    formatCounts(tally(requests)),
+    '',
+    `Oldest has been waiting ${oldestDays} day${oldestDays === 1 ? '' : 's'}.`
+  ].join('\n');
+
+  const { error: insertError } = await from('dev_ai_notifications').insert({
+    dev_id: 'assigned',
+    notification_type: 'purge_digest',
+    title,
+    message,
+    status: 'unread',
+    created_at: now.toISOString()
+  });
+  if (insertError) throw insertError;
+
+  await teamChat.notify(`${title}\n${message}`, 'normal');
+
+  logger.info('Purge digest sent', { requests: requests.length, records });
+  return { sent: true, requests: requests.length, records };
+}
+
+/**
+ * One scheduled run: flag, notify, digest if due
+ */
+async function runCycle({ now = new Date() } = {}) {
+  if (isRunning) {
+    logger.info('Purge scheduler already running, skipping');
+    return null;
+  }
+
+  isRunning = true;
+  try {
+    const result = await flagStale({ flaggedBy: 'susan-scheduler', now });
+    if (result.flagged.length) await notifyFlagged(result);
+
+    const digest = await sendDigest({ now });
+    return { ...result, digest };
+  } finally {
+    isRunning = false;
+  }
+}
+
+module.exports = {
+  flagStale,
+  sendDigest,
+  runCycle
+};
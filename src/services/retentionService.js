@@ -0,0 +1,380 @@
+/**
+ * Susan Retention Service
+ * One policy engine for storage stats, flag-for-purge and the cleaner
+ *
+ * A policy says how long rows of a table are kept: optionally only rows
+ * with a given status, optionally only for one project. keep_days null
+ * means keep forever. action 'purge' feeds purge requests (dev approval
+ * still required); action 'mark_stale' lets the cleaner set status='stale'.
+ *
+ * Resolution for a table, per status: project policy > global policy.
+ * A policy with status null covers every status that has no rule of its own.
+ * Built-in DEFAULT_POLICIES sit under the dev_ai_retention_policies rows -
+ * a global row with the same table/status/action replaces the default.
+ */
+
+const { from } = require('../lib/db');
+const { Logger } = require('../lib/logger');
+
+const logger = new Logger('Susan:Retention');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ACTIONS = ['purge', 'mark_stale'];
+const IDENTIFIER = /^[a-z_][a-z0-9_]*$/;
+
+const DEFAULT_POLICIES = [
+  { table_name: 'dev_ai_sessions', keep_days: 30 },
+  { table_name: 'dev_ai_sessions', status: 'active', keep_days: 1, date_column: 'started_at', action: 'mark_stale',
+    description: 'Sessions left active for a day are stale' },
+  { table_name: 'dev_ai_messages', keep_days: 30 },
+  { table_name: 'dev_ai_knowledge', keep_days: 90 },
+  { table_name: 'dev_ai_decisions', keep_days: 180 },
+  { table_name: 'dev_ai_docs', keep_days: 365 },
+  { table_name: 'dev_ai_todos', status: 'completed', keep_days: 90, description: 'Completed todos after 90 days' },
+  { table_name: 'dev_ai_todos', keep_days: null, description: 'Open todos are never purged' },
+  { table_name: 'dev_ai_structures', keep_days: 365 },
+  { table_name: 'dev_ai_schemas', keep_days: null, description: "Don't auto-purge schemas" }
+].map(policy => normalize({ ...policy, source: 'default' }));
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function normalize(policy) {
+  const normalized = {
+    project_id: null,
+    status: null,
+    date_column: 'created_at',
+    action: 'purge',
+    enabled: true,
+    description: null,
+    source: 'custom',
+    ...policy
+  };
+  if (!normalized.id) {
+    normalized.id = `default:${normalized.table_name}:${normalized.status || '*'}:${normalized.action}`;
+  }
+  return normalized;
+}
+
+function scopeKey(policy) {
+  return [policy.project_id || '', policy.table_name, policy.status || '', policy.action || 'purge'].join('|');
+}
+
+// ============================================
+// Policies
+// ============================================
+
+/**
+ * Stored policies plus the defaults they don't replace
+ */
+async function loadPolicies() {
+  const { data, error } = await from('dev_ai_retention_policies')
+    .select('*')
+    .order('table_name', { ascending: true });
+
+  if (error) {
+    logger.warn('Could not load retention policies, using defaults', { error: error.message });
+  }
+
+  const stored = (data || []).map(row => normalize({ ...row, source: 'custom' }));
+  const storedKeys = new Set(stored.map(scopeKey));
+  return [...stored, ...DEFAULT_POLICIES.filter(policy => !storedKeys.has(scopeKey(policy)))];
+}
+
+async function listPolicies({ table, project } = {}) {
+  const policies = await loadPolicies();
+  return policies
+    .filter(p => !table || p.table_name === table)
+    .filter(p => !project || p.project_id === null || p.project_id === project);
+}
+
+function validate(input, { partial = false } = {}) {
+  const policy = {};
+
+  if (!partial || input.table_name !== undefined) {
+    if (!input.table_name || !IDENTIFIER.test(input.table_name)) throw httpError(400, 'table_name must be a table name');
+    policy.table_name = input.table_name;
+  }
+  if (input.keep_days !== undefined) {
+    if (input.keep_days !== null && !(Number.isInteger(input.keep_days) && input.keep_days > 0)) {
+      throw httpError(400, 'keep_days must be a positive integer, or null to keep forever');
+    }
+    policy.keep_days = input.keep_days;
+  } else if (!partial) {
+    throw httpError(400, 'keep_days is required (null = keep forever)');
+  }
+  if (input.date_column !== undefined) {
+    if (!IDENTIFIER.test(input.date_column || '')) throw httpError(400, 'date_column must be a column name');
+    policy.date_column = input.date_column;
+  }
+  if (input.action !== undefined) {
+    if (!ACTIONS.includes(input.action)) throw httpError(400, `action must be one of: ${ACTIONS.join(', ')}`);
+    policy.action = input.action;
+  }
+  ['project_id', 'status', 'description'].forEach(field => {
+    if (input[field] !== undefined) policy[field] = input[field] || null;
+  });
+  if (input.enabled !== undefined) policy.enabled = Boolean(input.enabled);
+
+  return policy;
+}
+
+/**
+ * Add a policy; 409 if one already covers the same project/table/status/action
+ */
+async function createPolicy(input, { actor = 'api' } = {}) {
+  const policy = normalize({ ...validate(input), created_by: actor, source: 'custom' });
+  delete policy.id;
+  delete policy.source;
+
+  if (policy.action === 'mark_stale' && !policy.status) {
+    throw httpError(400, 'mark_stale policies need a status');
+  }
+
+  const existing = (await loadPolicies()).find(p => p.source === 'custom' && scopeKey(p) === scopeKey(policy));
+  if (existing) throw httpError(409, `Policy ${existing.id} already covers this scope`);
+
+  const { data, error } = await from('dev_ai_retention_policies')
+    .insert(policy)
+    .select('*')
+    .single();
+  if (error) throw error;
+
+  logger.info('Retention policy created', { id: data.id, table: data.table_name, project: data.project_id, status: data.status, keepDays: data.keep_days });
+  return normalize({ ...data, source: 'custom' });
+}
+
+async function getStoredPolicy(id) {
+  if (String(id).startsWith('default:')) {
+    throw httpError(400, 'Built-in default - create a global policy for the same table and status to override it');
+  }
+  const { data, error } = await from('dev_ai_retention_policies').select('*').eq('id', id).maybeSingle();
+  if (error) throw error;
+  if (!data) throw httpError(404, 'Retention policy not found');
+  return data;
+}
+
+async function updatePolicy(id, changes) {
+  const current = await getStoredPolicy(id);
+  const updates = validate(changes, { partial: true });
+
+  const merged = normalize({ ...current, ...updates });
+  const clash = (await loadPolicies()).find(p => p.source === 'custom' && p.id !== current.id && scopeKey(p) === scopeKey(merged));
+  if (clash) throw httpError(409, `Policy ${clash.id} already covers this scope`);
+
+  const { data, error } = await from('dev_ai_retention_policies')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .select('*')
+    .single();
+  if (error) throw error;
+  return normalize({ ...data, source: 'custom' });
+}
+
+async function deletePolicy(id) {
+  await getStoredPolicy(id);
+  const { error } = await from('dev_ai_retention_policies').delete().eq('id', id);
+  if (error) throw error;
+  logger.info('Retention policy deleted', { id });
+}
+
+// ============================================
+// Resolution
+// ============================================
+
+/**
+ * Scopes for one project (or the global fallback that skips excludeProjects)
+ */
+function scopesFor(relevant, project, excludeProjects) {
+  const candidates = relevant.filter(p => p.project_id === null || p.project_id === project);
+  const pick = (status) =>
+    candidates.find(p => project && p.project_id === project && p.status === status) ||
+    candidates.find(p => p.project_id === null && p.status === status) ||
+    null;
+
+  const statuses = [...new Set(candidates.filter(p => p.status !== null).map(p => p.status))].sort();
+  const scopes = statuses.map(status => ({ policy: pick(status), project, excludeProjects, status, excludeStatuses: [] }));
+
+  const fallback = pick(null);
+  if (fallback) {
+    scopes.push({ policy: fallback, project, excludeProjects, status: null, excludeStatuses: statuses });
+  }
+  return scopes;
+}
+
+/**
+ * Effective rules for a table
+ * Without a project: one set per project that has its own policies, plus
+ * the global set for every other project
+ * @returns {Array<{ policy, project, excludeProjects, status, excludeStatuses }>}
+ */
+function resolveScopes(policies, table, { project = null, action = 'purge' } = {}) {
+  const relevant = policies.filter(p => p.enabled !== false && p.table_name === table && p.action === action);
+
+  if (project) return scopesFor(relevant, project, []);
+
+  const overridden = [...new Set(relevant.filter(p => p.project_id).map(p => p.project_id))].sort();
+  return [
+    ...overridden.flatMap(p => scopesFor(relevant, p, [])),
+    ...scopesFor(relevant, null, overridden)
+  ];
+}
+
+function quoteList(values) {
+  return `(${values.map(v => `"${String(v).replace(/"/g, '')}"`).join(',')})`;
+}
+
+/**
+ * Apply a scope's filters to a query (scope must have keep_days)
+ */
+function applyScope(query, scope, now = new Date()) {
+  const cutoff = new Date(now.getTime() - scope.policy.keep_days * DAY_MS).toISOString();
+  let scoped = query.lt(scope.policy.date_column || 'created_at', cutoff);
+
+  if (scope.project) {
+    scoped = scoped.eq('project_id', scope.project);
+  } else if (scope.excludeProjects.length) {
+    scoped = scoped.or(`project_id.is.null,project_id.not.in.${quoteList(scope.excludeProjects)}`);
+  }
+
+  if (scope.status) {
+    scoped = scoped.eq('status', scope.status);
+  } else if (scope.excludeStatuses.length) {
+    scoped = scoped.or(`status.is.null,status.not.in.${quoteList(scope.excludeStatuses)}`);
+  }
+  return scoped;
+}
+
+/**
+ * "completed rows older than 90 days" / "kept forever"
+ */
+function describeScope(scope) {
+  const who = [
+    scope.status ? `${scope.status} rows` : (scope.excludeStatuses.length ? 'other rows' : 'rows'),
+    scope.project ? `in ${scope.project}` : null
+  ].filter(Boolean).join(' ');
+  return scope.policy.keep_days === null
+    ? `${who} kept forever`
+    : `${who} older than ${scope.policy.keep_days} days`;
+}
+
+function summarizeScope(scope, count) {
+  return {
+    policy_id: scope.policy.id,
+    source: scope.policy.source,
+    project_id: scope.project,
+    status: scope.status,
+    keep_days: scope.policy.keep_days,
+    date_column: scope.policy.date_column,
+    description: describeScope(scope),
+    count
+  };
+}
+
+/**
+ * Stale row counts for a table, per rule
+ * @returns {Promise<{ stale: number, rules: object[] }>}
+ */
+async function countStale(table, { project = null, policies = null, now = new Date() } = {}) {
+  const scopes = resolveScopes(policies || await loadPolicies(), table, { project });
+
+  const rules = await Promise.all(scopes.map(async (scope) => {
+    if (scope.policy.keep_days === null) return summarizeScope(scope, 0);
+    const { count, error } = await applyScope(from(table).select('*', { count: 'exact', head: true }), scope, now);
+    if (error) throw error;
+    return summarizeScope(scope, count || 0);
+  }));
+
+  return { stale: rules.reduce((sum, rule) => sum + rule.count, 0), rules };
+}
+
+/**
+ * Stale rows for a purge request (ids only), up to limit, skipping excludeIds
+ * minKeepDays is the shortest keep_days that matched - every row is at least that old
+ * @returns {Promise<{ rows: object[], count: number, policyIds: string[], reasons: string[], minKeepDays: number|null }>}
+ */
+async function findStale(table, { project = null, limit = 1000, excludeIds = [], now = new Date() } = {}) {
+  const scopes = resolveScopes(await loadPolicies(), table, { project })
+    .filter(scope => scope.policy.keep_days !== null);
+
+  const rows = [];
+  const policyIds = [];
+  const reasons = [];
+  let count = 0;
+  let minKeepDays = null;
+
+  for (const scope of scopes) {
+    const dateColumn = scope.policy.date_column || 'created_at';
+    const columns = dateColumn === 'created_at' ? 'id, created_at' : `id, created_at, ${dateColumn}`;
+    let query = applyScope(from(table).select(columns, { count: 'exact' }), scope, now);
+    if (excludeIds.length) query = query.not('id', 'in', excludeIds);
+
+    const { data, count: scopeCount, error } = await query.limit(Math.max(limit - rows.length, 0));
+    if (error) throw error;
+    if (!scopeCount) continue;
+
+    rows.push(...(data || []));
+    count += scopeCount;
+    policyIds.push(scope.policy.id);
+    reasons.push(describeScope(scope));
+    minKeepDays = minKeepDays === null ? scope.policy.keep_days : Math.min(minKeepDays, scope.policy.keep_days);
+  }
+
+  return { rows, count, policyIds: [...new Set(policyIds)], reasons, minKeepDays };
+}
+
+/**
+ * Tables that have at least one policy for an action
+ */
+async function tablesWithPolicies(action = 'purge') {
+  const policies = await loadPolicies();
+  return [...new Set(policies.filter(p => p.enabled !== false && p.action === action).map(p => p.table_name))];
+}
+
+/**
+ * Cleaner step: apply every mark_stale policy
+ * @returns {Promise<number>} rows marked stale
+ */
+async function markStale({ now = new Date() } = {}) {
+  const policies = await loadPolicies();
+  const tables = [...new Set(policies.filter(p => p.enabled !== false && p.action === 'mark_stale').map(p => p.table_name))];
+  let marked = 0;
+
+  for (const table of tables) {
+    for (const scope of resolveScopes(policies, table, { action: 'mark_stale' })) {
+      if (scope.policy.keep_days === null || !scope.status) continue;
+
+      const { data, error } = await applyScope(from(table).update({ status: 'stale' }), scope, now).select('id');
+      if (error) {
+        logger.error('Mark stale failed', { table, policy: scope.policy.id, error: error.message });
+        continue;
+      }
+      if (data?.length) {
+        logger.info('Marked rows stale', { table, count: data.length, rule: describeScope(scope) });
+        marked += data.length;
+      }
+    }
+  }
+
+  return marked;
+}
+
+module.exports = {
+  DEFAULT_POLICIES,
+  ACTIONS,
+  loadPolicies,
+  listPolicies,
+  createPolicy,
+  updatePolicy,
+  deletePolicy,
+  resolveScopes,
+  describeScope,
+  summarizeScope,
+  countStale,
+  findStale,
+  tablesWithPolicies,
+  markStale
+};
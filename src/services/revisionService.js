@@ -0,0 +1,354 @@
+/**
+ * Susan Revision Service
+ * Append-only history for the librarian tables
+ *
+ * Writes to tracked tables go through insert/upsert/update/remove here
+ * instead of straight to from(table). Each one also lands in
+ * dev_ai_revisions as a before/after snapshot with the actor that made it.
+ * Restoring an old revision writes a new revision - history is never rewritten.
+ */
+
+const { from } = require('../lib/db');
+const { Logger } = require('../lib/logger');
+
+const logger = new Logger('Susan:Revisions');
+
+// URL type -> table, for /api/:type/:id/history
+const REVISION_TYPES = {
+  knowledge: 'dev_ai_knowledge',
+  doc: 'dev_ai_docs',
+  note: 'dev_ai_notes',
+  todo: 'dev_ai_todos',
+  bug: 'dev_ai_bugs',
+  decision: 'dev_ai_decisions'
+};
+
+// Bookkeeping columns - left out of diffs and never copied back by a restore
+const IGNORED_FIELDS = new Set(['updated_at', 'embedding', 'embedding_model', 'embedded_at']);
+const IDENTITY_FIELDS = new Set(['id', 'created_at']);
+
+// Above this (lines before x lines after) a text field is diffed as one replacement
+const MAX_LINE_DIFF_CELLS = 250000;
+const MAX_REV_ATTEMPTS = 3;
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Fields whose value differs between two snapshots (either may be null)
+ */
+function changedFields(before, after) {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return [...keys]
+    .filter(key => !IGNORED_FIELDS.has(key))
+    .filter(key => !sameValue(before?.[key], after?.[key]))
+    .sort();
+}
+
+/**
+ * Line diff of two strings (LCS)
+ * @returns {Array<{op: ' '|'-'|'+', line: string}>}
+ */
+function diffLines(a, b) {
+  const left = String(a ?? '').split('\n');
+  const right = String(b ?? '').split('\n');
+
+  if (left.length * right.length > MAX_LINE_DIFF_CELLS) {
+    return [
+      ...left.map(line => ({ op: '-', line })),
+      ...right.map(line => ({ op: '+', line }))
+    ];
+  }
+
+  // lcs[i][j] = common lines in left[i..] and right[j..]
+  const lcs = Array.from({ length: left.length + 1 }, () => new Array(right.length + 1).fill(0));
+  for (let i = left.length - 1; i >= 0; i--) {
+    for (let j = right.length - 1; j >= 0; j--) {
+      lcs[i][j] = left[i] === right[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < left.length && j < right.length) {
+    if (left[i] === right[j]) {
+      lines.push({ op: ' ', line: left[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      lines.push({ op: '-', line: left[i++] });
+    } else {
+      lines.push({ op: '+', line: right[j++] });
+    }
+  }
+  while (i < left.length) lines.push({ op: '-', line: left[i++] });
+  while (j < right.length) lines.push({ op: '+', line: right[j++] });
+  return lines;
+}
+
+/**
+ * Field-by-field diff of two snapshots; multi-line text also gets a line diff
+ */
+function diffSnapshots(before, after) {
+  return changedFields(before, after).map(field => {
+    const change = { field, before: before?.[field] ?? null, after: after?.[field] ?? null };
+    const multiline = [change.before, change.after].some(v => typeof v === 'string' && v.includes('\n'));
+    if (multiline) change.lines = diffLines(change.before, change.after);
+    return change;
+  });
+}
+
+/**
+ * Append a revision for a record. Never throws - a failed history write
+ * is logged rather than failing the change it describes.
+ */
+async function recordRevision({ table, id, action, actor = 'system', before = null, after = null, restoredFrom = null }) {
+  const changed = changedFields(before, after);
+  if (action === 'update' && changed.length === 0) return null;
+
+  const recordId = String(id);
+  for (let attempt = 0; attempt < MAX_REV_ATTEMPTS; attempt++) {
+    try {
+      const { data: latest, error: readError } = await from('dev_ai_revisions')
+        .select('rev')
+        .eq('table_name', table)
+        .eq('record_id', recordId)
+        .order('rev', { ascending: false })
+        .limit(1);
+
+      if (readError) throw readError;
+
+      const { data, error } = await from('dev_ai_revisions')
+        .insert({
+          table_name: table,
+          record_id: recordId,
+          rev: (latest?.[0]?.rev || 0) + 1,
+          action,
+          actor,
+          changed_fields: changed,
+          before,
+          after,
+          restored_from: restoredFrom
+        })
+        .select('*')
+        .single();
+
+      // Another writer took this rev number - read the latest again
+      if (error?.code === '23505') continue;
+      if (error) throw error;
+      return data;
+    } catch (err) {
+      logger.error('Revision write failed', { table, id: recordId, action, error: err.message });
+      return null;
+    }
+  }
+
+  logger.error('Revision write gave up on rev conflicts', { table, id: recordId, action });
+  return null;
+}
+
+/**
+ * Insert a row and record its 'create' revision
+ * @returns {Promise<{data, error}>} data is the full inserted row
+ */
+async function insert(table, row, { actor = 'system' } = {}) {
+  const { data, error } = await from(table).insert(row).select('*').single();
+  if (error) return { data: null, error };
+
+  await recordRevision({ table, id: data.id, action: 'create', actor, after: data });
+  return { data, error: null };
+}
+
+/**
+ * Upsert a row; records 'create' or 'update' depending on whether it existed
+ */
+async function upsert(table, row, { actor = 'system', onConflict = 'id' } = {}) {
+  const keys = onConflict.split(',').map(k => k.trim());
+
+  let lookup = from(table).select('*');
+  keys.forEach(key => { lookup = lookup.eq(key, row[key]); });
+  const { data: existing, error: readError } = await lookup.limit(1);
+  if (readError) return { data: null, error: readError };
+
+  const before = existing?.[0] || null;
+  const { data, error } = await from(table).upsert(row, { onConflict }).select('*').single();
+  if (error) return { data: null, error };
+
+  await recordRevision({ table, id: data.id, action: before ? 'update' : 'create', actor, before, after: data });
+  return { data, error: null };
+}
+
+/**
+ * Update one row by id and record the before/after
+ * @param {string} [options.action='update'] - Recorded action ('consolidate', 'restore', ...)
+ * @returns {Promise<{data, error}>} data is the updated row, null if no row matched
+ */
+async function update(table, id, updates, { actor = 'system', action = 'update', restoredFrom = null } = {}) {
+  const { data: before, error: readError } = await from(table).select('*').eq('id', id).maybeSingle();
+  if (readError) return { data: null, error: readError };
+
+  const { data: rows, error } = await from(table).update(updates).eq('id', id).select('*');
+  if (error) return { data: null, error };
+
+  const after = rows?.[0] || null;
+  if (before && after) {
+    await recordRevision({ table, id, action, actor, before, after, restoredFrom });
+  }
+  return { data: after, error: null };
+}
+
+/**
+ * Delete one row by id; the 'delete' revision keeps its last state
+ */
+async function remove(table, id, { actor = 'system' } = {}) {
+  const { data: before, error: readError } = await from(table).select('*').eq('id', id).maybeSingle();
+  if (readError) return { data: null, error: readError };
+
+  const { error } = await from(table).delete().eq('id', id);
+  if (error) return { data: null, error };
+
+  if (before) {
+    await recordRevision({ table, id, action: 'delete', actor, before });
+  }
+  return { data: before, error: null };
+}
+
+/**
+ * All revisions of a record, oldest first
+ */
+async function getHistory(table, id) {
+  const { data, error } = await from('dev_ai_revisions')
+    .select('*')
+    .eq('table_name', table)
+    .eq('record_id', String(id))
+    .order('rev', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+async function getRevision(table, id, rev) {
+  const { data, error } = await from('dev_ai_revisions')
+    .select('*')
+    .eq('table_name', table)
+    .eq('record_id', String(id))
+    .eq('rev', rev)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw httpError(404, `Revision ${rev} not found`);
+  return data;
+}
+
+/**
+ * What revision `rev` changed, or - with `against` - how the record at
+ * `rev` differs from the record at `against`
+ */
+async function diffRevision(table, id, rev, against = null) {
+  const revision = await getRevision(table, id, rev);
+
+  if (against === null) {
+    return {
+      rev: revision.rev,
+      action: revision.action,
+      actor: revision.actor,
+      created_at: revision.created_at,
+      changes: diffSnapshots(revision.before, revision.after)
+    };
+  }
+
+  const base = await getRevision(table, id, against);
+  return {
+    rev: revision.rev,
+    against: base.rev,
+    changes: diffSnapshots(base.after, revision.after)
+  };
+}
+
+/**
+ * Bring a record back to how it looked at `rev`. Recreates the row if it
+ * was deleted since. Recorded as a new 'restore' revision.
+ */
+async function restore(table, id, rev, { actor = 'system' } = {}) {
+  const target = await getRevision(table, id, rev);
+  if (!target.after) {
+    throw httpError(400, `Revision ${rev} is a delete - restore an earlier revision`);
+  }
+
+  const { data: current, error: readError } = await from(table).select('*').eq('id', id).maybeSingle();
+  if (readError) throw readError;
+
+  if (!current) {
+    const row = Object.fromEntries(Object.entries(target.after).filter(([key]) => !IGNORED_FIELDS.has(key)));
+    const { data, error } = await from(table).insert(row).select('*').single();
+    if (error) throw error;
+
+    const revision = await recordRevision({ table, id, action: 'restore', actor, after: data, restoredFrom: rev });
+    return { record: data, revision };
+  }
+
+  const updates = {};
+  for (const [key, value] of Object.entries(target.after)) {
+    if (!IGNORED_FIELDS.has(key) && !IDENTITY_FIELDS.has(key)) updates[key] = value;
+  }
+  if ('updated_at' in current) updates.updated_at = new Date().toISOString();
+
+  // Restored text needs a fresh vector - the sweep re-embeds it
+  if ('embedding' in current) {
+    updates.embedding = null;
+    updates.embedding_model = null;
+  }
+
+  const { data: rows, error } = await from(table).update(updates).eq('id', id).select('*');
+  if (error) throw error;
+
+  const revision = await recordRevision({ table, id, action: 'restore', actor, before: current, after: rows[0], restoredFrom: rev });
+  return { record: rows[0], revision };
+}
+
+/**
+ * Who is making a request - the authenticated token's name, else the
+ * X-Actor header (auth off, or routes mounted without it in tests)
+ */
+function actorFrom(req) {
+  return req.auth?.name || req.get('X-Actor') || 'api';
+}
+
+/**
+ * Who is approving or resolving something - the authenticated token's name.
+ * A dev_id in the body only counts when auth is off; with a token it is
+ * ignored (and logged if it disagrees).
+ */
+function approverFrom(req) {
+  const claimed = req.body?.dev_id || null;
+  if (!req.auth) return claimed;
+  if (claimed && claimed !== req.auth.name) {
+    logger.warn('Ignoring dev_id that does not match the token', { claimed, token: req.auth.name, path: req.originalUrl });
+  }
+  return req.auth.name;
+}
+
+module.exports = {
+  REVISION_TYPES,
+  insert,
+  upsert,
+  update,
+  remove,
+  recordRevision,
+  getHistory,
+  getRevision,
+  diffRevision,
+  restore,
+  diffSnapshots,
+  diffLines,
+  actorFrom,
+  approverFrom
+};
@@ -0,0 +1,454 @@
+/**
+ * Susan Routing Service
+ * Where the extraction sorter sends each staged bucket
+ *
+ * A rule maps a bucket to a target table and status, optionally for one
+ * project only. field_map shapes the inserted row: each target column
+ * takes a source path ('content', 'metadata.file'), a literal
+ * ({ value }), a template ({ template: '{{bucket}}: {{title}}' }) or the
+ * first non-empty of several sources ({ from: ['title', 'content'] }),
+ * with an optional transform and default. A rule's field_map is laid over
+ * the table's built-in TABLE_FIELDS; null drops a column. Only the
+ * tables in TABLE_FIELDS can be targeted.
+ *
+ * Resolution for a bucket: project rule > global rule. Built-in
+ * DEFAULT_RULES sit under the dev_ai_routing_rules rows - a global row
+ * for the same bucket replaces the default. Buckets with no rule go to the
+ * unrouted inbox (staging status 'unrouted') until a rule exists.
+ */
+
+const { from } = require('../lib/db');
+const { Logger } = require('../lib/logger');
+
+const logger = new Logger('Susan:Routing');
+
+const IDENTIFIER = /^[a-z_][a-z0-9_]*$/;
+const SOURCE_PATH = /^[a-z_][a-z0-9_]*(\.[a-z0-9_]+)*$/i;
+
+const TRANSFORMS = {
+  truncate: (value, spec) => String(value).substring(0, spec.length || 200),
+  lowercase: (value) => String(value).toLowerCase(),
+  uppercase: (value) => String(value).toUpperCase(),
+  trim: (value) => String(value).trim(),
+  slug: (value) => String(value).toLowerCase().replace(/\s+/g, '_')
+};
+
+const title = (fallback) => ({ from: ['title', 'content'], transform: 'truncate', length: 200, default: fallback });
+const bucketType = (fallback) => ({ from: 'bucket', transform: 'slug', default: fallback });
+
+// Row shape per target table; every table also gets project_id,
+// source_session_id, the rule's status and the staging metadata
+const TABLE_FIELDS = {
+  dev_ai_todos: { title: title('Untitled'), description: 'content', priority: { from: 'priority', default: 'medium' } },
+  dev_ai_bugs: { title: title('Untitled'), description: 'content', severity: { from: 'priority', default: 'medium' } },
+  dev_ai_journal: { title: title('Journal Entry'), content: { from: 'content', default: '' }, entry_type: { value: 'journal' }, bucket: 'bucket' },
+  dev_ai_decisions: { title: title('Decision'), context: 'content' },
+  dev_ai_lessons: { title: title('Lesson Learned'), description: 'content' },
+  dev_ai_docs: { title: title('Document'), content: 'content', doc_type: bucketType('reference'), bucket: 'bucket' },
+  dev_ai_conventions: { name: title('Convention'), description: 'content', convention_type: bucketType('general'), bucket: 'bucket' },
+  dev_ai_knowledge: {
+    title: title('Knowledge Item'),
+    content: 'content',
+    summary: { from: 'content', transform: 'truncate', length: 500 },
+    knowledge_type: bucketType('general'),
+    bucket: 'bucket'
+  },
+  dev_ai_snippets: {
+    content: { from: 'content', default: '' },
+    context: { from: 'title', default: 'Extracted snippet' },
+    snippet_type: { value: 'extracted' },
+    bucket: 'bucket'
+  }
+};
+
+const ROUTABLE_TABLES = Object.keys(TABLE_FIELDS);
+
+const isRoutable = (table) => typeof table === 'string' && Object.hasOwn(TABLE_FIELDS, table);
+
+const COMMON_FIELDS = { project_id: 'project_id', source_session_id: 'session_id' };
+
+const DEFAULT_RULES = [
+  // Bugs
+  { bucket: 'Bugs Open', target_table: 'dev_ai_bugs', status: 'open' },
+  { bucket: 'Bugs Fixed', target_table: 'dev_ai_bugs', status: 'fixed' },
+  // Todos
+  { bucket: 'Todos', target_table: 'dev_ai_todos', status: 'unassigned' },
+  // Journal
+  { bucket: 'Journal', target_table: 'dev_ai_journal', status: 'pending' },
+  { bucket: 'Work Log', target_table: 'dev_ai_journal', status: 'pending', field_map: { entry_type: { value: 'worklog' } } },
+  // Decisions & Lessons
+  { bucket: 'Decisions', target_table: 'dev_ai_decisions', status: 'pending' },
+  { bucket: 'Lessons', target_table: 'dev_ai_lessons', status: 'pending' },
+  // Docs
+  { bucket: 'System Breakdown', target_table: 'dev_ai_docs', status: 'pending' },
+  { bucket: 'How-To Guide', target_table: 'dev_ai_docs', status: 'pending' },
+  { bucket: 'Schematic', target_table: 'dev_ai_docs', status: 'pending' },
+  { bucket: 'Reference', target_table: 'dev_ai_docs', status: 'pending' },
+  // Conventions (active)
+  { bucket: 'Naming Conventions', target_table: 'dev_ai_conventions', status: 'active' },
+  { bucket: 'File Structure', target_table: 'dev_ai_conventions', status: 'active' },
+  { bucket: 'Database Patterns', target_table: 'dev_ai_conventions', status: 'active' },
+  { bucket: 'API Patterns', target_table: 'dev_ai_conventions', status: 'active' },
+  { bucket: 'Component Patterns', target_table: 'dev_ai_conventions', status: 'active' },
+  // Knowledge
+  { bucket: 'Ideas', target_table: 'dev_ai_knowledge', status: 'pending' },
+  { bucket: 'Quirks & Gotchas', target_table: 'dev_ai_knowledge', status: 'pending' },
+  { bucket: 'Other', target_table: 'dev_ai_knowledge', status: 'pending' },
+  // Snippets
+  { bucket: 'Snippets', target_table: 'dev_ai_snippets', status: 'pending' }
+].map(rule => normalize({ ...rule, source: 'default' }));
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function normalize(rule) {
+  const normalized = {
+    project_id: null,
+    status: 'pending',
+    field_map: {},
+    enabled: true,
+    description: null,
+    source: 'custom',
+    ...rule
+  };
+  normalized.field_map = normalized.field_map || {};
+  if (!normalized.id) normalized.id = `default:${normalized.bucket}`;
+  return normalized;
+}
+
+function scopeKey(rule) {
+  return [rule.project_id || '', rule.bucket].join('|');
+}
+
+// ============================================
+// Field mapping
+// ============================================
+
+function valueAt(item, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), item);
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function resolveField(spec, item) {
+  if (typeof spec === 'string') return valueAt(item, spec);
+
+  let value;
+  if ('value' in spec) {
+    value = spec.value;
+  } else if (spec.template) {
+    value = spec.template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => valueAt(item, path) ?? '');
+  } else {
+    value = [].concat(spec.from).map(path => valueAt(item, path)).find(v => !isEmpty(v));
+  }
+
+  if (!isEmpty(value) && spec.transform) value = TRANSFORMS[spec.transform](value, spec);
+  if (isEmpty(value) && spec.default !== undefined) value = spec.default;
+  return value;
+}
+
+function validateFieldMap(fieldMap) {
+  if (fieldMap === null || typeof fieldMap !== 'object' || Array.isArray(fieldMap)) {
+    throw httpError(400, 'field_map must be an object of column: source');
+  }
+
+  for (const [column, spec] of Object.entries(fieldMap)) {
+    const where = `field_map.${column}`;
+    if (!IDENTIFIER.test(column)) throw httpError(400, `${where}: not a column name`);
+    if (['status', 'metadata'].includes(column)) throw httpError(400, `${where}: set by the rule and the sorter, not mappable`);
+    if (spec === null) continue;
+    if (typeof spec === 'string') {
+      if (!SOURCE_PATH.test(spec)) throw httpError(400, `${where}: source must be a field path like content or metadata.file`);
+      continue;
+    }
+    if (typeof spec !== 'object' || Array.isArray(spec)) {
+      throw httpError(400, `${where}: must be a source path, null, or { from | value | template }`);
+    }
+    const kinds = ['from', 'value', 'template'].filter(key => key in spec);
+    if (kinds.length !== 1) throw httpError(400, `${where}: needs exactly one of from, value, template`);
+    if (spec.from !== undefined) {
+      const sources = [].concat(spec.from);
+      if (!sources.length || !sources.every(path => typeof path === 'string' && SOURCE_PATH.test(path))) {
+        throw httpError(400, `${where}.from: field path or list of field paths`);
+      }
+    }
+    if (spec.template !== undefined && typeof spec.template !== 'string') {
+      throw httpError(400, `${where}.template: must be a string`);
+    }
+    if (spec.transform !== undefined && !TRANSFORMS[spec.transform]) {
+      throw httpError(400, `${where}.transform: one of ${Object.keys(TRANSFORMS).join(', ')}`);
+    }
+    if (spec.length !== undefined && !(Number.isInteger(spec.length) && spec.length > 0)) {
+      throw httpError(400, `${where}.length: positive integer`);
+    }
+  }
+}
+
+/**
+ * Row to insert for a staged item under a rule
+ * Throws (no status) if the target table isn't one the sorter writes to
+ */
+function buildPayload(rule, item) {
+  if (!isRoutable(rule.target_table)) {
+    throw new Error(`Not a routable table: ${rule.target_table}`);
+  }
+  const base = TABLE_FIELDS[rule.target_table];
+
+  const fields = { ...COMMON_FIELDS, ...base, ...rule.field_map };
+  const payload = {};
+  for (const [column, spec] of Object.entries(fields)) {
+    if (spec === null) continue;
+    payload[column] = resolveField(spec, item);
+  }
+
+  payload.status = rule.status;
+  payload.metadata = {
+    ...(item.metadata || {}),
+    hash: item.hash,
+    source: 'jason',
+    staging_id: item.id,
+    routing_rule: rule.id
+  };
+  return payload;
+}
+
+// ============================================
+// Rules
+// ============================================
+
+/**
+ * Stored rules plus the defaults they don't replace
+ */
+async function loadRules() {
+  const { data, error } = await from('dev_ai_routing_rules')
+    .select('*')
+    .order('bucket', { ascending: true });
+
+  if (error) {
+    logger.warn('Could not load routing rules, using defaults', { error: error.message });
+  }
+
+  const stored = [];
+  for (const row of data || []) {
+    // Rows written before target tables were checked
+    if (!isRoutable(row.target_table)) {
+      logger.warn('Ignoring routing rule with an unroutable table', { id: row.id, table: row.target_table });
+      continue;
+    }
+    stored.push(normalize({ ...row, source: 'custom' }));
+  }
+  const storedKeys = new Set(stored.map(scopeKey));
+  return [...stored, ...DEFAULT_RULES.filter(rule => !storedKeys.has(scopeKey(rule)))];
+}
+
+async function listRules({ bucket, project } = {}) {
+  const rules = await loadRules();
+  return rules
+    .filter(r => !bucket || r.bucket === bucket)
+    .filter(r => !project || r.project_id === null || r.project_id === project);
+}
+
+/**
+ * The rule that applies to a bucket for a project, or null (unrouted)
+ */
+function resolveRule(rules, bucket, project = null) {
+  const enabled = rules.filter(r => r.enabled && r.bucket === bucket);
+  return (project && enabled.find(r => r.project_id === project)) ||
+    enabled.find(r => r.project_id === null) ||
+    null;
+}
+
+function validate(input, { partial = false } = {}) {
+  const rule = {};
+
+  if (!partial || input.bucket !== undefined) {
+    if (!input.bucket || typeof input.bucket !== 'string') throw httpError(400, 'bucket is required');
+    rule.bucket = input.bucket.trim();
+  }
+  if (!partial || input.target_table !== undefined) {
+    if (!isRoutable(input.target_table)) {
+      throw httpError(400, `target_table must be one of: ${ROUTABLE_TABLES.join(', ')}`);
+    }
+    rule.target_table = input.target_table;
+  }
+  if (input.status !== undefined) {
+    if (!input.status || typeof input.status !== 'string') throw httpError(400, 'status must be a non-empty string');
+    rule.status = input.status;
+  }
+  if (input.field_map !== undefined) {
+    validateFieldMap(input.field_map);
+    rule.field_map = input.field_map;
+  }
+  ['project_id', 'description'].forEach(field => {
+    if (input[field] !== undefined) rule[field] = input[field] || null;
+  });
+  if (input.enabled !== undefined) rule.enabled = Boolean(input.enabled);
+
+  return rule;
+}
+
+/**
+ * Add a rule; 409 if one already covers the bucket for that project.
+ * Unrouted items for the bucket go back to the sorter.
+ */
+async function createRule(input, { actor = 'api' } = {}) {
+  const rule = normalize({ ...validate(input), created_by: actor, source: 'custom' });
+  delete rule.id;
+  delete rule.source;
+
+  const existing = (await loadRules()).find(r => r.source === 'custom' && scopeKey(r) === scopeKey(rule));
+  if (existing) throw httpError(409, `Rule ${existing.id} already covers this bucket`);
+
+  const { data, error } = await from('dev_ai_routing_rules')
+    .insert(rule)
+    .select('*')
+    .single();
+  if (error) throw error;
+
+  logger.info('Routing rule created', { id: data.id, bucket: data.bucket, project: data.project_id, table: data.target_table });
+  const requeued = data.enabled ? (await requeueUnrouted({ bucket: data.bucket, project: data.project_id })).requeued : 0;
+  return { rule: normalize({ ...data, source: 'custom' }), requeued };
+}
+
+async function getStoredRule(id) {
+  if (String(id).startsWith('default:')) {
+    throw httpError(400, 'Built-in default - create a global rule for the same bucket to override it');
+  }
+  const { data, error } = await from('dev_ai_routing_rules').select('*').eq('id', id).maybeSingle();
+  if (error) throw error;
+  if (!data) throw httpError(404, 'Routing rule not found');
+  return data;
+}
+
+async function updateRule(id, changes) {
+  const current = await getStoredRule(id);
+  const updates = validate(changes, { partial: true });
+
+  const merged = normalize({ ...current, ...updates });
+  const clash = (await loadRules()).find(r => r.source === 'custom' && r.id !== current.id && scopeKey(r) === scopeKey(merged));
+  if (clash) throw httpError(409, `Rule ${clash.id} already covers this bucket`);
+
+  const { data, error } = await from('dev_ai_routing_rules')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .select('*')
+    .single();
+  if (error) throw error;
+
+  const requeued = data.enabled ? (await requeueUnrouted({ bucket: data.bucket, project: data.project_id })).requeued : 0;
+  return { rule: normalize({ ...data, source: 'custom' }), requeued };
+}
+
+async function deleteRule(id) {
+  await getStoredRule(id);
+  const { error } = await from('dev_ai_routing_rules').delete().eq('id', id);
+  if (error) throw error;
+  logger.info('Routing rule deleted', { id });
+}
+
+// ============================================
+// Unrouted inbox and dry runs
+// ============================================
+
+/**
+ * Staged items waiting for a rule, counted per bucket
+ */
+async function listUnrouted({ bucket, project, limit = 100 } = {}) {
+  let query = from('dev_ai_smart_extractions')
+    .select('*')
+    .eq('status', 'unrouted')
+    .order('created_at', { ascending: true });
+  if (bucket) query = query.eq('bucket', bucket);
+  if (project) query = query.eq('project_id', project);
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  const byBucket = {};
+  (data || []).forEach(item => { byBucket[item.bucket] = (byBucket[item.bucket] || 0) + 1; });
+  return { total: (data || []).length, byBucket, items: (data || []).slice(0, limit) };
+}
+
+/**
+ * Send unrouted items of a bucket back to pending (after a rule was added)
+ * A global bucket requeues every project's items; a project only its own
+ */
+async function requeueUnrouted({ bucket, project = null } = {}) {
+  let query = from('dev_ai_smart_extractions')
+    .update({ status: 'pending', updated_at: new Date().toISOString() })
+    .eq('status', 'unrouted');
+  if (bucket) query = query.eq('bucket', bucket);
+  if (project) query = query.eq('project_id', project);
+
+  const { data, error } = await query.select('id');
+  if (error) throw error;
+  if (data.length) logger.info('Requeued unrouted items', { bucket, project, count: data.length });
+  return { requeued: data.length };
+}
+
+/**
+ * Where an item would land, without writing anything
+ * @param {object} input - { item } (a sample staged item) or { staging_id }
+ */
+async function dryRun({ item, staging_id: stagingId } = {}) {
+  let sample = item;
+  if (stagingId) {
+    const { data, error } = await from('dev_ai_smart_extractions').select('*').eq('id', stagingId).maybeSingle();
+    if (error) throw error;
+    if (!data) throw httpError(404, 'Staging item not found');
+    sample = data;
+  }
+  if (!sample || typeof sample !== 'object' || !sample.bucket) {
+    throw httpError(400, 'Give an item with a bucket, or a staging_id');
+  }
+
+  const rules = await loadRules();
+  const candidates = rules.filter(r => r.bucket === sample.bucket);
+  const rule = resolveRule(rules, sample.bucket, sample.project_id || null);
+
+  if (!rule) {
+    return { routed: false, destination: 'unrouted', bucket: sample.bucket, rule: null, candidates };
+  }
+
+  let payload = null;
+  let mappingError = null;
+  try {
+    payload = buildPayload(rule, { id: sample.id || null, ...sample });
+  } catch (err) {
+    mappingError = err.message;
+  }
+
+  return {
+    routed: !mappingError,
+    destination: rule.target_table,
+    bucket: sample.bucket,
+    rule,
+    projectOverride: rule.project_id !== null,
+    payload,
+    error: mappingError,
+    candidates
+  };
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  TABLE_FIELDS,
+  ROUTABLE_TABLES,
+  TRANSFORMS,
+  isRoutable,
+  loadRules,
+  listRules,
+  resolveRule,
+  buildPayload,
+  createRule,
+  updateRule,
+  deleteRule,
+  listUnrouted,
+  requeueUnrouted,
+  dryRun
+};
@@ -0,0 +1,329 @@
+/**
+ * Susan Search Service
+ * One search across the librarian tables
+ *
+ * Fans a query out to todos, bugs, notes, docs, decisions, code changes
+ * and knowledge, normalizes every hit into one envelope:
+ *   { type, id, title, snippet, project, status, score, created_at }
+ * and pages through the merged list with a stable cursor.
+ *
+ * Relevance is scored here, not in SQL, so every matching row is read (a
+ * page at a time) and scored; only the requested page is kept. total and
+ * the facets count every match, and a cursor can reach any of them.
+ */
+
+const { from } = require('../lib/db');
+const { Logger } = require('../lib/logger');
+const { tokenize } = require('../lib/embeddings');
+
+const logger = new Logger('Susan:Search');
+
+// type -> table config. titleFields are tried in order; textFields feed snippet + matching
+const SEARCH_SOURCES = {
+  todo: {
+    table: 'dev_ai_todos',
+    titleFields: ['title'],
+    textFields: ['description'],
+    statusField: 'status'
+  },
+  bug: {
+    table: 'dev_ai_bugs',
+    titleFields: ['title'],
+    textFields: ['description', 'steps_to_reproduce'],
+    statusField: 'status'
+  },
+  note: {
+    table: 'dev_ai_notes',
+    titleFields: ['title'],
+    textFields: ['content'],
+    statusField: null
+  },
+  doc: {
+    table: 'dev_ai_docs',
+    titleFields: ['title'],
+    textFields: ['content'],
+    statusField: 'status'
+  },
+  decision: {
+    table: 'dev_ai_decisions',
+    titleFields: ['title'],
+    textFields: ['decision', 'rationale', 'context'],
+    statusField: 'status'
+  },
+  code_change: {
+    table: 'dev_ai_code_changes',
+    titleFields: ['commit_message', 'summary', 'file_path'],
+    textFields: ['summary', 'file_path'],
+    statusField: null
+  },
+  knowledge: {
+    table: 'dev_ai_knowledge',
+    titleFields: ['title'],
+    textFields: ['summary'],
+    statusField: 'status'
+  }
+};
+
+const SCAN_PAGE = 500;         // Rows read per query while scoring a table
+const SNIPPET_LENGTH = 200;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Encode the sort key of the last item on a page
+ */
+function encodeCursor(item) {
+  const key = { s: item.score, c: item.created_at, t: item.type, i: item.id };
+  return Buffer.from(JSON.stringify(key)).toString('base64url');
+}
+
+/**
+ * Decode a cursor back to its sort key (throws on garbage)
+ */
+function decodeCursor(cursor) {
+  try {
+    const key = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof key.s !== 'number' || !key.t || key.i === undefined) throw new Error();
+    return key;
+  } catch (err) {
+    const error = new Error('Invalid cursor');
+    error.status = 400;
+    throw error;
+  }
+}
+
+/**
+ * Total order: score desc, created_at desc, type asc, id asc
+ * Deterministic so a cursor always points at the same place
+ */
+function compareResults(a, b) {
+  if (b.score !== a.score) return b.score - a.score;
+  const timeA = a.created_at ? new Date(a.created_at).getTime() : 0;
+  const timeB = b.created_at ? new Date(b.created_at).getTime() : 0;
+  if (timeB !== timeA) return timeB - timeA;
+  if (a.type !== b.type) return a.type < b.type ? -1 : 1;
+  return String(a.id) < String(b.id) ? -1 : String(a.id) > String(b.id) ? 1 : 0;
+}
+
+/**
+ * Relevance of a row to the query (0..1)
+ * Whole phrase in title counts most, then title terms, then body terms
+ */
+function scoreRow(q, queryTokens, title, text) {
+  if (!q) return 0;
+
+  const lowerTitle = (title || '').toLowerCase();
+  const lowerText = (text || '').toLowerCase();
+  const phrase = q.toLowerCase();
+
+  let score = 0;
+  if (lowerTitle.includes(phrase)) score += 0.5;
+  else if (lowerText.includes(phrase)) score += 0.2;
+
+  if (queryTokens.length > 0) {
+    const titleTokens = new Set(tokenize(title));
+    const textTokens = new Set(tokenize(text));
+    let hits = 0;
+    for (const token of queryTokens) {
+      if (titleTokens.has(token)) hits += 1;
+      else if (textTokens.has(token)) hits += 0.5;
+    }
+    score += 0.5 * (hits / queryTokens.length);
+  }
+
+  return Math.round(score * 1000) / 1000;
+}
+
+/**
+ * Build a snippet around the first query hit
+ */
+function buildSnippet(text, q) {
+  if (!text) return '';
+  const clean = text.replace(/\s+/g, ' ').trim();
+  if (!q) return clean.slice(0, SNIPPET_LENGTH);
+
+  const at = clean.toLowerCase().indexOf(q.toLowerCase());
+  if (at < 0) return clean.slice(0, SNIPPET_LENGTH);
+
+  const start = Math.max(0, at - 60);
+  const snippet = clean.slice(start, start + SNIPPET_LENGTH);
+  return (start > 0 ? '...' : '') + snippet;
+}
+
+/**
+ * Normalize a row from any source into the search envelope
+ */
+function toEnvelope(type, source, row, q, queryTokens) {
+  const title = source.titleFields.map(f => row[f]).find(Boolean) || '(untitled)';
+  const text = source.textFields
+    .map(f => row[f])
+    .filter(v => typeof v === 'string' && v && v !== title)
+    .join('\n');
+
+  return {
+    type,
+    id: row.id,
+    title,
+    snippet: buildSnippet(text, q),
+    project: row.project_id || null,
+    status: source.statusField ? (row[source.statusField] || null) : null,
+    score: scoreRow(q, queryTokens, title, text),
+    created_at: row.created_at || null
+  };
+}
+
+/**
+ * Visit every row of one source table that matches the shared filters
+ */
+async function searchSource(type, q, filters, visit) {
+  const source = SEARCH_SOURCES[type];
+  const fields = [...new Set([...source.titleFields, ...source.textFields])];
+  const columns = ['id', 'project_id', 'created_at', ...fields];
+  if (source.statusField) columns.push(source.statusField);
+
+  for (let offset = 0; ; offset += SCAN_PAGE) {
+    const query = sourceQuery(source, fields, [...new Set(columns)].join(', '), q, filters)
+      .order('id', { ascending: true })
+      .range(offset, offset + SCAN_PAGE - 1);
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    (data || []).forEach(visit);
+    if (!data || data.length < SCAN_PAGE) return;
+  }
+}
+
+function sourceQuery(source, fields, columns, q, filters) {
+  let query = from(source.table).select(columns);
+
+  if (q) {
+    // Strip characters that would break the PostgREST or() syntax
+    const term = q.replace(/[,()%]/g, ' ').trim();
+    query = query.or(fields.map(f => `${f}.ilike.%${term}%`).join(','));
+  }
+
+  if (filters.projects.length > 0) {
+    query = query.in('project_id', filters.projects);
+  }
+
+  if (filters.statuses.length > 0) {
+    query = query.in(source.statusField, filters.statuses);
+  }
+
+  if (filters.createdAfter) {
+    query = query.gte('created_at', filters.createdAfter);
+  }
+
+  if (filters.createdBefore) {
+    query = query.lt('created_at', filters.createdBefore);
+  }
+
+  return query;
+}
+
+/**
+ * Count one result into the facets
+ */
+function addToFacets(facets, r) {
+  facets.type[r.type] = (facets.type[r.type] || 0) + 1;
+  const project = r.project || 'none';
+  facets.project[project] = (facets.project[project] || 0) + 1;
+  if (r.status) {
+    facets.status[r.status] = (facets.status[r.status] || 0) + 1;
+  }
+}
+
+/**
+ * Search across the librarian tables
+ * @param {object} params - { q, types, projects, statuses, createdAfter, createdBefore, limit, cursor }
+ * @returns {object} { results, nextCursor, total, facets, errors }
+ */
+async function search(params = {}) {
+  // ?q=a&q=b arrives as an array
+  if (params.q !== undefined && typeof params.q !== 'string') {
+    const error = new Error('q must be a single search string');
+    error.status = 400;
+    throw error;
+  }
+  const q = (params.q || '').trim();
+  const limit = Math.min(Math.max(parseInt(params.limit) || 20, 1), MAX_PAGE_SIZE);
+  const filters = {
+    projects: params.projects || [],
+    statuses: params.statuses || [],
+    createdAfter: params.createdAfter || null,
+    createdBefore: params.createdBefore || null
+  };
+
+  let types = params.types?.length ? params.types : Object.keys(SEARCH_SOURCES);
+  const unknown = types.filter(t => !SEARCH_SOURCES[t]);
+  if (unknown.length > 0) {
+    const error = new Error(`Unknown types: ${unknown.join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+
+  // Sources without a status column can't match a status facet
+  if (filters.statuses.length > 0) {
+    types = types.filter(t => SEARCH_SOURCES[t].statusField);
+  }
+
+  const after = params.cursor ? decodeCursor(params.cursor) : null;
+  const afterItem = after ? { score: after.s, created_at: after.c, type: after.t, id: after.i } : null;
+  const queryTokens = [...new Set(tokenize(q))];
+
+  // Everything after the cursor that could be on this page - trimmed as it grows
+  let page = [];
+  let remaining = 0;   // results after the cursor, counted in full
+  let total = 0;
+  const facets = { type: {}, project: {}, status: {} };
+  const errors = [];
+
+  const keep = (result) => {
+    page.push(result);
+    if (page.length >= (limit + 1) * 2) {
+      page.sort(compareResults);
+      page = page.slice(0, limit + 1);
+    }
+  };
+
+  for (const type of types) {
+    try {
+      await searchSource(type, q, filters, row => {
+        const result = toEnvelope(type, SEARCH_SOURCES[type], row, q, queryTokens);
+        total++;
+        addToFacets(facets, result);
+        if (afterItem && compareResults(result, afterItem) <= 0) return;
+        remaining++;
+        keep(result);
+      });
+    } catch (err) {
+      // One missing table shouldn't sink the whole search
+      logger.warn('Search source failed', { type, error: err.message });
+      errors.push({ type, error: err.message });
+    }
+  }
+
+  page.sort(compareResults);
+  page = page.slice(0, limit);
+  const hasMore = remaining > page.length;
+
+  logger.info('Unified search', { q, types: types.length, total, returned: page.length });
+
+  return {
+    results: page,
+    nextCursor: hasMore && page.length > 0 ? encodeCursor(page[page.length - 1]) : null,
+    total,
+    facets,
+    errors
+  };
+}
+
+module.exports = {
+  SEARCH_SOURCES,
+  search,
+  scoreRow,
+  buildSnippet,
+  compareResults,
+  encodeCursor,
+  decodeCursor
+};
@@ -0,0 +1,210 @@
+/**
+ * Susan Staging Error Service
+ * Inspect, requeue and discard staging items the extraction sorter failed to route
+ *
+ * Failed items sit in dev_ai_smart_extractions as 'retry' (waiting out a
+ * backoff) or 'error' (dead letter). They are grouped by cause - the stage
+ * that failed, the target table and the error message with ids and values
+ * blanked out - so one bad bucket or schema change shows up as one group.
+ * Requeueing resets the attempt count; discarding keeps the row (status
+ * 'discarded') for the audit trail.
+ */
+
+const { from } = require('../lib/db');
+const { Logger } = require('../lib/logger');
+
+const logger = new Logger('Susan:StagingErrors');
+
+const FAILED = ['retry', 'error'];
+const ITEMS_PER_GROUP = 20;
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// "duplicate key (id)=(4f1c...) 'abc' 42" -> "duplicate key (id)=(?) ? ?"
+function normalizeMessage(message) {
+  return String(message || 'unknown error')
+    .replace(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi, '?')
+    .replace(/'[^']*'/g, '?')
+    .replace(/\b\d+\b/g, '?')
+    .trim();
+}
+
+/**
+ * Cause of a failed item: stage, target table and normalized message
+ */
+function causeOf(row) {
+  const meta = row.metadata || {};
+  const stage = meta.error_stage || 'unknown';
+  const table = meta.error_table || null;
+  const message = normalizeMessage(meta.error);
+  return { key: `${stage}|${table || '-'}|${message}`, stage, table, message };
+}
+
+async function loadFailed({ ids, status, stage, table, bucket, project } = {}) {
+  let query = from('dev_ai_smart_extractions')
+    .select('*')
+    .in('status', status ? [status] : FAILED)
+    .order('updated_at', { ascending: false });
+  if (ids) query = query.in('id', ids);
+  if (stage) query = query.contains('metadata', { error_stage: stage });
+  if (table) query = query.contains('metadata', { error_table: table });
+  if (bucket) query = query.eq('bucket', bucket);
+  if (project) query = query.eq('project_id', project);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
+
+function summarizeItem(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    bucket: row.bucket,
+    project_id: row.project_id,
+    status: row.status,
+    attempts: row.attempts || 0,
+    next_attempt_at: row.next_attempt_at || null,
+    error: row.metadata?.error || null,
+    error_at: row.metadata?.error_at || null
+  };
+}
+
+/**
+ * Failed items grouped by cause, largest group first
+ * @param {object} filters - { status: retry | error, stage, table, bucket, project }
+ */
+async function listErrors(filters = {}) {
+  const rows = await loadFailed(filters);
+  const groups = new Map();
+  const byStatus = { retry: 0, error: 0 };
+
+  for (const row of rows) {
+    byStatus[row.status]++;
+    const cause = causeOf(row);
+    let group = groups.get(cause.key);
+    if (!group) {
+      group = {
+        cause: cause.key,
+        stage: cause.stage,
+        table: cause.table,
+        message: cause.message,
+        count: 0,
+        byStatus: { retry: 0, error: 0 },
+        buckets: {},
+        latestAt: null,
+        items: []
+      };
+      groups.set(cause.key, group);
+    }
+
+    group.count++;
+    group.byStatus[row.status]++;
+    group.buckets[row.bucket] = (group.buckets[row.bucket] || 0) + 1;
+    const at = row.metadata?.error_at || row.updated_at;
+    if (at && (!group.latestAt || at > group.latestAt)) group.latestAt = at;
+    if (group.items.length < ITEMS_PER_GROUP) group.items.push(summarizeItem(row));
+  }
+
+  return {
+    total: rows.length,
+    byStatus,
+    groups: [...groups.values()].sort((a, b) => b.count - a.count)
+  };
+}
+
+/**
+ * Resolve a selection to failed rows
+ * { ids } | { cause } | filters { status, stage, table, bucket, project }
+ */
+async function select(selection = {}) {
+  const { ids, cause, status, stage, table, bucket, project } = selection;
+  if (ids !== undefined && (!Array.isArray(ids) || !ids.length)) {
+    throw httpError(400, 'ids must be a non-empty array');
+  }
+  if (status && !FAILED.includes(status)) throw httpError(400, `status must be one of: ${FAILED.join(', ')}`);
+  if (!ids && !cause && !status && !stage && !table && !bucket && !project) {
+    throw httpError(400, 'Select items with ids, cause, or a filter (status, stage, table, bucket, project)');
+  }
+
+  const rows = await loadFailed({ ids, status, stage, table, bucket, project });
+  return cause ? rows.filter(row => causeOf(row).key === cause) : rows;
+}
+
+async function updateEach(rows, buildUpdate) {
+  for (const row of rows) {
+    const { error } = await from('dev_ai_smart_extractions')
+      .update(buildUpdate(row))
+      .eq('id', row.id)
+      .in('status', FAILED);
+    if (error) throw error;
+  }
+}
+
+/**
+ * Put failed items back to pending with a fresh attempt count
+ * @returns {Promise<{ requeued: number, ids: string[] }>}
+ */
+async function requeue(selection, { actor = null } = {}) {
+  const rows = await select(selection);
+  const now = new Date().toISOString();
+
+  await updateEach(rows, row => ({
+    status: 'pending',
+    attempts: 0,
+    next_attempt_at: null,
+    updated_at: now,
+    metadata: { ...(row.metadata || {}), requeued_at: now, requeued_by: actor }
+  }));
+
+  if (rows.length) logger.info('Requeued staging items', { count: rows.length, actor });
+  return { requeued: rows.length, ids: rows.map(row => row.id) };
+}
+
+/**
+ * Dismiss failed items for good (the row stays, as 'discarded')
+ * @returns {Promise<{ discarded: number, ids: string[] }>}
+ */
+async function discard(selection, { actor = null, reason = null } = {}) {
+  const rows = await select(selection);
+  const now = new Date().toISOString();
+
+  await updateEach(rows, row => ({
+    status: 'discarded',
+    next_attempt_at: null,
+    updated_at: now,
+    metadata: { ...(row.metadata || {}), discarded_at: now, discarded_by: actor, discard_reason: reason }
+  }));
+
+  if (rows.length) logger.info('Discarded staging items', { count: rows.length, actor });
+  return { discarded: rows.length, ids: rows.map(row => row.id) };
+}
+
+/**
+ * Single-item variants: 404 unless the item is currently failed
+ */
+async function requeueOne(id, options) {
+  const result = await requeue({ ids: [id] }, options);
+  if (!result.requeued) throw httpError(404, `No failed staging item ${id}`);
+  return result;
+}
+
+async function discardOne(id, options) {
+  const result = await discard({ ids: [id] }, options);
+  if (!result.discarded) throw httpError(404, `No failed staging item ${id}`);
+  return result;
+}
+
+module.exports = {
+  normalizeMessage,
+  causeOf,
+  listErrors,
+  requeue,
+  discard,
+  requeueOne,
+  discardOne
+};
@@ -0,0 +1,291 @@
+/**
+ * Susan Staging Review Service
+ * Human checkpoint for extractions the extractor was unsure about
+ *
+ * The sorter parks items scored under STAGING_REVIEW_CONFIDENCE in status
+ * 'review'. A dev then:
+ * - accepts (optionally fixing bucket, project or fields) - routed straight away
+ * - rejects - kept as 'rejected', never routed
+ * - merges into an existing row - kept as 'merged', the row records it
+ * Every decision lands in dev_ai_routing_feedback; signals() sums them per
+ * bucket so routing rules and the extractor can be tuned from real reviews.
+ */
+
+const { from } = require('../lib/db');
+const config = require('../lib/config');
+const { Logger } = require('../lib/logger');
+const extractionSorter = require('./extractionSorter');
+const routingService = require('./routingService');
+const revisionService = require('./revisionService');
+
+const logger = new Logger('Susan:StagingReview');
+
+const EDITABLE_FIELDS = ['title', 'content', 'priority', 'hash'];
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+async function getReviewItem(id) {
+  const { data, error } = await from('dev_ai_smart_extractions').select('*').eq('id', id).maybeSingle();
+  if (error) throw error;
+  if (!data) throw httpError(404, 'Staging item not found');
+  if (data.status !== 'review') throw httpError(409, `Staging item is ${data.status}, not waiting for review`);
+  return data;
+}
+
+/**
+ * Move an item out of 'review'; 409 if someone else decided first
+ */
+async function claimReview(item, updates) {
+  const { data, error } = await from('dev_ai_smart_extractions')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', item.id)
+    .eq('status', 'review')
+    .select('*');
+  if (error) throw error;
+  if (!data.length) throw httpError(409, 'Staging item was already reviewed');
+  return data[0];
+}
+
+/**
+ * Put a claimed item back in 'review' when the decision couldn't be carried out
+ */
+async function releaseReview(item, claimedStatus) {
+  const { error } = await from('dev_ai_smart_extractions')
+    .update({
+      status: 'review',
+      reviewed_by: item.reviewed_by ?? null,
+      reviewed_at: item.reviewed_at ?? null,
+      metadata: item.metadata ?? null,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', item.id)
+    .eq('status', claimedStatus);
+  if (error) logger.error('Could not put staging item back in review', { id: item.id, error: error.message });
+}
+
+async function recordFeedback(item, decision, { final = item, editedFields = [], targetTable = null, targetId = null, reason = null, actor }) {
+  const { data, error } = await from('dev_ai_routing_feedback')
+    .insert({
+      staging_id: item.id,
+      decision,
+      confidence: extractionSorter.confidenceOf(item),
+      bucket: item.bucket,
+      final_bucket: final.bucket,
+      project_id: item.project_id || null,
+      final_project_id: final.project_id || null,
+      edited_fields: editedFields,
+      target_table: targetTable,
+      target_id: targetId === null ? null : String(targetId),
+      reason,
+      decided_by: actor
+    })
+    .select('*')
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Items waiting for review, least confident first
+ */
+async function listReview({ bucket, project, limit = 50 } = {}) {
+  let query = from('dev_ai_smart_extractions')
+    .select('*', { count: 'exact' })
+    .eq('status', 'review')
+    .order('confidence', { ascending: true })
+    .order('created_at', { ascending: true })
+    .limit(limit);
+  if (bucket) query = query.eq('bucket', bucket);
+  if (project) query = query.eq('project_id', project);
+
+  const { data, count, error } = await query;
+  if (error) throw error;
+
+  const items = (data || []).map(item => ({ ...item, confidence: extractionSorter.confidenceOf(item) }));
+  return { threshold: config.STAGING_REVIEW_CONFIDENCE, total: count ?? items.length, items };
+}
+
+function validateEdits({ bucket, project_id: projectId, fields } = {}) {
+  const updates = {};
+  if (bucket !== undefined) {
+    if (!bucket || typeof bucket !== 'string') throw httpError(400, 'bucket must be a non-empty string');
+    updates.bucket = bucket.trim();
+  }
+  if (projectId !== undefined) updates.project_id = projectId || null;
+  if (fields !== undefined) {
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) throw httpError(400, 'fields must be an object');
+    for (const [field, value] of Object.entries(fields)) {
+      if (!EDITABLE_FIELDS.includes(field)) {
+        throw httpError(400, `fields.${field} can't be edited (editable: ${EDITABLE_FIELDS.join(', ')})`);
+      }
+      updates[field] = value;
+    }
+  }
+  return updates;
+}
+
+/**
+ * Accept an item, with optional edits, and route it now
+ * @param {object} input - { bucket, project_id, fields: { title, content, priority, hash } }
+ * @returns {Promise<{ item, routing, feedback }>} routing is the sorter's outcome
+ */
+async function accept(id, input = {}, { actor = 'api' } = {}) {
+  const item = await getReviewItem(id);
+  const edits = validateEdits(input);
+  const editedFields = Object.keys(edits).filter(field => JSON.stringify(edits[field]) !== JSON.stringify(item[field] ?? null));
+
+  const now = new Date().toISOString();
+  const accepted = await claimReview(item, {
+    ...edits,
+    status: 'pending',
+    reviewed_by: actor,
+    reviewed_at: now,
+    metadata: {
+      ...(item.metadata || {}),
+      review: { decision: 'accept', by: actor, at: now, edited_fields: editedFields }
+    }
+  });
+
+  const routing = await extractionSorter.routeOne(accepted.id);
+  const feedback = await recordFeedback(item, 'accept', {
+    final: accepted,
+    editedFields,
+    targetTable: routing.table || null,
+    targetId: routing.row?.id ?? null,
+    actor
+  });
+
+  logger.info('Extraction accepted', { id, bucket: accepted.bucket, editedFields, routed: routing.status, actor });
+  return { item: accepted, routing, feedback };
+}
+
+/**
+ * Reject an item; it stays as 'rejected' and is never routed
+ */
+async function reject(id, { reason = null } = {}, { actor = 'api' } = {}) {
+  const item = await getReviewItem(id);
+  const now = new Date().toISOString();
+
+  const rejected = await claimReview(item, {
+    status: 'rejected',
+    reviewed_by: actor,
+    reviewed_at: now,
+    metadata: { ...(item.metadata || {}), review: { decision: 'reject', by: actor, at: now, reason } }
+  });
+  const feedback = await recordFeedback(item, 'reject', { reason, actor });
+
+  logger.info('Extraction rejected', { id, bucket: item.bucket, actor });
+  return { item: rejected, feedback };
+}
+
+/**
+ * Merge an item into an existing row it duplicates
+ * @param {object} input - { target_id, table (a routable table; default: where the item's bucket routes) }
+ */
+async function merge(id, { target_id: targetId, table } = {}, { actor = 'api' } = {}) {
+  if (targetId === undefined || targetId === null || targetId === '') throw httpError(400, 'target_id is required');
+
+  if (table && !routingService.isRoutable(table)) {
+    throw httpError(400, `table must be one of: ${routingService.ROUTABLE_TABLES.join(', ')}`);
+  }
+
+  const item = await getReviewItem(id);
+  let targetTable = table;
+  if (!targetTable) {
+    const rule = routingService.resolveRule(await routingService.loadRules(), item.bucket, item.project_id);
+    if (!rule) throw httpError(400, `No routing rule for ${item.bucket} - give the table to merge into`);
+    targetTable = rule.target_table;
+  }
+
+  const { data: target, error } = await from(targetTable).select('*').eq('id', targetId).maybeSingle();
+  if (error) throw error;
+  if (!target) throw httpError(404, `${targetTable} row ${targetId} not found`);
+
+  const now = new Date().toISOString();
+  const merged = await claimReview(item, {
+    status: 'merged',
+    reviewed_by: actor,
+    reviewed_at: now,
+    metadata: {
+      ...(item.metadata || {}),
+      review: { decision: 'merge', by: actor, at: now },
+      merged_into: { table: targetTable, id: String(target.id) }
+    }
+  });
+
+  // The claim comes first so a concurrent decision can't also land; undo it
+  // if the target row can't take the merge
+  const targetMeta = target.metadata || {};
+  const { error: updateError } = await revisionService.update(targetTable, target.id, {
+    metadata: { ...targetMeta, merged_staging: [...(targetMeta.merged_staging || []), item.id] }
+  }, { actor, action: 'merge' });
+  if (updateError) {
+    await releaseReview(item, 'merged');
+    throw updateError;
+  }
+
+  const feedback = await recordFeedback(item, 'merge', { targetTable, targetId: target.id, actor });
+
+  logger.info('Extraction merged', { id, into: `${targetTable}/${target.id}`, actor });
+  return { item: merged, target: { table: targetTable, id: target.id }, feedback };
+}
+
+/**
+ * Review decisions summed per extracted bucket: how often each is accepted,
+ * rejected or merged, and which buckets devs move items to
+ */
+async function signals({ bucket, project, since } = {}) {
+  let query = from('dev_ai_routing_feedback').select('*');
+  if (bucket) query = query.eq('bucket', bucket);
+  if (project) query = query.eq('project_id', project);
+  if (since) query = query.gte('created_at', since);
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  const byBucket = {};
+  for (const row of data || []) {
+    const entry = byBucket[row.bucket] = byBucket[row.bucket] || {
+      reviewed: 0, accept: 0, reject: 0, merge: 0, rebucketed: {}, edited: 0, confidenceSum: 0, confidenceCount: 0
+    };
+    entry.reviewed++;
+    entry[row.decision]++;
+    if (row.final_bucket && row.final_bucket !== row.bucket) {
+      entry.rebucketed[row.final_bucket] = (entry.rebucketed[row.final_bucket] || 0) + 1;
+    }
+    if ((row.edited_fields || []).length) entry.edited++;
+    if (row.confidence !== null && row.confidence !== undefined) {
+      entry.confidenceSum += row.confidence;
+      entry.confidenceCount++;
+    }
+  }
+
+  const buckets = Object.entries(byBucket).map(([name, entry]) => ({
+    bucket: name,
+    reviewed: entry.reviewed,
+    accepted: entry.accept,
+    rejected: entry.reject,
+    merged: entry.merge,
+    edited: entry.edited,
+    rebucketed: entry.rebucketed,
+    acceptRate: Math.round((entry.accept / entry.reviewed) * 100) / 100,
+    averageConfidence: entry.confidenceCount
+      ? Math.round((entry.confidenceSum / entry.confidenceCount) * 100) / 100
+      : null
+  })).sort((a, b) => b.reviewed - a.reviewed);
+
+  return { total: (data || []).length, buckets };
+}
+
+module.exports = {
+  EDITABLE_FIELDS,
+  listReview,
+  accept,
+  reject,
+  merge,
+  signals
+};
@@ -0,0 +1,213 @@
+/**
+ * Susan Stats Service
+ * Aggregate counts done in the database, and daily snapshots for trends
+ *
+ * Breakdowns are one GROUP BY query per request instead of pulling every
+ * row. Trends read dev_ai_stats_snapshots: one row per day, project and
+ * entity with the open/total counts at snapshot time and the rows created
+ * and closed that day. The daily job snapshots the day that just ended.
+ */
+
+const { from } = require('../lib/db');
+const { Logger } = require('../lib/logger');
+
+const logger = new Logger('Susan:Stats');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NO_PROJECT = '';
+
+const ENTITIES = {
+  todos: {
+    table: 'dev_ai_todos',
+    closedStatuses: ['completed', 'complete', 'cancelled', 'consolidated'],
+    closedAt: 'completed_at'
+  },
+  bugs: {
+    table: 'dev_ai_bugs',
+    closedStatuses: ['fixed', 'resolved', 'wont_fix', 'consolidated'],
+    closedAt: 'resolved_at'
+  }
+};
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Counts per value of each column, from one grouped query
+ * @returns {Promise<{ total: number, by: { [column]: { [value]: number } } }>}
+ */
+async function breakdown(table, columns, { project = null } = {}) {
+  let query = from(table).groupBy(columns.join(', '));
+  if (project) query = query.eq('project_id', project);
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  const by = Object.fromEntries(columns.map(column => [column, {}]));
+  let total = 0;
+  for (const group of data || []) {
+    total += group.count;
+    for (const column of columns) {
+      by[column][group[column]] = (by[column][group[column]] || 0) + group.count;
+    }
+  }
+  return { total, by };
+}
+
+function dayString(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+/**
+ * Count rows per project whose column falls inside [start, end)
+ */
+async function countPerProject(table, column, start, end) {
+  const { data, error } = await from(table)
+    .groupBy('project_id')
+    .gte(column, start.toISOString())
+    .lt(column, end.toISOString());
+  if (error) throw error;
+  return Object.fromEntries((data || []).map(group => [group.project_id ?? NO_PROJECT, group.count]));
+}
+
+/**
+ * Record one day's numbers for every project (re-running a day replaces it)
+ * Open/total counts are as of now; created/closed are for that day
+ * @returns {Promise<{ date: string, rows: number }>}
+ */
+async function takeSnapshot({ date = new Date(Date.now() - DAY_MS) } = {}) {
+  const day = dayString(date);
+  const start = new Date(`${day}T00:00:00.000Z`);
+  const end = new Date(start.getTime() + DAY_MS);
+  const rows = [];
+
+  for (const [entity, spec] of Object.entries(ENTITIES)) {
+    const { data: groups, error } = await from(spec.table).groupBy('project_id, status');
+    if (error) throw error;
+
+    const created = await countPerProject(spec.table, 'created_at', start, end);
+    const closed = await countPerProject(spec.table, spec.closedAt, start, end);
+
+    const projects = {};
+    for (const group of groups || []) {
+      const key = group.project_id ?? NO_PROJECT;
+      projects[key] = projects[key] || { total: 0, open: 0, by_status: {} };
+      projects[key].total += group.count;
+      projects[key].by_status[group.status] = group.count;
+      if (!spec.closedStatuses.includes(group.status)) projects[key].open += group.count;
+    }
+
+    const keys = new Set([...Object.keys(projects), ...Object.keys(created), ...Object.keys(closed)]);
+    for (const project of keys) {
+      const counts = projects[project] || { total: 0, open: 0, by_status: {} };
+      rows.push({
+        snapshot_date: day,
+        project_id: project,
+        entity,
+        open_count: counts.open,
+        total_count: counts.total,
+        created_count: created[project] || 0,
+        closed_count: closed[project] || 0,
+        by_status: counts.by_status,
+        created_at: new Date().toISOString()
+      });
+    }
+  }
+
+  if (rows.length) {
+    const { error } = await from('dev_ai_stats_snapshots')
+      .upsert(rows, { onConflict: 'snapshot_date,project_id,entity' });
+    if (error) throw error;
+  }
+
+  logger.info('Stats snapshot taken', { date: day, rows: rows.length });
+  return { date: day, rows: rows.length };
+}
+
+/**
+ * Snapshot yesterday unless it is already there
+ */
+async function snapshotIfDue(now = new Date()) {
+  const yesterday = dayString(now.getTime() - DAY_MS);
+  const { count, error } = await from('dev_ai_stats_snapshots')
+    .select('*', { count: 'exact', head: true })
+    .eq('snapshot_date', yesterday);
+  if (error) throw error;
+  if (count) return null;
+  return takeSnapshot({ date: new Date(`${yesterday}T00:00:00.000Z`) });
+}
+
+/**
+ * Monday of the (UTC) week a YYYY-MM-DD date falls in
+ */
+function weekStart(day) {
+  const date = new Date(`${day}T00:00:00.000Z`);
+  const offset = (date.getUTCDay() + 6) % 7;
+  return dayString(date.getTime() - offset * DAY_MS);
+}
+
+/**
+ * Time series from the snapshots
+ * interval 'day': one point per snapshot day
+ * interval 'week': created/closed summed, open/total as of the week's last snapshot
+ * @returns {Promise<{ entity, project, interval, from, to, points: object[] }>}
+ */
+async function trend({ entity, project = null, interval = 'day', days = 30, now = new Date() } = {}) {
+  if (!ENTITIES[entity]) throw httpError(400, `entity must be one of: ${Object.keys(ENTITIES).join(', ')}`);
+  if (!['day', 'week'].includes(interval)) throw httpError(400, 'interval must be day or week');
+  const span = parseInt(days, 10);
+  if (!(span > 0 && span <= 730)) throw httpError(400, 'days must be between 1 and 730');
+
+  const to = dayString(now);
+  const fromDay = dayString(now.getTime() - span * DAY_MS);
+
+  let query = from('dev_ai_stats_snapshots')
+    .select('snapshot_date, project_id, open_count, total_count, created_count, closed_count')
+    .eq('entity', entity)
+    .gte('snapshot_date', fromDay)
+    .lte('snapshot_date', to)
+    .order('snapshot_date', { ascending: true });
+  if (project) query = query.eq('project_id', project);
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  // Sum projects into one point per day
+  const daily = new Map();
+  for (const row of data || []) {
+    const point = daily.get(row.snapshot_date) || { date: row.snapshot_date, open: 0, total: 0, created: 0, closed: 0 };
+    point.open += row.open_count;
+    point.total += row.total_count;
+    point.created += row.created_count;
+    point.closed += row.closed_count;
+    daily.set(row.snapshot_date, point);
+  }
+
+  let points = [...daily.values()];
+  if (interval === 'week') {
+    const weekly = new Map();
+    for (const point of points) {
+      const key = weekStart(point.date);
+      const week = weekly.get(key) || { date: key, open: 0, total: 0, created: 0, closed: 0 };
+      week.open = point.open;
+      week.total = point.total;
+      week.created += point.created;
+      week.closed += point.closed;
+      weekly.set(key, week);
+    }
+    points = [...weekly.values()];
+  }
+
+  return { entity, project, interval, from: fromDay, to, points };
+}
+
+module.exports = {
+  ENTITIES,
+  breakdown,
+  takeSnapshot,
+  snapshotIfDue,
+  trend
+};
@@ -6,8 +6,10 @@
  * Uses keyword matching from Jen's extraction status
  */
 
-const { from } = require('../../../shared/db');
+const { from } = require('../lib/db');
 const { Logger } = require('../lib/logger');
+const revisionService = require('./revisionService');
+const eventBus = require('./eventBus');
 
 const logger = new Logger('Susan:StatusUpdater');
 
@@ -38,15 +40,14 @@ async function checkJenCompletions(projectId) {
  */
 async function completeTodo(todoId, reason = 'Auto-detected as complete') {
   try {
-    await from('dev_ai_todos')
-      .update({
-        status: 'completed',
-        completed_at: new Date().toISOString(),
-        completion_note: reason,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', todoId);
+    const { data: todo } = await revisionService.update('dev_ai_todos', todoId, {
+      status: 'completed',
+      completed_at: new Date().toISOString(),
+      completion_note: reason,
+      updated_at: new Date().toISOString()
+    }, { actor: 'status-updater' });
     
+    eventBus.emitRowEvent('dev_ai_todos', 'completed', todo, { source: 'status-updater', reason });
     logger.info('Marked todo complete', { todoId, reason });
     return true;
   } catch (err) {
@@ -60,15 +61,14 @@ async function completeTodo(todoId, reason = 'Auto-detected as complete') {
  */
 async function fixBug(bugId, reason = 'Auto-detected as fixed') {
   try {
-    await from('dev_ai_bugs')
-      .update({
-        status: 'resolved',
-        resolved_at: new Date().toISOString(),
-        resolution_note: reason,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', bugId);
+    const { data: bug } = await revisionService.update('dev_ai_bugs', bugId, {
+      status: 'resolved',
+      resolved_at: new Date().toISOString(),
+      resolution_note: reason,
+      updated_at: new Date().toISOString()
+    }, { actor: 'status-updater' });
     
+    eventBus.emitRowEvent('dev_ai_bugs', 'fixed', bug, { source: 'status-updater', reason });
     logger.info('Marked bug fixed', { bugId, reason });
     return true;
   } catch (err) {
@@ -144,12 +144,10 @@ async function processJenUpdates(table, projectId) {
           suggested_at: new Date().toISOString()
         };
         
-        await from(table)
-          .update({
-            metadata: updatedMeta,
-            updated_at: new Date().toISOString()
-          })
-          .eq('id', item.id);
+        await revisionService.update(table, item.id, {
+          metadata: updatedMeta,
+          updated_at: new Date().toISOString()
+        }, { actor: 'status-updater' });
         
         suggested++;
         logger.info('Suggested status change (not applied)', { 
@@ -0,0 +1,184 @@
+/**
+ * Susan Token Service
+ * API tokens issued per caller (Chad, Jen, Ryan, the dashboard, each dev)
+ *
+ * A token is shown once when issued; only its sha256 is stored. Scopes are
+ * '<level>:<area>' with levels read < write < admin - a higher level covers
+ * the lower ones for the same area, and '*' as the area (or the whole
+ * scope) covers every area. Which scope a request needs is decided in
+ * lib/auth.js.
+ */
+
+const crypto = require('crypto');
+const { from } = require('../lib/db');
+const { Logger } = require('../lib/logger');
+
+const logger = new Logger('Susan:Tokens');
+
+const LEVELS = ['read', 'write', 'admin'];
+const KINDS = ['service', 'dashboard', 'dev'];
+const SCOPE = /^(\*|(read|write|admin):(\*|[a-z][a-z0-9-]*))$/;
+const TOKEN_PREFIX = 'susan_';
+const CACHE_MS = 60 * 1000;
+const TOUCH_MS = 5 * 60 * 1000;   // last_used_at is written at most this often
+
+// token hash -> { record, cachedAt } for known tokens only; revoke() drops entries
+const cache = new Map();
+const lastTouched = new Map();
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Does a set of granted scopes cover the required one?
+ */
+function hasScope(granted, required) {
+  if (!required) return true;
+  const [level, area] = required.split(':');
+  const needed = LEVELS.indexOf(level);
+
+  return (granted || []).some(scope => {
+    if (scope === '*') return true;
+    const [grantedLevel, grantedArea] = scope.split(':');
+    return LEVELS.indexOf(grantedLevel) >= needed && (grantedArea === '*' || grantedArea === area);
+  });
+}
+
+// What list/issue return - never the hash
+function publicRecord(row) {
+  const { token_hash: tokenHash, ...rest } = row;
+  return rest;
+}
+
+function validate({ name, kind = 'service', scopes, expires_in_days: expiresInDays }) {
+  if (!name || typeof name !== 'string' || !name.trim()) throw httpError(400, 'name is required (who the token is for)');
+  if (!KINDS.includes(kind)) throw httpError(400, `kind must be one of: ${KINDS.join(', ')}`);
+  if (!Array.isArray(scopes) || !scopes.length) throw httpError(400, 'scopes must be a non-empty array');
+  const bad = scopes.filter(scope => !SCOPE.test(scope));
+  if (bad.length) throw httpError(400, `Invalid scopes: ${bad.join(', ')} (expected read|write|admin:<area>)`);
+  if (expiresInDays !== undefined && expiresInDays !== null && !(Number.isInteger(expiresInDays) && expiresInDays > 0)) {
+    throw httpError(400, 'expires_in_days must be a positive integer');
+  }
+}
+
+/**
+ * Issue a token
+ * @param {object} input - { name, kind (service | dashboard | dev), scopes, expires_in_days, description }
+ * @returns {Promise<{ token: string, record: object }>} token is only ever returned here
+ */
+async function issue(input, { actor = 'api' } = {}) {
+  validate(input);
+  const token = TOKEN_PREFIX + crypto.randomBytes(24).toString('base64url');
+  const expiresAt = input.expires_in_days
+    ? new Date(Date.now() + input.expires_in_days * 24 * 60 * 60 * 1000).toISOString()
+    : null;
+
+  const { data, error } = await from('dev_ai_api_tokens')
+    .insert({
+      name: input.name.trim(),
+      kind: input.kind || 'service',
+      scopes: [...new Set(input.scopes)],
+      description: input.description || null,
+      token_hash: hashToken(token),
+      token_prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+      expires_at: expiresAt,
+      created_by: actor
+    })
+    .select('*')
+    .single();
+  if (error) throw error;
+
+  logger.info('API token issued', { id: data.id, name: data.name, scopes: data.scopes, actor });
+  return { token, record: publicRecord(data) };
+}
+
+async function listTokens({ includeRevoked = false } = {}) {
+  let query = from('dev_ai_api_tokens').select('*').order('created_at', { ascending: false });
+  if (!includeRevoked) query = query.is('revoked_at', null);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return (data || []).map(publicRecord);
+}
+
+async function revoke(id, { actor = 'api' } = {}) {
+  const { data, error } = await from('dev_ai_api_tokens')
+    .update({ revoked_at: new Date().toISOString(), revoked_by: actor })
+    .eq('id', id)
+    .is('revoked_at', null)
+    .select('*');
+  if (error) throw error;
+  if (!data.length) throw httpError(404, 'Active token not found');
+
+  cache.clear();
+  logger.info('API token revoked', { id, name: data[0].name, actor });
+  return publicRecord(data[0]);
+}
+
+function touch(record) {
+  const last = lastTouched.get(record.id) || 0;
+  if (Date.now() - last < TOUCH_MS) return;
+  lastTouched.set(record.id, Date.now());
+
+  from('dev_ai_api_tokens')
+    .update({ last_used_at: new Date().toISOString() })
+    .eq('id', record.id)
+    .then(({ error }) => {
+      if (error) logger.warn('Could not record token use', { id: record.id, error: error.message });
+    });
+}
+
+/**
+ * Look up a presented token
+ * @returns {Promise<object|null>} the token record, null if unknown, revoked or expired
+ */
+async function verify(token) {
+  if (!token || !String(token).startsWith(TOKEN_PREFIX)) return null;
+  const hash = hashToken(token);
+
+  let record;
+  const cached = cache.get(hash);
+  if (cached && Date.now() - cached.cachedAt < CACHE_MS) {
+    record = cached.record;
+  } else {
+    const { data, error } = await from('dev_ai_api_tokens')
+      .select('*')
+      .eq('token_hash', hash)
+      .maybeSingle();
+    if (error) throw error;
+    // Misses aren't cached - random bearer tokens would grow the Map without bound
+    if (!data) return null;
+    record = publicRecord(data);
+    cache.set(hash, { record, cachedAt: Date.now() });
+  }
+
+  if (!record || record.revoked_at) return null;
+  if (record.expires_at && new Date(record.expires_at) <= new Date()) return null;
+
+  touch(record);
+  return record;
+}
+
+function clearCache() {
+  cache.clear();
+  lastTouched.clear();
+}
+
+module.exports = {
+  LEVELS,
+  KINDS,
+  hashToken,
+  hasScope,
+  issue,
+  listTokens,
+  revoke,
+  verify,
+  clearCache
+};
@@ -0,0 +1,179 @@
+/**
+ * Susan Trash Service
+ * Approved purges move rows here before they leave their table
+ *
+ * Each trashed row keeps its full JSON, source table and the purge request
+ * that removed it, so a mistaken approval can be undone row by row. After
+ * TRASH_GRACE_DAYS the sweep hard-deletes expired trash - that sweep is the
+ * only place purged data is actually destroyed.
+ */
+
+const { from, transaction, adapter } = require('../lib/db');
+const config = require('../lib/config');
+const { Logger } = require('../lib/logger');
+const eventBus = require('./eventBus');
+
+const logger = new Logger('Susan:Trash');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Move rows to the trash, then delete them from their table
+ * The copies and the delete commit together; the memory adapter can't roll
+ * back, so there the copies are taken out again if the delete fails
+ * @returns {Promise<{ trashed: number, missing: string[], expiresAt: string }>}
+ */
+async function trashRows(table, ids, { purgeRequestId = null, actor = 'system' } = {}) {
+  const expiresAt = new Date(Date.now() + config.TRASH_GRACE_DAYS * DAY_MS).toISOString();
+  if (!ids?.length) return { trashed: 0, missing: [], expiresAt };
+
+  const { data: rows, error: readError } = await from(table).select('*').in('id', ids);
+  if (readError) throw readError;
+
+  const found = new Set((rows || []).map(row => String(row.id)));
+  const missing = ids.map(String).filter(id => !found.has(id));
+
+  if (rows?.length) {
+    const copies = rows.map(row => ({
+      table_name: table,
+      record_id: String(row.id),
+      project_id: row.project_id || null,
+      row_data: row,
+      purge_request_id: purgeRequestId,
+      status: 'trashed',
+      deleted_by: actor,
+      deleted_at: new Date().toISOString(),
+      expires_at: expiresAt
+    }));
+
+    let written = [];
+    try {
+      await transaction(async (tx) => {
+        const { data: trashed, error: trashError } = await tx.from('dev_ai_trash').insert(copies).select('id');
+        if (trashError) throw trashError;
+        written = trashed || [];
+
+        const { error: deleteError } = await tx.from(table).delete().in('id', rows.map(row => row.id));
+        if (deleteError) throw deleteError;
+      });
+    } catch (err) {
+      if (adapter() === 'memory' && written.length) {
+        await from('dev_ai_trash').delete().in('id', written.map(entry => entry.id));
+      }
+      throw err;
+    }
+  }
+
+  logger.info('Rows moved to trash', { table, purgeRequestId, trashed: rows?.length || 0, missing: missing.length });
+  return { trashed: rows?.length || 0, missing, expiresAt };
+}
+
+/**
+ * Trash entries, newest first
+ */
+async function listTrash({ table, project, purgeRequestId, status = 'trashed', limit = 50 } = {}) {
+  let query = from('dev_ai_trash')
+    .select('*', { count: 'exact' })
+    .order('deleted_at', { ascending: false })
+    .limit(limit);
+
+  if (table) query = query.eq('table_name', table);
+  if (project) query = query.eq('project_id', project);
+  if (purgeRequestId) query = query.eq('purge_request_id', purgeRequestId);
+  if (status) query = query.eq('status', status);
+
+  const { data, count, error } = await query;
+  if (error) throw error;
+  return { items: data || [], total: count ?? (data || []).length };
+}
+
+async function getTrashItem(id) {
+  const { data, error } = await from('dev_ai_trash')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw httpError(404, 'Trash item not found');
+  return data;
+}
+
+/**
+ * Put a trashed row back in its table
+ * 409 if it was already restored or a row with the same id exists again
+ */
+async function restore(id, { actor = 'system' } = {}) {
+  const item = await getTrashItem(id);
+  if (item.status !== 'trashed') {
+    throw httpError(409, `Trash item already ${item.status}`);
+  }
+
+  const { data: existing, error: checkError } = await from(item.table_name)
+    .select('id')
+    .eq('id', item.row_data.id)
+    .maybeSingle();
+  if (checkError) throw checkError;
+  if (existing) {
+    throw httpError(409, `${item.table_name} already has a row with id ${item.record_id}`);
+  }
+
+  const { data: row, error: insertError } = await from(item.table_name)
+    .insert(item.row_data)
+    .select('*')
+    .single();
+  if (insertError) throw insertError;
+
+  const { data: updated, error } = await from('dev_ai_trash')
+    .update({ status: 'restored', restored_by: actor, restored_at: new Date().toISOString() })
+    .eq('id', item.id)
+    .select('*')
+    .single();
+  if (error) throw error;
+
+  eventBus.emit('purge.restored', {
+    id: item.id,
+    project_id: item.project_id,
+    table: item.table_name,
+    record_id: item.record_id,
+    purge_request_id: item.purge_request_id,
+    restored_by: actor
+  }, { source: 'storage' });
+
+  logger.info('Trash item restored', { id: item.id, table: item.table_name, recordId: item.record_id, actor });
+  return { item: updated, row };
+}
+
+/**
+ * Hard-delete trash past its grace period
+ * @returns {Promise<number>} rows destroyed
+ */
+async function sweepExpired(now = new Date()) {
+  const { data, error } = await from('dev_ai_trash')
+    .delete()
+    .eq('status', 'trashed')
+    .lt('expires_at', now.toISOString())
+    .select('id');
+
+  if (error) {
+    logger.error('Trash sweep failed', { error: error.message });
+    return 0;
+  }
+
+  if (data?.length) {
+    logger.info('Expired trash deleted', { count: data.length });
+  }
+  return data?.length || 0;
+}
+
+module.exports = {
+  trashRows,
+  listTrash,
+  getTrashItem,
+  restore,
+  sweepExpired
+};
@@ -0,0 +1,445 @@
+/**
+ * Susan Webhook Service
+ * Delivers event bus events to registered outbound webhooks
+ *
+ * Every matching event becomes a row in dev_ai_webhook_deliveries and is
+ * POSTed straight away. Failures are retried by a sweep with exponential
+ * backoff until WEBHOOK_MAX_ATTEMPTS, then the delivery is marked failed
+ * (it can still be redelivered by hand). Deliveries live in the database,
+ * so pending retries survive a restart.
+ *
+ * Each request is signed: X-Susan-Signature is
+ * "sha256=" + HMAC-SHA256(secret, `${X-Susan-Timestamp}.${body}`)
+ */
+
+const crypto = require('crypto');
+const { from } = require('../lib/db');
+const config = require('../lib/config');
+const { Logger } = require('../lib/logger');
+const eventBus = require('./eventBus');
+
+const logger = new Logger('Susan:Webhooks');
+
+const SWEEP_MS = 60 * 1000;
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
+const SWEEP_BATCH = 50;
+
+// Columns safe to return from the API - the secret is only shown once, on create
+const PUBLIC_FIELDS = [
+  'id', 'name', 'url', 'event_types', 'project_id', 'active', 'created_by',
+  'created_at', 'updated_at', 'last_delivery_at', 'last_status'
+];
+
+let unsubscribe = null;
+let intervalHandle = null;
+let isSweeping = false;
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function publicWebhook(row) {
+  if (!row) return row;
+  return Object.fromEntries(PUBLIC_FIELDS.map(field => [field, row[field] ?? null]));
+}
+
+/**
+ * Signature header value for a body
+ */
+function sign(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * Check a signature the way a receiver would (constant time)
+ */
+function verifySignature(secret, timestamp, body, signature) {
+  const expected = Buffer.from(sign(secret, timestamp, body));
+  const actual = Buffer.from(String(signature || ''));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Delay before the next attempt after `attempts` failures
+ */
+function backoffMs(attempts) {
+  return Math.min(config.WEBHOOK_RETRY_BASE_MS * Math.pow(2, Math.max(attempts - 1, 0)), MAX_BACKOFF_MS);
+}
+
+function validateUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Event filters must name a known type, a known prefix ("todo.*") or "*"
+ */
+function validateEventTypes(types) {
+  if (!Array.isArray(types) || types.length === 0) {
+    throw httpError(400, 'events must be a non-empty array');
+  }
+  const unknown = types.filter(pattern =>
+    typeof pattern !== 'string' ||
+    !eventBus.EVENT_TYPES.some(type => eventBus.matchesType(type, [pattern]))
+  );
+  if (unknown.length > 0) {
+    throw httpError(400, `Unknown event types: ${unknown.join(', ')}`);
+  }
+  return types;
+}
+
+// ============================================
+// Registration
+// ============================================
+
+/**
+ * Register a webhook; the returned row includes the secret (only time it is shown)
+ */
+async function register({ url, events = ['*'], name = null, project_id = null, secret = null, created_by = 'api' }) {
+  if (!url || !validateUrl(url)) {
+    throw httpError(400, 'url must be an http(s) URL');
+  }
+  validateEventTypes(events);
+
+  const { data, error } = await from('dev_ai_webhooks')
+    .insert({
+      name,
+      url,
+      secret: secret || `whsec_${crypto.randomBytes(24).toString('hex')}`,
+      event_types: events,
+      project_id,
+      active: true,
+      created_by
+    })
+    .select('*')
+    .single();
+
+  if (error) throw error;
+  logger.info('Webhook registered', { id: data.id, url, events });
+  return { ...publicWebhook(data), secret: data.secret };
+}
+
+async function listWebhooks() {
+  const { data, error } = await from('dev_ai_webhooks')
+    .select('*')
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return (data || []).map(publicWebhook);
+}
+
+async function loadWebhook(id) {
+  const { data, error } = await from('dev_ai_webhooks')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw httpError(404, 'Webhook not found');
+  return data;
+}
+
+async function getWebhook(id) {
+  return publicWebhook(await loadWebhook(id));
+}
+
+/**
+ * Change url, events, name or active
+ */
+async function updateWebhook(id, { url, events, name, active }) {
+  await loadWebhook(id);
+
+  const updates = { updated_at: new Date().toISOString() };
+  if (url !== undefined) {
+    if (!validateUrl(url)) throw httpError(400, 'url must be an http(s) URL');
+    updates.url = url;
+  }
+  if (events !== undefined) updates.event_types = validateEventTypes(events);
+  if (name !== undefined) updates.name = name;
+  if (active !== undefined) updates.active = Boolean(active);
+
+  const { data, error } = await from('dev_ai_webhooks')
+    .update(updates)
+    .eq('id', id)
+    .select('*')
+    .single();
+
+  if (error) throw error;
+  return publicWebhook(data);
+}
+
+async function removeWebhook(id) {
+  await loadWebhook(id);
+  const { error } = await from('dev_ai_webhooks').delete().eq('id', id);
+  if (error) throw error;
+  logger.info('Webhook removed', { id });
+}
+
+async function listDeliveries(webhookId, { status, limit = 50 } = {}) {
+  await loadWebhook(webhookId);
+
+  let query = from('dev_ai_webhook_deliveries')
+    .select('*')
+    .eq('webhook_id', webhookId)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (status) query = query.eq('status', status);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
+
+// ============================================
+// Delivery
+// ============================================
+
+/**
+ * POST one delivery; records the outcome and schedules a retry on failure
+ * @returns {Promise<object>} the updated delivery row
+ */
+async function attemptDelivery(delivery, webhook) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const attempts = (delivery.attempts || 0) + 1;
+
+  let responseStatus = null;
+  let failure = null;
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Susan-Webhooks/1.0',
+        'X-Susan-Event': delivery.event_type,
+        'X-Susan-Delivery': delivery.id,
+        'X-Susan-Timestamp': String(timestamp),
+        'X-Susan-Signature': sign(webhook.secret, timestamp, body)
+      },
+      body,
+      signal: AbortSignal.timeout(config.WEBHOOK_TIMEOUT_MS)
+    });
+    responseStatus = response.status;
+    if (!response.ok) failure = `HTTP ${response.status}`;
+  } catch (err) {
+    failure = err.name === 'TimeoutError' ? `Timed out after ${config.WEBHOOK_TIMEOUT_MS}ms` : err.message;
+  }
+
+  const now = new Date();
+  const updates = { attempts, response_status: responseStatus, last_error: failure };
+
+  if (!failure) {
+    updates.status = 'delivered';
+    updates.delivered_at = now.toISOString();
+    updates.next_attempt_at = null;
+  } else if (attempts >= config.WEBHOOK_MAX_ATTEMPTS) {
+    updates.status = 'failed';
+    updates.next_attempt_at = null;
+    logger.warn('Webhook delivery gave up', { deliveryId: delivery.id, webhookId: webhook.id, attempts, error: failure });
+  } else {
+    updates.status = 'pending';
+    updates.next_attempt_at = new Date(now.getTime() + backoffMs(attempts)).toISOString();
+  }
+
+  const { data, error } = await from('dev_ai_webhook_deliveries')
+    .update(updates)
+    .eq('id', delivery.id)
+    .select('*')
+    .single();
+  if (error) logger.error('Could not record delivery attempt', { deliveryId: delivery.id, error: error.message });
+
+  await from('dev_ai_webhooks')
+    .update({ last_delivery_at: now.toISOString(), last_status: updates.status })
+    .eq('id', webhook.id);
+
+  return data || { ...delivery, ...updates };
+}
+
+/**
+ * Queue and send one event to one webhook
+ */
+async function queueDelivery(event, webhook) {
+  // The first attempt runs now; until it finishes, next_attempt_at holds the
+  // sweep off so the two don't both send it
+  const { data: delivery, error } = await from('dev_ai_webhook_deliveries')
+    .insert({
+      webhook_id: webhook.id,
+      event_id: event.id,
+      event_type: event.type,
+      payload: event,
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: new Date(Date.now() + backoffMs(1)).toISOString()
+    })
+    .select('*')
+    .single();
+
+  if (error) throw error;
+  return attemptDelivery(delivery, webhook);
+}
+
+function wants(webhook, event) {
+  if (!webhook.active) return false;
+  if (webhook.project_id && webhook.project_id !== event.project_id) return false;
+  return eventBus.matchesType(event.type, webhook.event_types || ['*']);
+}
+
+/**
+ * Fan an event out to every webhook that wants it
+ */
+async function handleEvent(event) {
+  const { data: webhooks, error } = await from('dev_ai_webhooks')
+    .select('*')
+    .eq('active', true);
+
+  if (error) {
+    logger.error('Could not load webhooks', { type: event.type, error: error.message });
+    return [];
+  }
+
+  const targets = (webhooks || []).filter(webhook => wants(webhook, event));
+  return Promise.all(targets.map(webhook =>
+    queueDelivery(event, webhook).catch(err => {
+      logger.error('Webhook delivery failed', { webhookId: webhook.id, type: event.type, error: err.message });
+      return null;
+    })
+  ));
+}
+
+/**
+ * Send a webhook.ping to one webhook (not broadcast on the bus)
+ */
+async function ping(id) {
+  const webhook = await loadWebhook(id);
+  const event = {
+    id: crypto.randomUUID(),
+    type: 'webhook.ping',
+    source: 'susan',
+    project_id: webhook.project_id || null,
+    data: { webhook_id: webhook.id, message: 'Ping from Susan' },
+    created_at: new Date().toISOString()
+  };
+  return queueDelivery(event, webhook);
+}
+
+/**
+ * Send a delivery again now, whatever its status
+ */
+async function redeliver(deliveryId) {
+  const { data: delivery, error } = await from('dev_ai_webhook_deliveries')
+    .select('*')
+    .eq('id', deliveryId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!delivery) throw httpError(404, 'Delivery not found');
+
+  const webhook = await loadWebhook(delivery.webhook_id);
+  return attemptDelivery({ ...delivery, attempts: 0 }, webhook);
+}
+
+/**
+ * Retry pending deliveries whose backoff has elapsed
+ */
+async function retryDue() {
+  if (isSweeping) return { skipped: true };
+  isSweeping = true;
+
+  const stats = { attempted: 0, delivered: 0, failed: 0 };
+
+  try {
+    const { data: due, error } = await from('dev_ai_webhook_deliveries')
+      .select('*')
+      .eq('status', 'pending')
+      .lte('next_attempt_at', new Date().toISOString())
+      .order('next_attempt_at', { ascending: true })
+      .limit(SWEEP_BATCH);
+
+    if (error) throw error;
+    if (!due?.length) return stats;
+
+    const { data: webhooks } = await from('dev_ai_webhooks')
+      .select('*')
+      .in('id', [...new Set(due.map(d => d.webhook_id))]);
+    const byId = new Map((webhooks || []).map(w => [w.id, w]));
+
+    for (const delivery of due) {
+      const webhook = byId.get(delivery.webhook_id);
+      if (!webhook || !webhook.active) {
+        await from('dev_ai_webhook_deliveries')
+          .update({ status: 'failed', last_error: 'Webhook removed or disabled', next_attempt_at: null })
+          .eq('id', delivery.id);
+        stats.failed++;
+        continue;
+      }
+
+      const result = await attemptDelivery(delivery, webhook);
+      stats.attempted++;
+      if (result.status === 'delivered') stats.delivered++;
+      if (result.status === 'failed') stats.failed++;
+    }
+
+    if (stats.attempted > 0) logger.info('Webhook retries', stats);
+    return stats;
+  } catch (err) {
+    logger.error('Webhook retry sweep failed', { error: err.message });
+    return stats;
+  } finally {
+    isSweeping = false;
+  }
+}
+
+/**
+ * Subscribe to the event bus; sweep: false leaves retries to the job scheduler
+ */
+function start({ sweep = true } = {}) {
+  if (!unsubscribe) {
+    unsubscribe = eventBus.subscribe(event => {
+      handleEvent(event).catch(err => logger.error('Webhook fan-out failed', { error: err.message }));
+    });
+  }
+  if (sweep && !intervalHandle) {
+    intervalHandle = setInterval(() => {
+      retryDue().catch(err => logger.error('Webhook retry cycle error', { error: err.message }));
+    }, SWEEP_MS);
+  }
+  logger.info('Webhook service started');
+}
+
+function stop() {
+  if (unsubscribe) {
+    unsubscribe();
+    unsubscribe = null;
+  }
+  if (intervalHandle) {
+    clearInterval(intervalHandle);
+    intervalHandle = null;
+  }
+}
+
+module.exports = {
+  sign,
+  verifySignature,
+  backoffMs,
+  register,
+  listWebhooks,
+  getWebhook,
+  updateWebhook,
+  removeWebhook,
+  listDeliveries,
+  handleEvent,
+  ping,
+  redeliver,
+  retryDue,
+  start,
+  stop
+};
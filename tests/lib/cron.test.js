@@ -0,0 +1,28 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const cron = require('../../src/lib/cron');
+
+const at = (iso) => new Date(iso);
+
+test('steps, fixed times and nicknames find the next minute', () => {
+  assert.equal(cron.nextRun('*/5 * * * *', at('2026-03-02T10:02:30Z')).toISOString(), '2026-03-02T10:05:00.000Z');
+  assert.equal(cron.nextRun('*/5 * * * *', at('2026-03-02T10:05:00Z')).toISOString(), '2026-03-02T10:10:00.000Z');
+  assert.equal(cron.nextRun('0 3 * * *', at('2026-03-02T04:00:00Z')).toISOString(), '2026-03-03T03:00:00.000Z');
+  assert.equal(cron.nextRun('@hourly', at('2026-03-02T10:59:00Z')).toISOString(), '2026-03-02T11:00:00.000Z');
+});
+
+test('weekday ranges, lists and either-day matching', () => {
+  // 2026-03-07 is a Saturday
+  assert.equal(cron.nextRun('30 9 * * 1-5', at('2026-03-07T00:00:00Z')).toISOString(), '2026-03-09T09:30:00.000Z');
+  assert.equal(cron.nextRun('0 0 1,15 * *', at('2026-03-02T00:00:00Z')).toISOString(), '2026-03-15T00:00:00.000Z');
+  assert.equal(cron.nextRun('0 0 * * 7', at('2026-03-02T00:00:00Z')).toISOString(), '2026-03-08T00:00:00.000Z');
+  assert.equal(cron.nextRun('0 0 13 * 1', at('2026-03-02T00:00:00Z')).toISOString(), '2026-03-09T00:00:00.000Z');
+});
+
+test("'off' never runs and bad expressions throw", () => {
+  assert.equal(cron.parse('off'), null);
+  assert.equal(cron.nextRun('off'), null);
+  assert.throws(() => cron.parse('* * * *'), /5 fields/);
+  assert.throws(() => cron.parse('61 * * * *'), /Invalid minute/);
+  assert.throws(() => cron.parse('*/0 * * * *'), /Invalid step/);
+});
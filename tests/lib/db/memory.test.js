@@ -0,0 +1,158 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryDb } = require('../../../src/lib/db/memory');
+
+function seeded() {
+  return createMemoryDb({ seed: {
+    dev_ai_todos: [
+      { id: 't1', title: 'Fix login redirect', status: 'pending', priority: 'high', project_id: 'p1', created_at: '2026-01-01T00:00:00.000Z' },
+      { id: 't2', title: 'Write docs', status: 'completed', priority: 'low', project_id: 'p1', created_at: '2026-01-03T00:00:00.000Z' },
+      { id: 't3', title: 'Login audit', status: 'in_progress', priority: 'medium', project_id: null, created_at: '2026-01-02T00:00:00.000Z' }
+    ]
+  } });
+}
+
+test('select applies filters, order and limit', async () => {
+  const db = seeded();
+  const { data, error } = await db.from('dev_ai_todos')
+    .select('id, title')
+    .in('status', ['pending', 'in_progress'])
+    .order('created_at', { ascending: false })
+    .limit(5);
+
+  assert.equal(error, null);
+  assert.deepEqual(data, [
+    { id: 't3', title: 'Login audit' },
+    { id: 't1', title: 'Fix login redirect' }
+  ]);
+});
+
+test('ilike, neq, gte and lt filter rows', async () => {
+  const db = seeded();
+
+  const { data: ilike } = await db.from('dev_ai_todos').select('id').ilike('title', '%LOGIN%');
+  assert.deepEqual(ilike.map(r => r.id), ['t1', 't3']);
+
+  const { data: neq } = await db.from('dev_ai_todos').select('id').neq('status', 'completed');
+  assert.deepEqual(neq.map(r => r.id), ['t1', 't3']);
+
+  const { data: window } = await db.from('dev_ai_todos')
+    .select('id')
+    .gte('created_at', '2026-01-02T00:00:00.000Z')
+    .lt('created_at', '2026-01-03T00:00:00.000Z');
+  assert.deepEqual(window.map(r => r.id), ['t3']);
+});
+
+test('or() understands eq, is.null and ilike', async () => {
+  const db = seeded();
+
+  const { data } = await db.from('dev_ai_todos')
+    .select('id')
+    .or('project_id.eq.p1,project_id.is.null')
+    .order('id');
+  assert.deepEqual(data.map(r => r.id), ['t1', 't2', 't3']);
+
+  const { data: titled } = await db.from('dev_ai_todos')
+    .select('id')
+    .or('title.ilike.%docs%,status.eq.in_progress')
+    .order('id');
+  assert.deepEqual(titled.map(r => r.id), ['t2', 't3']);
+});
+
+test('not() negates a filter', async () => {
+  const db = seeded();
+  const { data } = await db.from('dev_ai_todos').select('id').not('project_id', 'is', null).order('id');
+  assert.deepEqual(data.map(r => r.id), ['t1', 't2']);
+});
+
+test('single() returns one row or a PGRST116 error', async () => {
+  const db = seeded();
+
+  const one = await db.from('dev_ai_todos').select('*').eq('id', 't2').single();
+  assert.equal(one.data.title, 'Write docs');
+  assert.equal(one.error, null);
+
+  const none = await db.from('dev_ai_todos').select('*').eq('id', 'missing').single();
+  assert.equal(none.data, null);
+  assert.equal(none.error.code, 'PGRST116');
+
+  const maybe = await db.from('dev_ai_todos').select('*').eq('id', 'missing').maybeSingle();
+  assert.equal(maybe.data, null);
+  assert.equal(maybe.error, null);
+});
+
+test('count with head returns only the count', async () => {
+  const db = seeded();
+  const { data, count } = await db.from('dev_ai_todos')
+    .select('*', { count: 'exact', head: true })
+    .eq('project_id', 'p1');
+
+  assert.equal(data, null);
+  assert.equal(count, 2);
+});
+
+test('groupBy returns one row per combination with its count', async () => {
+  const db = seeded();
+  const { data } = await db.from('dev_ai_todos')
+    .groupBy('project_id')
+    .order('count', { ascending: false });
+
+  assert.deepEqual(data, [{ project_id: 'p1', count: 2 }, { project_id: null, count: 1 }]);
+});
+
+test('insert fills id and created_at and returns rows only with select()', async () => {
+  const db = createMemoryDb();
+
+  const silent = await db.from('dev_ai_notes').insert({ title: 'a' });
+  assert.equal(silent.data, null);
+
+  const { data } = await db.from('dev_ai_notes').insert({ title: 'b' }).select('id, title').single();
+  assert.equal(data.title, 'b');
+  assert.ok(data.id);
+
+  const rows = db.rows('dev_ai_notes');
+  assert.equal(rows.length, 2);
+  assert.ok(rows.every(r => r.id && r.created_at));
+});
+
+test('update and delete only touch matching rows', async () => {
+  const db = seeded();
+
+  await db.from('dev_ai_todos').update({ status: 'completed' }).eq('id', 't1');
+  await db.from('dev_ai_todos').delete().in('id', ['t3']);
+
+  const rows = db.rows('dev_ai_todos');
+  assert.deepEqual(rows.map(r => [r.id, r.status]), [['t1', 'completed'], ['t2', 'completed']]);
+});
+
+test('upsert updates on conflict and inserts otherwise', async () => {
+  const db = createMemoryDb({ seed: { dev_ai_schemas: [{ id: 's1', table_name: 'a', column_count: 1 }] } });
+
+  await db.from('dev_ai_schemas').upsert(
+    [{ table_name: 'a', column_count: 5 }, { table_name: 'b', column_count: 2 }],
+    { onConflict: 'table_name' }
+  );
+
+  const rows = db.rows('dev_ai_schemas');
+  assert.equal(rows.length, 2);
+  assert.equal(rows.find(r => r.table_name === 'a').column_count, 5);
+  assert.equal(rows.find(r => r.table_name === 'a').id, 's1');
+});
+
+test('returned rows are copies, not live references', async () => {
+  const db = seeded();
+  const { data } = await db.from('dev_ai_todos').select('*').eq('id', 't1').single();
+  data.title = 'changed';
+
+  assert.equal(db.rows('dev_ai_todos')[0].title, 'Fix login redirect');
+});
+
+test('failOn() makes a table return errors', async () => {
+  const db = seeded().failOn('dev_ai_todos', 'boom', ['insert']);
+
+  const read = await db.from('dev_ai_todos').select('id');
+  assert.equal(read.error, null);
+
+  const write = await db.from('dev_ai_todos').insert({ title: 'x' });
+  assert.equal(write.error.message, 'boom');
+});
@@ -0,0 +1,173 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPostgresDb, compilePlan } = require('../../../src/lib/db/postgres');
+const { QueryBuilder } = require('../../../src/lib/db/queryBuilder');
+
+// Build a plan without running it
+const plan = (table) => new QueryBuilder(table, () => { throw new Error('not executed'); });
+
+// A pg pool stand-in that records statements and answers from a script
+function recordingPool(answer = () => ({ rows: [], rowCount: 0 })) {
+  const statements = [];
+  return {
+    statements,
+    async query(text, values) {
+      statements.push({ text, values });
+      if (text.includes('information_schema.columns')) {
+        return { rows: [{ column_name: 'metadata', data_type: 'jsonb' }, { column_name: 'tags', data_type: 'ARRAY' }] };
+      }
+      return answer(text, values);
+    },
+    async end() {}
+  };
+}
+
+test('select compiles filters, ordering and paging with bound values', () => {
+  const q = plan('dev_ai_todos')
+    .select('id, title')
+    .eq('status', 'pending')
+    .in('priority', ['high', 'critical'])
+    .ilike('title', '%login%')
+    .order('created_at', { ascending: false })
+    .range(20, 29);
+
+  const { text, values } = compilePlan(q.plan);
+  assert.equal(text,
+    'SELECT "id", "title" FROM "dev_ai_todos" WHERE "status" = $1 AND "priority" = ANY($2) AND "title"::text ILIKE $3 ' +
+    'ORDER BY "created_at" DESC NULLS FIRST LIMIT 10 OFFSET 20');
+  assert.deepEqual(values, ['pending', ['high', 'critical'], '%login%']);
+});
+
+test('or() strings, is null and not() compile to grouped SQL', () => {
+  const q = plan('dev_ai_knowledge')
+    .select('*')
+    .or('project_id.eq.p1,project_id.is.null')
+    .not('status', 'in', '(archived,deleted)');
+
+  const { text, values } = compilePlan(q.plan);
+  assert.equal(text,
+    'SELECT * FROM "dev_ai_knowledge" WHERE ("project_id" = $1 OR "project_id" IS NULL) AND NOT ("status" = ANY($2))');
+  assert.deepEqual(values, ['p1', ['archived', 'deleted']]);
+});
+
+test('count with head only runs a count query', () => {
+  const q = plan('dev_ai_sessions').select('*', { count: 'exact', head: true }).lt('created_at', '2026-01-01');
+  const compiled = compilePlan(q.plan);
+
+  assert.equal(compiled.headOnly, true);
+  assert.equal(compiled.text, 'SELECT count(*)::int AS "count" FROM "dev_ai_sessions" WHERE "created_at" < $1');
+});
+
+test('groupBy counts in SQL with GROUP BY', () => {
+  const q = plan('dev_ai_todos').groupBy('project_id, status').eq('priority', 'high').order('count', { ascending: false });
+  const { text, values } = compilePlan(q.plan);
+
+  assert.equal(text,
+    'SELECT "project_id", "status", count(*)::int AS "count" FROM "dev_ai_todos" WHERE "priority" = $1 ' +
+    'GROUP BY "project_id", "status" ORDER BY "count" DESC NULLS FIRST');
+  assert.deepEqual(values, ['high']);
+});
+
+test('aliases select the underlying column', () => {
+  const q = plan('dev_ai_todos').select('todoId:id, title');
+  assert.equal(compilePlan(q.plan).text, 'SELECT "id", "title" FROM "dev_ai_todos"');
+});
+
+test('insert binds json columns as JSON text and uses DEFAULT for missing keys', () => {
+  const q = plan('dev_ai_todos')
+    .insert([{ title: 'a', metadata: { hash: 'x' } }, { title: 'b', tags: ['t'] }])
+    .select();
+
+  const { text, values } = compilePlan(q.plan, { metadata: 'jsonb', tags: 'ARRAY' });
+  assert.equal(text,
+    'INSERT INTO "dev_ai_todos" ("title", "metadata", "tags") VALUES ($1, $2, DEFAULT), ($3, DEFAULT, $4) RETURNING *');
+  assert.deepEqual(values, ['a', '{"hash":"x"}', 'b', ['t']]);
+});
+
+test('upsert updates every non-key column on conflict', () => {
+  const q = plan('dev_ai_schemas').upsert({ table_name: 'a', column_count: 3 }, { onConflict: 'table_name' });
+  assert.equal(compilePlan(q.plan).text,
+    'INSERT INTO "dev_ai_schemas" ("table_name", "column_count") VALUES ($1, $2) ' +
+    'ON CONFLICT ("table_name") DO UPDATE SET "column_count" = EXCLUDED."column_count"');
+
+  const ignore = plan('dev_ai_schemas').upsert({ table_name: 'a' }, { onConflict: 'table_name', ignoreDuplicates: true });
+  assert.match(compilePlan(ignore.plan).text, /ON CONFLICT \("table_name"\) DO NOTHING$/);
+});
+
+test('update and delete keep their filters', () => {
+  const update = plan('dev_ai_todos').update({ status: 'completed' }).eq('id', 't1');
+  assert.equal(compilePlan(update.plan).text, 'UPDATE "dev_ai_todos" SET "status" = $1 WHERE "id" = $2');
+
+  const remove = plan('dev_ai_todos').delete().in('id', []);
+  assert.equal(compilePlan(remove.plan).text, 'DELETE FROM "dev_ai_todos" WHERE FALSE');
+});
+
+test('identifiers that are not plain names are refused', () => {
+  const q = plan('dev_ai_todos; DROP TABLE x').select('*');
+  assert.throws(() => compilePlan(q.plan), /Invalid identifier/);
+});
+
+test('queries return Supabase-shaped results through the pool', async () => {
+  const pool = recordingPool((text) => {
+    if (text.startsWith('SELECT count')) return { rows: [{ count: 7 }] };
+    return { rows: [{ id: 't1', title: 'a' }], rowCount: 1 };
+  });
+  const db = createPostgresDb({ pool });
+
+  const list = await db.from('dev_ai_todos').select('id, title', { count: 'exact' }).eq('id', 't1');
+  assert.deepEqual(list, { data: [{ id: 't1', title: 'a' }], error: null, count: 7 });
+
+  const one = await db.from('dev_ai_todos').select('*').eq('id', 't1').single();
+  assert.equal(one.data.id, 't1');
+
+  // Column types are looked up once per table
+  const lookups = pool.statements.filter(s => s.text.includes('information_schema'));
+  assert.equal(lookups.length, 1);
+});
+
+test('pg errors come back as { error } instead of throwing', async () => {
+  const pool = recordingPool(() => {
+    const err = new Error('relation "nope" does not exist');
+    err.code = '42P01';
+    throw err;
+  });
+  const db = createPostgresDb({ pool });
+
+  const { data, error } = await db.from('nope').select('*');
+  assert.equal(data, null);
+  assert.equal(error.code, '42P01');
+});
+
+test('rpc calls functions with named arguments', async () => {
+  const pool = recordingPool(() => ({ rows: [{ get_table_info: 3 }] }));
+  const db = createPostgresDb({ pool });
+
+  const { data } = await db.rpc('get_table_info', { prefix: 'dev_' });
+  assert.equal(data, 3);
+  assert.equal(pool.statements[0].text, 'SELECT * FROM "get_table_info"("prefix" => $1)');
+});
+
+test('transaction runs on one connection and rolls back when work throws', async () => {
+  const pool = recordingPool(() => ({ rows: [{ id: 'r1' }], rowCount: 1 }));
+  let released = 0;
+  pool.connect = async () => ({
+    query: pool.query,
+    release: () => { released++; }
+  });
+  const db = createPostgresDb({ pool });
+
+  const result = await db.transaction(async (tx) => {
+    const { data } = await tx.from('dev_ai_trash').insert({ record_id: 'a' }).select('id');
+    return data;
+  });
+  assert.deepEqual(result, [{ id: 'r1' }]);
+
+  await assert.rejects(db.transaction(async (tx) => {
+    await tx.from('dev_ai_trash').insert({ record_id: 'b' });
+    throw new Error('delete failed');
+  }), /delete failed/);
+
+  const control = pool.statements.map(s => s.text).filter(text => /^(BEGIN|COMMIT|ROLLBACK)$/.test(text));
+  assert.deepEqual(control, ['BEGIN', 'COMMIT', 'BEGIN', 'ROLLBACK']);
+  assert.equal(released, 2);
+});
@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage, memoryBackend, diskBackend } = require('../../../src/lib/db/storage');
+
+const backends = {
+  memory: () => ({ backend: memoryBackend(), cleanup: () => {} }),
+  disk: () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'susan-storage-'));
+    return { backend: diskBackend(root), cleanup: () => fs.rmSync(root, { recursive: true, force: true }) };
+  }
+};
+
+for (const [name, make] of Object.entries(backends)) {
+  test(`${name}: upload, list folders and files, move and remove`, async () => {
+    const { backend, cleanup } = make();
+    try {
+      const bucket = createStorage(backend, 'http://files')('dev-ai-files');
+
+      await bucket.upload('susan/docs/a.md', Buffer.from('# A'));
+      await bucket.upload('susan/docs/b.json', Buffer.from('{}'));
+
+      const duplicate = await bucket.upload('susan/docs/a.md', Buffer.from('again'));
+      assert.match(duplicate.error.message, /already exists/);
+
+      const root = await bucket.list('');
+      assert.deepEqual(root.data.map(f => [f.name, f.id]), [['susan', null]]);
+
+      const docs = await bucket.list('susan/docs');
+      assert.deepEqual(docs.data.map(f => f.name), ['a.md', 'b.json']);
+      assert.equal(docs.data[0].metadata.size, 3);
+      assert.equal(docs.data[1].metadata.mimetype, 'application/json');
+
+      await bucket.move('susan/docs/a.md', 'susan/notes/a.md');
+      const moved = await bucket.download('susan/notes/a.md');
+      assert.equal(moved.data.toString(), '# A');
+
+      await bucket.remove(['susan/docs/b.json']);
+      const after = await bucket.list('susan/docs');
+      assert.deepEqual(after.data, []);
+
+      assert.equal(bucket.getPublicUrl('susan/notes/a.md').data.publicUrl, 'http://files/dev-ai-files/susan/notes/a.md');
+    } finally {
+      cleanup();
+    }
+  });
+}
+
+test('paths cannot escape the bucket', async () => {
+  const bucket = createStorage(memoryBackend())('b');
+  const { error } = await bucket.upload('../../etc/passwd', Buffer.from('x'));
+  assert.match(error.message, /Invalid storage path/);
+});
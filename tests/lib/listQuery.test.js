@@ -0,0 +1,68 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMemoryDb } = require('../support/app');
+const { parseListQuery, listPage, MAX_LIMIT } = require('../../src/lib/listQuery');
+
+const LIST = {
+  table: 'dev_ai_bugs',
+  sortable: ['created_at', 'severity'],
+  filters: { project: 'project_id', status: 'status' }
+};
+
+beforeEach(() => {
+  useMemoryDb({
+    // b2 and b3 share a timestamp - id keeps their order stable
+    dev_ai_bugs: [
+      { id: 'b1', project_id: 'p1', status: 'open', severity: 'low', created_at: '2026-03-01T00:00:00.000Z' },
+      { id: 'b2', project_id: 'p1', status: 'in_progress', severity: 'high', created_at: '2026-03-02T00:00:00.000Z' },
+      { id: 'b3', project_id: 'p1', status: 'open', severity: 'critical', created_at: '2026-03-02T00:00:00.000Z' },
+      { id: 'b4', project_id: 'p1', status: 'fixed', severity: 'medium', created_at: '2026-03-03T00:00:00.000Z' },
+      { id: 'b5', project_id: 'p2', status: 'open', severity: 'low', created_at: '2026-03-04T00:00:00.000Z' }
+    ]
+  });
+});
+
+test('cursors walk the whole list once, in order', async () => {
+  const seen = [];
+  let cursor;
+  do {
+    const page = await listPage(LIST, { limit: '2', cursor });
+    assert.equal(page.total, 5);
+    seen.push(...page.items.map(item => item.id));
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  assert.deepEqual(seen, ['b5', 'b4', 'b3', 'b2', 'b1']);
+});
+
+test('comma lists match any value and combine with the other filters', async () => {
+  const page = await listPage(LIST, { project: 'p1', status: 'open,in_progress', sort: 'created_at', order: 'asc' });
+  assert.deepEqual(page.items.map(item => item.id), ['b1', 'b2', 'b3']);
+  assert.equal(page.nextCursor, null);
+
+  const window = await listPage(LIST, { created_after: '2026-03-02', created_before: '2026-03-04' });
+  assert.deepEqual(window.items.map(item => item.id), ['b4', 'b3', 'b2']);
+});
+
+test('the caller scope applies before paging and counting', async () => {
+  const page = await listPage(LIST, { limit: 1 }, query => query.eq('project_id', 'p2'));
+  assert.deepEqual(page, { items: [page.items[0]], nextCursor: null, total: 1 });
+  assert.equal(page.items[0].id, 'b5');
+});
+
+test('malformed parameters are 400s', async () => {
+  const status = fn => assert.throws(fn, err => err.status === 400);
+
+  status(() => parseListQuery(LIST, { sort: 'title' }));
+  status(() => parseListQuery(LIST, { order: 'sideways' }));
+  status(() => parseListQuery(LIST, { cursor: 'not-a-cursor' }));
+  status(() => parseListQuery(LIST, { created_after: 'yesterday-ish' }));
+  status(() => parseListQuery(LIST, { tag: 'ui' }));
+
+  // A cursor only makes sense for the sort it came from
+  const { nextCursor } = await listPage(LIST, { limit: 1 });
+  status(() => parseListQuery(LIST, { cursor: nextCursor, sort: 'severity' }));
+
+  assert.equal(parseListQuery(LIST, { limit: '100000' }).limit, MAX_LIMIT);
+  assert.equal(parseListQuery(LIST, { limit: 'lots' }).limit, 50);
+});
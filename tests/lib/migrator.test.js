@@ -0,0 +1,164 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMigrator, loadMigrations } = require('../../src/lib/migrator');
+
+// A pg pool stand-in: keeps the ledger in memory, honours BEGIN/ROLLBACK,
+// and fails any statement containing "FAIL"
+function fakePool() {
+  const pool = { ledger: [], statements: [], released: 0 };
+  let snapshot = null;
+
+  const client = {
+    async query(text, values = []) {
+      pool.statements.push(text.trim());
+      if (text.includes('FAIL')) throw new Error('syntax error at "FAIL"');
+
+      if (text === 'BEGIN') snapshot = [...pool.ledger];
+      if (text === 'ROLLBACK') pool.ledger = snapshot;
+      if (text.startsWith('SELECT version')) return { rows: [...pool.ledger].sort((a, b) => a.version - b.version) };
+      if (text.startsWith('INSERT INTO schema_migrations')) {
+        const [version, name, checksum, duration_ms] = values;
+        pool.ledger.push({ version, name, checksum, duration_ms, applied_at: new Date() });
+      }
+      if (text.startsWith('DELETE FROM schema_migrations')) {
+        pool.ledger = pool.ledger.filter(row => row.version !== values[0]);
+      }
+      return { rows: [] };
+    },
+    release() {
+      pool.released++;
+    }
+  };
+
+  pool.connect = async () => client;
+  return pool;
+}
+
+let dir;
+
+function write(file, sql) {
+  fs.writeFileSync(path.join(dir, file), sql);
+}
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'susan-migrations-'));
+  write('migration-001-first.sql', 'CREATE TABLE a (id INT);');
+  write('migration-001-first.down.sql', 'DROP TABLE a;');
+  write('migration-002-second.sql', 'CREATE TABLE b (id INT);');
+  write('migration-002-second.down.sql', 'DROP TABLE b;');
+  write('migration-003-third.sql', 'CREATE TABLE c (id INT);');
+  write('README.md', 'not a migration');
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('loadMigrations pairs up and down files in version order', () => {
+  const migrations = loadMigrations(dir);
+  assert.deepEqual(migrations.map(m => [m.version, m.name, Boolean(m.downFile)]), [
+    [1, 'first', true],
+    [2, 'second', true],
+    [3, 'third', false]
+  ]);
+  assert.equal(migrations[0].checksum.length, 64);
+});
+
+test('loadMigrations refuses two names for one version', () => {
+  write('migration-002-other.sql', 'SELECT 1;');
+  assert.throws(() => loadMigrations(dir), /Version 2 is used by both/);
+});
+
+test('up applies pending migrations in order, each in its own transaction', async () => {
+  const pool = fakePool();
+  const migrator = createMigrator({ pool, dir });
+
+  const ran = await migrator.up();
+  assert.deepEqual(ran.map(r => r.version), [1, 2, 3]);
+  assert.deepEqual(pool.ledger.map(r => r.name), ['first', 'second', 'third']);
+
+  const body = pool.statements.filter(s => !s.includes('schema_migrations') && !s.includes('advisory'));
+  assert.deepEqual(body, [
+    'BEGIN', 'CREATE TABLE a (id INT);', 'COMMIT',
+    'BEGIN', 'CREATE TABLE b (id INT);', 'COMMIT',
+    'BEGIN', 'CREATE TABLE c (id INT);', 'COMMIT'
+  ]);
+  assert.ok(pool.statements.includes('SELECT pg_advisory_unlock($1)'));
+  assert.equal(pool.released, 1);
+
+  assert.deepEqual(await migrator.up(), []);
+});
+
+test('up --to stops at the given version', async () => {
+  const pool = fakePool();
+  const migrator = createMigrator({ pool, dir });
+
+  await migrator.up({ to: 2 });
+  const status = await migrator.status();
+  assert.deepEqual(status.applied.map(m => m.version), [1, 2]);
+  assert.deepEqual(status.pending, [{ version: 3, name: 'third', hasDown: false }]);
+});
+
+test('a failing migration rolls back and stops the run', async () => {
+  write('migration-002-second.sql', 'CREATE TABLE b FAIL;');
+  const pool = fakePool();
+  const migrator = createMigrator({ pool, dir });
+
+  await assert.rejects(migrator.up(), (err) => {
+    assert.equal(err.name, 'MigrationError');
+    assert.equal(err.migration, 2);
+    assert.match(err.message, /migration-002-second\.sql failed/);
+    return true;
+  });
+
+  assert.deepEqual(pool.ledger.map(r => r.version), [1]);
+  assert.ok(pool.statements.includes('ROLLBACK'));
+  assert.ok(!pool.statements.includes('CREATE TABLE c (id INT);'));
+});
+
+test('status reports drift and up refuses until allowed', async () => {
+  const pool = fakePool();
+  const migrator = createMigrator({ pool, dir });
+  await migrator.up({ to: 1 });
+
+  write('migration-001-first.sql', 'CREATE TABLE a (id BIGINT);');
+
+  const status = await migrator.status();
+  assert.deepEqual(status.drift, [1]);
+  await assert.rejects(migrator.up(), /edited since they ran: 1/);
+
+  const ran = await migrator.up({ allowDrift: true });
+  assert.deepEqual(ran.map(r => r.version), [2, 3]);
+});
+
+test('down rolls back the latest migrations and removes them from the ledger', async () => {
+  const pool = fakePool();
+  const migrator = createMigrator({ pool, dir });
+  await migrator.up({ to: 2 });
+
+  const ran = await migrator.down({ steps: 2 });
+  assert.deepEqual(ran.map(r => r.version), [2, 1]);
+  assert.deepEqual(pool.ledger, []);
+  assert.ok(pool.statements.includes('DROP TABLE b;'));
+});
+
+test('down checks every down script before running any', async () => {
+  const pool = fakePool();
+  const migrator = createMigrator({ pool, dir });
+  await migrator.up();
+
+  await assert.rejects(migrator.down({ to: 0 }), /migration-003-third\.sql has no down script/);
+  assert.equal(pool.ledger.length, 3);
+  assert.ok(!pool.statements.includes('DROP TABLE b;'));
+});
+
+test('every migration in database/ has a down script', () => {
+  const migrations = loadMigrations();
+  assert.ok(migrations.length > 0);
+  for (const m of migrations) {
+    assert.ok(m.downFile, `${m.file} has no down script`);
+  }
+});
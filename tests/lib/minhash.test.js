@@ -0,0 +1,37 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const minhash = require('../../src/lib/minhash');
+
+test('shingles ignore case and punctuation', () => {
+  assert.deepEqual([...minhash.shingle('Fix it!')], ['fix', 'ix ', 'x i', ' it']);
+  assert.deepEqual([...minhash.shingle('ab')], ['ab']);
+  assert.equal(minhash.shingle('  ').size, 0);
+});
+
+test('signatures are deterministic and estimate Jaccard similarity', () => {
+  const hasher = minhash.createMinHasher({ numHashes: 256 });
+  const a = minhash.shingle('fix the login redirect loop on the dashboard');
+  const b = minhash.shingle('fix login redirect loop in dashboard');
+
+  assert.deepEqual(hasher.signature(a), minhash.createMinHasher({ numHashes: 256 }).signature(a));
+
+  const estimate = minhash.estimateJaccard(hasher.signature(a), hasher.signature(b));
+  assert.ok(Math.abs(estimate - minhash.jaccard(a, b)) < 0.1, `estimate ${estimate}`);
+});
+
+test('candidatePairs buckets near duplicates together and leaves others apart', () => {
+  const pairs = minhash.candidatePairs([
+    'Add retry to Chad webhook calls',
+    'Rotate logs at 10MB',
+    'Add retries to Chad webhook calls',
+    ''
+  ]);
+  assert.deepEqual(pairs, [[0, 2]]);
+});
+
+test('candidate probability rises with similarity', () => {
+  const low = minhash.candidateProbability(0.1);
+  const high = minhash.candidateProbability(0.6);
+  assert.ok(low < 0.05, `low ${low}`);
+  assert.ok(high > 0.95, `high ${high}`);
+});
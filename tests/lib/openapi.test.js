@@ -0,0 +1,109 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { collectRoutes, findConflicts, assertNoConflicts, undocumentedRoutes, buildSpec } = require('../../src/lib/openapi');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'susan-openapi-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// A route module on disk, so its JSDoc headers can be read like the real ones
+function routeModule(name, source) {
+  const file = path.join(dir, `${name}.js`);
+  fs.writeFileSync(file, `const express = require(${JSON.stringify(require.resolve('express'))});\nconst router = express.Router();\n${source}\nmodule.exports = router;\n`);
+  return { name, file, router: require(file) };
+}
+
+test('routes are collected with their mount prefix', () => {
+  const router = express.Router();
+  router.get('/todos/:project', () => {});
+  router.route('/todo/:id').patch(() => {}).delete(() => {});
+
+  const routes = collectRoutes([{ prefix: '/api', name: 'todos', file: 'todos.js', router }]);
+  assert.deepEqual(routes.map(route => `${route.method} ${route.path}`), [
+    'GET /api/todos/:project',
+    'PATCH /api/todo/:id',
+    'DELETE /api/todo/:id'
+  ]);
+  assert.equal(routes[0].localPath, '/todos/:project');
+});
+
+test('the same method and path in two places is a conflict, whatever the param is called', () => {
+  const first = express.Router();
+  first.get('/structures/:projectId', () => {});
+  first.post('/summarize', () => {});
+  const second = express.Router();
+  second.get('/structures/:project', () => {});
+  second.get('/summarize', () => {});
+
+  const mounts = [
+    { prefix: '/api', name: 'structures', file: 'a.js', router: first },
+    { prefix: '/api', name: 'catalog', file: 'b.js', router: second }
+  ];
+  assert.deepEqual(findConflicts(collectRoutes(mounts)), [
+    { method: 'GET', path: '/api/structures/:projectId', modules: ['structures', 'catalog'] }
+  ]);
+  assert.throws(
+    () => assertNoConflicts(collectRoutes(mounts)),
+    /Conflicting route registrations[\s\S]*GET \/api\/structures\/:projectId \(structures, catalog\)/
+  );
+  assert.doesNotThrow(() => assertNoConflicts(collectRoutes(mounts.slice(0, 1))));
+});
+
+test('a route is documented only by a header naming its full path', () => {
+  const mount = routeModule('widgets', `
+/**
+ * GET /api/widgets/:id - Get one widget
+ * Includes its parts
+ */
+router.get('/widgets/:id', () => {});
+
+/**
+ * GET /widgets - Header without the mount prefix
+ */
+router.get('/widgets', () => {});
+
+// POST /api/widgets - Line comments don't count
+router.post('/widgets', () => {});
+`);
+
+  const undocumented = undocumentedRoutes([{ prefix: '/api', ...mount }]);
+  assert.deepEqual(undocumented.map(route => `${route.method} ${route.path}`), ['GET /api/widgets', 'POST /api/widgets']);
+});
+
+test('the spec carries summaries, path params, request bodies and scopes', () => {
+  const mount = routeModule('todos', `
+/**
+ * PATCH /api/todo/:id - Update todo status
+ * Body: { status }
+ */
+router.patch('/todo/:id', () => {});
+
+/**
+ * GET /health - Liveness
+ */
+router.get('/health', () => {});
+`);
+
+  const spec = buildSpec([{ prefix: '/api', ...mount }], { version: '9.9.9' });
+  assert.equal(spec.openapi, '3.1.0');
+  assert.equal(spec.info.version, '9.9.9');
+
+  const patch = spec.paths['/api/todo/{id}'].patch;
+  assert.equal(patch.operationId, 'patchApiTodoId');
+  assert.equal(patch.summary, 'Update todo status');
+  assert.equal(patch.description, 'Body: { status }');
+  assert.deepEqual(patch.parameters, [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }]);
+  assert.equal(patch.requestBody.content['application/json'].schema.type, 'object');
+  assert.equal(patch.responses['422'].$ref, '#/components/responses/InvalidBody');
+  assert.equal(patch['x-required-scope'], 'write:todos');
+  assert.equal(patch.security, undefined);
+
+  assert.equal(spec.components.securitySchemes.bearer.scheme, 'bearer');
+
+  // Only GET /health is open - mounted at the root it opts out of the bearer scheme
+  assert.deepEqual(buildSpec([{ prefix: '/', ...mount }]).paths['/health'].get.security, []);
+  assert.ok(spec.paths['/api/health'].get['x-required-scope']);
+});
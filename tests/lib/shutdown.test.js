@@ -0,0 +1,47 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const shutdown = require('../../src/lib/shutdown');
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+beforeEach(() => {
+  shutdown.reset();
+});
+
+test('steps run in registration order, failures do not stop the rest', async () => {
+  const order = [];
+  shutdown.register('scheduler', () => { order.push('scheduler'); });
+  shutdown.register('services', async () => {
+    await wait(10);
+    order.push('services');
+    throw new Error('flush failed');
+  });
+  shutdown.register('db', () => { order.push('db'); });
+
+  const result = await shutdown.run('SIGTERM', { timeoutMs: 1000 });
+  assert.deepEqual(order, ['scheduler', 'services', 'db']);
+  assert.equal(result.clean, true);
+  assert.deepEqual(result.pending, []);
+});
+
+test('a step that outlasts the timeout leaves the rest pending', async () => {
+  let closed = false;
+  shutdown.register('jobs', () => wait(200));
+  shutdown.register('db', () => { closed = true; });
+
+  const result = await shutdown.run('SIGTERM', { timeoutMs: 20 });
+  assert.equal(result.clean, false);
+  assert.deepEqual(result.pending, ['jobs', 'db']);
+  assert.equal(closed, false);
+});
+
+test('a second signal gets the shutdown already under way', async () => {
+  let calls = 0;
+  shutdown.register('http', async () => { calls++; await wait(10); });
+
+  const first = shutdown.run('SIGTERM', { timeoutMs: 1000 });
+  const second = shutdown.run('SIGINT', { timeoutMs: 1000 });
+  assert.equal(first, second);
+  await first;
+  assert.equal(calls, 1);
+});
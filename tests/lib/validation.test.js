@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validate } = require('../../src/lib/validation');
+const { REQUEST_SCHEMAS, validateBody, describeSchemas } = require('../../src/lib/requestSchemas');
+
+test('errors carry the path to the offending field', () => {
+  const schema = {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      items: { type: 'array', items: { type: 'object', required: ['title'], properties: { count: { type: 'integer', minimum: 0 } } } },
+      mode: { enum: ['a', 'b'] }
+    }
+  };
+
+  assert.deepEqual(validate(schema, { name: 'ok', items: [{ title: 'x' }] }), []);
+  assert.deepEqual(validate(schema, { items: [{ title: 'x' }, { count: -1 }], mode: 'c' }), [
+    { path: 'name', message: 'is required' },
+    { path: 'items[1].title', message: 'is required' },
+    { path: 'items[1].count', message: 'must be >= 0' },
+    { path: 'mode', message: 'must be one of: a, b' }
+  ]);
+  assert.deepEqual(validate(schema, ['not', 'an', 'object']), [{ path: '', message: 'must be object' }]);
+});
+
+test('types, formats, additionalProperties and anyOf', () => {
+  assert.deepEqual(validate({ type: ['integer', 'null'] }, null), []);
+  assert.equal(validate({ type: 'integer' }, 1.5).length, 1);
+  assert.deepEqual(validate({ type: 'number' }, 3), []);
+  assert.equal(validate({ type: 'string', format: 'date' }, '2026-13-45').length, 1);
+  assert.deepEqual(validate({ type: 'string', format: 'date-time' }, '2026-01-01T10:00:00Z'), []);
+
+  const closed = { type: 'object', properties: { a: {} }, additionalProperties: false };
+  assert.deepEqual(validate(closed, { a: 1, b: 2 }), [{ path: 'b', message: 'is not allowed' }]);
+
+  const either = { type: 'object', anyOf: [{ required: ['project_id'] }, { required: ['projectPath'] }] };
+  assert.deepEqual(validate(either, { projectPath: 'p' }), []);
+  assert.deepEqual(validate(either, {}), [{ path: 'project_id', message: 'is required' }]);
+});
+
+test('registered schemas have unique ids and unknown ids fail at startup', () => {
+  const ids = REQUEST_SCHEMAS.map(entry => entry.id);
+  assert.equal(new Set(ids).size, ids.length);
+  assert.throws(() => validateBody('todo.craete'), /No request schema "todo.craete"/);
+
+  const published = describeSchemas().find(entry => entry.id === 'todo.create');
+  assert.equal(published.path, '/api/todo');
+  assert.equal(published.schema.$schema, 'http://json-schema.org/draft-07/schema#');
+  assert.deepEqual(published.schema.required, ['title']);
+});
@@ -0,0 +1,115 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, useMemoryDb } = require('../support/app');
+const catalogRoutes = require('../../src/routes/catalog');
+
+const PROJECT_PATH = '/var/www/NextBid_Dev/susan';
+
+let app;
+let db;
+
+before(async () => {
+  app = await startApp(catalogRoutes);
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  db = useMemoryDb({
+    dev_projects: [
+      { id: 'proj-1', name: 'Susan', slug: 'susan', server_path: PROJECT_PATH }
+    ]
+  });
+});
+
+function catalog(extraction, projectPath = PROJECT_PATH) {
+  return app.request('POST', '/api/catalog', { sessionId: 'sess-1', projectPath, extraction });
+}
+
+test('POST /api/catalog requires an extraction', async () => {
+  const res = await app.request('POST', '/api/catalog', { sessionId: 'sess-1' });
+  assert.equal(res.status, 422);
+  assert.deepEqual(res.body.errors, [{ path: 'extraction', message: 'is required' }]);
+});
+
+test('POST /api/catalog reports bad extraction items by path', async () => {
+  const res = await catalog({ todos: [{ title: 'Fine' }, { description: 'no title' }], routingConfidence: 2 });
+  assert.equal(res.status, 422);
+  assert.deepEqual(res.body.errors.map(e => e.path).sort(), ['extraction.routingConfidence', 'extraction.todos[1].title']);
+});
+
+test('stores todos, decisions, knowledge and bugs for a known project', async () => {
+  const res = await catalog({
+    todos: [{ title: 'Add route tests', priority: 'high' }],
+    decisions: [{ title: 'Use node:test', rationale: 'No extra deps' }],
+    knowledge: [{ category: 'architecture', title: 'Sorter runs every 5 min', summary: 'extractionSorter cycle' }],
+    bugs: [{ title: 'Cursor resets on refresh', severity: 'low' }]
+  });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.todosAdded, 1);
+  assert.equal(res.body.decisionsAdded, 1);
+  assert.equal(res.body.knowledgeAdded, 1);
+  assert.equal(res.body.bugsLogged, 1);
+  assert.deepEqual(res.body.errors, []);
+
+  const [todo] = db.rows('dev_ai_todos');
+  assert.equal(todo.title, 'Add route tests');
+  assert.equal(todo.status, 'pending');
+  assert.equal(todo.discovered_in, 'sess-1');
+  assert.equal(db.rows('dev_ai_decisions')[0].rationale, 'No extra deps');
+  assert.equal(db.rows('dev_ai_bugs')[0].reported_by, 'chad');
+
+  // Known project - no unknown path notification
+  assert.equal(db.rows('dev_ai_notifications').length, 0);
+});
+
+test('does not add a todo that already exists', async () => {
+  db.seed('dev_ai_todos', [{ id: 't1', project_id: PROJECT_PATH, title: 'Add route tests for catalog', status: 'pending' }]);
+
+  const res = await catalog({ todos: [{ title: 'Add route tests' }] });
+  assert.equal(res.body.todosAdded, 0);
+  assert.equal(db.rows('dev_ai_todos').length, 1);
+});
+
+test('completedTodos closes the matching pending todo', async () => {
+  db.seed('dev_ai_todos', [
+    { id: 't1', project_id: PROJECT_PATH, title: 'Wire up the memory db', status: 'in_progress' },
+    { id: 't2', project_id: PROJECT_PATH, title: 'Something else', status: 'pending' }
+  ]);
+
+  const res = await catalog({ completedTodos: [{ title: 'Wire up the memory db' }] });
+  assert.equal(res.body.todosCompleted, 1);
+
+  const rows = db.rows('dev_ai_todos');
+  assert.equal(rows.find(r => r.id === 't1').status, 'completed');
+  assert.equal(rows.find(r => r.id === 't1').completed_session_id, 'sess-1');
+  assert.equal(rows.find(r => r.id === 't2').status, 'pending');
+});
+
+test('a fixed bug updates the existing open bug instead of duplicating it', async () => {
+  db.seed('dev_ai_bugs', [{ id: 'b1', project_id: PROJECT_PATH, title: 'Cursor resets on refresh', status: 'open' }]);
+
+  await catalog({ bugs: [{ title: 'Cursor resets on refresh', status: 'fixed' }] });
+
+  const bugs = db.rows('dev_ai_bugs');
+  assert.equal(bugs.length, 1);
+  assert.equal(bugs[0].status, 'fixed');
+  assert.equal(bugs[0].fix_session_id, 'sess-1');
+});
+
+test('an unknown path registers a folder and notifies once', async () => {
+  const unknownPath = '/var/www/NextBid_Dev/mystery/tools';
+
+  await catalog({}, unknownPath);
+  await catalog({}, unknownPath);
+
+  const folders = db.rows('dev_project_ids');
+  assert.equal(folders.length, 1);
+  assert.equal(folders[0].path, unknownPath);
+  assert.equal(folders[0].label, 'tools');
+
+  const notifications = db.rows('dev_ai_notifications');
+  assert.equal(notifications.length, 1);
+  assert.equal(notifications[0].notification_type, 'unknown_path');
+});
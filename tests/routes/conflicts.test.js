@@ -0,0 +1,126 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, useMemoryDb } = require('../support/app');
+const conflictsRoutes = require('../../src/routes/conflicts');
+
+let app;
+let db;
+
+before(async () => {
+  app = await startApp(conflictsRoutes);
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  db = useMemoryDb({
+    dev_ai_knowledge: [
+      { id: 'k1', project_id: 'p1', title: 'Port', content: 'Susan runs on 5403' }
+    ]
+  });
+});
+
+async function flag(overrides = {}) {
+  return app.request('POST', '/api/conflicts/flag', {
+    project_id: 'p1',
+    existing_table: 'dev_ai_knowledge',
+    existing_id: 'k1',
+    existing_content: 'Susan runs on 5403',
+    new_content: 'Susan runs on 5404',
+    ...overrides
+  });
+}
+
+test('POST /api/conflicts/flag validates required fields', async () => {
+  const res = await app.request('POST', '/api/conflicts/flag', { existing_table: 'dev_ai_knowledge' });
+  assert.equal(res.status, 422);
+  assert.deepEqual(res.body.errors.map(e => e.path), ['existing_id', 'new_content']);
+});
+
+test('flagging stores a pending conflict and notifies the dev', async () => {
+  const res = await flag();
+  assert.equal(res.status, 200);
+  assert.equal(res.body.conflict.status, 'pending');
+
+  const notifications = db.rows('dev_ai_notifications');
+  assert.equal(notifications.length, 1);
+  assert.equal(notifications[0].related_id, res.body.conflict.id);
+  assert.equal(notifications[0].notification_type, 'conflict');
+});
+
+test('GET /api/conflicts lists pending conflicts only by default', async () => {
+  await flag();
+  db.seed('dev_ai_conflicts', [{ id: 'c-old', status: 'resolved_dismiss', created_at: '2026-01-01T00:00:00.000Z' }]);
+
+  const res = await app.request('GET', '/api/conflicts');
+  assert.equal(res.body.count, 1);
+
+  const all = await app.request('GET', '/api/conflicts?status=all');
+  assert.equal(all.body.count, 2);
+});
+
+test('resolving with update rewrites the existing record', async () => {
+  const { body } = await flag();
+
+  const res = await app.request('POST', '/api/conflicts/resolve', {
+    conflict_id: body.conflict.id,
+    dev_id: 'dev-1',
+    resolution: 'update'
+  });
+  assert.equal(res.status, 200);
+
+  assert.equal(db.rows('dev_ai_knowledge')[0].content, 'Susan runs on 5404');
+  const conflict = db.rows('dev_ai_conflicts')[0];
+  assert.equal(conflict.status, 'resolved_update');
+  assert.equal(conflict.resolved_by, 'dev-1');
+});
+
+test('resolving keep_existing leaves the record alone', async () => {
+  const { body } = await flag();
+
+  await app.request('POST', '/api/conflicts/resolve', {
+    conflict_id: body.conflict.id,
+    dev_id: 'dev-1',
+    resolution: 'keep_existing'
+  });
+
+  assert.equal(db.rows('dev_ai_knowledge')[0].content, 'Susan runs on 5403');
+});
+
+test('a conflict cannot be resolved twice', async () => {
+  const { body } = await flag();
+  const payload = { conflict_id: body.conflict.id, dev_id: 'dev-1', resolution: 'dismiss' };
+
+  await app.request('POST', '/api/conflicts/resolve', payload);
+  const again = await app.request('POST', '/api/conflicts/resolve', payload);
+
+  assert.equal(again.status, 400);
+  assert.match(again.body.error, /already resolved_dismiss/);
+});
+
+test('unknown resolutions and conflicts are rejected', async () => {
+  const bad = await app.request('POST', '/api/conflicts/resolve', { conflict_id: 'x', dev_id: 'd', resolution: 'merge' });
+  assert.equal(bad.status, 422);
+  assert.equal(bad.body.errors[0].path, 'resolution');
+
+  const missing = await app.request('POST', '/api/conflicts/resolve', { conflict_id: 'x', dev_id: 'd', resolution: 'dismiss' });
+  assert.equal(missing.status, 404);
+});
+
+test('GET /api/conflicts/:id includes the current existing record', async () => {
+  const { body } = await flag();
+  const res = await app.request('GET', `/api/conflicts/${body.conflict.id}`);
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.existingRecord.id, 'k1');
+  assert.equal(res.body.comparison.newContent, 'Susan runs on 5404');
+});
+
+test('POST /api/notifications/read marks notifications read', async () => {
+  await flag();
+  const [notification] = db.rows('dev_ai_notifications');
+
+  const res = await app.request('POST', '/api/notifications/read', { notification_ids: [notification.id] });
+  assert.equal(res.status, 200);
+  assert.equal(db.rows('dev_ai_notifications')[0].status, 'read');
+});
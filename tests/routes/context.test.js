@@ -0,0 +1,119 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, useMemoryDb } = require('../support/app');
+const contextRoutes = require('../../src/routes/context');
+
+const PROJECT = '11111111-2222-3333-4444-555555555555';
+const OTHER = '99999999-2222-3333-4444-555555555555';
+const HOUR_MS = 60 * 60 * 1000;
+const hoursAgo = (hours) => new Date(Date.now() - hours * HOUR_MS).toISOString();
+
+let app;
+let db;
+const realFetch = global.fetch;
+
+before(async () => {
+  // Ryan (5407) is not running in tests - answer for him instead of hitting the network
+  global.fetch = async (url, options) => {
+    if (String(url).startsWith('http://localhost:5407')) {
+      return { ok: false, json: async () => null };
+    }
+    return realFetch(url, options);
+  };
+  app = await startApp(contextRoutes);
+});
+
+after(async () => {
+  await app.close();
+  global.fetch = realFetch;
+});
+
+beforeEach(() => {
+  db = useMemoryDb({
+    dev_ai_journal: [
+      { id: 'j1', entry_type: 'work_log', title: 'Wired the memory db', content: 'tests', project_id: PROJECT, created_at: hoursAgo(1) },
+      { id: 'j-old', entry_type: 'work_log', title: 'Yesterday', content: 'old', project_id: PROJECT, created_at: hoursAgo(30) }
+    ],
+    dev_ai_sessions: [
+      { id: 's1', project_id: PROJECT, status: 'completed', started_at: hoursAgo(3), ended_at: hoursAgo(2), summary: 'Test session' }
+    ],
+    dev_ai_knowledge: [
+      { id: 'k1', title: 'Project fact', summary: 'a', importance: 8, project_id: PROJECT, created_at: hoursAgo(5) },
+      { id: 'k2', title: 'Global fact', summary: 'b', importance: 5, project_id: null, created_at: hoursAgo(5) },
+      { id: 'k3', title: 'Other project fact', summary: 'c', importance: 9, project_id: OTHER, created_at: hoursAgo(5) }
+    ],
+    dev_ai_todos: [
+      { id: 't1', title: 'Open todo', status: 'pending', priority: 'high', project_id: PROJECT, created_at: hoursAgo(4) },
+      { id: 't2', title: 'Done todo', status: 'completed', priority: 'high', project_id: PROJECT, created_at: hoursAgo(4) }
+    ],
+    dev_ai_bugs: [
+      { id: 'b1', title: 'Open bug', status: 'open', severity: 'high', project_id: PROJECT, created_at: hoursAgo(4) }
+    ],
+    dev_ai_structures: [
+      { project_id: PROJECT, project_name: 'Susan', ports: [{ port: 5403, service: 'susan' }], services: ['api'], databases: [] }
+    ]
+  });
+});
+
+test('GET /api/context builds all three memory layers', async () => {
+  const res = await app.request('GET', `/api/context?project=${PROJECT}`);
+  assert.equal(res.status, 200);
+
+  const body = res.body;
+  assert.deepEqual(body.recentTranscripts.map(t => t.id), ['j1']);
+  assert.equal(body.lastSession.id, 's1');
+  assert.deepEqual(body.relevantKnowledge.map(k => k.id), ['k1', 'k2']);
+  assert.deepEqual(body.todos.map(t => t.id), ['t1']);
+  assert.deepEqual(body.bugs.map(b => b.id), ['b1']);
+  assert.deepEqual(body.ports, [{ port: 5403, service: 'susan', project: 'Susan' }]);
+  assert.equal(body.projectInfo.name, 'Susan');
+  assert.match(body.greeting, /SUSAN'S MEMORY BRIEFING/);
+  assert.equal(body.budget, undefined);
+});
+
+test('a non-UUID project does not filter by project', async () => {
+  const res = await app.request('GET', '/api/context?project=/var/www/susan');
+  assert.deepEqual(res.body.relevantKnowledge.map(k => k.id), ['k3', 'k1', 'k2']);
+  assert.equal(res.body.projectInfo, null);
+});
+
+test('budget must be a number of tokens above the minimum', async () => {
+  const res = await app.request('GET', '/api/context?budget=10');
+  assert.equal(res.status, 400);
+
+  const nan = await app.request('GET', '/api/context?budget=lots');
+  assert.equal(nan.status, 400);
+});
+
+test('with a budget the context is packed and reported', async () => {
+  const res = await app.request('GET', `/api/context?project=${PROJECT}&budget=500&focus=memory db`);
+  assert.equal(res.status, 200);
+
+  const { budget } = res.body;
+  assert.equal(budget.limit, 500);
+  assert.equal(budget.focus, 'memory db');
+  assert.ok(budget.used <= budget.limit + budget.greetingTokens);
+  assert.ok(budget.sections.recentTranscripts.included >= 1);
+});
+
+test('focus reaches matching rows outside the candidate pool', async () => {
+  const filler = Array.from({ length: 120 }, (_, i) => ({
+    id: `t-fill-${i}`, title: `Routine chore ${i}`, status: 'pending', priority: 'high', project_id: PROJECT, created_at: hoursAgo(2)
+  }));
+  db.seed('dev_ai_todos', [
+    ...filler,
+    { id: 't-handshake', title: 'Retry the websocket handshake', description: 'drops on reconnect', status: 'pending', priority: 'medium', project_id: PROJECT, created_at: hoursAgo(720) }
+  ]);
+
+  const unfocused = await app.request('GET', `/api/context?project=${PROJECT}&budget=20000`);
+  assert.ok(!unfocused.body.todos.some(t => t.id === 't-handshake'));
+
+  const packed = await app.request('GET', `/api/context?project=${PROJECT}&budget=20000&focus=handshake`);
+  assert.equal(packed.status, 200);
+  assert.equal(packed.body.budget.sections.todos.candidates, 101);
+  assert.ok(packed.body.todos.some(t => t.id === 't-handshake'));
+
+  const unbudgeted = await app.request('GET', `/api/context?project=${PROJECT}&focus=handshake`);
+  assert.equal(unbudgeted.body.todos.length, 15);
+  assert.equal(unbudgeted.body.todos[0].id, 't-handshake');
+});
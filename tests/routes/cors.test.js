@@ -0,0 +1,39 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMemoryDb } = require('../support/app');
+const config = require('../../src/lib/config');
+const app = require('../../src/routes');
+
+let server;
+let url;
+
+before(async () => {
+  useMemoryDb({});
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  url = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(done => server.close(done)));
+
+const preflight = (origin) => fetch(`${url}/api/todos`, {
+  method: 'OPTIONS',
+  headers: { Origin: origin, 'Access-Control-Request-Method': 'GET', 'Access-Control-Request-Headers': 'authorization' }
+});
+
+test('any browser origin may call the API when CORS_ORIGINS is unset', async () => {
+  assert.deepEqual(config.CORS_ORIGINS, []);
+  const res = await preflight('http://10.0.0.5:5500');
+  assert.equal(res.status, 204);
+  assert.equal(res.headers.get('access-control-allow-origin'), '*');
+});
+
+test('CORS_ORIGINS narrows browser access to the listed origins', async (t) => {
+  const original = config.CORS_ORIGINS;
+  config.CORS_ORIGINS = ['http://dashboard:5500'];
+  t.after(() => { config.CORS_ORIGINS = original; });
+
+  assert.equal((await preflight('http://dashboard:5500')).headers.get('access-control-allow-origin'), 'http://dashboard:5500');
+  assert.equal((await preflight('http://elsewhere:3000')).headers.get('access-control-allow-origin'), null);
+});
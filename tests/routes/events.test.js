@@ -0,0 +1,137 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, useMemoryDb } = require('../support/app');
+const eventsRoutes = require('../../src/routes/events');
+const catalogRoutes = require('../../src/routes/catalog');
+const eventBus = require('../../src/services/eventBus');
+const consolidator = require('../../src/services/consolidator');
+const extractionSorter = require('../../src/services/extractionSorter');
+
+const PROJECT_PATH = '/var/www/NextBid_Dev/susan';
+
+let app;
+let db;
+
+before(async () => {
+  app = await startApp(eventsRoutes, catalogRoutes);
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  eventBus.reset();
+  db = useMemoryDb({
+    dev_projects: [
+      { id: 'proj-1', name: 'Susan', slug: 'susan', server_path: PROJECT_PATH }
+    ]
+  });
+});
+
+/**
+ * Open an SSE stream; next(n) resolves with the next n parsed frames
+ */
+async function openStream(query = '', headers = {}) {
+  const controller = new AbortController();
+  const response = await fetch(`${app.url}/api/events${query}`, { headers, signal: controller.signal });
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  async function next(count = 1) {
+    const frames = [];
+    while (frames.length < count) {
+      const end = buffer.indexOf('\n\n');
+      if (end === -1) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        continue;
+      }
+      const chunk = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      const fields = Object.fromEntries(chunk.split('\n')
+        .filter(line => line && !line.startsWith(':'))
+        .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+      if (fields.data) frames.push({ id: fields.id, event: fields.event, data: JSON.parse(fields.data) });
+    }
+    return frames;
+  }
+
+  // Wait until the route has subscribed
+  while (eventBus.subscriberCount() === 0) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+
+  return { response, next, close: () => controller.abort() };
+}
+
+test('catalog writes stream to SSE subscribers as typed events', async () => {
+  const stream = await openStream('?types=todo.*,bug.created');
+  assert.equal(stream.response.headers.get('content-type'), 'text/event-stream');
+
+  await app.request('POST', '/api/catalog', {
+    sessionId: 'sess-1',
+    projectPath: PROJECT_PATH,
+    extraction: {
+      todos: [{ title: 'Add SSE tests' }],
+      decisions: [{ title: 'Push, do not poll' }],
+      bugs: [{ title: 'Stream drops on reconnect', severity: 'high' }]
+    }
+  });
+
+  const [todo, bug] = await stream.next(2);
+  stream.close();
+
+  assert.equal(todo.event, 'todo.created');
+  assert.equal(todo.data.source, 'catalog');
+  assert.equal(todo.data.data.title, 'Add SSE tests');
+  assert.equal(todo.data.data.id, db.rows('dev_ai_todos')[0].id);
+
+  // decision.created was filtered out by the types query
+  assert.equal(bug.event, 'bug.created');
+  assert.equal(bug.data.data.severity, 'high');
+});
+
+test('Last-Event-ID replays what a reconnecting client missed', async () => {
+  const first = eventBus.emit('conflict.flagged', { id: 'c1', project_id: 'p1' });
+  eventBus.emit('purge.approved', { id: 'r1', project_id: 'p2' });
+  eventBus.emit('conflict.resolved', { id: 'c1', project_id: 'p1' });
+
+  const stream = await openStream('?project=p1', { 'Last-Event-ID': String(first.seq) });
+  const [missed] = await stream.next(1);
+  stream.close();
+
+  assert.equal(missed.event, 'conflict.resolved');
+  assert.equal(Number(missed.id), first.seq + 2);
+});
+
+test('extraction sorter and consolidator emit events', async () => {
+  const seen = [];
+  eventBus.subscribe(event => seen.push(event));
+
+  db.seed('dev_ai_smart_extractions', [
+    { id: 'x1', bucket: 'Bugs Open', title: 'Login loops', content: 'Login loops', project_id: 'p1', status: 'pending', created_at: '2026-01-01' }
+  ]);
+  await extractionSorter.processStagingItems();
+
+  db.seed('dev_ai_todos', [
+    { id: 't1', project_id: 'p1', title: 'fix login button on dashboard', status: 'pending', validated_at: '2026-01-10', created_at: '2026-01-01' },
+    { id: 't2', project_id: 'p1', title: 'fix logout button on dashboard', status: 'pending', validated_at: '2026-01-10', created_at: '2026-01-02' }
+  ]);
+  await consolidator.consolidateTable('dev_ai_todos', 'p1');
+
+  assert.deepEqual(seen.map(e => e.type), ['bug.created', 'todo.merged']);
+  assert.equal(seen[0].data.bucket, 'Bugs Open');
+  assert.deepEqual([seen[1].data.id, seen[1].data.merged_ids], ['t1', ['t2']]);
+});
+
+test('GET /api/events/recent returns buffered events as JSON', async () => {
+  eventBus.emit('todo.created', { id: 't1', project_id: 'p1' });
+  eventBus.emit('bug.fixed', { id: 'b1', project_id: 'p1' });
+
+  const res = await app.request('GET', '/api/events/recent?types=bug.*');
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.events.map(e => e.type), ['bug.fixed']);
+
+  assert.equal(eventBus.emit('not.a.type', {}), null);
+});
@@ -0,0 +1,139 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, useMemoryDb } = require('../support/app');
+const docsRoutes = require('../../src/routes/docs');
+const notesRoutes = require('../../src/routes/notes');
+const historyRoutes = require('../../src/routes/history');
+const consolidator = require('../../src/services/consolidator');
+
+let app;
+let db;
+
+before(async () => {
+  app = await startApp(docsRoutes, notesRoutes, historyRoutes);
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  db = useMemoryDb();
+});
+
+async function createDoc(content = 'line one\nline two') {
+  const res = await app.request('POST', '/api/doc', { project_id: 'p1', title: 'Setup', content }, { 'X-Actor': 'jen' });
+  return res.body.id;
+}
+
+test('every write to a doc is recorded with its actor', async () => {
+  const id = await createDoc();
+  await app.request('PATCH', `/api/doc/${id}`, { content: 'line one\nline 2' }, { 'X-Actor': 'dev-1' });
+  await app.request('DELETE', `/api/doc/${id}`);
+
+  const res = await app.request('GET', `/api/doc/${id}/history`);
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.revisions.map(r => [r.rev, r.action, r.actor]), [
+    [1, 'create', 'jen'],
+    [2, 'update', 'dev-1'],
+    [3, 'delete', 'api']
+  ]);
+  assert.deepEqual(res.body.revisions[1].changed_fields, ['content']);
+});
+
+test('updates that change nothing do not add a revision', async () => {
+  const res = await app.request('POST', '/api/note', { project_id: 'p1', title: 'Scratch', content: 'x' });
+  await app.request('PATCH', `/api/note/${res.body.id}`, { content: 'x' });
+
+  const history = await app.request('GET', `/api/note/${res.body.id}/history`);
+  assert.equal(history.body.revisions.length, 1);
+});
+
+test('diff shows the changed fields with a line diff for text', async () => {
+  const id = await createDoc();
+  await app.request('PATCH', `/api/doc/${id}`, { title: 'Install', content: 'line one\nline 2' });
+
+  const res = await app.request('GET', `/api/doc/${id}/history/2/diff`);
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.changes.map(c => c.field), ['content', 'title']);
+
+  const content = res.body.changes[0];
+  assert.deepEqual(content.lines, [
+    { op: ' ', line: 'line one' },
+    { op: '-', line: 'line two' },
+    { op: '+', line: 'line 2' }
+  ]);
+  assert.deepEqual(res.body.changes[1], { field: 'title', before: 'Setup', after: 'Install' });
+});
+
+test('diff against another revision compares the two snapshots', async () => {
+  const id = await createDoc('a');
+  await app.request('PATCH', `/api/doc/${id}`, { content: 'b' });
+  await app.request('PATCH', `/api/doc/${id}`, { content: 'c' });
+
+  const res = await app.request('GET', `/api/doc/${id}/history/3/diff?against=1`);
+  assert.equal(res.body.against, 1);
+  assert.deepEqual(res.body.changes, [{ field: 'content', before: 'a', after: 'c' }]);
+});
+
+test('restore brings back old content as a new revision', async () => {
+  const id = await createDoc('original');
+  await app.request('PATCH', `/api/doc/${id}`, { content: 'rewritten' });
+
+  const res = await app.request('POST', `/api/doc/${id}/history/1/restore`, null, { 'X-Actor': 'dev-1' });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.rev, 3);
+  assert.equal(res.body.record.content, 'original');
+
+  const saved = db.rows('dev_ai_docs').find(r => r.id === id);
+  assert.equal(saved.content, 'original');
+  assert.equal(saved.embedding, null);
+
+  const history = await app.request('GET', `/api/doc/${id}/history`);
+  const last = history.body.revisions.at(-1);
+  assert.deepEqual([last.action, last.actor, last.restored_from], ['restore', 'dev-1', 1]);
+  assert.equal(history.body.revisions.length, 3);
+});
+
+test('restore recreates a deleted item but refuses to restore a delete', async () => {
+  const id = await createDoc('keep me');
+  await app.request('DELETE', `/api/doc/${id}`);
+  assert.equal(db.rows('dev_ai_docs').length, 0);
+
+  const refused = await app.request('POST', `/api/doc/${id}/history/2/restore`);
+  assert.equal(refused.status, 400);
+
+  const res = await app.request('POST', `/api/doc/${id}/history/1/restore`);
+  assert.equal(res.status, 200);
+  const [restored] = db.rows('dev_ai_docs');
+  assert.equal(restored.id, id);
+  assert.equal(restored.content, 'keep me');
+});
+
+test('unknown types, bad revisions and missing revisions', async () => {
+  const unknown = await app.request('GET', '/api/recipe/1/history');
+  assert.equal(unknown.status, 404);
+  assert.ok(unknown.body.types.includes('doc'));
+
+  const bad = await app.request('GET', '/api/doc/1/history/zero/diff');
+  assert.equal(bad.status, 400);
+
+  const missing = await app.request('GET', '/api/doc/1/history/9/diff');
+  assert.equal(missing.status, 404);
+});
+
+test('consolidation records the merge on master and duplicates', async () => {
+  db.seed('dev_ai_todos', [
+    { id: 't1', title: 'fix login on dashboard', status: 'pending', created_at: '2026-01-01T00:00:00.000Z' },
+    { id: 't2', title: 'fix logout on dashboard', status: 'pending', created_at: '2026-01-02T00:00:00.000Z' }
+  ]);
+
+  const rows = db.rows('dev_ai_todos');
+  await consolidator.consolidateGroup('dev_ai_todos', rows);
+
+  const dup = await app.request('GET', '/api/todo/t2/history');
+  const [revision] = dup.body.revisions;
+  assert.deepEqual([revision.action, revision.actor], ['consolidate', 'consolidator']);
+  assert.deepEqual(revision.changed_fields, ['consolidated_into', 'status']);
+
+  const diff = await app.request('GET', '/api/todo/t1/history/1/diff');
+  assert.equal(diff.body.changes[0].before, 'fix login on dashboard');
+});
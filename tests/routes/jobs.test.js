@@ -0,0 +1,160 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, useMemoryDb } = require('../support/app');
+const jobsRoutes = require('../../src/routes/jobs');
+const jobScheduler = require('../../src/services/jobScheduler');
+
+let app;
+let db;
+let calls;
+
+before(async () => {
+  app = await startApp(jobsRoutes);
+});
+
+after(() => app.close());
+
+beforeEach(async () => {
+  db = useMemoryDb();
+  calls = [];
+  jobScheduler.unregisterAll();
+  jobScheduler.register('sorter', async () => {
+    calls.push('sorter');
+    return { processed: 3 };
+  }, { schedule: '*/5 * * * *', description: 'Sort staging' });
+  jobScheduler.register('broken', async () => {
+    throw new Error('disk full');
+  }, { schedule: '@daily' });
+  await jobScheduler.ensureRows();
+});
+
+test('manual runs are recorded with duration, stats and errors', async () => {
+  const ok = await app.request('POST', '/api/jobs/sorter/run', null, { 'X-Actor': 'dev-1' });
+  assert.equal(ok.status, 200);
+  assert.equal(ok.body.run.status, 'succeeded');
+  assert.deepEqual(ok.body.run.stats, { processed: 3 });
+  assert.equal(ok.body.run.triggered_by, 'dev-1');
+  assert.equal(typeof ok.body.run.duration_ms, 'number');
+
+  const failed = await app.request('POST', '/api/jobs/broken/run');
+  assert.equal(failed.body.success, false);
+  assert.equal(failed.body.run.error, 'disk full');
+
+  const history = await app.request('GET', '/api/jobs/broken/runs');
+  assert.deepEqual(history.body.runs.map(r => r.status), ['failed']);
+
+  const list = await app.request('GET', '/api/jobs');
+  const sorter = list.body.jobs.find(j => j.name === 'sorter');
+  assert.equal(sorter.schedule, '*/5 * * * *');
+  assert.equal(sorter.lastRun.status, 'succeeded');
+  assert.equal(sorter.lockedBy, null);
+
+  assert.equal((await app.request('POST', '/api/jobs/nope/run')).status, 404);
+});
+
+test('a lock held by another instance blocks the run until it expires', async () => {
+  await db.from('dev_ai_jobs')
+    .update({ locked_by: 'other-host:42', locked_until: new Date(Date.now() + 60000).toISOString() })
+    .eq('name', 'sorter');
+
+  const blocked = await app.request('POST', '/api/jobs/sorter/run');
+  assert.equal(blocked.status, 409);
+  assert.match(blocked.body.error, /another instance/);
+  assert.deepEqual(calls, []);
+
+  // Abandoned lock (instance died mid-run)
+  await db.from('dev_ai_jobs').update({ locked_until: new Date(Date.now() - 1000).toISOString() }).eq('name', 'sorter');
+  assert.equal((await app.request('POST', '/api/jobs/sorter/run')).status, 200);
+  assert.deepEqual(calls, ['sorter']);
+});
+
+test('ticks run due jobs on schedule and skip paused ones', async () => {
+  const later = new Date(Date.now() + 24 * 60 * 60 * 1000 + 60000);
+
+  const paused = await app.request('POST', '/api/jobs/broken/pause', null, { 'X-Actor': 'dev-1' });
+  assert.equal(paused.body.job.paused_by, 'dev-1');
+
+  await jobScheduler.tick(later);
+  assert.deepEqual(calls, ['sorter']);
+  assert.deepEqual(db.rows('dev_ai_job_runs').map(r => [r.job_name, r.trigger]), [['sorter', 'schedule']]);
+
+  // Not due again until the next slot
+  await jobScheduler.tick(later);
+  assert.equal(calls.length, 1);
+
+  await app.request('POST', '/api/jobs/broken/resume');
+  const list = await app.request('GET', '/api/jobs');
+  assert.equal(list.body.jobs.find(j => j.name === 'broken').paused, false);
+});
+
+test('wait: false answers 202 while the job runs', async () => {
+  let finish;
+  jobScheduler.register('slow', () => new Promise(resolve => { finish = resolve; }), { schedule: '@hourly' });
+
+  const started = await app.request('POST', '/api/jobs/slow/run', { wait: false });
+  assert.equal(started.status, 202);
+  assert.equal(started.body.run.status, 'running');
+
+  assert.equal((await app.request('POST', '/api/jobs/slow/run')).status, 409);
+
+  finish({ done: true });
+  await new Promise(resolve => setTimeout(resolve, 20));
+  const [run] = (await app.request('GET', '/api/jobs/slow/runs')).body.runs;
+  assert.equal(run.status, 'succeeded');
+});
+
+test('recovery interrupts runs whose lock expired and leaves live ones alone', async () => {
+  const host = jobScheduler.INSTANCE_ID.split(':')[0];
+  const soon = new Date(Date.now() + 60000).toISOString();
+  const gone = new Date(Date.now() - 60000).toISOString();
+  // Another Susan on this host (a pm2 reload) still holds its lock - it is alive
+  await db.from('dev_ai_jobs').update({ locked_by: `${host}:1`, locked_until: soon }).eq('name', 'broken');
+  await db.from('dev_ai_jobs').update({ locked_by: 'other-host:7', locked_until: gone }).eq('name', 'sorter');
+  db.seed('dev_ai_job_runs', [
+    { id: 'r1', job_name: 'broken', instance: `${host}:1`, status: 'running', started_at: new Date().toISOString() },
+    { id: 'r2', job_name: 'sorter', instance: 'other-host:7', status: 'running', started_at: new Date(Date.now() - 5000).toISOString() }
+  ]);
+
+  assert.deepEqual(await jobScheduler.recover(), ['sorter']);
+
+  const runs = Object.fromEntries(db.rows('dev_ai_job_runs').map(r => [r.id, r]));
+  assert.equal(runs.r1.status, 'running');
+  assert.equal(runs.r2.status, 'interrupted');
+  assert.ok(runs.r2.duration_ms >= 5000);
+
+  const history = await app.request('GET', '/api/jobs/sorter/runs?status=interrupted');
+  assert.equal(history.body.total, 1);
+  assert.equal((await app.request('POST', '/api/jobs/sorter/run')).status, 200);
+  assert.equal((await app.request('POST', '/api/jobs/broken/run')).status, 409);
+});
+
+test('taking an expired lock closes out the run left under it', async () => {
+  await db.from('dev_ai_jobs').update({ locked_by: 'other-host:7', locked_until: new Date(Date.now() - 1000).toISOString() }).eq('name', 'sorter');
+  db.seed('dev_ai_job_runs', [
+    { id: 'r-stale', job_name: 'sorter', instance: 'other-host:7', status: 'running', started_at: new Date(Date.now() - 5000).toISOString() }
+  ]);
+
+  assert.equal((await app.request('POST', '/api/jobs/sorter/run')).status, 200);
+  const runs = db.rows('dev_ai_job_runs');
+  assert.equal(runs.find(r => r.id === 'r-stale').status, 'interrupted');
+  assert.equal(runs.filter(r => r.status === 'running').length, 0);
+});
+
+test('drain waits for runs in flight', async () => {
+  let finish;
+  jobScheduler.register('slow', () => new Promise(resolve => { finish = resolve; }), { schedule: '@hourly' });
+  await jobScheduler.runJob('slow', { wait: false });
+
+  const drained = jobScheduler.drain();
+  setTimeout(() => finish({ done: true }), 10);
+  assert.deepEqual(await drained, ['slow']);
+  assert.equal(db.rows('dev_ai_job_runs')[0].status, 'succeeded');
+});
+
+test('once shutdown stops the scheduler, manual runs are refused', async () => {
+  jobScheduler.stop();
+  const res = await app.request('POST', '/api/jobs/sorter/run');
+  assert.equal(res.status, 503);
+  assert.deepEqual(calls, []);
+  assert.equal(db.rows('dev_ai_job_runs').length, 0);
+});
@@ -0,0 +1,54 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, useMemoryDb } = require('../support/app');
+const config = require('../../src/lib/config');
+const knowledgeRoutes = require('../../src/routes/knowledge');
+const docsRoutes = require('../../src/routes/docs');
+
+let app;
+let db;
+let savedProvider;
+
+before(async () => {
+  savedProvider = config.EMBEDDING_PROVIDER;
+  config.EMBEDDING_PROVIDER = 'local';
+  app = await startApp(knowledgeRoutes, docsRoutes);
+});
+
+after(() => {
+  config.EMBEDDING_PROVIDER = savedProvider;
+  return app.close();
+});
+
+beforeEach(() => {
+  db = useMemoryDb({
+    dev_ai_knowledge: [
+      { id: 'k1', title: 'Retry the socket handshake', summary: 'Back off then reconnect', importance: 5 },
+      { id: 'k2', title: 'Dashboard palette', summary: 'Colours for dark mode', importance: 5 }
+    ]
+  });
+});
+
+// Background embeds run on the memory adapter's microtasks; one turn lets them land
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('keyword queries with commas or parentheses are not a 500', async () => {
+  const res = await app.request('GET', `/api/query?q=${encodeURIComponent('handshake, (retry)')}`);
+  assert.equal(res.status, 200);
+
+  const plain = await app.request('GET', '/api/query?q=handshake');
+  assert.deepEqual(plain.body.map(row => row.id), ['k1']);
+});
+
+test('docs written or edited through the API are embedded straight away', async () => {
+  const created = await app.request('POST', '/api/doc', { project_id: 'p1', title: 'Deploy guide', content: 'Build, then restart pm2' });
+  await settle();
+  const doc = db.rows('dev_ai_docs').find(row => row.id === created.body.id);
+  assert.match(doc.embedding_model, /^local-hash/);
+
+  await app.request('PATCH', `/api/doc/${doc.id}`, { content: 'Build, migrate, then restart pm2' });
+  await settle();
+  const edited = db.rows('dev_ai_docs').find(row => row.id === doc.id);
+  assert.match(edited.embedding_model, /^local-hash/);
+  assert.notDeepEqual(edited.embedding, doc.embedding);
+});
@@ -0,0 +1,107 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, useMemoryDb } = require('../support/app');
+const mergesRoutes = require('../../src/routes/merges');
+const consolidator = require('../../src/services/consolidator');
+
+let app;
+let db;
+
+before(async () => {
+  app = await startApp(mergesRoutes);
+});
+
+after(() => app.close());
+
+function todo(id, title, day) {
+  return {
+    id,
+    project_id: 'p1',
+    title,
+    description: `${title} details`,
+    status: 'pending',
+    validated_at: '2026-01-10T00:00:00.000Z',
+    created_at: `2026-01-0${day}T00:00:00.000Z`,
+    updated_at: `2026-01-0${day}T00:00:00.000Z`
+  };
+}
+
+beforeEach(() => {
+  db = useMemoryDb({
+    dev_ai_todos: [
+      todo('t1', 'fix login button on dashboard', 1),
+      todo('t2', 'fix logout button on dashboard', 2),
+      todo('t3', 'write release notes', 3)
+    ]
+  });
+});
+
+async function consolidate() {
+  return consolidator.consolidateTable('dev_ai_todos', 'p1');
+}
+
+test('consolidation stores a merge record with the original rows', async () => {
+  const result = await consolidate();
+  assert.equal(result.consolidated, 1);
+
+  const res = await app.request('GET', '/api/merges');
+  assert.equal(res.status, 200);
+  assert.equal(res.body.total, 1);
+
+  const [merge] = res.body.merges;
+  assert.equal(merge.table, 'dev_ai_todos');
+  assert.equal(merge.master_id, 't1');
+  assert.deepEqual(merge.sources.map(s => [s.id, s.title, s.status]), [
+    ['t1', 'fix login button on dashboard', 'pending'],
+    ['t2', 'fix logout button on dashboard', 'pending']
+  ]);
+
+  const detail = await app.request('GET', `/api/merges/${merge.id}`);
+  assert.equal(detail.body.merge.originals[1].description, 'fix logout button on dashboard details');
+});
+
+test('undo restores every source item and marks the merge undone', async () => {
+  await consolidate();
+  const [merge] = db.rows('dev_ai_merges');
+
+  const res = await app.request('POST', `/api/merges/${merge.id}/undo`, null, { 'X-Actor': 'dev-1' });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.restored.sort(), ['t1', 't2']);
+  assert.equal(res.body.blockedPairs, 1);
+
+  const todos = Object.fromEntries(db.rows('dev_ai_todos').map(t => [t.id, t]));
+  assert.equal(todos.t1.title, 'fix login button on dashboard');
+  assert.equal(todos.t2.status, 'pending');
+  assert.equal(todos.t2.consolidated_into, null);
+
+  const [saved] = db.rows('dev_ai_merges');
+  assert.deepEqual([saved.status, saved.undone_by], ['undone', 'dev-1']);
+
+  const again = await app.request('POST', `/api/merges/${merge.id}/undo`);
+  assert.equal(again.status, 409);
+});
+
+test('undone pairs are never merged again', async () => {
+  await consolidate();
+  const [merge] = db.rows('dev_ai_merges');
+  await app.request('POST', `/api/merges/${merge.id}/undo`);
+
+  const result = await consolidate();
+  assert.equal(result.consolidated, 0);
+  assert.equal(db.rows('dev_ai_merges').length, 1);
+});
+
+test('status filter and unknown merges', async () => {
+  await consolidate();
+  const [merge] = db.rows('dev_ai_merges');
+  await app.request('POST', `/api/merges/${merge.id}/undo`);
+
+  const active = await app.request('GET', '/api/merges');
+  assert.equal(active.body.merges.length, 0);
+
+  const all = await app.request('GET', '/api/merges?status=all');
+  assert.equal(all.body.merges.length, 1);
+
+  const missing = await app.request('POST', '/api/merges/nope/undo');
+  assert.equal(missing.status, 404);
+});
@@ -0,0 +1,110 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startApp } = require('../support/app');
+const processManager = require('../../src/lib/processManager');
+const { createFakeManager } = require('../../src/lib/processManager/fake');
+const { normalize, tailFile } = require('../../src/lib/processManager/pm2');
+const pm2Routes = require('../../src/routes/pm2');
+
+let app;
+let manager;
+
+before(async () => {
+  app = await startApp(pm2Routes);
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  manager = createFakeManager({
+    processes: [
+      { name: 'chad-5401', status: 'online', restarts: 2, memoryBytes: 50e6, cpuPercent: 3, logs: { out: ['one', 'two', 'three'], err: ['boom'] } },
+      { name: 'ai-jen-5402', status: 'stopped' },
+      { name: 'some-other-app', status: 'online' }
+    ]
+  });
+  processManager.setManager(manager);
+});
+
+test('names outside the allow-list never reach the process manager', async () => {
+  for (const name of ['some-other-app', 'chad; rm -rf /', '__proto__']) {
+    const res = await app.request('POST', '/api/pm2/restart', { name });
+    assert.equal(res.status, 400, name);
+    assert.equal(res.body.success, false);
+  }
+  assert.equal((await app.request('POST', '/api/pm2/stop', { name: '' })).status, 422);
+  assert.equal((await app.request('GET', '/api/pm2/logs/some-other-app')).status, 400);
+  assert.deepEqual(manager.calls, []);
+});
+
+test('GET /api/pm2/status reports every worker with structured stats', async () => {
+  const res = await app.request('GET', '/api/pm2/status');
+  assert.equal(res.status, 200);
+  assert.equal(res.body.manager, 'fake');
+
+  const byWorker = Object.fromEntries(res.body.processes.map(p => [p.worker, p]));
+  assert.equal(Object.keys(byWorker).length, 9);
+  assert.deepEqual(
+    [byWorker.chad.process, byWorker.chad.status, byWorker.chad.restarts, byWorker.chad.memoryBytes, byWorker.chad.cpuPercent],
+    ['chad-5401', 'online', 2, 50e6, 3]
+  );
+  assert.equal(typeof byWorker.chad.uptimeMs, 'number');
+  assert.equal(byWorker.jen.status, 'stopped');
+  assert.equal(byWorker.mike.status, 'not_found');
+  assert.ok(!res.body.processes.some(p => p.process === 'some-other-app'));
+});
+
+test('control calls accept the worker or its pm2 name and return before/after', async () => {
+  const started = await app.request('POST', '/api/pm2/start', { name: 'jen' });
+  assert.equal(started.status, 200);
+  assert.deepEqual([started.body.name, started.body.changed, started.body.before.status, started.body.after.status],
+    ['ai-jen-5402', true, 'stopped', 'online']);
+
+  const restarted = await app.request('POST', '/api/pm2/restart', { name: 'chad-5401' });
+  assert.equal(restarted.body.after.restarts, 3);
+
+  const noop = await app.request('POST', '/api/pm2/start', { name: 'chad' });
+  assert.equal(noop.body.changed, false);
+  assert.deepEqual(manager.calls, [{ action: 'start', name: 'ai-jen-5402' }, { action: 'restart', name: 'chad-5401' }]);
+
+  const unregistered = await app.request('POST', '/api/pm2/start', { name: 'mike' });
+  assert.equal(unregistered.status, 404);
+});
+
+test('dry runs report what would happen without doing it', async () => {
+  const res = await app.request('POST', '/api/pm2/stop', { name: 'chad', dry_run: true });
+  assert.equal(res.status, 200);
+  assert.deepEqual([res.body.dryRun, res.body.wouldChange, res.body.reason], [true, true, 'online -> stopped']);
+  assert.deepEqual(manager.calls, []);
+  assert.equal((await manager.describe('chad-5401')).status, 'online');
+});
+
+test('GET /api/pm2/logs/:name tails the requested stream', async () => {
+  const res = await app.request('GET', '/api/pm2/logs/chad?lines=2&stream=out');
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.out, ['two', 'three']);
+  assert.equal(res.body.err, undefined);
+
+  const bad = await app.request('GET', '/api/pm2/logs/chad?stream=all');
+  assert.equal(bad.status, 400);
+});
+
+test('pm2 adapter normalizes process descriptions and tails log files', async () => {
+  const proc = normalize({
+    name: 'chad-5401',
+    pid: 4242,
+    pm_id: 1,
+    monit: { memory: 1024, cpu: 7 },
+    pm2_env: { status: 'online', pm_uptime: Date.now() - 5000, restart_time: 4, pm_out_log_path: '/tmp/out.log' }
+  });
+  assert.deepEqual([proc.status, proc.pid, proc.restarts, proc.memoryBytes, proc.cpuPercent], ['online', 4242, 4, 1024, 7]);
+  assert.ok(proc.uptimeMs >= 5000);
+
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'susan-pm2-')), 'out.log');
+  fs.writeFileSync(file, Array.from({ length: 500 }, (_, i) => `line ${i}`).join('\n') + '\n');
+  assert.deepEqual(await tailFile(file, 3), ['line 497', 'line 498', 'line 499']);
+  assert.deepEqual(await tailFile(file + '.missing', 3), []);
+});
@@ -0,0 +1,129 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, useMemoryDb } = require('../support/app');
+const routingRoutes = require('../../src/routes/routing');
+const extractionSorter = require('../../src/services/extractionSorter');
+
+let app;
+let db;
+
+function staged(id, bucket, extra = {}) {
+  return {
+    id,
+    bucket,
+    title: `${bucket} item`,
+    content: `Content for ${bucket}`,
+    project_id: 'p1',
+    status: 'pending',
+    created_at: `2026-01-01T00:00:0${id.slice(-1)}.000Z`,
+    ...extra
+  };
+}
+
+before(async () => {
+  app = await startApp(routingRoutes);
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  db = useMemoryDb();
+});
+
+test('a new rule routes a bucket that was waiting in the unrouted inbox', async () => {
+  db.seed('dev_ai_smart_extractions', [staged('x1', 'Recipes'), staged('x2', 'Recipes', { project_id: 'p2' })]);
+  await extractionSorter.processStagingItems();
+
+  const inbox = await app.request('GET', '/api/routing/unrouted');
+  assert.deepEqual([inbox.body.total, inbox.body.byBucket], [2, { Recipes: 2 }]);
+
+  const created = await app.request('POST', '/api/routing/rules', {
+    bucket: 'Recipes',
+    target_table: 'dev_ai_docs',
+    status: 'draft',
+    field_map: {
+      title: { template: 'Recipe: {{title}}' },
+      doc_type: { value: 'recipe' },
+      summary: { from: 'content', transform: 'truncate', length: 7 }
+    }
+  }, { 'X-Actor': 'dev-1' });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.rule.created_by, 'dev-1');
+  assert.equal(created.body.requeued, 2);
+
+  const stats = await extractionSorter.processStagingItems();
+  assert.equal(stats.byTable.dev_ai_docs, 2);
+
+  const doc = db.rows('dev_ai_docs').find(d => d.metadata.staging_id === 'x1');
+  assert.equal(doc.title, 'Recipe: Recipes item');
+  assert.equal(doc.doc_type, 'recipe');
+  assert.equal(doc.summary, 'Content');
+  assert.equal(doc.status, 'draft');
+  assert.equal(doc.bucket, 'Recipes');
+  assert.equal(doc.metadata.routing_rule, created.body.rule.id);
+});
+
+test('project rules override global ones and defaults can be replaced', async () => {
+  await app.request('POST', '/api/routing/rules', { bucket: 'Ideas', target_table: 'dev_ai_todos', status: 'idea', project_id: 'p1' });
+
+  const p1 = await app.request('POST', '/api/routing/dry-run', { item: { bucket: 'Ideas', title: 'Dark mode', project_id: 'p1' } });
+  assert.equal(p1.body.destination, 'dev_ai_todos');
+  assert.equal(p1.body.projectOverride, true);
+  assert.deepEqual([p1.body.payload.title, p1.body.payload.status, p1.body.payload.priority], ['Dark mode', 'idea', 'medium']);
+  assert.deepEqual(p1.body.candidates.map(r => r.source).sort(), ['custom', 'default']);
+
+  const p2 = await app.request('POST', '/api/routing/dry-run', { item: { bucket: 'Ideas', title: 'Dark mode', project_id: 'p2' } });
+  assert.equal(p2.body.destination, 'dev_ai_knowledge');
+  assert.equal(p2.body.rule.id, 'default:Ideas');
+
+  // A global rule for the same bucket hides the default
+  await app.request('POST', '/api/routing/rules', { bucket: 'Ideas', target_table: 'dev_ai_decisions' });
+  const rules = await app.request('GET', '/api/routing/rules?bucket=Ideas');
+  assert.deepEqual(rules.body.rules.map(r => r.target_table).sort(), ['dev_ai_decisions', 'dev_ai_todos']);
+
+  const unknown = await app.request('POST', '/api/routing/dry-run', { item: { bucket: 'Recipes' } });
+  assert.deepEqual([unknown.body.routed, unknown.body.destination], [false, 'unrouted']);
+  assert.equal(db.calls.filter(c => c.op === 'insert' && c.table !== 'dev_ai_routing_rules').length, 0);
+});
+
+test('rules can only target the tables the sorter writes to', async () => {
+  for (const target_table of ['dev_ai_api_tokens', 'schema_migrations', 'dev_ai_routing_rules']) {
+    const res = await app.request('POST', '/api/routing/rules', {
+      bucket: 'Todos', project_id: 'p1', target_table, field_map: { name: { value: 'x' } }
+    });
+    assert.equal(res.status, 400, target_table);
+  }
+  assert.equal(db.rows('dev_ai_routing_rules').length, 0);
+
+  // A row stored before the check is ignored, so the default rule applies
+  db.seed('dev_ai_routing_rules', [{ id: 'r1', bucket: 'Todos', project_id: null, target_table: 'dev_ai_api_tokens', status: 'active', enabled: true }]);
+  db.seed('dev_ai_smart_extractions', [staged('x1', 'Todos')]);
+  await extractionSorter.processStagingItems();
+  assert.equal(db.rows('dev_ai_api_tokens').length, 0);
+  assert.equal(db.rows('dev_ai_todos').length, 1);
+});
+
+test('rules are validated and defaults cannot be edited in place', async () => {
+  const noShape = await app.request('POST', '/api/routing/rules', { bucket: 'Recipes', target_table: 'dev_ai_recipes' });
+  assert.equal(noShape.status, 400);
+  assert.match(noShape.body.error, /target_table must be one of/);
+
+  const badTransform = await app.request('POST', '/api/routing/rules', {
+    bucket: 'Recipes', target_table: 'dev_ai_docs', field_map: { title: { from: 'title', transform: 'shout' } }
+  });
+  assert.equal(badTransform.status, 400);
+  assert.match(badTransform.body.error, /field_map\.title\.transform/);
+
+  const created = await app.request('POST', '/api/routing/rules', { bucket: 'Recipes', target_table: 'dev_ai_docs' });
+  assert.equal((await app.request('POST', '/api/routing/rules', { bucket: 'Recipes', target_table: 'dev_ai_lessons' })).status, 409);
+
+  const retarget = await app.request('PATCH', `/api/routing/rules/${created.body.rule.id}`, { target_table: 'dev_ai_api_tokens' });
+  assert.equal(retarget.status, 400);
+
+  const disabled = await app.request('PATCH', `/api/routing/rules/${created.body.rule.id}`, { enabled: false });
+  assert.equal(disabled.body.rule.enabled, false);
+
+  assert.equal((await app.request('PATCH', '/api/routing/rules/default:Todos', { status: 'open' })).status, 400);
+  assert.equal((await app.request('DELETE', `/api/routing/rules/${created.body.rule.id}`)).status, 200);
+  assert.equal((await app.request('DELETE', `/api/routing/rules/${created.body.rule.id}`)).status, 404);
+});
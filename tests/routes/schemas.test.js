@@ -0,0 +1,37 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, useMemoryDb } = require('../support/app');
+const schemaRoutes = require('../../src/routes/schemas');
+
+let app;
+
+before(async () => {
+  useMemoryDb({});
+  app = await startApp(schemaRoutes);
+});
+
+after(() => app.close());
+
+test('GET /api/schemas/requests publishes every request schema', async () => {
+  const res = await app.request('GET', '/api/schemas/requests');
+  assert.equal(res.status, 200);
+  assert.equal(res.body.count, res.body.schemas.length);
+
+  const catalog = res.body.schemas.find(entry => entry.id === 'catalog');
+  assert.deepEqual([catalog.method, catalog.path], ['POST', '/api/catalog']);
+  assert.equal(catalog.schema.properties.extraction.properties.todos.items.required[0], 'title');
+
+  const one = await app.request('GET', '/api/schemas/requests?id=tokens.create');
+  assert.equal(one.body.path, '/api/tokens');
+  assert.equal((await app.request('GET', '/api/schemas/requests?id=nope')).status, 404);
+});
+
+test('write routes answer 422 with field paths before touching the database', async () => {
+  const res = await app.request('POST', '/api/schema', { databaseName: 'susan', tableName: 42 });
+  assert.equal(res.status, 422);
+  assert.deepEqual(res.body, {
+    error: 'Invalid request body',
+    schema: 'schema.store',
+    errors: [{ path: 'tableName', message: 'must be string' }]
+  });
+});
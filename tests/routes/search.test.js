@@ -0,0 +1,68 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, useMemoryDb } = require('../support/app');
+const searchRoutes = require('../../src/routes/search');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS).toISOString();
+
+let app;
+
+before(async () => {
+  app = await startApp(searchRoutes);
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  // More matching todos than one scan page, the oldest being the best match
+  const todos = Array.from({ length: 520 }, (_, i) => ({
+    id: `t-${String(i).padStart(3, '0')}`,
+    project_id: i % 2 ? 'p1' : 'p2',
+    title: `Tidy the logs ${i}`,
+    description: 'Mostly noise from the handshake retries',
+    status: i % 3 ? 'pending' : 'completed',
+    created_at: daysAgo(i / 10)
+  }));
+  useMemoryDb({
+    dev_ai_todos: todos,
+    dev_ai_bugs: [{ id: 'b1', project_id: 'p1', title: 'Drops on reconnect', description: 'Socket closes mid handshake', status: 'open', created_at: daysAgo(1) }],
+    dev_ai_knowledge: [{ id: 'k1', project_id: 'p1', title: 'handshake', summary: 'JWT handshake for 9500', status: 'active', created_at: daysAgo(900) }]
+  });
+});
+
+test('total and facets count every match, not a window of recent rows', async () => {
+  const res = await app.request('GET', '/api/search?q=handshake&limit=5');
+  assert.equal(res.status, 200);
+  assert.equal(res.body.total, 522);
+  assert.deepEqual(res.body.facets.type, { todo: 520, bug: 1, knowledge: 1 });
+  assert.equal(res.body.facets.project.p1, 262);
+  assert.equal(res.body.facets.status.completed, 174);
+
+  // The exact title match outranks newer rows
+  assert.equal(res.body.results[0].id, 'k1');
+  assert.equal(res.body.results.length, 5);
+});
+
+test('the cursor reaches every result exactly once', async () => {
+  const seen = [];
+  let cursor = '';
+  do {
+    const res = await app.request('GET', `/api/search?q=handshake&type=todo,knowledge&project=p1&limit=100${cursor}`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.total, 261);
+    seen.push(...res.body.results.map(r => r.id));
+    cursor = res.body.nextCursor ? `&cursor=${res.body.nextCursor}` : '';
+  } while (cursor);
+
+  assert.equal(seen.length, 261);
+  assert.equal(new Set(seen).size, 261);
+  assert.equal(seen[0], 'k1');
+});
+
+test('bad parameters are 400s', async () => {
+  assert.equal((await app.request('GET', '/api/search?type=nope')).status, 400);
+  assert.equal((await app.request('GET', '/api/search?q=login&q=handshake')).status, 400);
+  assert.equal((await app.request('GET', '/api/search?cursor=garbage')).status, 400);
+  assert.equal((await app.request('GET', '/api/search?created_after=someday')).status, 400);
+});
@@ -0,0 +1,94 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, useMemoryDb } = require('../support/app');
+const stagingRoutes = require('../../src/routes/staging');
+
+let app;
+let db;
+
+function failed(id, status, stage, table, error, extra = {}) {
+  return {
+    id,
+    bucket: 'Todos',
+    title: `Item ${id}`,
+    status,
+    attempts: status === 'error' ? 5 : 2,
+    metadata: { error, error_stage: stage, error_table: table, error_at: `2026-03-0${id.slice(-1)}T10:00:00.000Z` },
+    updated_at: `2026-03-0${id.slice(-1)}T10:00:00.000Z`,
+    ...extra
+  };
+}
+
+before(async () => {
+  app = await startApp(stagingRoutes);
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  db = useMemoryDb({
+    dev_ai_smart_extractions: [
+      failed('s1', 'error', 'insert', 'dev_ai_todos', 'null value in column "title" violates not-null constraint'),
+      failed('s2', 'error', 'insert', 'dev_ai_todos', 'null value in column "title" violates not-null constraint'),
+      failed('s3', 'retry', 'insert', 'dev_ai_todos', 'timeout after 5000 ms', { next_attempt_at: '2026-03-03T11:00:00.000Z' }),
+      failed('s4', 'error', 'bucket_lookup', null, 'Unknown bucket: Recipes', { bucket: 'Recipes' }),
+      { id: 's5', bucket: 'Todos', status: 'processed', metadata: {} }
+    ]
+  });
+});
+
+test('GET /api/staging/errors groups failures by cause', async () => {
+  const res = await app.request('GET', '/api/staging/errors');
+  assert.equal(res.status, 200);
+  assert.equal(res.body.total, 4);
+  assert.deepEqual(res.body.byStatus, { retry: 1, error: 3 });
+
+  const [largest] = res.body.groups;
+  assert.equal(largest.count, 2);
+  assert.equal(largest.stage, 'insert');
+  assert.equal(largest.table, 'dev_ai_todos');
+  assert.deepEqual(largest.items.map(i => i.id), ['s2', 's1']);
+  assert.equal(largest.latestAt, '2026-03-02T10:00:00.000Z');
+
+  // Numbers are blanked so the same failure groups together
+  const timeout = res.body.groups.find(g => g.byStatus.retry === 1);
+  assert.equal(timeout.message, 'timeout after ? ms');
+
+  const deadOnly = await app.request('GET', '/api/staging/errors?status=error&stage=bucket_lookup');
+  assert.deepEqual(deadOnly.body.groups.map(g => g.buckets), [{ Recipes: 1 }]);
+
+  assert.equal((await app.request('GET', '/api/staging/errors?status=processed')).status, 400);
+});
+
+test('requeue by cause resets attempts and records who did it', async () => {
+  const { body: listing } = await app.request('GET', '/api/staging/errors');
+  const cause = listing.groups[0].cause;
+
+  const res = await app.request('POST', '/api/staging/errors/requeue', { cause }, { 'X-Actor': 'dev-1' });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.requeued, 2);
+
+  const rows = Object.fromEntries(db.rows('dev_ai_smart_extractions').map(r => [r.id, r]));
+  assert.equal(rows.s1.status, 'pending');
+  assert.equal(rows.s1.attempts, 0);
+  assert.equal(rows.s1.metadata.requeued_by, 'dev-1');
+  assert.equal(rows.s1.metadata.error_stage, 'insert');
+  assert.equal(rows.s3.status, 'retry');
+
+  assert.equal((await app.request('POST', '/api/staging/errors/requeue', {})).status, 400);
+});
+
+test('discard keeps the row, single-item routes 404 on items that are not failed', async () => {
+  const res = await app.request('POST', '/api/staging/errors/s4/discard', { reason: 'bucket retired' });
+  assert.equal(res.body.discarded, 1);
+
+  const row = db.rows('dev_ai_smart_extractions').find(r => r.id === 's4');
+  assert.equal(row.status, 'discarded');
+  assert.equal(row.metadata.discard_reason, 'bucket retired');
+
+  assert.equal((await app.request('POST', '/api/staging/errors/s4/requeue')).status, 404);
+  assert.equal((await app.request('POST', '/api/staging/errors/s5/discard')).status, 404);
+
+  const bulk = await app.request('POST', '/api/staging/errors/discard', { status: 'retry' });
+  assert.deepEqual(bulk.body.ids, ['s3']);
+});
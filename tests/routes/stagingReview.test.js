@@ -0,0 +1,121 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, useMemoryDb } = require('../support/app');
+const stagingRoutes = require('../../src/routes/staging');
+const extractionSorter = require('../../src/services/extractionSorter');
+
+let app;
+let db;
+
+function staged(id, bucket, confidence, extra = {}) {
+  return {
+    id,
+    bucket,
+    title: `${bucket} item`,
+    content: `Content for ${bucket}`,
+    project_id: 'p1',
+    status: 'pending',
+    confidence,
+    created_at: `2026-01-01T00:00:0${id.slice(-1)}.000Z`,
+    ...extra
+  };
+}
+
+before(async () => {
+  app = await startApp(stagingRoutes);
+});
+
+after(() => app.close());
+
+beforeEach(async () => {
+  db = useMemoryDb({
+    dev_ai_smart_extractions: [
+      staged('x1', 'Todos', 0.9),
+      staged('x2', 'Ideas', 0.3),
+      staged('x3', 'Todos', 0.5),
+      staged('x4', 'Todos', null, { metadata: { confidence: 0.2 } }),
+      staged('x5', 'Todos', null)
+    ],
+    dev_ai_todos: [{ id: 't1', title: 'Add dark mode', status: 'open', metadata: {} }]
+  });
+  await extractionSorter.processStagingItems();
+});
+
+test('low-confidence items wait for review, least confident first', async () => {
+  assert.deepEqual(db.rows('dev_ai_todos').map(t => t.metadata.staging_id).filter(Boolean).sort(), ['x1', 'x5']);
+
+  const res = await app.request('GET', '/api/staging/review');
+  assert.equal(res.body.threshold, 0.6);
+  assert.deepEqual(res.body.items.map(i => [i.id, i.confidence]), [['x4', 0.2], ['x2', 0.3], ['x3', 0.5]]);
+});
+
+test('accepting with edits routes the item and records the decision', async () => {
+  const res = await app.request('POST', '/api/staging/review/x2/accept', {
+    bucket: 'Todos',
+    fields: { title: 'Try a dark theme' }
+  }, { 'X-Actor': 'dev-1' });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.routing.status, 'processed');
+  assert.equal(res.body.routing.table, 'dev_ai_todos');
+
+  const todo = db.rows('dev_ai_todos').find(t => t.metadata.staging_id === 'x2');
+  assert.equal(todo.title, 'Try a dark theme');
+
+  const [feedback] = db.rows('dev_ai_routing_feedback');
+  assert.equal(feedback.decision, 'accept');
+  assert.deepEqual([feedback.bucket, feedback.final_bucket], ['Ideas', 'Todos']);
+  assert.deepEqual(feedback.edited_fields, ['bucket', 'title']);
+  assert.equal(feedback.target_id, todo.id);
+  assert.equal(feedback.decided_by, 'dev-1');
+
+  // Decided once only
+  assert.equal((await app.request('POST', '/api/staging/review/x2/reject')).status, 409);
+  assert.equal((await app.request('POST', '/api/staging/review/x2/accept', { bucket: 'Todos' })).status, 409);
+  const notEditable = await app.request('POST', '/api/staging/review/x3/accept', { fields: { status: 'done' } });
+  assert.equal(notEditable.status, 422);
+  assert.deepEqual(notEditable.body.errors, [{ path: 'fields.status', message: 'is not allowed' }]);
+});
+
+test('reject and merge keep the staging row and feed the signals', async () => {
+  const rejected = await app.request('POST', '/api/staging/review/x4/reject', { reason: 'not a task' });
+  assert.equal(rejected.body.item.status, 'rejected');
+
+  const merged = await app.request('POST', '/api/staging/review/x3/merge', { target_id: 't1' }, { 'X-Actor': 'dev-2' });
+  assert.equal(merged.status, 200);
+  assert.deepEqual(merged.body.target, { table: 'dev_ai_todos', id: 't1' });
+  assert.deepEqual(db.rows('dev_ai_todos').find(t => t.id === 't1').metadata.merged_staging, ['x3']);
+  assert.equal(db.rows('dev_ai_revisions').find(r => r.record_id === 't1').action, 'merge');
+
+  assert.equal((await app.request('POST', '/api/staging/review/x2/merge', { target_id: 'nope' })).status, 404);
+  assert.equal((await app.request('POST', '/api/staging/review/x2/merge', {})).status, 422);
+
+  const outside = await app.request('POST', '/api/staging/review/x2/merge', { target_id: 'k1', table: 'dev_ai_api_tokens' });
+  assert.equal(outside.status, 400);
+
+  const signals = await app.request('GET', '/api/staging/review/signals');
+  assert.equal(signals.body.total, 2);
+  assert.deepEqual(signals.body.buckets, [{
+    bucket: 'Todos',
+    reviewed: 2,
+    accepted: 0,
+    rejected: 1,
+    merged: 1,
+    edited: 0,
+    rebucketed: {},
+    acceptRate: 0,
+    averageConfidence: 0.35
+  }]);
+});
+
+test('a merge the target row cannot take leaves the item in review', async () => {
+  db.failOn('dev_ai_todos', 'column "metadata" does not exist', ['update']);
+
+  const res = await app.request('POST', '/api/staging/review/x3/merge', { target_id: 't1' });
+  assert.equal(res.status, 500);
+
+  const item = db.rows('dev_ai_smart_extractions').find(row => row.id === 'x3');
+  assert.equal(item.status, 'review');
+  assert.equal(item.metadata?.merged_into, undefined);
+  assert.equal(db.rows('dev_ai_routing_feedback').length, 0);
+});
@@ -0,0 +1,96 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, useMemoryDb } = require('../support/app');
+const statsRoutes = require('../../src/routes/stats');
+const bugsRoutes = require('../../src/routes/bugs');
+const statsService = require('../../src/services/statsService');
+
+let app;
+let db;
+
+before(async () => {
+  app = await startApp(statsRoutes, bugsRoutes);
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  db = useMemoryDb({
+    dev_ai_bugs: [
+      { id: 'b1', project_id: 'p1', status: 'open', severity: 'high', environment: 'dev', reported_by: 'tiffany', created_at: '2026-03-02T09:00:00.000Z' },
+      { id: 'b2', project_id: 'p1', status: 'fixed', severity: 'low', environment: null, reported_by: 'tiffany', created_at: '2026-03-01T09:00:00.000Z', resolved_at: '2026-03-02T15:00:00.000Z' },
+      { id: 'b3', project_id: 'p2', status: 'open', severity: 'high', environment: 'prod', created_at: '2026-03-02T10:00:00.000Z' }
+    ],
+    dev_ai_todos: [
+      { id: 't1', project_id: 'p1', status: 'pending', created_at: '2026-03-02T08:00:00.000Z' },
+      { id: 't2', project_id: null, status: 'completed', created_at: '2026-02-20T08:00:00.000Z', completed_at: '2026-03-02T12:00:00.000Z' }
+    ]
+  });
+});
+
+test('GET /api/bugs/stats counts with one grouped query', async () => {
+  const res = await app.request('GET', '/api/bugs/stats?project=p1');
+  assert.deepEqual(res.body.stats, {
+    total: 2,
+    byStatus: { open: 1, fixed: 1 },
+    bySeverity: { high: 1, low: 1 },
+    byEnvironment: { dev: 1 },
+    byReporter: { tiffany: 2 }
+  });
+  assert.deepEqual(db.calls.map(c => c.op), ['select']);
+});
+
+test('a snapshot records open, created and closed counts per project', async () => {
+  const res = await app.request('POST', '/api/stats/snapshot', { date: '2026-03-02' });
+  assert.equal(res.body.rows, 4);
+
+  const rows = db.rows('dev_ai_stats_snapshots');
+  const p1Bugs = rows.find(r => r.entity === 'bugs' && r.project_id === 'p1');
+  assert.deepEqual([p1Bugs.open_count, p1Bugs.total_count, p1Bugs.created_count, p1Bugs.closed_count], [1, 2, 1, 1]);
+
+  const unassignedTodos = rows.find(r => r.entity === 'todos' && r.project_id === '');
+  assert.deepEqual([unassignedTodos.open_count, unassignedTodos.closed_count], [0, 1]);
+
+  // Re-running the same day replaces it
+  await statsService.takeSnapshot({ date: new Date('2026-03-02T00:00:00.000Z') });
+  assert.equal(db.rows('dev_ai_stats_snapshots').length, 4);
+
+  assert.equal((await app.request('POST', '/api/stats/snapshot', { date: 'yesterday' })).status, 422);
+});
+
+test('trends sum projects per day and roll up to weeks', async () => {
+  const snapshot = (date, project, open, created, closed) => ({
+    snapshot_date: date, project_id: project, entity: 'bugs',
+    open_count: open, total_count: open + 5, created_count: created, closed_count: closed
+  });
+  db.seed('dev_ai_stats_snapshots', [
+    snapshot('2026-03-02', 'p1', 4, 2, 0),
+    snapshot('2026-03-02', 'p2', 1, 1, 0),
+    snapshot('2026-03-03', 'p1', 3, 0, 1),
+    snapshot('2026-03-09', 'p1', 2, 1, 2)
+  ]);
+
+  const now = new Date('2026-03-10T12:00:00.000Z');
+  const daily = await statsService.trend({ entity: 'bugs', days: 30, now });
+  assert.deepEqual(daily.points.map(p => [p.date, p.open, p.created]), [
+    ['2026-03-02', 5, 3],
+    ['2026-03-03', 3, 0],
+    ['2026-03-09', 2, 1]
+  ]);
+
+  const weekly = await statsService.trend({ entity: 'bugs', project: 'p1', interval: 'week', days: 30, now });
+  assert.deepEqual(weekly.points.map(p => [p.date, p.open, p.created, p.closed]), [
+    ['2026-03-02', 3, 2, 1],
+    ['2026-03-09', 2, 1, 2]
+  ]);
+
+  assert.equal((await app.request('GET', '/api/stats/trends?entity=widgets')).status, 400);
+  const res = await app.request('GET', '/api/stats/trends?entity=todos&interval=week');
+  assert.deepEqual([res.status, res.body.points], [200, []]);
+});
+
+test('the daily job only snapshots a day once', async () => {
+  const now = new Date('2026-03-03T01:00:00.000Z');
+  assert.equal((await statsService.snapshotIfDue(now)).date, '2026-03-02');
+  assert.equal(await statsService.snapshotIfDue(now), null);
+});
@@ -0,0 +1,370 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, useMemoryDb } = require('../support/app');
+const storageRoutes = require('../../src/routes/storage');
+const trashService = require('../../src/services/trashService');
+const cleanerService = require('../../src/services/cleanerService');
+const purgePreview = require('../../src/services/purgePreview');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS).toISOString();
+
+let app;
+let db;
+
+before(async () => {
+  app = await startApp(storageRoutes);
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  db = useMemoryDb({
+    dev_ai_sessions: [
+      { id: 's-old-1', created_at: daysAgo(45) },
+      { id: 's-old-2', created_at: daysAgo(31) },
+      { id: 's-new', created_at: daysAgo(2) }
+    ],
+    dev_ai_knowledge: [
+      { id: 'k-new', created_at: daysAgo(10) }
+    ]
+  });
+});
+
+test('GET /api/storage/stats counts total and stale rows per table', async () => {
+  const res = await app.request('GET', '/api/storage/stats');
+  assert.equal(res.status, 200);
+
+  const sessions = res.body.tables.dev_ai_sessions;
+  assert.deepEqual([sessions.total, sessions.stale, sessions.retentionDays], [3, 2, 30]);
+  assert.deepEqual(sessions.rules.map(rule => [rule.policy_id, rule.count]), [['default:dev_ai_sessions:*:purge', 2]]);
+  assert.equal(res.body.tables.dev_ai_knowledge.stale, 0);
+  assert.equal(res.body.totals.rows, 4);
+  assert.equal(res.body.recommendations.length, 1);
+  assert.equal(res.body.recommendations[0].table, 'dev_ai_sessions');
+});
+
+test('flag-for-purge creates a pending request and deletes nothing', async () => {
+  const res = await app.request('POST', '/api/storage/flag-for-purge', { tables: ['dev_ai_sessions'] });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.totalFlagged, 2);
+
+  const [request] = db.rows('dev_ai_purge_requests');
+  assert.equal(request.status, 'pending');
+  assert.deepEqual([...request.record_ids].sort(), ['s-old-1', 's-old-2']);
+  assert.equal(db.rows('dev_ai_sessions').length, 3);
+});
+
+test('approve-purge requires request_id and dev_id', async () => {
+  const noId = await app.request('POST', '/api/storage/approve-purge', { dev_id: 'dev-1' });
+  assert.equal(noId.status, 422);
+
+  const noDev = await app.request('POST', '/api/storage/approve-purge', { request_id: 'r1' });
+  assert.equal(noDev.status, 400);
+
+  const missing = await app.request('POST', '/api/storage/approve-purge', { request_id: 'nope', dev_id: 'dev-1' });
+  assert.equal(missing.status, 404);
+});
+
+test('approving a purge deletes exactly the flagged records', async () => {
+  const flagged = await app.request('POST', '/api/storage/flag-for-purge', { tables: ['dev_ai_sessions'] });
+  const requestId = flagged.body.flagged[0].requestId;
+
+  const res = await app.request('POST', '/api/storage/approve-purge', { request_id: requestId, dev_id: 'dev-1' });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.approvedBy, 'dev-1');
+
+  assert.deepEqual(db.rows('dev_ai_sessions').map(r => r.id), ['s-new']);
+  const [request] = db.rows('dev_ai_purge_requests');
+  assert.equal(request.status, 'approved');
+  assert.equal(request.reviewed_by, 'dev-1');
+
+  const again = await app.request('POST', '/api/storage/approve-purge', { request_id: requestId, dev_id: 'dev-1' });
+  assert.equal(again.status, 400);
+});
+
+test('rejecting a purge keeps the records', async () => {
+  const flagged = await app.request('POST', '/api/storage/flag-for-purge', { tables: ['dev_ai_sessions'] });
+  const requestId = flagged.body.flagged[0].requestId;
+
+  await app.request('POST', '/api/storage/approve-purge', { request_id: requestId, dev_id: 'dev-1', approve: false });
+
+  assert.equal(db.rows('dev_ai_sessions').length, 3);
+  assert.equal(db.rows('dev_ai_purge_requests')[0].status, 'rejected');
+});
+
+test('bulk-approve skips requests that are not pending', async () => {
+  db.seed('dev_ai_purge_requests', [
+    { id: 'r1', table_name: 'dev_ai_sessions', record_ids: ['s-old-1'], record_count: 1, status: 'pending' },
+    { id: 'r2', table_name: 'dev_ai_sessions', record_ids: ['s-old-2'], record_count: 1, status: 'rejected' }
+  ]);
+
+  const res = await app.request('POST', '/api/storage/bulk-approve', { request_ids: ['r1', 'r2'], dev_id: 'dev-1' });
+  assert.deepEqual(res.body.results.map(r => r.status), ['approved', 'skipped']);
+  assert.deepEqual(db.rows('dev_ai_sessions').map(r => r.id).sort(), ['s-new', 's-old-2']);
+});
+
+test('GET /api/storage/pending-purges and purge-history split by status', async () => {
+  db.seed('dev_ai_purge_requests', [
+    { id: 'r1', status: 'pending', created_at: daysAgo(1) },
+    { id: 'r2', status: 'approved', reviewed_at: daysAgo(1) }
+  ]);
+
+  const pending = await app.request('GET', '/api/storage/pending-purges');
+  assert.deepEqual(pending.body.pending.map(r => r.id), ['r1']);
+
+  const history = await app.request('GET', '/api/storage/purge-history');
+  assert.deepEqual(history.body.history.map(r => r.id), ['r2']);
+});
+
+test('approved purges land in the trash with the full row and request id', async () => {
+  db.seed('dev_ai_sessions', [{ id: 's-old-3', project_id: 'p1', title: 'Old chat', created_at: daysAgo(60) }]);
+  const flagged = await app.request('POST', '/api/storage/flag-for-purge', { tables: ['dev_ai_sessions'] });
+  const requestId = flagged.body.flagged[0].requestId;
+
+  const res = await app.request('POST', '/api/storage/approve-purge', { request_id: requestId, dev_id: 'dev-1' });
+  assert.equal(res.body.trashed, 3);
+  assert.ok(new Date(res.body.recoverableUntil) > new Date(Date.now() + 29 * DAY_MS));
+
+  const trash = await app.request('GET', `/api/storage/trash?purge_request_id=${requestId}`);
+  assert.equal(trash.body.total, 3);
+  const item = trash.body.trash.find(t => t.record_id === 's-old-3');
+  assert.deepEqual(item.row_data, { id: 's-old-3', project_id: 'p1', title: 'Old chat', created_at: item.row_data.created_at });
+  assert.deepEqual([item.table_name, item.project_id, item.deleted_by], ['dev_ai_sessions', 'p1', 'dev-1']);
+});
+
+test('restoring from the trash puts the row back exactly once', async () => {
+  const flagged = await app.request('POST', '/api/storage/flag-for-purge', { tables: ['dev_ai_sessions'] });
+  await app.request('POST', '/api/storage/approve-purge', { request_id: flagged.body.flagged[0].requestId, dev_id: 'dev-1' });
+  const item = db.rows('dev_ai_trash').find(t => t.record_id === 's-old-1');
+
+  const noDev = await app.request('POST', `/api/storage/trash/${item.id}/restore`, {});
+  assert.equal(noDev.status, 400);
+
+  const res = await app.request('POST', `/api/storage/trash/${item.id}/restore`, { dev_id: 'dev-2' });
+  assert.equal(res.status, 200);
+  assert.deepEqual(db.rows('dev_ai_sessions').map(r => r.id).sort(), ['s-new', 's-old-1']);
+
+  const again = await app.request('POST', `/api/storage/trash/${item.id}/restore`, { dev_id: 'dev-2' });
+  assert.equal(again.status, 409);
+
+  const restored = await app.request('GET', '/api/storage/trash?status=restored');
+  assert.deepEqual(restored.body.trash.map(t => [t.record_id, t.restored_by]), [['s-old-1', 'dev-2']]);
+
+  const missing = await app.request('POST', '/api/storage/trash/nope/restore', { dev_id: 'dev-2' });
+  assert.equal(missing.status, 404);
+});
+
+test('restore refuses to overwrite a row that exists again', async () => {
+  db.seed('dev_ai_trash', [{
+    id: 'tr1', table_name: 'dev_ai_sessions', record_id: 's-new', status: 'trashed',
+    row_data: { id: 's-new', created_at: daysAgo(2) }, expires_at: daysAgo(-30)
+  }]);
+
+  const res = await app.request('POST', '/api/storage/trash/tr1/restore', { dev_id: 'dev-1' });
+  assert.equal(res.status, 409);
+  assert.equal(db.rows('dev_ai_trash')[0].status, 'trashed');
+});
+
+test('nothing is deleted when the trash write fails', async () => {
+  db.failOn('dev_ai_trash', 'trash unavailable', ['insert']);
+  const flagged = await app.request('POST', '/api/storage/flag-for-purge', { tables: ['dev_ai_sessions'] });
+
+  const res = await app.request('POST', '/api/storage/approve-purge', { request_id: flagged.body.flagged[0].requestId, dev_id: 'dev-1' });
+  assert.equal(res.status, 500);
+  assert.equal(db.rows('dev_ai_sessions').length, 3);
+  assert.equal(db.rows('dev_ai_purge_requests')[0].status, 'pending');
+});
+
+test('a failed delete takes the trash copies out again', async () => {
+  db.failOn('dev_ai_sessions', 'sessions locked', ['delete']);
+  const flagged = await app.request('POST', '/api/storage/flag-for-purge', { tables: ['dev_ai_sessions'] });
+
+  const res = await app.request('POST', '/api/storage/approve-purge', { request_id: flagged.body.flagged[0].requestId, dev_id: 'dev-1' });
+  assert.equal(res.status, 500);
+  assert.equal(db.rows('dev_ai_sessions').length, 3);
+  assert.equal(db.rows('dev_ai_trash').length, 0);
+  assert.equal(db.rows('dev_ai_purge_requests')[0].status, 'pending');
+});
+
+test('concurrent approvals purge a request once', async (t) => {
+  const flagged = await app.request('POST', '/api/storage/flag-for-purge', { tables: ['dev_ai_sessions'] });
+  const request_id = flagged.body.flagged[0].requestId;
+
+  // Hold both approvals after their status check until both have got there
+  const previewRequest = purgePreview.previewRequest;
+  let arrived = 0;
+  let releaseAll;
+  const bothArrived = new Promise(resolve => { releaseAll = resolve; });
+  t.mock.method(purgePreview, 'previewRequest', async (request) => {
+    if (++arrived === 2) releaseAll();
+    await bothArrived;
+    return previewRequest(request);
+  });
+
+  const [first, second] = await Promise.all([
+    app.request('POST', '/api/storage/approve-purge', { request_id, dev_id: 'dev-1' }),
+    app.request('POST', '/api/storage/bulk-approve', { request_ids: [request_id], dev_id: 'dev-2' })
+  ]);
+
+  assert.equal(first.status, 200);
+  assert.equal(second.body.results[0].status, 'skipped');
+  assert.equal(db.rows('dev_ai_trash').length, 2);
+  assert.equal(db.rows('dev_ai_purge_requests')[0].status, 'approved');
+});
+
+test('the sweep hard-deletes only expired trash', async () => {
+  db.seed('dev_ai_trash', [
+    { id: 'tr-expired', table_name: 'dev_ai_sessions', record_id: 'a', status: 'trashed', row_data: { id: 'a' }, expires_at: daysAgo(1) },
+    { id: 'tr-grace', table_name: 'dev_ai_sessions', record_id: 'b', status: 'trashed', row_data: { id: 'b' }, expires_at: daysAgo(-5) },
+    { id: 'tr-restored', table_name: 'dev_ai_sessions', record_id: 'c', status: 'restored', row_data: { id: 'c' }, expires_at: daysAgo(1) }
+  ]);
+
+  assert.equal(await trashService.sweepExpired(), 1);
+  assert.deepEqual(db.rows('dev_ai_trash').map(t => t.id), ['tr-grace', 'tr-restored']);
+});
+
+test('purge preview samples rows, estimates bytes and finds references', async () => {
+  db.seed('dev_ai_messages', [{ id: 'm1', session_id: 's-old-1', content: 'hello' }]);
+  db.seed('dev_ai_todos', [{ id: 't1', title: 'From an old chat', source_session_id: 's-old-2' }]);
+  db.seed('dev_ai_conflicts', [{ id: 'c1', existing_table: 'dev_ai_knowledge', existing_id: 's-old-1' }]);
+  const flagged = await app.request('POST', '/api/storage/flag-for-purge', { tables: ['dev_ai_sessions'] });
+  const requestId = flagged.body.flagged[0].requestId;
+
+  const res = await app.request('GET', `/api/storage/purge-requests/${requestId}/preview`);
+  assert.equal(res.status, 200);
+
+  const { preview } = res.body;
+  assert.deepEqual([preview.requested, preview.found, preview.sample.length], [2, 2, 2]);
+  assert.ok(preview.estimatedBytes > 0);
+  assert.deepEqual(preview.references.map(r => [r.table, r.column, r.effect, r.count]), [
+    ['dev_ai_messages', 'session_id', 'cascade', 1],
+    ['dev_ai_todos', 'source_session_id', 'dangling', 1]
+  ]);
+  assert.deepEqual([preview.cascadeCount, preview.orphanCount, preview.verdict], [1, 1, 'block']);
+
+  const missing = await app.request('GET', '/api/storage/purge-requests/nope/preview');
+  assert.equal(missing.status, 404);
+});
+
+test('a blocking preview stops approval until forced; dry_run changes nothing', async () => {
+  db.seed('dev_ai_messages', [{ id: 'm1', session_id: 's-old-1' }]);
+  const flagged = await app.request('POST', '/api/storage/flag-for-purge', { tables: ['dev_ai_sessions'] });
+  const requestId = flagged.body.flagged[0].requestId;
+
+  const dryRun = await app.request('POST', '/api/storage/approve-purge', { request_id: requestId, dev_id: 'dev-1', dry_run: true });
+  assert.equal(dryRun.body.dryRun, true);
+  assert.equal(dryRun.body.preview.verdict, 'block');
+
+  const blocked = await app.request('POST', '/api/storage/approve-purge', { request_id: requestId, dev_id: 'dev-1' });
+  assert.equal(blocked.status, 409);
+  assert.equal(db.rows('dev_ai_sessions').length, 3);
+  assert.equal(db.rows('dev_ai_purge_requests')[0].status, 'pending');
+
+  const bulk = await app.request('POST', '/api/storage/bulk-approve', { request_ids: [requestId], dev_id: 'dev-1' });
+  assert.equal(bulk.body.results[0].status, 'blocked');
+
+  const forced = await app.request('POST', '/api/storage/approve-purge', { request_id: requestId, dev_id: 'dev-1', force: true });
+  assert.equal(forced.status, 200);
+  assert.equal(forced.body.warnings.length, 1);
+
+  const [request] = db.rows('dev_ai_purge_requests');
+  assert.deepEqual([request.status, request.forced, request.cascade_count], ['approved', true, 1]);
+});
+
+test('dangling references warn by default and ignore rows purged together', async () => {
+  db.seed('dev_ai_knowledge', [
+    { id: 'k-old-1', title: 'Master', created_at: daysAgo(120) },
+    { id: 'k-old-2', title: 'Merged away', consolidated_into: 'k-old-1', created_at: daysAgo(100) },
+    { id: 'k-keep', title: 'Also merged', consolidated_into: 'k-old-1', created_at: daysAgo(5) }
+  ]);
+  db.seed('dev_ai_purge_requests', [{ id: 'r1', table_name: 'dev_ai_knowledge', record_ids: ['k-old-1', 'k-old-2'], status: 'pending' }]);
+
+  const res = await app.request('POST', '/api/storage/approve-purge', { request_id: 'r1', dev_id: 'dev-1' });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.warnings, ['1 rows would be left referencing purged records']);
+  assert.equal(db.rows('dev_ai_purge_requests')[0].forced, false);
+});
+
+test('todo retention depends on status: completed todos age out, open ones never do', async () => {
+  db.seed('dev_ai_todos', [
+    { id: 't-done-old', status: 'completed', created_at: daysAgo(120) },
+    { id: 't-done-new', status: 'completed', created_at: daysAgo(30) },
+    { id: 't-open-old', status: 'pending', created_at: daysAgo(400) }
+  ]);
+
+  const stats = await app.request('GET', '/api/storage/stats');
+  assert.equal(stats.body.tables.dev_ai_todos.stale, 1);
+  assert.equal(stats.body.tables.dev_ai_todos.retentionDays, null);
+
+  const flagged = await app.request('POST', '/api/storage/flag-for-purge', { tables: ['dev_ai_todos'] });
+  assert.equal(flagged.body.totalFlagged, 1);
+  const [request] = db.rows('dev_ai_purge_requests');
+  assert.deepEqual(request.record_ids, ['t-done-old']);
+  assert.deepEqual(request.policy_ids, ['default:dev_ai_todos:completed:purge']);
+  assert.match(request.reason, /completed rows older than 90 days/);
+});
+
+test('a project policy overrides the global rule for that project only', async () => {
+  db.seed('dev_ai_sessions', [
+    { id: 's-p1-old', project_id: 'p1', created_at: daysAgo(10) },
+    { id: 's-p2-old', project_id: 'p2', created_at: daysAgo(10) }
+  ]);
+
+  const created = await app.request('POST', '/api/storage/retention',
+    { table_name: 'dev_ai_sessions', project_id: 'p1', keep_days: 7 }, { 'X-Actor': 'dev-1' });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.policy.created_by, 'dev-1');
+
+  const p1 = await app.request('GET', '/api/storage/stats?project_id=p1');
+  assert.deepEqual([p1.body.tables.dev_ai_sessions.stale, p1.body.tables.dev_ai_sessions.retentionDays], [1, 7]);
+
+  // Globally: p1 by its own rule, everyone else by the 30-day default
+  const all = await app.request('GET', '/api/storage/stats');
+  assert.equal(all.body.tables.dev_ai_sessions.stale, 3);
+
+  const flagged = await app.request('POST', '/api/storage/flag-for-purge', { tables: ['dev_ai_sessions'], project_id: 'p1' });
+  const [request] = db.rows('dev_ai_purge_requests');
+  assert.equal(flagged.body.totalFlagged, 1);
+  assert.deepEqual(request.record_ids, ['s-p1-old']);
+  assert.deepEqual(request.policy_ids, [created.body.policy.id]);
+});
+
+test('retention policy CRUD validates input, rejects duplicate scopes and protects defaults', async () => {
+  const list = await app.request('GET', '/api/storage/retention?table=dev_ai_todos');
+  assert.deepEqual(list.body.policies.map(p => [p.status, p.keep_days, p.source]), [['completed', 90, 'default'], [null, null, 'default']]);
+
+  assert.equal((await app.request('POST', '/api/storage/retention', { table_name: 'dev_ai_todos', keep_days: -1 })).status, 422);
+  assert.equal((await app.request('POST', '/api/storage/retention', { table_name: 'dev_ai_todos; drop', keep_days: 5 })).status, 422);
+  assert.equal((await app.request('POST', '/api/storage/retention', { table_name: 'dev_ai_todos', keep_days: 5, action: 'mark_stale' })).status, 400);
+
+  // A global row for the same scope replaces the default
+  const created = await app.request('POST', '/api/storage/retention', { table_name: 'dev_ai_todos', status: 'completed', keep_days: 14 });
+  assert.equal(created.status, 201);
+  const replaced = await app.request('GET', '/api/storage/retention?table=dev_ai_todos');
+  assert.deepEqual(replaced.body.policies.map(p => [p.status, p.keep_days, p.source]), [['completed', 14, 'custom'], [null, null, 'default']]);
+
+  const duplicate = await app.request('POST', '/api/storage/retention', { table_name: 'dev_ai_todos', status: 'completed', keep_days: 30 });
+  assert.equal(duplicate.status, 409);
+
+  const edited = await app.request('PATCH', `/api/storage/retention/${created.body.policy.id}`, { keep_days: 21 });
+  assert.equal(edited.body.policy.keep_days, 21);
+  assert.equal((await app.request('PATCH', '/api/storage/retention/default:dev_ai_todos:*:purge', { keep_days: 5 })).status, 400);
+  assert.equal((await app.request('DELETE', '/api/storage/retention/nope')).status, 404);
+
+  assert.equal((await app.request('DELETE', `/api/storage/retention/${created.body.policy.id}`)).status, 200);
+  const resolved = await app.request('GET', '/api/storage/retention/resolve?table=dev_ai_todos');
+  assert.deepEqual(resolved.body.rules.map(rule => [rule.status, rule.keep_days]), [['completed', 90], [null, null]]);
+});
+
+test('the cleaner marks long-active sessions stale through the mark_stale policy', async () => {
+  db.seed('dev_ai_sessions', [
+    { id: 's-stuck', status: 'active', started_at: daysAgo(3), created_at: daysAgo(3) },
+    { id: 's-live', status: 'active', started_at: new Date().toISOString(), created_at: new Date().toISOString() }
+  ]);
+
+  const stats = await cleanerService.runCycle();
+  assert.equal(stats.markedStale, 1);
+  const byId = Object.fromEntries(db.rows('dev_ai_sessions').map(row => [row.id, row.status]));
+  assert.deepEqual([byId['s-stuck'], byId['s-live']], ['stale', 'active']);
+});
@@ -0,0 +1,102 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, useMemoryDb } = require('../support/app');
+const todosRoutes = require('../../src/routes/todos');
+
+let app;
+let db;
+
+before(async () => {
+  app = await startApp(todosRoutes);
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  db = useMemoryDb({
+    dev_ai_todos: [
+      { id: 't1', project_id: 'p1', title: 'Old', status: 'pending', priority: 'high', category: 'general', created_at: '2026-01-01T00:00:00.000Z' },
+      { id: 't2', project_id: 'p2', title: 'Other project', status: 'completed', priority: 'low', category: 'general', created_at: '2026-01-02T00:00:00.000Z' }
+    ]
+  });
+});
+
+test('POST /api/todo requires a title', async () => {
+  const res = await app.request('POST', '/api/todo', { project_id: 'p1' });
+  assert.equal(res.status, 422);
+  assert.equal(res.body.schema, 'todo.create');
+  assert.deepEqual(res.body.errors, [{ path: 'title', message: 'is required' }]);
+});
+
+test('POST /api/todo stores defaults and accepts camelCase', async () => {
+  const res = await app.request('POST', '/api/todo', { projectPath: 'p1', title: 'New thing', discoveredIn: 's1' });
+  assert.equal(res.status, 200);
+  assert.ok(res.body.id);
+
+  const saved = db.rows('dev_ai_todos').find(r => r.id === res.body.id);
+  assert.equal(saved.project_id, 'p1');
+  assert.equal(saved.priority, 'medium');
+  assert.equal(saved.status, 'pending');
+  assert.equal(saved.discovered_in, 's1');
+});
+
+test('GET /api/todos filters by project and status, newest first', async () => {
+  db.seed('dev_ai_todos', [
+    { id: 't3', project_id: 'p1', title: 'Newer', status: 'pending', priority: 'low', created_at: '2026-01-05T00:00:00.000Z' }
+  ]);
+
+  const res = await app.request('GET', '/api/todos?project=p1&status=pending');
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.todos.map(t => t.id), ['t3', 't1']);
+});
+
+test('GET /api/todos pages with a cursor and filters by status list and tag', async () => {
+  db.seed('dev_ai_todos', [
+    { id: 't3', project_id: 'p1', title: 'Tagged', status: 'in_progress', priority: 'low', tags: ['ui'], created_at: '2026-01-03T00:00:00.000Z' },
+    { id: 't4', project_id: 'p1', title: 'Tagged too', status: 'pending', priority: 'high', tags: ['ui', 'api'], created_at: '2026-01-04T00:00:00.000Z' }
+  ]);
+
+  const first = await app.request('GET', '/api/todos?limit=2');
+  assert.equal(first.status, 200);
+  assert.deepEqual(first.body.items.map(t => t.id), ['t4', 't3']);
+  assert.deepEqual(first.body.todos, first.body.items);
+  assert.equal(first.body.total, 4);
+
+  const second = await app.request('GET', `/api/todos?limit=2&cursor=${first.body.nextCursor}`);
+  assert.deepEqual(second.body.items.map(t => t.id), ['t2', 't1']);
+  assert.equal(second.body.nextCursor, null);
+
+  const filtered = await app.request('GET', '/api/todos?status=pending,in_progress&tag=ui&sort=created_at&order=asc');
+  assert.deepEqual(filtered.body.items.map(t => t.id), ['t3', 't4']);
+
+  assert.equal((await app.request('GET', '/api/todos?sort=title')).status, 400);
+});
+
+test('PATCH /api/todo/:id sets completed_at when completing', async () => {
+  const res = await app.request('PATCH', '/api/todo/t1', { status: 'completed' });
+  assert.equal(res.status, 200);
+
+  const saved = db.rows('dev_ai_todos').find(r => r.id === 't1');
+  assert.equal(saved.status, 'completed');
+  assert.ok(saved.completed_at);
+});
+
+test('DELETE /api/todo/:id removes only that todo', async () => {
+  const res = await app.request('DELETE', '/api/todo/t1');
+  assert.equal(res.status, 200);
+  assert.deepEqual(db.rows('dev_ai_todos').map(r => r.id), ['t2']);
+});
+
+test('GET /api/todos/stats groups by status and priority', async () => {
+  const res = await app.request('GET', '/api/todos/stats');
+  assert.equal(res.body.total, 2);
+  assert.deepEqual(res.body.byStatus, { pending: 1, completed: 1 });
+  assert.deepEqual(res.body.byPriority, { high: 1, low: 1 });
+});
+
+test('database errors surface as 500', async () => {
+  db.failOn('dev_ai_todos', 'relation "dev_ai_todos" does not exist');
+  const res = await app.request('GET', '/api/todos');
+  assert.equal(res.status, 500);
+  assert.match(res.body.error, /does not exist/);
+});
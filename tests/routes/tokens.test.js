@@ -0,0 +1,153 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, useMemoryDb } = require('../support/app');
+const config = require('../../src/lib/config');
+const { from } = require('../../src/lib/db');
+const { authenticate, requiredScope } = require('../../src/lib/auth');
+const tokenService = require('../../src/services/tokenService');
+const tokenRoutes = require('../../src/routes/tokens');
+const storageRoutes = require('../../src/routes/storage');
+
+const BOOTSTRAP = 'bootstrap-secret-for-tests';
+const bearer = (token) => ({ Authorization: `Bearer ${token}` });
+
+let app;
+let db;
+let savedBootstrap;
+
+before(async () => {
+  savedBootstrap = config.AUTH_BOOTSTRAP_TOKEN;
+  config.AUTH_BOOTSTRAP_TOKEN = BOOTSTRAP;
+  app = await startApp(authenticate({ mode: 'enforce' }), tokenRoutes, storageRoutes);
+});
+
+after(() => {
+  config.AUTH_BOOTSTRAP_TOKEN = savedBootstrap;
+  return app.close();
+});
+
+beforeEach(() => {
+  tokenService.clearCache();
+  db = useMemoryDb({
+    dev_ai_sessions: [{ id: 's-old', created_at: '2020-01-01T00:00:00.000Z' }]
+  });
+});
+
+async function issue(name, scopes) {
+  const res = await app.request('POST', '/api/tokens', { name, scopes }, bearer(BOOTSTRAP));
+  assert.equal(res.status, 201);
+  return res.body.token;
+}
+
+test('requiredScope maps paths and methods to scopes', () => {
+  assert.equal(requiredScope('GET', '/api/todos'), 'read:todos');
+  assert.equal(requiredScope('POST', '/api/staging/errors/requeue'), 'write:catalog');
+  assert.equal(requiredScope('GET', '/api/storage/stats'), 'read:storage');
+  assert.equal(requiredScope('POST', '/api/storage/approve-purge'), 'admin:storage');
+  assert.equal(requiredScope('GET', '/api/tokens'), 'admin:tokens');
+  assert.equal(requiredScope('GET', '/api/auth/whoami'), null);
+  assert.equal(requiredScope('GET', '/health'), undefined);
+});
+
+test('path case does not change the scope a request needs', async () => {
+  assert.equal(requiredScope('POST', '/api/TOKENS'), 'admin:tokens');
+  assert.equal(requiredScope('POST', '/api/Storage/approve-purge'), 'admin:storage');
+  assert.equal(requiredScope('POST', '/api/PM2/stop'), 'admin:pm2');
+
+  const writer = await issue('writer', ['write:*']);
+  const res = await app.request('POST', '/api/TOKENS', { name: 'escalated', scopes: ['*'] }, bearer(writer));
+  assert.equal(res.status, 403);
+  assert.equal((await app.request('POST', '/api/STORAGE/approve-purge', {}, bearer(writer))).status, 403);
+});
+
+test('requests without a valid token get 401', async () => {
+  const none = await app.request('GET', '/api/storage/stats');
+  assert.equal(none.status, 401);
+
+  const bogus = await app.request('GET', '/api/storage/stats', null, bearer('susan_not-a-real-token'));
+  assert.equal(bogus.status, 401);
+});
+
+test('issued tokens are stored hashed and shown once', async () => {
+  const token = await issue('chad', ['write:catalog']);
+  assert.match(token, /^susan_/);
+
+  const [row] = db.rows('dev_ai_api_tokens');
+  assert.equal(row.token_hash, tokenService.hashToken(token));
+  assert.equal(row.created_by, 'bootstrap');
+
+  const list = await app.request('GET', '/api/tokens', null, bearer(BOOTSTRAP));
+  assert.equal(list.body.count, 1);
+  assert.equal(list.body.tokens[0].token_hash, undefined);
+
+  const whoami = await app.request('GET', '/api/auth/whoami', null, bearer(token));
+  assert.deepEqual([whoami.body.name, whoami.body.scopes], ['chad', ['write:catalog']]);
+});
+
+test('scopes: admin covers write covers read, and wildcards cover every area', async () => {
+  const reader = await issue('dashboard', ['read:storage']);
+  const admin = await issue('ops', ['admin:storage']);
+  const everything = await issue('root', ['*']);
+
+  assert.equal((await app.request('GET', '/api/storage/stats', null, bearer(reader))).status, 200);
+  const denied = await app.request('POST', '/api/storage/flag-for-purge', { tables: ['dev_ai_sessions'] }, bearer(reader));
+  assert.equal(denied.status, 403);
+  assert.equal(denied.body.required, 'admin:storage');
+
+  assert.equal((await app.request('GET', '/api/storage/stats', null, bearer(admin))).status, 200);
+  assert.equal((await app.request('GET', '/api/tokens', null, bearer(admin))).status, 403);
+  assert.equal((await app.request('GET', '/api/tokens', null, bearer(everything))).status, 200);
+
+  assert.equal(tokenService.hasScope(['write:*'], 'read:todos'), true);
+  assert.equal(tokenService.hasScope(['write:*'], 'admin:todos'), false);
+});
+
+test('approvals record the token, not the dev_id in the body', async () => {
+  const token = await issue('dev-alice', ['admin:storage']);
+  const flagged = await app.request('POST', '/api/storage/flag-for-purge', { tables: ['dev_ai_sessions'] }, bearer(token));
+  const requestId = flagged.body.flagged[0].requestId;
+
+  const res = await app.request('POST', '/api/storage/approve-purge', { request_id: requestId, dev_id: 'dev-mallory' }, bearer(token));
+  assert.equal(res.status, 200);
+  assert.equal(res.body.approvedBy, 'dev-alice');
+  assert.equal(db.rows('dev_ai_purge_requests')[0].reviewed_by, 'dev-alice');
+
+  const item = db.rows('dev_ai_trash').find(t => t.record_id === 's-old');
+  const restored = await app.request('POST', `/api/storage/trash/${item.id}/restore`, { dev_id: 'dev-mallory' }, bearer(token));
+  assert.equal(restored.status, 200);
+  assert.equal(restored.body.restoredBy, 'dev-alice');
+  assert.equal(db.rows('dev_ai_trash').find(t => t.id === item.id).restored_by, 'dev-alice');
+
+  // No dev_id at all is fine once the token says who it is
+  const again = await app.request('POST', `/api/storage/trash/${item.id}/restore`, {}, bearer(token));
+  assert.equal(again.status, 409);
+});
+
+test('revoked tokens stop working straight away', async () => {
+  const token = await issue('jen', ['read:storage']);
+  assert.equal((await app.request('GET', '/api/storage/stats', null, bearer(token))).status, 200);
+
+  const [row] = db.rows('dev_ai_api_tokens');
+  const revoked = await app.request('DELETE', `/api/tokens/${row.id}`, null, bearer(BOOTSTRAP));
+  assert.equal(revoked.status, 200);
+  assert.equal(db.rows('dev_ai_api_tokens')[0].revoked_by, 'bootstrap');
+
+  assert.equal((await app.request('GET', '/api/storage/stats', null, bearer(token))).status, 401);
+  assert.equal((await app.request('DELETE', `/api/tokens/${row.id}`, null, bearer(BOOTSTRAP))).status, 404);
+});
+
+test('expired tokens are refused', async () => {
+  const token = await issue('ryan', ['read:storage']);
+  await from('dev_ai_api_tokens').update({ expires_at: '2020-01-01T00:00:00.000Z' }).eq('name', 'ryan');
+  tokenService.clearCache();
+
+  assert.equal((await app.request('GET', '/api/storage/stats', null, bearer(token))).status, 401);
+});
+
+test('unknown tokens are not cached', async () => {
+  const token = 'susan_issued-after-a-miss';
+  assert.equal(await tokenService.verify(token), null);
+
+  db.seed('dev_ai_api_tokens', [{ id: 'tok-late', name: 'late', kind: 'service', scopes: ['read:storage'], token_hash: tokenService.hashToken(token) }]);
+  assert.equal((await tokenService.verify(token)).name, 'late');
+});
@@ -0,0 +1,149 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { startApp, useMemoryDb } = require('../support/app');
+const webhooksRoutes = require('../../src/routes/webhooks');
+const webhookService = require('../../src/services/webhookService');
+const eventBus = require('../../src/services/eventBus');
+const config = require('../../src/lib/config');
+
+let app;
+let db;
+let receiver;
+let received;
+let replies;
+
+before(async () => {
+  app = await startApp(webhooksRoutes);
+
+  // Stand-in for the dashboard: records requests, answers with queued statuses
+  receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.writeHead(replies.shift() || 200);
+      res.end();
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+});
+
+after(async () => {
+  webhookService.stop();
+  await app.close();
+  await new Promise(resolve => receiver.close(resolve));
+});
+
+beforeEach(() => {
+  eventBus.reset();
+  webhookService.stop();
+  db = useMemoryDb();
+  received = [];
+  replies = [];
+});
+
+function receiverUrl() {
+  return `http://127.0.0.1:${receiver.address().port}/hooks/susan`;
+}
+
+async function waitFor(check) {
+  for (let i = 0; i < 200; i++) {
+    const value = check();
+    if (value) return value;
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  throw new Error('Timed out waiting');
+}
+
+test('registered webhooks receive matching events with a valid HMAC signature', async () => {
+  const created = await app.request('POST', '/api/webhooks', { url: receiverUrl(), events: ['bug.*'], name: 'dashboard' });
+  assert.equal(created.status, 201);
+  const { secret } = created.body.webhook;
+  assert.match(secret, /^whsec_/);
+
+  webhookService.start();
+  eventBus.emit('todo.created', { id: 't1' });
+  eventBus.emit('bug.fixed', { id: 'b1', project_id: 'p1' }, { source: 'status-updater' });
+
+  const [delivery] = await waitFor(() => received.length && received);
+  const { headers, body } = delivery;
+  assert.equal(headers['x-susan-event'], 'bug.fixed');
+  assert.ok(webhookService.verifySignature(secret, headers['x-susan-timestamp'], body, headers['x-susan-signature']));
+  assert.ok(!webhookService.verifySignature('wrong', headers['x-susan-timestamp'], body, headers['x-susan-signature']));
+  assert.equal(JSON.parse(body).data.id, 'b1');
+
+  // The secret is never listed
+  const list = await app.request('GET', '/api/webhooks');
+  assert.equal(list.body.webhooks[0].secret, undefined);
+
+  await waitFor(() => db.rows('dev_ai_webhook_deliveries').some(d => d.status === 'delivered'));
+  const log = await app.request('GET', `/api/webhooks/${created.body.webhook.id}/deliveries`);
+  assert.deepEqual(log.body.deliveries.map(d => [d.event_type, d.status, d.attempts]), [['bug.fixed', 'delivered', 1]]);
+  assert.equal(received.length, 1);
+});
+
+test('failed deliveries back off, retry, and give up after the max attempts', async () => {
+  const { webhook } = (await app.request('POST', '/api/webhooks', { url: receiverUrl() })).body;
+  replies = [500, 200];
+
+  const event = eventBus.emit('conflict.flagged', { id: 'c1' });
+  const [first] = await webhookService.handleEvent(event);
+  assert.equal(first.status, 'pending');
+  assert.equal(first.attempts, 1);
+  assert.equal(first.last_error, 'HTTP 500');
+  assert.ok(new Date(first.next_attempt_at) > new Date());
+
+  // Not due yet
+  assert.equal((await webhookService.retryDue()).attempted, 0);
+
+  await db.from('dev_ai_webhook_deliveries').update({ next_attempt_at: new Date(Date.now() - 1000).toISOString() }).eq('id', first.id);
+  const stats = await webhookService.retryDue();
+  assert.deepEqual([stats.attempted, stats.delivered], [1, 1]);
+
+  // One attempt left, and it fails
+  replies = [503, 503];
+  const [last] = await webhookService.handleEvent(eventBus.emit('purge.approved', { id: 'r1' }));
+  await db.from('dev_ai_webhook_deliveries')
+    .update({ attempts: config.WEBHOOK_MAX_ATTEMPTS - 1, next_attempt_at: new Date(0).toISOString() })
+    .eq('id', last.id);
+  await webhookService.retryDue();
+
+  const failed = db.rows('dev_ai_webhook_deliveries').find(d => d.id === last.id);
+  assert.equal(failed.status, 'failed');
+  assert.equal(failed.response_status, 503);
+
+  const redelivered = await app.request('POST', `/api/webhooks/deliveries/${last.id}/redeliver`);
+  assert.equal(redelivered.body.delivery.status, 'delivered');
+
+  const [saved] = db.rows('dev_ai_webhooks');
+  assert.equal(saved.id, webhook.id);
+  assert.equal(saved.last_status, 'delivered');
+});
+
+test('backoff doubles from the base delay', () => {
+  assert.equal(webhookService.backoffMs(1), config.WEBHOOK_RETRY_BASE_MS);
+  assert.equal(webhookService.backoffMs(3), config.WEBHOOK_RETRY_BASE_MS * 4);
+});
+
+test('validation, project scoping, ping and unknown webhooks', async () => {
+  const badUrl = await app.request('POST', '/api/webhooks', { url: 'ftp://example.com' });
+  assert.equal(badUrl.status, 422);
+
+  const badEvent = await app.request('POST', '/api/webhooks', { url: receiverUrl(), events: ['todo.exploded'] });
+  assert.equal(badEvent.status, 400);
+
+  const { webhook } = (await app.request('POST', '/api/webhooks', { url: receiverUrl(), project_id: 'p1' })).body;
+  assert.deepEqual(await webhookService.handleEvent(eventBus.emit('todo.created', { id: 't1', project_id: 'p2' })), []);
+
+  const ping = await app.request('POST', `/api/webhooks/${webhook.id}/test`);
+  assert.equal(ping.body.success, true);
+  assert.equal(received.at(-1).headers['x-susan-event'], 'webhook.ping');
+
+  const paused = await app.request('PATCH', `/api/webhooks/${webhook.id}`, { active: false });
+  assert.equal(paused.body.webhook.active, false);
+  assert.deepEqual(await webhookService.handleEvent(eventBus.emit('todo.created', { id: 't2', project_id: 'p1' })), []);
+
+  assert.equal((await app.request('DELETE', `/api/webhooks/${webhook.id}`)).status, 200);
+  assert.equal((await app.request('GET', `/api/webhooks/${webhook.id}`)).status, 404);
+});
@@ -0,0 +1,91 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMemoryDb } = require('../support/app');
+const duplicateChecker = require('../../src/services/duplicateChecker');
+const fixture = require('../fixtures/duplicates.json');
+
+// The old all-pairs grouping, kept here as the reference LSH must match
+function bruteForceGroups(items) {
+  const groups = [];
+  const used = new Set();
+  for (let i = 0; i < items.length; i++) {
+    if (used.has(items[i].id)) continue;
+    const group = [items[i]];
+    used.add(items[i].id);
+    for (let j = i + 1; j < items.length; j++) {
+      if (used.has(items[j].id)) continue;
+      if (duplicateChecker.areSimilar(items[i], items[j]) >= duplicateChecker.SIMILARITY_THRESHOLD) {
+        group.push(items[j]);
+        used.add(items[j].id);
+      }
+    }
+    if (group.length > 1) groups.push(group.map(item => item.id));
+  }
+  return groups;
+}
+
+test('labelled fixture: precision, recall and pairs scored', (t) => {
+  const report = duplicateChecker.measureDetection(fixture.items, fixture.duplicates);
+
+  t.diagnostic(`precision=${report.precision.toFixed(3)} recall=${report.recall.toFixed(3)} f1=${report.f1.toFixed(3)}`);
+  t.diagnostic(`candidate recall=${report.candidateRecall.toFixed(3)} scored ${report.stats.comparisons} of ${report.stats.allPairs} pairs`);
+
+  // LSH must not lose any true pair before scoring
+  assert.equal(report.candidateRecall, 1);
+  assert.ok(report.stats.comparisons * 20 < report.stats.allPairs);
+
+  // Floors at today's scorer - raise them when scoring improves
+  assert.ok(report.precision >= 0.8, `precision ${report.precision}`);
+  assert.ok(report.recall >= 0.55, `recall ${report.recall}`);
+});
+
+test('LSH grouping matches the all-pairs comparison on the fixture', () => {
+  const { groups } = duplicateChecker.groupDuplicates(fixture.items);
+  assert.deepEqual(groups.map(g => g.map(item => item.id)), bruteForceGroups(fixture.items));
+});
+
+test('embedding similarity can pull in a pair the title score misses', () => {
+  const items = [
+    { id: 'a', project_id: 'p1', title: 'Write README setup section', embedding: [1, 0, 0], embedding_model: 'm' },
+    { id: 'b', project_id: 'p1', title: 'Write setup section of README', embedding: [0.99, 0.1, 0], embedding_model: 'm' }
+  ];
+
+  assert.equal(duplicateChecker.groupDuplicates(items).groups.length, 0);
+  assert.equal(duplicateChecker.groupDuplicates(items, { useEmbeddings: true }).groups.length, 1);
+
+  // Vectors from different models are ignored
+  items[1].embedding_model = 'other';
+  assert.equal(duplicateChecker.groupDuplicates(items, { useEmbeddings: true }).groups.length, 0);
+});
+
+let db;
+
+beforeEach(() => {
+  db = useMemoryDb();
+});
+
+test('findDuplicates covers knowledge and docs without a validated_at column', async () => {
+  db.seed('dev_ai_knowledge', [
+    { id: 'k1', project_id: 'p1', title: 'Susan runs on port 5403', status: 'active', created_at: '2026-01-01T00:00:00.000Z' },
+    { id: 'k2', project_id: 'p1', title: 'Susan runs on port 5403.', status: null, created_at: '2026-01-02T00:00:00.000Z' },
+    { id: 'k3', project_id: 'p1', title: 'Susan runs on port 5403', status: 'consolidated', created_at: '2026-01-03T00:00:00.000Z' }
+  ]);
+
+  const { groups } = await duplicateChecker.findDuplicates('dev_ai_knowledge', 'p1');
+  assert.deepEqual(groups.map(g => g.map(item => item.id)), [['k1', 'k2']]);
+
+  // One read for the whole project, not one per pair
+  const reads = db.calls.filter(c => c.table === 'dev_ai_knowledge');
+  assert.equal(reads.length, 1);
+});
+
+test('todos still require validated_at and an open status', async () => {
+  db.seed('dev_ai_todos', [
+    { id: 't1', project_id: 'p1', title: 'Add retry to Chad webhook calls', status: 'pending', validated_at: '2026-01-01', created_at: '2026-01-01' },
+    { id: 't2', project_id: 'p1', title: 'Add retries to Chad webhook calls', status: 'pending', validated_at: null, created_at: '2026-01-02' },
+    { id: 't3', project_id: 'p1', title: 'Add retries to Chad webhook calls', status: 'completed', validated_at: '2026-01-01', created_at: '2026-01-03' }
+  ]);
+
+  const { groups } = await duplicateChecker.findDuplicates('dev_ai_todos', 'p1');
+  assert.equal(groups.length, 0);
+});
@@ -0,0 +1,90 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMemoryDb } = require('../support/app');
+const config = require('../../src/lib/config');
+const embeddings = require('../../src/lib/embeddings');
+const embeddingService = require('../../src/services/embeddingService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS).toISOString();
+
+let db;
+let savedProvider;
+
+before(() => {
+  savedProvider = config.EMBEDDING_PROVIDER;
+  config.EMBEDDING_PROVIDER = 'local';
+});
+
+after(() => {
+  config.EMBEDDING_PROVIDER = savedProvider;
+});
+
+beforeEach(() => {
+  db = useMemoryDb({});
+});
+
+async function embedded(rows) {
+  const { model, vectors } = await embeddings.embed(rows.map(row => embeddingService.buildEmbeddingText('dev_ai_knowledge', row)));
+  return rows.map((row, i) => ({ ...row, embedding: vectors[i], embedding_model: model }));
+}
+
+test('semantic search ranks every embedded row, not just the newest', async () => {
+  // The match is the oldest row, behind more than one scan page of newer ones
+  const filler = Array.from({ length: 620 }, (_, i) => ({
+    id: `k-${String(i).padStart(4, '0')}`,
+    title: `Dashboard colour tweak ${i}`,
+    summary: 'Spacing and palette changes after the dashboard handshake',
+    created_at: daysAgo(i / 10)
+  }));
+  const target = {
+    id: 'k-jwt',
+    title: 'JWT handshake for 9500',
+    summary: 'Transcripts on 9500 verify the JWT handshake before streaming',
+    created_at: daysAgo(400)
+  };
+  db.seed('dev_ai_knowledge', await embedded([...filler, target]));
+
+  const results = await embeddingService.search('JWT handshake 9500', { mode: 'semantic', tables: ['dev_ai_knowledge'], limit: 3 });
+  assert.equal(results[0]?.id, 'k-jwt');
+  assert.equal(results.length, 3);
+  assert.ok(results[0].score > results[1].score);
+});
+
+test('hybrid search finds title matches that are not embedded yet', async () => {
+  db.seed('dev_ai_knowledge', [
+    ...await embedded([{ id: 'k1', title: 'Port map', summary: 'Which worker listens where', importance: 5 }]),
+    { id: 'k2', title: 'JWT handshake for 9500', summary: 'Not embedded yet', importance: 8 }
+  ]);
+
+  const results = await embeddingService.search('JWT handshake', { mode: 'hybrid', tables: ['dev_ai_knowledge'] });
+  assert.equal(results[0].id, 'k2');
+  assert.equal(results[0].scores.semantic, 0);
+  assert.ok(results[0].scores.keyword > 0);
+});
+
+test('backfill embeds rows without an embedding and skips ones already on the model', async () => {
+  const [current] = await embedded([{ id: 'd-done', title: 'Already done' }]);
+  db.seed('dev_ai_decisions', [
+    { id: 'd1', title: 'Use Postgres', decision: 'Move off the hosted db', created_at: daysAgo(3) },
+    { id: 'd2', title: 'Keep pm2', decision: 'Stay on pm2 for now', created_at: daysAgo(2) },
+    { ...current, created_at: daysAgo(1) }
+  ]);
+
+  const state = await embeddingService.runBackfill({ tables: ['dev_ai_decisions'], batchSize: 1 });
+  assert.equal(state.status, 'completed');
+  assert.deepEqual(state.tables.dev_ai_decisions, { total: 2, processed: 2, errors: 0 });
+
+  const rows = db.rows('dev_ai_decisions');
+  assert.ok(rows.every(row => row.embedding_model === current.embedding_model));
+  assert.equal(rows.find(row => row.id === 'd1').embedding.length, config.LOCAL_EMBEDDING_DIMENSIONS);
+});
+
+test('a row that fails to store is counted once and the backfill still finishes', async () => {
+  db.seed('dev_ai_decisions', [{ id: 'd1', title: 'Use Postgres' }]);
+  db.failOn('dev_ai_decisions', 'disk full', ['update']);
+
+  const state = await embeddingService.runBackfill({ tables: ['dev_ai_decisions'] });
+  assert.equal(state.status, 'completed');
+  assert.deepEqual(state.tables.dev_ai_decisions, { total: 1, processed: 0, errors: 1 });
+});
@@ -0,0 +1,194 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMemoryDb } = require('../support/app');
+const extractionSorter = require('../../src/services/extractionSorter');
+const config = require('../../src/lib/config');
+
+let db;
+
+function staged(id, bucket, extra = {}) {
+  return {
+    id,
+    bucket,
+    title: `${bucket} item`,
+    content: `Content for ${bucket}`,
+    project_id: 'p1',
+    session_id: 'sess-1',
+    status: 'pending',
+    created_at: `2026-01-01T00:00:0${id.slice(-1)}.000Z`,
+    ...extra
+  };
+}
+
+beforeEach(() => {
+  db = useMemoryDb();
+});
+
+test('routes each bucket to its table with the bucket status', async () => {
+  db.seed('dev_ai_smart_extractions', [
+    staged('x1', 'Bugs Open', { priority: 'high' }),
+    staged('x2', 'Bugs Fixed'),
+    staged('x3', 'Todos'),
+    staged('x4', 'Work Log'),
+    staged('x5', 'Naming Conventions'),
+    staged('x6', 'How-To Guide'),
+    staged('x7', 'Quirks & Gotchas'),
+    staged('x8', 'Snippets')
+  ]);
+
+  const stats = await extractionSorter.processStagingItems();
+
+  assert.equal(stats.processed, 8);
+  assert.equal(stats.errors, 0);
+  assert.deepEqual(stats.byTable, {
+    dev_ai_bugs: 2,
+    dev_ai_todos: 1,
+    dev_ai_journal: 1,
+    dev_ai_conventions: 1,
+    dev_ai_docs: 1,
+    dev_ai_knowledge: 1,
+    dev_ai_snippets: 1
+  });
+
+  const bugs = db.rows('dev_ai_bugs');
+  assert.deepEqual(bugs.map(b => b.status).sort(), ['fixed', 'open']);
+  assert.equal(bugs.find(b => b.status === 'open').severity, 'high');
+
+  assert.equal(db.rows('dev_ai_todos')[0].status, 'unassigned');
+  assert.equal(db.rows('dev_ai_journal')[0].entry_type, 'worklog');
+  assert.equal(db.rows('dev_ai_conventions')[0].convention_type, 'naming_conventions');
+  assert.equal(db.rows('dev_ai_docs')[0].doc_type, 'how-to_guide');
+  assert.equal(db.rows('dev_ai_knowledge')[0].knowledge_type, 'quirks_&_gotchas');
+
+  const routed = db.rows('dev_ai_todos')[0];
+  assert.equal(routed.metadata.staging_id, 'x3');
+  assert.equal(routed.metadata.source, 'jason');
+
+  assert.ok(db.rows('dev_ai_smart_extractions').every(r => r.status === 'processed'));
+});
+
+test('rows routed to embedded tables are embedded as they land', async (t) => {
+  const provider = config.EMBEDDING_PROVIDER;
+  config.EMBEDDING_PROVIDER = 'local';
+  t.after(() => { config.EMBEDDING_PROVIDER = provider; });
+  db.seed('dev_ai_smart_extractions', [staged('x1', 'Quirks & Gotchas'), staged('x2', 'Reference'), staged('x3', 'Todos')]);
+
+  await extractionSorter.processStagingItems();
+
+  assert.match(db.rows('dev_ai_knowledge')[0].embedding_model, /^local-hash/);
+  assert.match(db.rows('dev_ai_docs')[0].embedding_model, /^local-hash/);
+  assert.equal(db.rows('dev_ai_todos')[0].embedding_model, undefined);
+});
+
+test('unknown buckets wait in the unrouted inbox instead of failing', async () => {
+  db.seed('dev_ai_smart_extractions', [staged('x1', 'Recipes')]);
+
+  const stats = await extractionSorter.processStagingItems();
+  assert.deepEqual([stats.unrouted, stats.errors], [1, 0]);
+
+  const [row] = db.rows('dev_ai_smart_extractions');
+  assert.equal(row.status, 'unrouted');
+  assert.equal(row.metadata?.error, undefined);
+});
+
+test('items whose hash already exists in the target table are duplicates', async () => {
+  db.seed('dev_ai_todos', [{ id: 't1', title: 'Existing', metadata: { hash: 'abc' } }]);
+  db.seed('dev_ai_smart_extractions', [staged('x1', 'Todos', { hash: 'abc' }), staged('x2', 'Todos', { hash: 'def' })]);
+
+  const stats = await extractionSorter.processStagingItems();
+
+  assert.equal(stats.duplicates, 1);
+  assert.equal(stats.processed, 1);
+  assert.equal(db.rows('dev_ai_todos').length, 2);
+  assert.equal(db.rows('dev_ai_smart_extractions').find(r => r.id === 'x1').status, 'duplicate');
+});
+
+test('insert failures keep the staging row with the error details', async () => {
+  db.failOn('dev_ai_decisions', 'null value in column "title"', ['insert']);
+  db.seed('dev_ai_smart_extractions', [staged('x1', 'Decisions', { metadata: { origin: 'chat' } })]);
+
+  const stats = await extractionSorter.processStagingItems();
+  assert.equal(stats.errors, 1);
+
+  const [row] = db.rows('dev_ai_smart_extractions');
+  assert.equal(row.status, 'error');
+  assert.equal(row.metadata.origin, 'chat');
+  assert.equal(row.metadata.error_stage, 'insert');
+  assert.equal(row.metadata.error_table, 'dev_ai_decisions');
+});
+
+test('only pending rows are picked up, oldest first, up to the limit', async () => {
+  db.seed('dev_ai_smart_extractions', [
+    staged('x3', 'Todos'),
+    staged('x1', 'Todos'),
+    staged('x2', 'Todos', { status: 'processed' })
+  ]);
+
+  const stats = await extractionSorter.processStagingItems(1);
+  assert.equal(stats.processed, 1);
+  assert.equal(db.rows('dev_ai_todos')[0].metadata.staging_id, 'x1');
+  assert.equal(db.rows('dev_ai_smart_extractions').find(r => r.id === 'x3').status, 'pending');
+});
+
+test('recovery finishes items whose insert landed and requeues the rest', async () => {
+  db.seed('dev_ai_todos', [{ id: 't1', title: 'Routed', metadata: { staging_id: 'x1' } }]);
+  db.seed('dev_ai_smart_extractions', [
+    staged('x1', 'Todos', { status: 'routing' }),
+    staged('x2', 'Todos', { status: 'routing' }),
+    staged('x3', 'Todos', { status: 'processed' })
+  ]);
+
+  assert.deepEqual(await extractionSorter.recoverInterrupted(), { completed: 1, requeued: 1 });
+  assert.deepEqual(db.rows('dev_ai_smart_extractions').map(r => [r.id, r.status]), [
+    ['x1', 'processed'],
+    ['x2', 'pending'],
+    ['x3', 'processed']
+  ]);
+
+  // The requeued item routes once, not twice
+  const stats = await extractionSorter.processStagingItems();
+  assert.equal(stats.processed, 1);
+  assert.equal(db.rows('dev_ai_todos').length, 2);
+});
+
+test('transient failures retry with backoff, then dead-letter after the last attempt', async (t) => {
+  const maxAttempts = config.STAGING_MAX_ATTEMPTS;
+  config.STAGING_MAX_ATTEMPTS = 2;
+  t.after(() => { config.STAGING_MAX_ATTEMPTS = maxAttempts; });
+
+  db.failOn('dev_ai_todos', 'Connection terminated unexpectedly', ['insert']);
+  db.seed('dev_ai_smart_extractions', [staged('x1', 'Todos')]);
+
+  const first = await extractionSorter.processStagingItems();
+  assert.deepEqual([first.errors, first.retrying], [1, 1]);
+
+  let [row] = db.rows('dev_ai_smart_extractions');
+  assert.equal(row.status, 'retry');
+  assert.equal(row.attempts, 1);
+  assert.ok(new Date(row.next_attempt_at) > new Date());
+
+  // Not due yet
+  assert.equal((await extractionSorter.processStagingItems()).errors, 0);
+
+  await db.from('dev_ai_smart_extractions')
+    .update({ next_attempt_at: new Date(Date.now() - 1000).toISOString() })
+    .eq('id', 'x1');
+  const second = await extractionSorter.processStagingItems();
+  assert.deepEqual([second.errors, second.retrying], [1, 0]);
+
+  [row] = db.rows('dev_ai_smart_extractions');
+  assert.equal(row.status, 'error');
+  assert.equal(row.attempts, 2);
+  assert.equal(row.next_attempt_at, null);
+  assert.equal(row.metadata.error_history.length, 2);
+});
+
+test('permanent errors are not retried and backoff doubles up to a cap', () => {
+  assert.equal(extractionSorter.isTransient('null value in column "title" violates not-null constraint'), false);
+  assert.equal(extractionSorter.isTransient('Not a routable table: dev_ai_recipes'), false);
+  assert.equal(extractionSorter.isTransient('read ECONNRESET'), true);
+
+  const base = config.STAGING_RETRY_BASE_MS;
+  assert.deepEqual([1, 2, 3].map(extractionSorter.backoffMs), [base, base * 2, base * 4]);
+  assert.equal(extractionSorter.backoffMs(30), 6 * 60 * 60 * 1000);
+});
@@ -0,0 +1,32 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMemoryDb } = require('../support/app');
+const processorV2 = require('../../src/services/processor-v2');
+
+let db;
+
+beforeEach(() => {
+  db = useMemoryDb({
+    dev_projects: [{ id: 'p1', name: 'Solo', is_parent: false, parent_id: null }],
+    dev_ai_knowledge: [
+      { id: 'k1', project_id: 'p1', title: 'Redis connection pooling settings', status: 'active', created_at: '2026-01-01T00:00:00.000Z' },
+      { id: 'k2', project_id: 'p1', title: 'Redis connection pooling setting', status: 'active', created_at: '2026-01-02T00:00:00.000Z' }
+    ]
+  });
+});
+
+test('knowledge duplicates are reported, never merged', async () => {
+  const before = db.rows('dev_ai_knowledge');
+  const stats = await processorV2.runCycle();
+
+  assert.deepEqual(db.rows('dev_ai_knowledge'), before);
+  assert.deepEqual(stats.duplicates, { knowledge: 1, docs: 0 });
+  assert.deepEqual(stats.duplicateGroups, [{
+    table: 'dev_ai_knowledge',
+    project_id: 'p1',
+    items: [
+      { id: 'k1', title: 'Redis connection pooling settings' },
+      { id: 'k2', title: 'Redis connection pooling setting' }
+    ]
+  }]);
+});
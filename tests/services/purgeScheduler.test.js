@@ -0,0 +1,91 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMemoryDb } = require('../support/app');
+const purgeScheduler = require('../../src/services/purgeScheduler');
+const config = require('../../src/lib/config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS).toISOString();
+
+let db;
+
+beforeEach(() => {
+  db = useMemoryDb({
+    dev_ai_workers: [{ id: 'w-susan', name: 'Susan' }],
+    dev_ai_sessions: [
+      { id: 's1', created_at: daysAgo(40) },
+      { id: 's2', created_at: daysAgo(35) },
+      { id: 's3', created_at: daysAgo(31) },
+      { id: 's-new', created_at: daysAgo(1) }
+    ]
+  });
+});
+
+test('a scheduled run flags stale rows and notifies through notifications and team chat', async () => {
+  const result = await purgeScheduler.runCycle();
+  assert.equal(result.totalFlagged, 3);
+
+  const [request] = db.rows('dev_ai_purge_requests');
+  assert.equal(request.flagged_by, 'susan-scheduler');
+  assert.deepEqual([...request.record_ids].sort(), ['s1', 's2', 's3']);
+  assert.equal(db.rows('dev_ai_sessions').length, 4);
+
+  const notifications = db.rows('dev_ai_notifications');
+  const flagged = notifications.find(n => n.notification_type === 'purge_request');
+  assert.equal(flagged.related_id, request.id);
+  assert.match(flagged.message, /dev_ai_sessions: 3 records in 1 request/);
+
+  const chat = db.rows('dev_team_chat').map(m => m.content);
+  assert.ok(chat.some(content => content.startsWith('Susan flagged 3 stale records')));
+  assert.ok(chat.some(content => content.startsWith('Purge digest: 1 request (3 records)')));
+});
+
+test('rows already waiting in a request are not flagged again', async () => {
+  await purgeScheduler.flagStale({ tables: ['dev_ai_sessions'] });
+  db.seed('dev_ai_sessions', [{ id: 's4', created_at: daysAgo(60) }]);
+
+  const again = await purgeScheduler.flagStale({ tables: ['dev_ai_sessions'] });
+  assert.equal(again.alreadyPending, 3);
+  assert.deepEqual(again.flagged.map(f => f.count), [1]);
+  assert.deepEqual(db.rows('dev_ai_purge_requests')[1].record_ids, ['s4']);
+
+  const nothing = await purgeScheduler.runCycle();
+  assert.equal(nothing.totalFlagged, 0);
+  assert.equal(db.rows('dev_ai_notifications').filter(n => n.notification_type === 'purge_request').length, 0);
+});
+
+test('a project run skips rows held by a global request', async () => {
+  db.seed('dev_ai_sessions', [{ id: 's-p1', project_id: 'p1', created_at: daysAgo(50) }]);
+  await purgeScheduler.flagStale({ tables: ['dev_ai_sessions'] });
+
+  const scoped = await purgeScheduler.flagStale({ tables: ['dev_ai_sessions'], project: 'p1' });
+  assert.equal(scoped.totalFlagged, 0);
+  assert.equal(db.rows('dev_ai_purge_requests').length, 1);
+});
+
+test('large sets are split into batches of PURGE_BATCH_SIZE', async () => {
+  const original = config.PURGE_BATCH_SIZE;
+  config.PURGE_BATCH_SIZE = 2;
+  try {
+    const result = await purgeScheduler.flagStale({ tables: ['dev_ai_sessions'] });
+    assert.deepEqual(result.flagged.map(f => [f.count, f.batch]), [[2, '1/2'], [1, '2/2']]);
+    assert.deepEqual(db.rows('dev_ai_purge_requests').map(r => r.record_count), [2, 1]);
+  } finally {
+    config.PURGE_BATCH_SIZE = original;
+  }
+});
+
+test('the digest goes out once per period and only when something awaits approval', async () => {
+  assert.deepEqual(await purgeScheduler.sendDigest(), { sent: false, reason: 'Nothing awaiting approval' });
+
+  await purgeScheduler.flagStale({ tables: ['dev_ai_sessions'] });
+  const first = await purgeScheduler.sendDigest();
+  assert.deepEqual(first, { sent: true, requests: 1, records: 3 });
+
+  assert.equal((await purgeScheduler.sendDigest()).sent, false);
+  assert.equal((await purgeScheduler.sendDigest({ force: true })).sent, true);
+
+  const nextWeek = new Date(Date.now() + (config.PURGE_DIGEST_DAYS + 1) * DAY_MS);
+  assert.equal((await purgeScheduler.sendDigest({ now: nextWeek })).sent, true);
+  assert.equal(db.rows('dev_ai_notifications').filter(n => n.notification_type === 'purge_digest').length, 3);
+});
@@ -0,0 +1,56 @@
+/**
+ * Route test harness
+ * Mounts routers under /api on a throwaway port, backed by the memory adapter
+ */
+
+const express = require('express');
+const db = require('../../src/lib/db');
+const { createMemoryDb } = require('../../src/lib/db/memory');
+
+/**
+ * Start an app with the given routers mounted at /api
+ * @returns {Promise<{ url, request, close }>}
+ */
+function startApp(...routers) {
+  const app = express();
+  app.use(express.json({ limit: '10mb' }));
+  routers.forEach(router => app.use('/api', router));
+
+  return new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      const url = `http://127.0.0.1:${server.address().port}`;
+
+      // request('POST', '/api/todo', body, headers) -> { status, body }
+      async function request(method, path, body, headers = {}) {
+        const response = await fetch(url + path, {
+          method,
+          headers: body ? { 'Content-Type': 'application/json', ...headers } : headers,
+          body: body ? JSON.stringify(body) : undefined
+        });
+        const text = await response.text();
+        return { status: response.status, body: text ? JSON.parse(text) : null };
+      }
+
+      resolve({
+        url,
+        request,
+        // Drop open sockets too - an SSE stream holds its socket until keep-alive expires
+        close: () => new Promise(done => {
+          server.close(done);
+          server.closeAllConnections();
+        })
+      });
+    });
+  });
+}
+
+/**
+ * Point lib/db at a fresh in-memory database
+ */
+function useMemoryDb(seed) {
+  const memory = createMemoryDb({ seed });
+  db.setClient(memory);
+  return memory;
+}
+
+module.exports = { startApp, useMemoryDb };